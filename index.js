@@ -3,6 +3,11 @@
 var assert = require('chai').assert;
 var E = require('linq');
 var SelectIterator = require('./src/iterators/select');
+var SkipIterator = require('./src/iterators/skip');
+var CsvFileIterator = require('./src/iterators/csv-file');
+var LineIterator = require('./src/iterators/line');
+var LineFileIterator = require('./src/iterators/line-file');
+var JsonLinesIterator = require('./src/iterators/json-lines');
 var MultiIterator = require('./src/iterators/multi');
 require('sugar');
 var BabyParse = require('babyparse');
@@ -10,6 +15,15 @@ var extend = require('extend');
 
 var DataFrame = require('./src/dataframe');
 var Series = require('./src/series');
+var AsyncDataFrame = require('./src/async-dataframe');
+var AsyncSeries = require('./src/async-series');
+var AsyncDeferredIterator = require('./src/async-iterators/deferred');
+var MongoIterable = require('./src/async-iterables/mongo');
+var sql = require('./src/sql');
+var missing = require('./src/missing');
+var xlsx = require('./src/xlsx');
+var xml = require('./src/xml');
+var text = require('./src/text');
 var E = require('linq');
 var zip = require('./src/zip');
 
@@ -18,6 +32,54 @@ var zip = require('./src/zip');
 //
 var registeredPlugins = {};
 
+//
+// Create an async dataframe whose content is loaded from a promise of a dataframe.
+// Loading is deferred until the async dataframe is first iterated and then shared between iterations.
+//
+var createDeferredAsyncDataFrame = function (load) {
+
+	var loaded = null;
+
+	return new AsyncDataFrame({
+		iterable: {
+			getIterator: function () {
+				if (!loaded) {
+					loaded = load();
+				}
+
+				return new AsyncDeferredIterator(
+					loaded.then(function (dataFrame) {
+						return dataFrame.getIterator();
+					})
+				);
+			},
+		},
+	});
+};
+
+//
+// Create a dataframe whose rows are parsed from JSON Lines as it is iterated. 'createLineIterator' creates an iterator for the lines.
+// Set 'skipMalformed' in the config to skip lines that aren't valid JSON and 'onMalformed' to be called with each line that is skipped.
+//
+var createJsonLinesDataFrame = function (createLineIterator, config) {
+
+	var dataFrameConfig = extend({}, config || {}, {
+		values: function () {
+			return new JsonLinesIterator(createLineIterator(), config);
+		},
+	});
+	return new DataFrame(dataFrameConfig);
+};
+
+//
+// Check the 'onMalformed' option for parsing JSON Lines, before the lines are read.
+//
+var validateOnMalformed = function (config, fnName) {
+	if (config && config.onMalformed !== undefined) {
+		assert.isFunction(config.onMalformed, "Expected 'onMalformed' option to " + fnName + " to be a function that is called with each malformed line.");
+	}
+};
+
 /**
  * Main namespace for Data-Forge.
  * 
@@ -47,6 +109,21 @@ var dataForge = {
 	//
 	Series: Series,
 
+	//
+	// Constructor for AsyncDataFrame.
+	//
+	AsyncDataFrame: AsyncDataFrame,
+
+	//
+	// Constructor for AsyncSeries.
+	//
+	AsyncSeries: AsyncSeries,
+
+	//
+	// Constructor for the SQLite adapter, for use with fromSQL and DataFrame.toSQL.
+	//
+	SQLiteAdapter: require('./src/sql-adapters/sqlite'),
+
 	/**
 	 * Install a plugin in the dataForge namespace.
 	 * 
@@ -69,6 +146,27 @@ var dataForge = {
 		return self;
 	},
 
+	/**
+	 * Change the definition of missing values, used by functions such as 'dropMissing', 'fillMissing' and 'interpolate'.
+	 * By default undefined, null, NaN and empty strings are missing.
+	 * 
+	 * @param {function|array} definition - Predicate function that returns true for missing values, an array of missing values or null to restore the default definition.
+	 */
+	defineMissing: function (definition) {
+		missing.define(definition);
+	},
+
+	/**
+	 * Determine if a value is missing according to the current definition of missing values.
+	 * 
+	 * @param {value} value - The value to check.
+	 * 
+	 * @returns {boolean} Returns true if the value is missing.
+	 */
+	isMissing: function (value) {
+		return missing.isMissing(value);
+	},
+
 
 	/**
 	 * Deserialize a DataFrame from a JSON text string.
@@ -94,6 +192,31 @@ var dataForge = {
 		return new DataFrame(dataFrameConfig);
 	},
 
+	/**
+	 * Deserialize a DataFrame from a JSON Lines (newline-delimited JSON) text string, each line is a JSON object for a row.
+	 * The lines are parsed as the dataframe is iterated. Blank lines are skipped, a line that isn't valid JSON throws an error with the line number.
+	 * Set 'skipMalformed' to true to skip lines that aren't valid JSON instead. Set 'onMalformed' to a function to be called with each line that is skipped,
+	 * as an object with the (one-based) 'lineNumber', the 'line' and the 'error' message from the JSON parser. It is called as the lines are parsed, each time the dataframe is iterated.
+	 *
+	 * @param {string} jsonLinesTextString - The JSON Lines text to deserialize.
+	 * @param {config} [config] - Optional configuration for parsing, other options are passed to the DataFrame.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the JSON Lines data.
+	 */
+	fromJSONLines: function (jsonLinesTextString, config) {
+		assert.isString(jsonLinesTextString, "Expected 'jsonLinesTextString' parameter to 'dataForge.fromJSONLines' to be a string containing data encoded in the JSON Lines format.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromJSONLines' to be an object with configuration to pass to the DataFrame.");
+		}
+
+		validateOnMalformed(config, 'dataForge.fromJSONLines');
+
+		return createJsonLinesDataFrame(function () {
+			return new LineIterator(jsonLinesTextString);
+		}, config);
+	},
+
 	/**
 	 * Deserialize a DataFrame from a CSV text string.
 	 *
@@ -184,13 +307,106 @@ var dataForge = {
 		return new dataForge.DataFrame(dataFrameConfig);
 	},
 
+	/**
+	 * Deserialize a DataFrame from an XML text string. Each row is an element, its attributes and child elements are the columns.
+	 * Values are strings, use 'parseFloats', 'parseDates' or a schema to convert them.
+	 *
+	 * @param {string} xmlTextString - The XML text to deserialize.
+	 * @param {object} [config] - Optional configuration: 'rowElement' (name of the elements that are rows, at any depth, defaults to the elements inside the root element)
+	 * and 'attributes' (set to false to ignore the attributes of the row elements). Other options are passed to the DataFrame.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the XML data.
+	 */
+	fromXML: function (xmlTextString, config) {
+		assert.isString(xmlTextString, "Expected 'xmlTextString' parameter to 'dataForge.fromXML' to be a string containing data encoded in the XML format.");
+		xml.validateParseOptions(config, "'dataForge.fromXML'");
+
+		var dataFrameConfig = extend({}, config || {}, xml.parse(xmlTextString, config));
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from a YAML text string that contains a sequence of rows.
+	 * Numbers, booleans and timestamps are typed by the YAML parser.
+	 * Requires the optional 'js-yaml' package to be installed.
+	 *
+	 * @param {string} yamlTextString - The YAML text to deserialize.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the YAML data.
+	 */
+	fromYAML: function (yamlTextString, config) {
+		assert.isString(yamlTextString, "Expected 'yamlTextString' parameter to 'dataForge.fromYAML' to be a string containing data encoded in the YAML format.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromYAML' to be an object with configuration to pass to the DataFrame.");
+		}
+
+		var yaml = require('js-yaml');
+		var rows = yaml.load(yamlTextString);
+		if (rows === undefined || rows === null) {
+			rows = []; // Empty document.
+		}
+
+		assert.isArray(rows, "Expected YAML passed to 'dataForge.fromYAML' to contain a sequence of rows.");
+
+		var dataFrameConfig = extend({}, config || {}, { values: rows });
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from text that isn't CSV, such as a log file. Each line is a row, blank lines are ignored.
+	 * The lines are parsed as the dataframe is iterated. Values are strings, empty values are undefined.
+	 *
+	 * @param {string} textString - The text to deserialize.
+	 * @param {object} config - Configuration for parsing, either 'pattern' or fixed-width options.
+	 * 'pattern' is a regular expression (or a string), each capture group is a column. 'columnNames' names the capture groups, the names of named capture groups are used when it isn't set.
+	 * Lines that don't match are skipped, set 'skipNonMatching' to false to throw an error instead. Set 'onUnmatched' to a function to be called with each
+	 * line that is skipped, as an object with the (one-based) 'lineNumber' and the 'line'. It is called as the lines are parsed, each time the dataframe is iterated.
+	 * For fixed-width columns set 'widths' to the number of characters in each column, or set 'fixedWidth' to true to find the columns from the header line.
+	 * The first non-blank line is the header when there are no 'columnNames' or when the columns are found from the header line.
+	 * Other options are passed to the DataFrame.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the text.
+	 */
+	fromText: function (textString, config) {
+		assert.isString(textString, "Expected 'textString' parameter to 'dataForge.fromText' to be a string containing the text to parse.");
+		text.validateParseOptions(config, "'dataForge.fromText'");
+
+		var parsed = text.parse(textString, config);
+		var dataFrameConfig = extend({}, config, {
+			columnNames: parsed.columnNames,
+			values: parsed.values,
+		});
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from an Excel workbook (XLSX).
+	 * Numbers, strings, booleans and dates keep the types they have in the workbook.
+	 *
+	 * @param {Buffer} buffer - Buffer that contains the workbook.
+	 * @param {object} [config] - Optional configuration for parsing: 'sheet' (name or zero-based position of the worksheet, defaults to the first),
+	 * 'headerRow' (the row number of the column names, defaults to the first row, or false when there is no header row) and 'range' (the cells to read, for example 'A1:D100').
+	 * Other options are passed to the DataFrame.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the worksheet.
+	 */
+	fromXLSX: function (buffer, config) {
+		assert(Buffer.isBuffer(buffer), "Expected 'buffer' parameter to 'dataForge.fromXLSX' to be a Buffer that contains an XLSX workbook.");
+		xlsx.validateParseOptions(config, "'dataForge.fromXLSX'");
+
+		var dataFrameConfig = extend({}, config || {}, xlsx.parse(buffer, config));
+		return new DataFrame(dataFrameConfig);
+	},
+
 	/**
 	 * Read a file asynchronously from the file system.
 	 * Works in Nodejs, doesn't work in the browser.
 	 * 
 	 * @param {string} filePath - The path to the file to read.
 	 * 
-	 * @returns {object} file - Returns an object that represents the file. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
+	 * @returns {object} file - Returns an object that represents the file. Use `parseCSV`, `parseJSON`, `parseJSONLines`, `parseXML`, `parseYAML`, `parseText` or `parseXLSX` to deserialize to a DataFrame.
 	 */
 	readFile: function (filePath) {
 		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.readFileSync to be a string that specifies the path of the file to read.");
@@ -198,55 +414,206 @@ var dataForge = {
 		return {
 			/**
 			 * Deserialize a CSV file to a DataFrame.
-			 * Returns a promise that later resolves to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
 			 * 
 			 * @param {object} [config] - Optional configuration file for parsing.
 			 * 
-			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
 			 */
 			parseCSV: function (config) {
 				if (config) {
 					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
 				}
 
-				return new Promise(function (resolve, reject) {
-					var fs = require('fs');
-					fs.readFile(filePath, 'utf8', function (err, csvData) {
-						if (err) {
-							reject(err);
-							return;
-						}
-
-						resolve(dataForge.fromCSV(csvData, config));
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, 'utf8', function (err, csvData) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromCSV(csvData, config));
+						});
 					});
 				});
 			},
 
 			/**
 			 * Deserialize a JSON file to a DataFrame.
-			 * Returns a promise that later resolves to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
 			 * 
 			 * @param {object} [config] - Optional configuration file for parsing.
 			 * 
-			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
 			 */
 			parseJSON: function (config) {
 				if (config) {
 					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseJSON(...) to be an object with configuration options for JSON parsing.");
 				}
 
-				return new Promise(function (resolve, reject) {
-					var fs = require('fs');
-					fs.readFile(filePath, 'utf8', function (err, data) {
-						if (err) {
-							reject(err);
-							return;
-						}
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, 'utf8', function (err, data) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromJSON(data, config));
+						});
+					});
+				});
+			},
 
-						resolve(dataForge.fromJSON(data, config));
+			/**
+			 * Deserialize a JSON Lines (newline-delimited JSON) file to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * The file is read incrementally, in chunks, as the dataframe is iterated, so it works for files that are too large to fit in memory.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing. Set 'chunkSize' to the number of bytes to read from the file at a time,
+			 * 'skipMalformed' to skip lines that aren't valid JSON and 'onMalformed' to be told about them, see 'dataForge.fromJSONLines'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
+			 */
+			parseJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				validateOnMalformed(config, "dataForge.readFile(...).parseJSONLines(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.access(filePath, function (err) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(createJsonLinesDataFrame(function () {
+								return new LineFileIterator(filePath, config);
+							}, config));
+						});
 					});
 				});
-			} 
+			},
+
+			/**
+			 * Deserialize an XML file to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'rowElement' and 'attributes', see 'dataForge.fromXML'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
+			 */
+			parseXML: function (config) {
+				xml.validateParseOptions(config, "dataForge.readFile(...).parseXML(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, 'utf8', function (err, data) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromXML(data, config));
+						});
+					});
+				});
+			},
+
+			/**
+			 * Deserialize a YAML file to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
+			 */
+			parseYAML: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseYAML(...) to be an object with configuration options for YAML parsing.");
+				}
+
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, 'utf8', function (err, data) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromYAML(data, config));
+						});
+					});
+				});
+			},
+
+			/**
+			 * Deserialize a text file, such as a log file, to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing: 'pattern' or fixed-width options, see 'dataForge.fromText'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
+			 */
+			parseText: function (config) {
+				text.validateParseOptions(config, "dataForge.readFile(...).parseText(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, 'utf8', function (err, data) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromText(data, config));
+						});
+					});
+				});
+			},
+
+			/**
+			 * Deserialize an Excel workbook (XLSX) to a DataFrame.
+			 * Returns an async dataframe that is loaded when it is resolved or iterated. 
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'sheet', 'headerRow' and 'range', see 'dataForge.fromXLSX'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the file. 
+			 */
+			parseXLSX: function (config) {
+				xlsx.validateParseOptions(config, "dataForge.readFile(...).parseXLSX(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					return new Promise(function (resolve, reject) {
+						var fs = require('fs');
+						fs.readFile(filePath, function (err, data) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve(dataForge.fromXLSX(data, config));
+						});
+					});
+				});
+			},
 
 		};
 	},
@@ -257,7 +624,7 @@ var dataForge = {
 	 * 
 	 * @param {string} filePath - The path to the file to read.
 	 * 
-	 * @returns {object} Returns an object that represents the file. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
+	 * @returns {object} Returns an object that represents the file. Use `parseCSV`, `parseJSON`, `parseJSONLines`, `parseXML`, `parseYAML`, `parseText` or `parseXLSX` to deserialize to a DataFrame.
 	 */
 	readFileSync: function (filePath) {
 		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.readFileSync to be a string that specifies the path of the file to read.");
@@ -265,18 +632,64 @@ var dataForge = {
 		return {
 			/**
 			 * Deserialize a CSV file to a DataFrame.
+			 * The file is read incrementally, in chunks, as the dataframe is iterated, so it works for files that are too large to fit in memory.
+			 * Only the header is read up front.
 			 * 
-			 * @param {object} [config] - Optional configuration file for parsing.
+			 * @param {object} [config] - Optional configuration file for parsing. Set 'chunkSize' to the number of bytes to read from the file at a time.
+			 * The first row has the column names unless 'columnNames' is set. Set 'header' to true to skip the first row when 'columnNames' renames the columns,
+			 * or to false when the file has no header row. The parser options ('delimiter', 'newline', 'quoteChar', 'comments' and 'skipEmptyLines')
+			 * are passed to the CSV parser the same as for 'fromCSV', set 'skipEmptyLines' to ignore blank lines.
 			 * 
 			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
 			 */
 			parseCSV: function (config) {
 				if (config) {
 					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
+
+					if (config.columnNames) {
+						assert.isArray(config.columnNames, "Expect 'columnNames' field of 'config' parameter to dataForge.readFileSync(...).parseCSV(...) to be an array of strings that specify column names.")
+					}
+
+					if (config.header === false) {
+						assert(config.columnNames, "Expect 'columnNames' field of 'config' parameter to dataForge.readFileSync(...).parseCSV(...) to name the columns when 'header' is false.");
+					}
 				}
 
-				var fs = require('fs');
-				return dataForge.fromCSV(fs.readFileSync(filePath, 'utf8'), config);
+				var columnNames = config && config.columnNames;
+				var hasHeader = config && config.header !== undefined ? !!config.header : !columnNames; // The header row is handled here, once for the whole file, rather than by the parser.
+
+				if (!columnNames) {
+					var headerIterator = new CsvFileIterator(filePath, config);
+					if (!headerIterator.moveNext()) {
+						return new dataForge.DataFrame({ columnNames: [], values: [] });
+					}
+
+					columnNames = E.from(headerIterator.getCurrent())
+						.select(function (columnName) {
+							return columnName.trim();
+						})
+						.toArray();
+				}
+
+				var baseConfig = {
+					columnNames: columnNames,
+					values: function () {
+						var rowsIterator = new CsvFileIterator(filePath, config);
+						if (hasHeader) {
+							rowsIterator = new SkipIterator(rowsIterator, 1); // Skip header.
+						}
+
+						return new SelectIterator(rowsIterator, function (row) {
+							return E.from(row)
+								.select(function (cell) {
+									return cell.trim(); // Trim each cell.
+								})
+								.toArray();
+						});
+					},
+				};
+				var dataFrameConfig = extend({}, config || {}, baseConfig);
+				return new dataForge.DataFrame(dataFrameConfig);
 			},
 
 			/**
@@ -293,7 +706,86 @@ var dataForge = {
 
 				var fs = require('fs');
 				return dataForge.fromJSON(fs.readFileSync(filePath, 'utf8'), config);
-			} 
+			},
+
+			/**
+			 * Deserialize a JSON Lines (newline-delimited JSON) file to a DataFrame.
+			 * The file is read incrementally, in chunks, as the dataframe is iterated, so it works for files that are too large to fit in memory.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing. Set 'chunkSize' to the number of bytes to read from the file at a time,
+			 * 'skipMalformed' to skip lines that aren't valid JSON and 'onMalformed' to be told about them, see 'dataForge.fromJSONLines'.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				validateOnMalformed(config, "dataForge.readFileSync(...).parseJSONLines(...)");
+
+				return createJsonLinesDataFrame(function () {
+					return new LineFileIterator(filePath, config);
+				}, config);
+			},
+
+			/**
+			 * Deserialize an XML file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'rowElement' and 'attributes', see 'dataForge.fromXML'.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseXML: function (config) {
+				xml.validateParseOptions(config, "dataForge.readFileSync(...).parseXML(...)");
+
+				var fs = require('fs');
+				return dataForge.fromXML(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize a YAML file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseYAML: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseYAML(...) to be an object with configuration options for YAML parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromYAML(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize a text file, such as a log file, to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing: 'pattern' or fixed-width options, see 'dataForge.fromText'.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseText: function (config) {
+				text.validateParseOptions(config, "dataForge.readFileSync(...).parseText(...)");
+
+				var fs = require('fs');
+				return dataForge.fromText(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize an Excel workbook (XLSX) to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'sheet', 'headerRow' and 'range', see 'dataForge.fromXLSX'.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseXLSX: function (config) {
+				xlsx.validateParseOptions(config, "dataForge.readFileSync(...).parseXLSX(...)");
+
+				var fs = require('fs');
+				return dataForge.fromXLSX(fs.readFileSync(filePath), config);
+			},
 
 		};
 	},
@@ -304,7 +796,7 @@ var dataForge = {
 	 * 
 	 * @param {string} url - URL for a REST API that returns data.
 	 *   
-	 * @returns {object} Returns an object that represents the response REST API. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
+	 * @returns {object} Returns an object that represents the response REST API. Use `parseCSV`, `parseJSON`, `parseJSONLines`, `parseXML`, `parseYAML`, `parseText` or `parseXLSX` to deserialize to a DataFrame.
 	 */
 	httpGet: function (url) {
 		assert.isString(url, "Expected 'url' parameter to DataForge.httpGet to be a string that specifies the URL of the REST API from which to request data.");
@@ -312,87 +804,287 @@ var dataForge = {
 		return {
 			/**
 			 * Deserialize a CSV data to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
 			 * 
 			 * @param {object} [config] - Optional configuration file for parsing.
 			 * 
-			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the REST API.  
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
 			 */
 			parseCSV: function (config) {
 				if (config) {
 					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
 				}
 
-				var requestOptions = {
-					uri: url,
-				};
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+					};
 
-				var request = require('request-promise');
+					var request = require('request-promise');
 
-				return request.get(requestOptions)
-					.then(function (data) {
-						return dataForge.fromCSV(data, config);
-					});
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromCSV(data, config);
+						});
+				});
 			},
 
 			/**
 			 * Deserialize JSON data to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
 			 * 
 			 * @param {object} [config] - Optional configuration file for parsing.
 			 * 
-			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the REST API.  
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
 			 */
 			parseJSON: function (config) {
 				if (config) {
 					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseJSON(...) to be an object with configuration options for JSON parsing.");
 				}
 
-				var requestOptions = {
-					uri: url,
-					json: true,
-				};
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+						json: true,
+					};
 
-				var request = require('request-promise');
-				
-				return request.get(requestOptions)
-					.then(function (data) {
-						assert.isArray(data, "Expected response from REST API to be an array!");
-						var dataFrameOptions = extend({ values: data }, config || {});
-						return new DataFrame(dataFrameOptions);
-					});
-			} 
+					var request = require('request-promise');
+					
+					return request.get(requestOptions)
+						.then(function (data) {
+							assert.isArray(data, "Expected response from REST API to be an array!");
+							var dataFrameOptions = extend({ values: data }, config || {});
+							return new DataFrame(dataFrameOptions);
+						});
+				});
+			},
+
+			/**
+			 * Deserialize JSON Lines (newline-delimited JSON) data to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing. Set 'skipMalformed' to skip lines that aren't valid JSON and 'onMalformed' to be told about them, see 'dataForge.fromJSONLines'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
+			 */
+			parseJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				validateOnMalformed(config, "dataForge.httpGet(...).parseJSONLines(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+					};
+
+					var request = require('request-promise');
+
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromJSONLines(data, config);
+						});
+				});
+			},
+
+			/**
+			 * Deserialize XML data to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'rowElement' and 'attributes', see 'dataForge.fromXML'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
+			 */
+			parseXML: function (config) {
+				xml.validateParseOptions(config, "dataForge.httpGet(...).parseXML(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+					};
+
+					var request = require('request-promise');
+
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromXML(data, config);
+						});
+				});
+			},
+
+			/**
+			 * Deserialize YAML data to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
+			 */
+			parseYAML: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseYAML(...) to be an object with configuration options for YAML parsing.");
+				}
+
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+					};
+
+					var request = require('request-promise');
+
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromYAML(data, config);
+						});
+				});
+			},
+
+			/**
+			 * Deserialize text data, such as a log file, to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing: 'pattern' or fixed-width options, see 'dataForge.fromText'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
+			 */
+			parseText: function (config) {
+				text.validateParseOptions(config, "dataForge.httpGet(...).parseText(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+					};
+
+					var request = require('request-promise');
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromText(data, config);
+						});
+				});
+			},
+
+			/**
+			 * Deserialize an Excel workbook (XLSX) to a DataFrame.
+			 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing: 'sheet', 'headerRow' and 'range', see 'dataForge.fromXLSX'.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the REST API.  
+			 */
+			parseXLSX: function (config) {
+				xlsx.validateParseOptions(config, "dataForge.httpGet(...).parseXLSX(...)");
+
+				return createDeferredAsyncDataFrame(function () {
+					var requestOptions = {
+						uri: url,
+						encoding: null, // Get the response as a buffer.
+					};
+
+					var request = require('request-promise');
+
+					return request.get(requestOptions)
+						.then(function (data) {
+							return dataForge.fromXLSX(data, config);
+						});
+				});
+			},
 
 		};
 	},
 
+	/**
+	 * Treat multiple dataframes as an Excel workbook (XLSX) for purposes of serialization, with a worksheet for each dataframe.
+	 *
+	 * @param {object|array} sheets - Object that maps worksheet names to dataframes, or an array of objects with 'name' and 'dataFrame'.
+	 * 
+	 * @returns {object} Returns an object that represents the workbook for serialization. Call `writeFile`, `writeFileSync` or `toBuffer` to output the workbook.
+	 */
+	asXLSX: function (sheets) {
+		assert(Object.isObject(sheets) || Object.isArray(sheets), "Expected 'sheets' parameter to 'dataForge.asXLSX' to be an object that maps worksheet names to dataframes, or an array of objects with 'name' and 'dataFrame'.");
+
+		var sheetList = xlsx.toSheetList(sheets);
+
+		sheetList.forEach(function (sheet) {
+			assert.isString(sheet.name, "Expected each sheet passed to 'dataForge.asXLSX' to have a name.");
+			assert.instanceOf(sheet.dataFrame, DataFrame, "Expected sheet '" + sheet.name + "' passed to 'dataForge.asXLSX' to be a DataFrame.");
+		});
+
+		return xlsx.createSerializer(function () {
+			return sheetList;
+		}, 'dataForge.asXLSX()');
+	},
+
 	/**
 	 * Request a DataFrame from a MongoDB collection.
+	 * Documents are pulled from the database one at a time as the async dataframe is iterated.
+	 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+	 * Calls to 'skip', 'take', 'head', 'subset' and 'where' (with a filter object) on the async dataframe are passed through to the query.
 	 * 
 	 * @param {string} connectionString - MongoDB connection string that specifies the database to connect to.
 	 * @param {string} collectionName - The name of the MongoDB collection to retreive data from.
+	 * @param {object} [query] - Optional query: 'filter' (MongoDB query document), 'projection' (fields to return), 'sort' (MongoDB sort document), 'skip' (number of documents to skip) and 'limit' (maximum number of documents to return).
 	 *   
-	 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the database.
+	 * @returns {AsyncDataFrame} Returns an async dataframe loaded from the database.
 	 */
-	fromMongoDB: function (connectionString, collectionName) {
+	fromMongoDB: function (connectionString, collectionName, query) {
 		assert.isString(connectionString, "Expected 'connectionString' parameter to dataForge.fromMongoDB to be a string that specifies the database to connect to.");		
 		assert.isString(collectionName, "Expected 'collectionName' parameter to dataForge.fromMongoDB to be a string that specifies the collection to retreive data from.");
 
-		var mongo = require('promised-mongo');
-		var db = mongo(connectionString, [collectionName]);
+		if (query) {
+			assert.isObject(query, "Expected optional 'query' parameter to dataForge.fromMongoDB to be an object that specifies the query.");
 
-		return db[collectionName].find()
-			.toArray()
-			.catch(function (err) {
-				return db.close() // An error occurred, but we still need to close the database.
-					.then(function () {
-						throw err; // Rethrow after trying to close database.
-					});
-			})
-			.then(function (data) {
-				return db.close() // Finished with the database connection.
-					.then(function () {
-						return new DataFrame(data);
-					});				
-			});
+			if (query.filter) {
+				assert.isObject(query.filter, "Expected 'filter' field of 'query' parameter to dataForge.fromMongoDB to be a MongoDB query document.");
+			}
+
+			if (query.projection) {
+				assert.isObject(query.projection, "Expected 'projection' field of 'query' parameter to dataForge.fromMongoDB to be an object that specifies the fields to return.");
+			}
+
+			if (query.sort) {
+				assert.isObject(query.sort, "Expected 'sort' field of 'query' parameter to dataForge.fromMongoDB to be a MongoDB sort document.");
+			}
+
+			if (query.skip !== undefined) {
+				assert.isNumber(query.skip, "Expected 'skip' field of 'query' parameter to dataForge.fromMongoDB to be a number that specifies the number of documents to skip.");
+			}
+
+			if (query.limit !== undefined) {
+				assert.isNumber(query.limit, "Expected 'limit' field of 'query' parameter to dataForge.fromMongoDB to be a number that specifies the maximum number of documents to return.");
+			}
+		}
+
+		return new AsyncDataFrame({
+			iterable: new MongoIterable(connectionString, collectionName, query),
+		});
+	},
+
+	/**
+	 * Request a DataFrame from a SQL database.
+	 * The query is run when the async dataframe is first iterated.
+	 * The async dataframe can also be used as a promise that later resolves to a DataFrame.
+	 * 
+	 * @param {object} connection - SQL adapter that implements 'query', 'execute' and 'transaction' (eg dataForge.SQLiteAdapter).
+	 * @param {string} query - The SQL query to run.
+	 * @param {array} [params] - Optional values for the query parameters.
+	 *   
+	 * @returns {AsyncDataFrame} Returns an async dataframe with the rows returned by the query.
+	 */
+	fromSQL: function (connection, query, params) {
+		sql.validateAdapter(connection, 'dataForge.fromSQL');
+		assert.isString(query, "Expected 'query' parameter to dataForge.fromSQL to be a string that specifies the SQL query to run.");
+
+		if (params) {
+			assert.isArray(params, "Expected optional 'params' parameter to dataForge.fromSQL to be an array of values for the query parameters.");
+		}
+
+		return createDeferredAsyncDataFrame(function () {
+			return connection.query(query, params || [])
+				.then(function (rows) {
+					return new dataForge.DataFrame(rows);
+				});
+		});
 	},
 
 	/**
@@ -404,6 +1096,17 @@ var dataForge = {
 	 */
 	concatDataFrames: require('./src/concat-dataframes'),
 
+	/**
+	 * Merge two dataframes on one or more key columns, in the style of a Pandas merge.
+	 *
+	 * @param {DataFrame} left - The left dataframe to merge.
+	 * @param {DataFrame} right - The right dataframe to merge.
+	 * @param {object} [options] - Optional options: 'on' (column name or array of column names to merge on), 'how' ('inner', 'left', 'right' or 'outer') and 'suffixes' (suffixes for overlapping columns).
+	 * 
+	 * @returns {DataFrame} Returns the merged dataframe. 
+	 */
+	merge: require('./src/merge-dataframes'),
+
 	/**
 	 * Concatenate multiple series into a single series.
 	 * 
@@ -0,0 +1,103 @@
+'use strict';
+
+//
+// Named aggregations for summarizing the values of a column, used when grouping and pivoting dataframes.
+//
+
+var assert = require('chai').assert;
+var Series = require('./series');
+var stats = require('./stats');
+
+var isMissing = function (value) {
+	return value === undefined || value === null;
+};
+
+//
+// Find the minimum or maximum of the non-missing values, comparing dates by value.
+//
+var extremeOf = function (values, isBetter) {
+	var result = undefined;
+	values.forEach(function (value) {
+		if (!isMissing(value) && (result === undefined || isBetter(value.valueOf(), result.valueOf()))) {
+			result = value;
+		}
+	});
+	return result;
+};
+
+//
+// Named aggregations. Each is passed an array of values.
+// Missing values are ignored, except by 'first' and 'last'.
+//
+var aggregators = {
+	count: function (values) {
+		return values.filter(function (value) {
+			return !isMissing(value);
+		}).length;
+	},
+
+	sum: function (values) {
+		return stats.sum(values);
+	},
+
+	mean: function (values) {
+		return stats.mean(values);
+	},
+
+	median: function (values) {
+		return stats.quantiles(values, [0.5], 'linear')[0];
+	},
+
+	variance: function (values) {
+		return stats.variance(values); // Sample variance.
+	},
+
+	std: function (values) {
+		return stats.std(values); // Sample standard deviation.
+	},
+
+	min: function (values) {
+		return extremeOf(values, function (a, b) {
+			return a < b;
+		});
+	},
+
+	max: function (values) {
+		return extremeOf(values, function (a, b) {
+			return a > b;
+		});
+	},
+
+	first: function (values) {
+		return values[0];
+	},
+
+	last: function (values) {
+		return values[values.length - 1];
+	},
+};
+
+aggregators.average = aggregators.mean;
+
+var aggregatorNames = Object.keys(aggregators);
+
+//
+// Resolve an aggregation, specified by name or function, to a function that is passed an array of values.
+// Functions specified by the caller are passed a Series of the values instead.
+//
+var resolve = function (aggregator, description) {
+
+	if (Object.isFunction(aggregator)) {
+		return function (values) {
+			return aggregator(new Series({ values: values }));
+		};
+	}
+
+	assert(aggregators[aggregator], "Expected " + description + " to be a function or one of " + aggregatorNames.join(', ') + ", instead it is '" + aggregator + "'.");
+	return aggregators[aggregator];
+};
+
+module.exports = {
+	named: aggregators,
+	resolve: resolve,
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+//
+// Asynchronous counterpart to DataFrame.
+//
+
+var assert = require('chai').assert;
+var AsyncSelectIterator = require('./async-iterators/select');
+var closeIterator = require('./async-iterators/close');
+var mongo = require('./mongo');
+
+/**
+ * Constructor for AsyncDataFrame.
+ * @constructor
+ * @extends dataForge.AsyncSeries
+ * @memberof dataForge
+ * @param {object|array|DataFrame} config|values - Specifies content and configuration for the AsyncDataFrame. Can be an array of rows, a synchronous DataFrame, a configuration object accepted by DataFrame or an object with an 'iterable' field that supplies async iterators.
+ */
+var AsyncDataFrame = function (config) {
+
+	var self = this;
+	self.factory = function (config) {
+		return new AsyncDataFrame(config);
+	};
+	self.syncFactory = function (config) {
+		return new DataFrame(config);
+	};
+
+	AsyncSeries.call(this, config);
+};
+
+module.exports = AsyncDataFrame;
+
+var AsyncSeries = require('./async-series');
+var DataFrame = require('./dataframe');
+var ArrayIterator = require('./iterators/array');
+var inherit = require('./inherit');
+var parent = inherit(AsyncDataFrame, AsyncSeries);
+
+/**
+ * Retreive an async series from a column of the dataframe.
+ *
+ * @param {string} columnName - Specifies the column to retreive.
+ *
+ * @returns {AsyncSeries} Returns an async series with the values of the requested column.
+ */
+AsyncDataFrame.prototype.getSeries = function (columnName) {
+	assert.isString(columnName, "Expected 'columnName' parameter to 'AsyncDataFrame.getSeries' function to be a string that specifies the name of the column to retreive.");
+
+	var self = this;
+	return new AsyncSeries({
+		iterable: {
+			getIterator: function () {
+				return new AsyncSelectIterator(self.iterable.getIterator(), function (pair) {
+					return [pair[0], pair[1][columnName]];
+				});
+			},
+		},
+	});
+};
+
+/**
+ * Create a new async dataframe with just a subset of columns.
+ * When the data source supports it (eg fromMongoDB) the subset is passed through to the data source.
+ *
+ * @param {array} columnNames - Array of column names to include in the new dataframe.
+ *
+ * @returns {AsyncDataFrame} Returns an async dataframe with only the specified columns.
+ */
+AsyncDataFrame.prototype.subset = function (columnNames) {
+	assert.isArray(columnNames, "Expected 'columnNames' parameter to 'AsyncDataFrame.subset' to be an array of column names.");
+
+	var self = this;
+	if (self.iterable.subset) {
+		return new AsyncDataFrame({ iterable: self.iterable.subset(columnNames) });
+	}
+
+	return new AsyncDataFrame({
+		iterable: {
+			getIterator: function () {
+				return new AsyncSelectIterator(self.iterable.getIterator(), function (pair) {
+					var row = {};
+					columnNames.forEach(function (columnName) {
+						row[columnName] = pair[1][columnName];
+					});
+					return [pair[0], row];
+				});
+			},
+
+			getColumnNames: function () {
+				return columnNames;
+			},
+		},
+	});
+};
+
+/**
+ * Forces lazy evaluation to complete and resolves the async dataframe to a normal (synchronous) dataframe that is baked into memory.
+ * Column names are taken from the source data when known, otherwise from the fields of the first row.
+ *
+ * @returns {Promise<DataFrame>} Returns a promise for the resolved dataframe.
+ */
+AsyncDataFrame.prototype.resolve = function () {
+
+	var self = this;
+	return self.toPairs()
+		.then(function (pairs) {
+			var columnNames;
+			if (self.iterable.getColumnNames) {
+				columnNames = self.iterable.getColumnNames(); // Undefined when the source doesn't know its columns.
+			}
+
+			if (!columnNames) {
+				columnNames = pairs.length > 0 ? Object.keys(pairs[0][1]) : [];
+			}
+
+			return new DataFrame({
+				iterable: {
+					getIterator: function () {
+						return new ArrayIterator(pairs);
+					},
+
+					getColumnNames: function () {
+						return columnNames;
+					},
+				},
+			});
+		});
+};
+
+/**
+ * Store the dataframe to a MongoDB collection.
+ * Rows are written a batch at a time as they are read from the async dataframe, so the dataframe isn't loaded into memory.
+ *
+ * @param {string} connectionString - MongoDB connection string that specifies the database to connect to.
+ * @param {string} collectionName - The name of the MongoDB collection to store data to.
+ * @param {object} [options] - Optional options for storing data, the same as for DataFrame.toMongoDB.
+ *
+ * @returns {Promise} Returns a promise that is resolved when the store operation has completed. The promise resolves to a result object with the number of documents 'inserted', 'updated', 'failed' and 'removed'.
+ */
+AsyncDataFrame.prototype.toMongoDB = function (connectionString, collectionName, options) {
+	assert.isString(connectionString, "Expected 'connectionString' parameter to AsyncDataFrame.toMongoDB to be a string that specifies the database to connect to.");
+	assert.isString(collectionName, "Expected 'collectionName' parameter to AsyncDataFrame.toMongoDB to be a string that specifies the collection to store data to.");
+
+	var settings = mongo.parseStoreOptions(options, 'AsyncDataFrame.toMongoDB');
+
+	var self = this;
+	var iterator = self.getIterator();
+
+	//
+	// Pull the next batch of documents from the async dataframe, so only one batch is held in memory at a time.
+	//
+	var readBatch = function (batchSize) {
+		var documents = [];
+
+		var next = function () {
+			if (documents.length >= batchSize) {
+				return Promise.resolve(documents);
+			}
+
+			return iterator.moveNext()
+				.then(function (hasNext) {
+					if (!hasNext) {
+						return documents;
+					}
+
+					var document = iterator.getCurrent()[1];
+					if (document !== undefined) {
+						documents.push(document);
+					}
+
+					return next();
+				});
+		};
+
+		return next();
+	};
+
+	return mongo.store(connectionString, collectionName, settings, readBatch)
+		.then(function (result) {
+			return closeIterator(iterator) // An ordered store can stop before the end of the data.
+				.then(function () {
+					return result;
+				});
+		}, function (err) {
+			return closeIterator(iterator) // An error occurred, but we still need to release the iterator's resources.
+				.then(function () {
+					throw err;
+				});
+		});
+};
+
+//
+// Create a serializer object for an async dataframe that delegates to the serializer of the resolved dataframe.
+//
+var createSerializer = function (self, serializerName) {
+
+	var invoke = function (fnName, args) {
+		return self.resolve()
+			.then(function (dataFrame) {
+				var serializer = dataFrame[serializerName]();
+				return serializer[fnName].apply(serializer, args);
+			});
+	};
+
+	return {
+		/**
+		 * Serialize the dataframe to a file in the local file system.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame." + serializerName + "().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return invoke('writeFile', [filePath]);
+		},
+
+		/**
+		 * Serialize the dataframe and HTTP POST it to the specified REST API.
+		 *
+		 * @param {string} url - The URL of the REST API.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the HTTP request has completed.
+		 */
+		httpPost: function (url) {
+			assert.isString(url, "Expected 'url' parameter to AsyncDataFrame." + serializerName + "().httpPost to be a string that specifies the URL of the REST API.");
+
+			return invoke('httpPost', [url]);
+		},
+	};
+};
+
+/**
+ * Treat the async dataframe as CSV data for purposes of serialization.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the CSV format. Call `writeFile` or `httpPost` to output the dataframe via different media.
+ */
+AsyncDataFrame.prototype.asCSV = function () {
+
+	var self = this;
+	return createSerializer(self, 'asCSV');
+};
+
+/**
+ * Treat the async dataframe as JSON data for purposes of serialization.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON format. Call `writeFile` or `httpPost` to output the dataframe via different media.
+ */
+AsyncDataFrame.prototype.asJSON = function () {
+
+	var self = this;
+	return createSerializer(self, 'asJSON');
+};
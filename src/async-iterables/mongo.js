@@ -0,0 +1,115 @@
+'use strict';
+
+//
+// Async iterable for a MongoDB collection.
+//
+// Besides 'getIterator' this iterable implements 'skip', 'take', 'where' and 'subset', which AsyncSeries and AsyncDataFrame
+// use to push those operations down into the MongoDB query instead of evaluating them as documents are streamed.
+//
+
+var E = require('linq');
+var extend = require('extend');
+
+var MongoIterable = function (connectionString, collectionName, query, columnNames) {
+
+	var self = this;
+	self._connectionString = connectionString;
+	self._collectionName = collectionName;
+	self._query = query || {};
+	self._columnNames = columnNames;
+};
+
+module.exports = MongoIterable;
+
+var AsyncMongoCursorIterator = require('../async-iterators/mongo-cursor');
+
+//
+// Create a new iterable for the same collection with changes applied to the query.
+//
+MongoIterable.prototype._extend = function (queryChanges, columnNames) {
+
+	var self = this;
+	return new MongoIterable(
+		self._connectionString,
+		self._collectionName,
+		extend({}, self._query, queryChanges),
+		columnNames || self._columnNames
+	);
+};
+
+MongoIterable.prototype.getIterator = function () {
+
+	var self = this;
+	return new AsyncMongoCursorIterator(self._connectionString, self._collectionName, self._query);
+};
+
+//
+// Column names are only known once the fields have been restricted by 'subset'.
+//
+MongoIterable.prototype.getColumnNames = function () {
+
+	var self = this;
+	return self._columnNames;
+};
+
+MongoIterable.prototype.skip = function (numRows) {
+
+	var self = this;
+	var limit = self._query.limit;
+	return self._extend({
+		skip: (self._query.skip || 0) + numRows,
+		limit: limit === undefined ? undefined : Math.max(limit - numRows, 0),
+	});
+};
+
+MongoIterable.prototype.take = function (numRows) {
+
+	var self = this;
+	var limit = self._query.limit;
+	return self._extend({
+		limit: limit === undefined ? numRows : Math.min(limit, numRows),
+	});
+};
+
+MongoIterable.prototype.where = function (filter) {
+
+	var self = this;
+	if (self._query.skip !== undefined || self._query.limit !== undefined) {
+		throw new Error("A filter object can't be applied to a MongoDB query after 'skip' or 'take', apply the filter first.");
+	}
+
+	return self._extend({
+		filter: self._query.filter ? { $and: [self._query.filter, filter] } : filter,
+	});
+};
+
+MongoIterable.prototype.subset = function (columnNames) {
+
+	var self = this;
+	var projection = self._query.projection;
+
+	if (projection) {
+		var isInclusion = E.from(Object.keys(projection))
+			.any(function (fieldName) {
+				return fieldName !== '_id' && projection[fieldName];
+			});
+
+		// Don't request fields that have already been projected away.
+		columnNames = E.from(columnNames)
+			.where(function (columnName) {
+				if (projection[columnName] !== undefined) {
+					return !!projection[columnName];
+				}
+
+				return columnName === '_id' || !isInclusion;
+			})
+			.toArray();
+	}
+
+	var subsetProjection = { _id: 0 }; // The document id is always returned unless it is excluded.
+	columnNames.forEach(function (columnName) {
+		subsetProjection[columnName] = 1;
+	});
+
+	return self._extend({ projection: subsetProjection }, columnNames);
+};
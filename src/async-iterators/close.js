@@ -0,0 +1,14 @@
+'use strict';
+
+//
+// Close an async iterator, releasing any resource it holds (eg a database connection).
+// Iterators that don't implement 'close' have nothing to release.
+//
+module.exports = function (iterator) {
+
+	if (!iterator.close) {
+		return Promise.resolve();
+	}
+
+	return iterator.close();
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+//
+// Async iterator that waits for a promise of a (synchronous) iterator before iterating it.
+// Used when data must be loaded or an operation can only be applied to resolved data.
+//
+var AsyncDeferredIterator = function (iteratorPromise) {
+
+	var self = this;
+	self._iteratorPromise = iteratorPromise;
+	self._iterator = null;
+};
+
+module.exports = AsyncDeferredIterator;
+
+AsyncDeferredIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._iterator) {
+		try {
+			return Promise.resolve(self._iterator.moveNext());
+		}
+		catch (err) {
+			return Promise.reject(err);
+		}
+	}
+
+	return self._iteratorPromise
+		.then(function (iterator) {
+			self._iterator = iterator;
+			return iterator.moveNext();
+		});
+};
+
+AsyncDeferredIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (!self._iterator) {
+		return undefined;
+	}
+
+	return self._iterator.getCurrent();
+};
+
+AsyncDeferredIterator.prototype.close = function () {
+
+	return Promise.resolve(); // The deferred data has already been resolved into memory.
+};
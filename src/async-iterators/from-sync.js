@@ -0,0 +1,35 @@
+'use strict';
+
+//
+// Async iterator that wraps a normal (synchronous) data-forge iterator.
+// Each call to moveNext returns a promise that resolves immediately.
+//
+var AsyncFromSyncIterator = function (iterator) {
+
+	var self = this;
+	self._iterator = iterator;
+};
+
+module.exports = AsyncFromSyncIterator;
+
+AsyncFromSyncIterator.prototype.moveNext = function () {
+
+	var self = this;
+	try {
+		return Promise.resolve(self._iterator.moveNext());
+	}
+	catch (err) {
+		return Promise.reject(err);
+	}
+};
+
+AsyncFromSyncIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
+
+AsyncFromSyncIterator.prototype.close = function () {
+
+	return Promise.resolve(); // A synchronous iterator holds no resources.
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+//
+// Call 'step' until the promise it returns resolves to false. Returns a promise that resolves when the loop is done,
+// or rejects with the first error.
+// Each step is started from the callback of the one before, instead of being chained onto its promise,
+// so a loop over millions of elements doesn't build a promise chain that grows with every step.
+//
+module.exports = function (step) {
+
+	return new Promise(function (resolve, reject) {
+
+		var next = function () {
+			step()
+				.then(function (keepGoing) {
+					if (keepGoing) {
+						next();
+					}
+					else {
+						resolve();
+					}
+				})
+				.catch(reject);
+		};
+
+		next();
+	});
+};
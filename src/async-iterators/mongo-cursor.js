@@ -0,0 +1,125 @@
+'use strict';
+
+//
+// Async iterator that pulls documents one at a time from a MongoDB collection.
+// The database connection is opened on the first call to moveNext and closed when the cursor is exhausted, an error occurs or 'close' is called.
+// The optional query can have 'filter', 'projection', 'sort', 'skip' and 'limit' fields that are passed to the MongoDB cursor.
+// The index of each document is its position in the query results before 'skip' is applied, the same index that skipping rows as they are streamed gives.
+//
+var AsyncMongoCursorIterator = function (connectionString, collectionName, query) {
+
+	var self = this;
+	self._connectionString = connectionString;
+	self._collectionName = collectionName;
+	self._query = query || {};
+	self._db = null;
+	self._cursor = null;
+	self._rowIndex = (self._query.skip || 0) - 1;
+	self._current = undefined;
+	self._done = false;
+};
+
+module.exports = AsyncMongoCursorIterator;
+
+//
+// Open the database connection and create a cursor for the query.
+//
+AsyncMongoCursorIterator.prototype._open = function () {
+
+	var self = this;
+	var query = self._query;
+	var mongo = require('promised-mongo');
+	self._db = mongo(self._connectionString, [self._collectionName]);
+
+	var collection = self._db[self._collectionName];
+	var cursor = query.projection ? collection.find(query.filter || {}, query.projection) : collection.find(query.filter || {});
+
+	if (query.sort) {
+		cursor = cursor.sort(query.sort);
+	}
+
+	if (query.skip) {
+		cursor = cursor.skip(query.skip);
+	}
+
+	if (query.limit !== undefined) {
+		cursor = cursor.limit(query.limit);
+	}
+
+	self._cursor = cursor;
+};
+
+//
+// Close the database connection (if it is open).
+//
+AsyncMongoCursorIterator.prototype._close = function () {
+
+	var self = this;
+	var db = self._db;
+	self._db = null;
+	self._cursor = null;
+
+	if (!db) {
+		return Promise.resolve();
+	}
+
+	return db.close();
+};
+
+AsyncMongoCursorIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._done) {
+		return Promise.resolve(false);
+	}
+
+	if (self._query.limit === 0) {
+		self._done = true; // MongoDB treats a limit of zero as no limit, so don't run the query at all.
+		return Promise.resolve(false);
+	}
+
+	if (!self._cursor) {
+		self._open();
+	}
+
+	return self._cursor.next()
+		.catch(function (err) {
+			self._done = true;
+			return self._close() // An error occurred, but we still need to close the database.
+				.then(function () {
+					throw err; // Rethrow after trying to close database.
+				});
+		})
+		.then(function (document) {
+			if (!document) {
+				self._done = true;
+				self._current = undefined;
+				return self._close() // Finished with the database connection.
+					.then(function () {
+						return false;
+					});
+			}
+
+			++self._rowIndex;
+			self._current = [self._rowIndex, document];
+			return true;
+		});
+};
+
+AsyncMongoCursorIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
+
+//
+// Stop iterating and close the database connection.
+//
+AsyncMongoCursorIterator.prototype.close = function () {
+
+	var self = this;
+	self._done = true;
+	self._current = undefined;
+	return self._close();
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+var closeIterator = require('./close');
+
+//
+// Async iterator that transforms each element with a selector.
+//
+var AsyncSelectIterator = function (iterator, selector) {
+
+	var self = this;
+	self._i = -1;
+	self._iterator = iterator;
+	self._selector = selector;
+};
+
+module.exports = AsyncSelectIterator;
+
+AsyncSelectIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	++self._i;
+	return self._iterator.moveNext();
+};
+
+AsyncSelectIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._selector(self._iterator.getCurrent(), self._i);
+};
+
+AsyncSelectIterator.prototype.close = function () {
+
+	var self = this;
+	return closeIterator(self._iterator);
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+var closeIterator = require('./close');
+var loop = require('./loop');
+
+//
+// Async iterator that skips a number of elements.
+//
+var AsyncSkipIterator = function (iterator, skipAmount) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._skipAmount = skipAmount;
+};
+
+module.exports = AsyncSkipIterator;
+
+AsyncSkipIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var hasCurrent = false;
+
+	return loop(function () {
+			return self._iterator.moveNext()
+				.then(function (hasNext) {
+					if (!hasNext) {
+						return false;
+					}
+
+					if (self._skipAmount > 0) {
+						--self._skipAmount;
+						return true;
+					}
+
+					hasCurrent = true;
+					return false;
+				});
+		})
+		.then(function () {
+			return hasCurrent;
+		});
+};
+
+AsyncSkipIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
+
+AsyncSkipIterator.prototype.close = function () {
+
+	var self = this;
+	return closeIterator(self._iterator);
+};
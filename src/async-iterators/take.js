@@ -0,0 +1,42 @@
+'use strict';
+
+var closeIterator = require('./close');
+
+//
+// Async iterator that takes a number of elements and then stops.
+// The source iterator is closed when the elements have been taken, so it doesn't hold a resource open while the rest of its elements are abandoned.
+//
+var AsyncTakeIterator = function (iterator, takeAmount) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._takeAmount = takeAmount;
+};
+
+module.exports = AsyncTakeIterator;
+
+AsyncTakeIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (--self._takeAmount >= 0) {
+		return self._iterator.moveNext();
+	}
+
+	return self.close()
+		.then(function () {
+			return false;
+		});
+};
+
+AsyncTakeIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
+
+AsyncTakeIterator.prototype.close = function () {
+
+	var self = this;
+	return closeIterator(self._iterator);
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+var closeIterator = require('./close');
+var loop = require('./loop');
+
+//
+// Async iterator that filters elements based on a predicate.
+//
+var AsyncWhereIterator = function (iterator, predicate) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._predicate = predicate;	
+};
+
+module.exports = AsyncWhereIterator;
+
+AsyncWhereIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var matched = false;
+
+	return loop(function () { // Keep going until the predicate matches.
+			return self._iterator.moveNext()
+				.then(function (hasNext) {
+					if (!hasNext) {
+						return false;
+					}
+
+					matched = !!self._predicate(self._iterator.getCurrent());
+					return !matched;
+				});
+		})
+		.then(function () {
+			return matched;
+		});
+};
+
+AsyncWhereIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
+
+AsyncWhereIterator.prototype.close = function () {
+
+	var self = this;
+	return closeIterator(self._iterator);
+};
@@ -0,0 +1,510 @@
+'use strict';
+
+//
+// Base class for asynchronous series classes.
+//
+// An async series is a lazy pipeline over an async iterator. Calling 'moveNext' on an async iterator returns
+// a promise that resolves to true when the next [index, value] pair is available via 'getCurrent'.
+// Nothing is evaluated until a terminal operation (eg 'toArray' or 'resolve') is invoked.
+//
+// An async iterable can optionally implement 'skip', 'take', 'where' and 'subset' to push those operations
+// down to the data source (eg into a database query). Each returns a new async iterable.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var AsyncFromSyncIterator = require('./async-iterators/from-sync');
+var AsyncDeferredIterator = require('./async-iterators/deferred');
+var AsyncSelectIterator = require('./async-iterators/select');
+var AsyncWhereIterator = require('./async-iterators/where');
+var AsyncSkipIterator = require('./async-iterators/skip');
+var AsyncTakeIterator = require('./async-iterators/take');
+var closeIterator = require('./async-iterators/close');
+var loop = require('./async-iterators/loop');
+
+//
+// Create an async iterable from a synchronous series or dataframe.
+//
+var createIterableFromSync = function (series) {
+
+	var iterable = {
+		getIterator: function () {
+			return new AsyncFromSyncIterator(series.getIterator());
+		},
+	};
+
+	if (series instanceof DataFrame) {
+		iterable.getColumnNames = function () {
+			return series.getColumnNames();
+		};
+	}
+
+	return iterable;
+};
+
+//
+// Create an async iterable that applies an iterator transformation and preserves column names.
+//
+var createDerivedIterable = function (iterable, createIterator) {
+
+	var derived = {
+		getIterator: function () {
+			return createIterator(iterable.getIterator());
+		},
+	};
+
+	if (iterable.getColumnNames) {
+		derived.getColumnNames = function () {
+			return iterable.getColumnNames();
+		};
+	}
+
+	return derived;
+};
+
+/**
+ * Constructor for AsyncSeries.
+ * @constructor
+ * @memberof dataForge
+ * @param {object|array|Series} config|values - Specifies content and configuration for the AsyncSeries. Can be an array of values, a synchronous Series, a configuration object accepted by Series or an object with an 'iterable' field that supplies async iterators.
+ */
+var AsyncSeries = function (config) {
+
+	var self = this;
+
+	if (!self.factory) {
+		self.factory = function (config) {
+			return new AsyncSeries(config);
+		};
+	}
+
+	if (!self.syncFactory) {
+		self.syncFactory = function (config) {
+			return new Series(config);
+		};
+	}
+
+	if (config instanceof Series) {
+		self.iterable = createIterableFromSync(config);
+		return;
+	}
+
+	if (config && Object.isObject(config) && config.iterable) {
+		assert.isObject(config.iterable, "Expect 'iterable' field of 'config' parameter to AsyncSeries constructor to be an object that implements getIterator.");
+		assert.isFunction(config.iterable.getIterator, "Expect 'iterable' field of 'config' parameter to AsyncSeries constructor to be an object that implements getIterator.");
+
+		self.iterable = config.iterable;
+		return;
+	}
+
+	self.iterable = createIterableFromSync(self.syncFactory(config));
+};
+
+module.exports = AsyncSeries;
+
+var Series = require('./series');
+var DataFrame = require('./dataframe');
+var ArrayIterable = require('./iterables/array');
+
+/**
+ * Get an async iterator for index & values of the series.
+ *
+ * @returns {iterator} Returns an async iterator. 'moveNext' returns a promise that resolves to true when the next pair is available. 'close' (when implemented) releases the iterator's resources.
+ */
+AsyncSeries.prototype.getIterator = function () {
+	var self = this;
+	return self.iterable.getIterator();
+};
+
+/**
+ * Skip a number of rows in the series.
+ *
+ * @param {int} numRows - Number of rows to skip.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe with the specified number of values skipped.
+ */
+AsyncSeries.prototype.skip = function (numRows) {
+	assert.isNumber(numRows, "Expected 'numRows' parameter to 'AsyncSeries.skip' function to be a number.");
+
+	var self = this;
+	if (self.iterable.skip) {
+		return self.factory({ iterable: self.iterable.skip(numRows) });
+	}
+
+	return self.factory({
+		iterable: createDerivedIterable(self.iterable, function (iterator) {
+			return new AsyncSkipIterator(iterator, numRows);
+		}),
+	});
+};
+
+/**
+ * Take a number of rows in the series.
+ *
+ * @param {int} numRows - Number of rows to take.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe with up to the specified number of values included.
+ */
+AsyncSeries.prototype.take = function (numRows) {
+	assert.isNumber(numRows, "Expected 'numRows' parameter to 'AsyncSeries.take' function to be a number.");
+
+	var self = this;
+	if (self.iterable.take) {
+		return self.factory({ iterable: self.iterable.take(numRows) });
+	}
+
+	return self.factory({
+		iterable: createDerivedIterable(self.iterable, function (iterator) {
+			return new AsyncTakeIterator(iterator, numRows);
+		}),
+	});
+};
+
+/**
+ * Get X values from the start of the series or dataframe.
+ *
+ * @param {int} values - Number of values to take.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has only the specified number of values taken from the start of the input sequence.
+ */
+AsyncSeries.prototype.head = function (values) {
+
+	assert.isNumber(values, "Expected 'values' parameter to 'AsyncSeries.head' function to be a number.");
+
+	var self = this;
+	return self.take(values);
+};
+
+/**
+ * Filter a series by a predicate selector.
+ * A filter object (eg a MongoDB query document) can be passed instead of a predicate when the data source supports it, in which case the filter is passed through to the data source.
+ *
+ * @param {function|object} predicate - Predicte function to filter rows of the series, or a filter object that is understood by the data source.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe containing only the values that match the predicate.
+ */
+AsyncSeries.prototype.where = function (predicate) {
+
+	var self = this;
+
+	if (!Object.isFunction(predicate)) {
+		assert.isObject(predicate, "Expected 'predicate' parameter to 'AsyncSeries.where' function to be a function or a filter object.");
+
+		if (!self.iterable.where) {
+			throw new Error("Filter objects can only be passed to 'AsyncSeries.where' for data sources that support them (eg fromMongoDB), use a predicate function instead.");
+		}
+
+		return self.factory({ iterable: self.iterable.where(predicate) });
+	}
+
+	return self.factory({
+		iterable: createDerivedIterable(self.iterable, function (iterator) {
+			return new AsyncWhereIterator(iterator, function (pair) {
+				return predicate(pair[1]);
+			});
+		}),
+	});
+};
+
+/**
+ * Generate a new series based on the results of the selector function.
+ *
+ * @param {function} selector - Selector function that transforms each value to create a new series or dataframe.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been transformed by the selector function.
+ */
+AsyncSeries.prototype.select = function (selector) {
+	assert.isFunction(selector, "Expected 'selector' parameter to 'AsyncSeries.select' function to be a function.");
+
+	var self = this;
+	return self.factory({
+		iterable: {
+			getIterator: function () {
+				return new AsyncSelectIterator(self.iterable.getIterator(), function (pair) {
+					return [pair[0], selector(pair[1])];
+				});
+			},
+		},
+	});
+};
+
+//
+// Create an async series whose content is produced by applying a synchronous operation to the resolved series.
+// The input is only resolved when the output is iterated.
+//
+var deferred = function (self, factory, operation) {
+
+	return factory({
+		iterable: {
+			getIterator: function () {
+				return new AsyncDeferredIterator(
+					self.resolve()
+						.then(function (resolved) {
+							return operation(resolved).getIterator();
+						})
+				);
+			},
+		},
+	});
+};
+
+//
+// Order an async series by a batch of sort commands. The result remembers the batch so that 'thenBy' and 'thenByDescending' can add to it.
+//
+var orderBy = function (self, batch) {
+
+	var sorted = deferred(self, self.factory, function (resolved) {
+		return E.from(batch)
+			.aggregate(resolved, function (unsorted, orderCmd) {
+				return unsorted[orderCmd.sortMethod](orderCmd.sortSelector, orderCmd.options);
+			});
+	});
+
+	sorted._sortSource = self;
+	sorted._sortBatch = batch;
+	return sorted;
+};
+
+//
+// Add a sort command to the sort that produced an async series.
+//
+var orderThenBy = function (self, sortMethod, sortSelector, options) {
+
+	var fnName = 'AsyncSeries.' + sortMethod;
+	assert.isFunction(sortSelector, "Expected 'sortSelector' parameter to '" + fnName + "' to be a function.");
+	assert(self._sortBatch, "Expected '" + fnName + "' to be called on the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.");
+
+	return orderBy(self._sortSource, self._sortBatch.concat([{ sortMethod: sortMethod, sortSelector: sortSelector, options: options }]));
+};
+
+/**
+ * Sorts the series or dataframe (ascending). Sorting requires all data, so the input is resolved when the output is iterated.
+ * The result can be sorted further with 'thenBy' and 'thenByDescending'.
+ *
+ * @param {function} sortSelector - Selects the value to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'Series.orderBy'.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been sorted by the value returned by the selector.
+ */
+AsyncSeries.prototype.orderBy = function (sortSelector, options) {
+	assert.isFunction(sortSelector, "Expected 'sortSelector' parameter to 'AsyncSeries.orderBy' to be a function.");
+
+	var self = this;
+	return orderBy(self, [{ sortMethod: 'orderBy', sortSelector: sortSelector, options: options }]);
+};
+
+/**
+ * Sorts the series or dataframe (descending). Sorting requires all data, so the input is resolved when the output is iterated.
+ * The result can be sorted further with 'thenBy' and 'thenByDescending'.
+ *
+ * @param {function} sortSelector - Selects the value to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'Series.orderBy'.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been sorted by the value returned by the selector.
+ */
+AsyncSeries.prototype.orderByDescending = function (sortSelector, options) {
+	assert.isFunction(sortSelector, "Expected 'sortSelector' parameter to 'AsyncSeries.orderByDescending' to be a function.");
+
+	var self = this;
+	return orderBy(self, [{ sortMethod: 'orderByDescending', sortSelector: sortSelector, options: options }]);
+};
+
+/**
+ * Performs additional sorting (ascending) of the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.
+ *
+ * @param {function} sortSelector - Selects the value to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'Series.orderBy'.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been sorted by the value returned by the selector.
+ */
+AsyncSeries.prototype.thenBy = function (sortSelector, options) {
+
+	var self = this;
+	return orderThenBy(self, 'thenBy', sortSelector, options);
+};
+
+/**
+ * Performs additional sorting (descending) of the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.
+ *
+ * @param {function} sortSelector - Selects the value to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'Series.orderBy'.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been sorted by the value returned by the selector.
+ */
+AsyncSeries.prototype.thenByDescending = function (sortSelector, options) {
+
+	var self = this;
+	return orderThenBy(self, 'thenByDescending', sortSelector, options);
+};
+
+/**
+ * Group the series according to the selector. Grouping requires all data, so the input is resolved when the output is iterated.
+ *
+ * @param {function} selector - Selector that defines the value to group by.
+ *
+ * @returns {AsyncSeries} Returns an async series of groups. Each group is a (resolved) series or dataframe with values that have been grouped by the 'selector' function.
+ */
+AsyncSeries.prototype.groupBy = function (selector) {
+	assert.isFunction(selector, "Expected 'selector' parameter to 'AsyncSeries.groupBy' to be a selector function that determines the value to group the series by.");
+
+	var self = this;
+	return deferred(
+		self,
+		function (config) {
+			return new AsyncSeries(config);
+		},
+		function (resolved) {
+			return resolved.groupBy(selector);
+		}
+	);
+};
+
+/**
+ * Invoke a callback function for each pair in the series.
+ *
+ * @param {function} callback - The callback to invoke for each [index, value] pair.
+ *
+ * @returns {Promise} Returns a promise that resolves when all pairs have been visited. The iterator is closed when iteration finishes or fails.
+ */
+AsyncSeries.prototype.forEachPair = function (callback) {
+	assert.isFunction(callback, "Expected 'callback' parameter to 'AsyncSeries.forEachPair' to be a function.");
+
+	var self = this;
+	var iterator = self.getIterator();
+
+	return loop(function () {
+			return iterator.moveNext()
+				.then(function (hasNext) {
+					if (!hasNext) {
+						return false;
+					}
+
+					callback(iterator.getCurrent());
+					return true;
+				});
+		})
+		.then(function () {
+			return closeIterator(iterator);
+		}, function (err) {
+			return closeIterator(iterator) // An error occurred, but we still need to release the iterator's resources.
+				.then(function () {
+					throw err;
+				});
+		});
+};
+
+/**
+ * Invoke a callback function for each value in the series.
+ *
+ * @param {function} callback - The callback to invoke for each value.
+ *
+ * @returns {Promise} Returns a promise that resolves when all values have been visited.
+ */
+AsyncSeries.prototype.forEach = function (callback) {
+	assert.isFunction(callback, "Expected 'callback' parameter to 'AsyncSeries.forEach' to be a function.");
+
+	var self = this;
+	return self.forEachPair(function (pair) {
+		callback(pair[1]);
+	});
+};
+
+/**
+ * Retreive the data as pairs of [index, value]. This forces lazy evaluation to complete.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of pairs. Each pair is a two element array that contains an index and a value.
+ */
+AsyncSeries.prototype.toPairs = function () {
+
+	var self = this;
+	var pairs = [];
+
+	return self.forEachPair(function (pair) {
+			if (pair[1] !== undefined) {
+				pairs.push(pair);
+			}
+		})
+		.then(function () {
+			return pairs;
+		});
+};
+
+/**
+ * Extract values from the series. This forces lazy evaluation to complete.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of the values contained within the series or dataframe.
+ */
+AsyncSeries.prototype.toArray = function () {
+
+	var self = this;
+	return self.toPairs()
+		.then(function (pairs) {
+			return E.from(pairs)
+				.select(function (pair) {
+					return pair[1];
+				})
+				.toArray();
+		});
+};
+
+/**
+ * Count the number of rows in the series.
+ *
+ * @returns {Promise<int>} Returns a promise for the count of all values in the series or dataframe.
+ */
+AsyncSeries.prototype.count = function () {
+
+	var self = this;
+	var total = 0;
+
+	return self.forEachPair(function () {
+			++total;
+		})
+		.then(function () {
+			return total;
+		});
+};
+
+/**
+ * Forces lazy evaluation to complete and resolves the async series to a normal (synchronous) series that is baked into memory.
+ *
+ * @returns {Promise<Series>} Returns a promise for the resolved series.
+ */
+AsyncSeries.prototype.resolve = function () {
+
+	var self = this;
+	return self.toPairs()
+		.then(function (pairs) {
+			return self.syncFactory({
+				iterable: new ArrayIterable(pairs),
+			});
+		});
+};
+
+/**
+ * Resolves the async series and passes the resolved series to the callbacks.
+ * This makes the async series 'thenable', so it can be used wherever a promise of a series is expected.
+ *
+ * @param {function} [onResolved] - Callback invoked with the resolved series.
+ * @param {function} [onRejected] - Callback invoked when an error occurs.
+ *
+ * @returns {Promise} Returns a promise for the result of the callbacks.
+ */
+AsyncSeries.prototype.then = function (onResolved, onRejected) {
+
+	var self = this;
+	return self.resolve().then(onResolved, onRejected);
+};
+
+/**
+ * Resolves the async series and handles any error that occurs.
+ *
+ * @param {function} onRejected - Callback invoked when an error occurs.
+ *
+ * @returns {Promise} Returns a promise for the resolved series or the result of the callback.
+ */
+AsyncSeries.prototype.catch = function (onRejected) {
+
+	var self = this;
+	return self.resolve().catch(onRejected);
+};
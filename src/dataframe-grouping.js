@@ -0,0 +1,287 @@
+'use strict';
+
+//
+// The groups of a dataframe that has been grouped by one or more key columns, ready to be aggregated to a new dataframe.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var DataFrame = require('./dataframe');
+var Series = require('./series');
+var aggregators = require('./aggregators');
+var keys = require('./keys');
+
+/**
+ * Constructor for DataFrameGrouping.
+ * @constructor
+ * @param {DataFrame} dataFrame - The dataframe to group.
+ * @param {array} keyColumns - Names of the columns to group by.
+ * @param {object} [options] - Optional options: 'index' (set to true to index the aggregated dataframes by group key, which is an array of values when there are multiple key columns).
+ */
+var DataFrameGrouping = function (dataFrame, keyColumns, options) {
+
+	var columnNames = dataFrame.getColumnNames();
+	keyColumns.forEach(function (keyColumn) {
+		assert.isString(keyColumn, "Expected 'DataFrame.groupBy' to be passed a column name or an array of column names.");
+
+		if (columnNames.indexOf(keyColumn) < 0) {
+			throw new Error("Expected dataframe to contain group column '" + keyColumn + "'.");
+		}
+	});
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'DataFrame.groupBy' to be an object with grouping options.");
+	}
+
+	var self = this;
+	self._dataFrame = dataFrame;
+	self._keyColumns = keyColumns;
+	self._options = options || {};
+	self._groups = null;
+};
+
+module.exports = DataFrameGrouping;
+
+//
+// Split the rows of the dataframe into groups, in the order that each group is first encountered.
+// Key values are compared structurally, so null, undefined and NaN are separate groups and a date isn't grouped with its string.
+//
+DataFrameGrouping.prototype._getGroups = function () {
+
+	var self = this;
+	if (!self._groups) {
+		var groupsByKey = Object.create(null);
+		self._groups = [];
+
+		self._dataFrame.toArray().forEach(function (row) {
+			var keyValues = self._keyColumns.map(function (keyColumn) {
+				return row[keyColumn];
+			});
+
+			var key = keys.structuralKey(keyValues);
+			var group = groupsByKey[key];
+			if (!group) {
+				group = groupsByKey[key] = {
+					keyValues: keyValues,
+					rows: [],
+				};
+				self._groups.push(group);
+			}
+
+			group.rows.push(row);
+		});
+	}
+
+	return self._groups;
+};
+
+//
+// Get the names of the columns that aren't group keys.
+//
+DataFrameGrouping.prototype._getValueColumns = function () {
+
+	var self = this;
+	return self._dataFrame.getColumnNames()
+		.filter(function (columnName) {
+			return self._keyColumns.indexOf(columnName) < 0;
+		});
+};
+
+//
+// Build a dataframe with a row for each group: the key columns followed by a column for each output.
+// Each output is an object with 'columnName' and 'aggregate', which is passed the rows of the group.
+//
+DataFrameGrouping.prototype._summarize = function (outputs) {
+
+	var self = this;
+	var groups = self._getGroups();
+
+	var values = groups.map(function (group) {
+		return group.keyValues.concat(outputs.map(function (output) {
+			return output.aggregate(group.rows);
+		}));
+	});
+
+	var config = {
+		columnNames: self._keyColumns.concat(outputs.map(function (output) {
+			return output.columnName;
+		})),
+		values: values,
+	};
+
+	if (self._options.index) {
+		config.index = groups.map(function (group) {
+			return group.keyValues.length === 1 ? group.keyValues[0] : group.keyValues;
+		});
+	}
+
+	return new DataFrame(config).bake();
+};
+
+//
+// Create an output that applies an aggregation to a column.
+//
+var aggregateColumn = function (outputColumnName, columnName, aggregate) {
+	return {
+		columnName: outputColumnName,
+		aggregate: function (rows) {
+			return aggregate(rows.map(function (row) {
+				return row[columnName];
+			}));
+		},
+	};
+};
+
+/**
+ * Aggregate each group to a row of a new dataframe.
+ *
+ * @param {object} spec - Object that maps column names to aggregations. An aggregation is the name of an aggregation ('count', 'sum', 'mean', 'average', 'median', 'std', 'min', 'max', 'first' or 'last'),
+ * a function that is passed a Series of the column's values for the group, an array of aggregation names or an object that maps output column names to aggregations.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and then a column for each aggregation.
+ * A single aggregation keeps the name of the column, an array of aggregations produces columns named 'column_aggregation'.
+ */
+DataFrameGrouping.prototype.aggregate = function (spec) {
+
+	assert.isObject(spec, "Expected 'spec' parameter to 'DataFrameGrouping.aggregate' to be an object that maps column names to aggregations.");
+
+	var self = this;
+	var columnNames = self._dataFrame.getColumnNames();
+
+	var outputs = E.from(Object.keys(spec))
+		.selectMany(function (columnName) {
+			if (columnNames.indexOf(columnName) < 0) {
+				throw new Error("Expected dataframe to contain column '" + columnName + "' to aggregate.");
+			}
+
+			var aggregation = spec[columnName];
+			if (Object.isArray(aggregation)) {
+				return aggregation.map(function (aggregatorName) {
+					assert.isString(aggregatorName, "Expected array of aggregations for column '" + columnName + "' to contain aggregation names.");
+					return aggregateColumn(columnName + '_' + aggregatorName, columnName, aggregators.resolve(aggregatorName, "aggregation for column '" + columnName + "'"));
+				});
+			}
+			else if (Object.isObject(aggregation)) {
+				return Object.keys(aggregation).map(function (outputColumnName) {
+					return aggregateColumn(outputColumnName, columnName, aggregators.resolve(aggregation[outputColumnName], "aggregation for column '" + columnName + "'"));
+				});
+			}
+			else {
+				return [aggregateColumn(columnName, columnName, aggregators.resolve(aggregation, "aggregation for column '" + columnName + "'"))];
+			}
+		})
+		.toArray();
+
+	return self._summarize(outputs);
+};
+
+/**
+ * Count the rows in each group.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and a 'count' column.
+ */
+DataFrameGrouping.prototype.count = function () {
+
+	var self = this;
+	return self._summarize([{
+		columnName: 'count',
+		aggregate: function (rows) {
+			return rows.length;
+		},
+	}]);
+};
+
+//
+// Aggregate every column that isn't a group key with the same named aggregation.
+// Only columns that contain numbers are included when 'numbersOnly' is set.
+//
+DataFrameGrouping.prototype._aggregateAll = function (aggregatorName, numbersOnly) {
+
+	var self = this;
+	var valueColumns = self._getValueColumns();
+
+	if (numbersOnly) {
+		var rows = self._dataFrame.toArray();
+		valueColumns = valueColumns.filter(function (columnName) {
+			return rows.some(function (row) {
+				return Object.isNumber(row[columnName]);
+			});
+		});
+	}
+
+	return self._summarize(valueColumns.map(function (columnName) {
+		return aggregateColumn(columnName, columnName, aggregators.named[aggregatorName]);
+	}));
+};
+
+/**
+ * Take the first row of each group.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and the other columns from the first row of each group.
+ */
+DataFrameGrouping.prototype.first = function () {
+
+	var self = this;
+	return self._aggregateAll('first', false);
+};
+
+/**
+ * Take the last row of each group.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and the other columns from the last row of each group.
+ */
+DataFrameGrouping.prototype.last = function () {
+
+	var self = this;
+	return self._aggregateAll('last', false);
+};
+
+/**
+ * Compute the mean of each number column for each group.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and the mean of each column that contains numbers.
+ */
+DataFrameGrouping.prototype.mean = function () {
+
+	var self = this;
+	return self._aggregateAll('mean', true);
+};
+
+/**
+ * Compute the sample standard deviation of each number column for each group.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the key columns and the standard deviation of each column that contains numbers.
+ */
+DataFrameGrouping.prototype.std = function () {
+
+	var self = this;
+	return self._aggregateAll('std', true);
+};
+
+/**
+ * Get the groups as a series of dataframes, indexed by group key.
+ *
+ * @returns {Series} Returns a series with a dataframe for each group.
+ */
+DataFrameGrouping.prototype.toSeries = function () {
+
+	var self = this;
+	var groups = self._getGroups();
+	var columnNames = self._dataFrame.getColumnNames();
+
+	return new Series({
+		index: groups.map(function (group) {
+			return group.keyValues.length === 1 ? group.keyValues[0] : group.keyValues;
+		}),
+		values: groups.map(function (group) {
+			return new DataFrame({
+				columnNames: columnNames,
+				values: group.rows.map(function (row) {
+					return columnNames.map(function (columnName) {
+						return row[columnName];
+					});
+				}),
+			});
+		}),
+	});
+};
@@ -8,6 +8,7 @@ var ArrayIterator = require('./iterators/array');
 var MultiIterator = require('./iterators/multi');
 var BabyParse = require('babyparse');
 var SelectIterator = require('../src/iterators/select');
+var SelectManyIterator = require('./iterators/select-many');
 var utils = require('./utils');
 var extend = require('extend');
 var inherit = require('./inherit');
@@ -16,6 +17,30 @@ var assert = require('chai').assert;
 var E = require('linq');
 
 var validateIterator = require('./iterators/validate');
+var sql = require('./sql');
+var Schema = require('./schema');
+var SchemaIterator = require('./iterators/schema');
+var esIterables = require('./es-iterables');
+
+//
+// Number of characters of CSV or JSON Lines data to accumulate before writing to a file.
+//
+var fileWriteBatchSize = 64 * 1024;
+
+//
+// Create an iterator for the 'values' of a dataframe config, which can be an array, a function that returns an iterator or an iterable.
+//
+var createValuesIterator = function (values) {
+	if (Object.isFunction(values)) {
+		return values();
+	}
+	else if (Object.isArray(values)) {
+		return new ArrayIterator(values);
+	}
+	else {
+		return values.getIterator();
+	}
+};
 
 //
 // Creates an iterator that converts rows to JavaScript objects based on passed in column names.
@@ -147,7 +172,7 @@ var determineColumnNamesFromPairsIterable = function (iterable, considerAllRows)
  * @constructor
  * @extends dataForge.Series
  * @memberof dataForge
- * @param {object|array} config|values - Specifies content and configuration for the DataFrame.
+ * @param {object|array} config|values - Specifies content and configuration for the DataFrame. The 'values' field can also be an ES2015 iterable or a generator function. Set the 'schema' field to validate and coerce values as they are loaded, with 'schemaMode' set to 'throw', 'drop' or 'default' to specify how violations are handled and 'onViolation' set to a function that is called with each violation as the values are loaded.
  */
 var DataFrame = function (config) {
 
@@ -167,6 +192,17 @@ var DataFrame = function (config) {
 				assert.isFunction(config.iterable.getColumnNames, "Expect 'iterable' field of 'config' parameter to DataFrame constructor to be an object that implements getIterator and getColumnNames.");			
 			}
 			else {
+				config = extend({}, config); // 'values' is replaced below, the caller's config must not change.
+
+				if (config.values && !config.columnNames && esIterables.isEsIterator(config.values)) {
+					// Column names are read from the first row when the dataframe is created, an iterator that can only be iterated once is read up front.
+					config.values = esIterables.toArray(config.values);
+				}
+
+				if (config.values) {
+					config.values = esIterables.toIteratorFunction(config.values); // ES2015 iterables and generator functions produce data-forge iterators.
+				}
+
 				if (config.columnNames) {
 					assert.isArray(config.columnNames, "Expected 'columnNames' member of 'config' parameter to DataFrame constructor to be an array of strings.");
 
@@ -282,6 +318,29 @@ var DataFrame = function (config) {
 		_columnNames = [];
 	}
 
+	var schemaValues = null;
+
+	if (config && Object.isObject(config) && !config.iterable && config.schema) {
+		var schema = new Schema(config.schema, config.schemaMode);
+
+		var onViolation = config.onViolation;
+		if (onViolation !== undefined) {
+			assert.isFunction(onViolation, "Expected 'onViolation' field of 'config' parameter to DataFrame constructor to be a function that is called with each schema violation.");
+		}
+
+		// Schema columns that aren't in the data are added, so that their defaults are included.
+		_columnNames = _columnNames.concat(
+			E.from(schema.columnNames)
+				.except(_columnNames)
+				.toArray()
+		);
+
+		schemaValues = config.values || [];
+		config.values = function () {
+			return new SchemaIterator(createValuesIterator(schemaValues), schema, onViolation);
+		};
+	}
+
 	Series.call(this, config);
 
 	if (!config || !config.iterable)
@@ -298,6 +357,14 @@ var Series = require('./series');
 var parent = inherit(DataFrame, Series);
 
 var concatDataFrames = require('./concat-dataframes');
+var mergeDataFrames = require('./merge-dataframes');
+var DataFrameGrouping = require('./dataframe-grouping');
+var pivotTable = require('./pivot-table');
+var missing = require('./missing');
+var stats = require('./stats');
+var xlsx = require('./xlsx');
+var xml = require('./xml');
+var mongo = require('./mongo');
 var SelectValuesIterable = require('./iterables/select-values');
 var ArrayIterable = require('./iterables/array');
 
@@ -1050,6 +1117,7 @@ DataFrame.prototype.asCSV = function () {
 		/**
 		 * Serialize the dataframe to a CSV file in the local file system.
 		 * Synchronous version.
+		 * Rows are written incrementally as the dataframe is iterated, so the whole CSV file is never held in memory.
 		 * 
 		 * @param {string} filePath - Specifies the output path for the file. 
 		 */
@@ -1057,7 +1125,35 @@ DataFrame.prototype.asCSV = function () {
 			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asCSV().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
 
 			var fs = require('fs');	
-			fs.writeFileSync(filePath, self.toCSV());
+			var fd = fs.openSync(filePath, 'w');
+
+			try {
+				var columnNames = self.iterable.getColumnNames();
+				var pending = BabyParse.unparse([columnNames]);
+
+				var iterator = self.iterable.getIterator();
+				validateIterator(iterator);
+
+				while (iterator.moveNext()) {
+					var row = iterator.getCurrent()[1];
+					var values = [];
+					for (var columnIndex = 0; columnIndex < columnNames.length; ++columnIndex) {
+						values.push(row[columnNames[columnIndex]]);
+					}
+
+					pending += "\r\n" + BabyParse.unparse([values]);
+
+					if (pending.length >= fileWriteBatchSize) {
+						fs.writeSync(fd, pending);
+						pending = "";
+					}
+				}
+
+				fs.writeSync(fd, pending);
+			}
+			finally {
+				fs.closeSync(fd);
+			}
 		},
 
 		/**
@@ -1159,6 +1255,295 @@ DataFrame.prototype.asJSON = function () {
 
 };
 
+/**
+ * Serialize the data frame to JSON Lines (newline-delimited JSON), a line with a JSON object for each row.
+ * 
+ *  @returns {string} Returns a JSON Lines format string representing the dataframe.   
+ */
+DataFrame.prototype.toJSONLines = function () {
+	var self = this;
+	return self.toArray()
+		.map(function (row) {
+			return JSON.stringify(row) + "\n";
+		})
+		.join("");
+};
+
+/**
+ * Treat the dataframe as JSON Lines (newline-delimited JSON) data for purposes of serialization.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON Lines format. Call `writeFile`, `writeFileSync` or `httpPost` to output the dataframe via different media.
+ */
+DataFrame.prototype.asJSONLines = function () {
+
+	var self = this;
+
+	//
+	// Iterate the rows of the dataframe as batches of lines, passing each batch to 'write'.
+	// 'write' returns false to pause, 'resume' is then called to continue. Returns true when all rows have been written.
+	//
+	var writeBatches = function (iterator, write) {
+		var pending = "";
+		while (iterator.moveNext()) {
+			pending += JSON.stringify(iterator.getCurrent()[1]) + "\n";
+
+			if (pending.length >= fileWriteBatchSize) {
+				var batch = pending;
+				pending = "";
+				if (!write(batch)) {
+					return false;
+				}
+			}
+		}
+
+		if (pending.length > 0) {
+			write(pending);
+		}
+
+		return true;
+	};
+
+	return {
+		/**
+		 * Serialize the dataframe to a JSON Lines file in the local file system.
+		 * Asynchronous version.
+		 * Rows are streamed to the file as the dataframe is iterated, so the whole file is never held in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSONLines().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return new Promise(function (resolve, reject) {
+				var fs = require('fs');
+				var stream = fs.createWriteStream(filePath);
+				stream.on('error', reject);
+				stream.on('finish', resolve);
+
+				var iterator = self.iterable.getIterator();
+				validateIterator(iterator);
+
+				var writeMore = function () {
+					try {
+						var done = writeBatches(iterator, function (batch) {
+							return stream.write(batch);
+						});
+
+						if (done) {
+							stream.end();
+						}
+						else {
+							stream.once('drain', writeMore); // Wait for the stream to catch up.
+						}
+					}
+					catch (err) {
+						stream.destroy();
+						reject(err);
+					}
+				};
+
+				writeMore();
+			});
+		},
+
+		/**
+		 * Serialize the dataframe to a JSON Lines file in the local file system.
+		 * Synchronous version.
+		 * Rows are written incrementally as the dataframe is iterated, so the whole file is never held in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSONLines().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			var fs = require('fs');
+			var fd = fs.openSync(filePath, 'w');
+
+			try {
+				var iterator = self.iterable.getIterator();
+				validateIterator(iterator);
+
+				writeBatches(iterator, function (batch) {
+					fs.writeSync(fd, batch);
+					return true;
+				});
+			}
+			finally {
+				fs.closeSync(fd);
+			}
+		},
+
+		/**
+		 * Serialize the dataframe to JSON Lines and HTTP POST it to the specified REST API.
+		 * 
+		 * @param {string} url - The URL of the REST API.
+		 * 
+		 * @returns {Promise} Returns a promise that resolves when the HTTP request has completed.
+		 */
+		httpPost: function (url) {
+
+			var requestOptions = {
+				uri: url,
+				body: self.toJSONLines(),
+				headers: {
+					"content-type": "application/x-ndjson",
+				},
+			};
+
+			var request = require('request-promise');
+
+			return request.post(requestOptions);
+		},
+	};
+};
+
+/**
+ * Serialize the data frame to XML, with an element for each row and a child element for each value.
+ * Undefined values are left out and dates are written in ISO 8601 format.
+ * 
+ * @param {object} [options] - Optional options: 'rootElement' (name of the root element, defaults to 'rows') and 'rowElement' (name of the row elements, defaults to 'row').
+ * 
+ *  @returns {string} Returns an XML format string representing the dataframe.   
+ */
+DataFrame.prototype.toXML = function (options) {
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'DataFrame.toXML' to be an object with options for XML serialization.");
+	}
+
+	var self = this;
+	return xml.stringify(self, options);
+};
+
+/**
+ * Serialize the data frame to YAML, as a sequence of rows.
+ * Requires the optional 'js-yaml' package to be installed.
+ * 
+ *  @returns {string} Returns a YAML format string representing the dataframe.   
+ */
+DataFrame.prototype.toYAML = function () {
+
+	var self = this;
+	var yaml = require('js-yaml');
+	return yaml.dump(self.toArray(), { skipInvalid: true }); // Undefined values are left out.
+};
+
+//
+// Create an object for serializing a dataframe to a text format.
+// 'serialize' produces the text, 'contentType' is the MIME type for HTTP POST.
+//
+var createTextSerializer = function (serialize, contentType, fnName) {
+
+	return {
+		/**
+		 * Serialize the dataframe to a file in the local file system.
+		 * Asynchronous version.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to " + fnName + ".writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return new Promise(function (resolve, reject) {
+				var fs = require('fs');	
+				fs.writeFile(filePath, serialize(), function (err) {
+					if (err) {
+						reject(err);
+						return;
+					}
+
+					resolve();
+				});
+			});
+		},
+
+		/**
+		 * Serialize the dataframe to a file in the local file system.
+		 * Synchronous version.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to " + fnName + ".writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			var fs = require('fs');	
+			fs.writeFileSync(filePath, serialize());
+		},
+
+		/**
+		 * Serialize the dataframe and HTTP POST it to the specified REST API.
+		 * 
+		 * @param {string} url - The URL of the REST API.
+		 * 
+		 * @returns {Promise} Returns a promise that resolves when the HTTP request has completed.
+		 */
+		httpPost: function (url) {
+			assert.isString(url, "Expected 'url' parameter to " + fnName + ".httpPost to be a string that specifies the URL of the REST API.");
+
+			var requestOptions = {
+				uri: url,
+				body: serialize(),
+				headers: {
+					"content-type": contentType,
+				},
+			};
+
+			var request = require('request-promise');
+
+			return request.post(requestOptions);
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as XML data for purposes of serialization.
+ * 
+ * @param {object} [options] - Optional options: 'rootElement' and 'rowElement', see 'toXML'.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XML format. Call `writeFile`, `writeFileSync` or `httpPost` to output the dataframe via different media.
+ */
+DataFrame.prototype.asXML = function (options) {
+
+	var self = this;
+	return createTextSerializer(function () {
+		return self.toXML(options);
+	}, 'application/xml', 'DataFrame.asXML()');
+};
+
+/**
+ * Treat the dataframe as YAML data for purposes of serialization.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the YAML format. Call `writeFile`, `writeFileSync` or `httpPost` to output the dataframe via different media.
+ */
+DataFrame.prototype.asYAML = function () {
+
+	var self = this;
+	return createTextSerializer(function () {
+		return self.toYAML();
+	}, 'application/x-yaml', 'DataFrame.asYAML()');
+};
+
+/**
+ * Treat the dataframe as an Excel workbook (XLSX) for purposes of serialization. The dataframe is written to a single worksheet.
+ * Use 'dataForge.asXLSX' to write multiple dataframes to the worksheets of one workbook.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XLSX format. Call `writeFile`, `writeFileSync` or `toBuffer` to output the workbook.
+ */
+DataFrame.prototype.asXLSX = function () {
+
+	var self = this;
+	return xlsx.createSerializer(function (options) {
+		return [{
+			name: options.sheetName || 'Sheet1',
+			dataFrame: self,
+		}];
+	}, 'DataFrame.asXLSX()');
+};
+
 /**
  * Serialize the data frame to HTML.
  * 
@@ -1232,29 +1617,121 @@ DataFrame.prototype.toHTML = function () {
 
 /**
  * Store a DataFrame to a MongoDB collection.
+ * Rows are written in batches as the dataframe is iterated.
+ * Write errors (eg duplicate keys) don't reject the promise, they are counted in the result. For an ordered store nothing more is written after the first batch with an error.
  * 
  * @param {string} connectionString - MongoDB connection string that specifies the database to connect to.
  * @param {string} collectionName - The name of the MongoDB collection to store data to.
+ * @param {object} [options] - Optional options: 'batchSize' (number of documents to write per command, defaults to 1000), 'ordered' (set to false to continue writing after a write error, defaults to true), 'upsertKey' (column name or array of column names, documents that match on the key are replaced and the rest are inserted) and 'replace' (set to true to replace the existing documents in the collection. Documents are written to a temporary collection that is renamed over the collection once every document has been written, so the existing documents are kept if the store fails or an ordered store stops at a write error).
  *   
- * @returns {Promise} Returns a promise that is resolved when the store operation has completed.
+ * @returns {Promise} Returns a promise that is resolved when the store operation has completed. The promise resolves to a result object with the number of documents 'inserted', 'updated', 'failed' and 'removed' along with the write 'errors'.
  */
-DataFrame.prototype.toMongoDB = function (connectionString, collectionName) {
+DataFrame.prototype.toMongoDB = function (connectionString, collectionName, options) {
 	assert.isString(connectionString, "Expected 'connectionString' parameter to DataFrame.toMongoDB to be a string that specifies the database to connect to.");		
 	assert.isString(collectionName, "Expected 'collectionName' parameter to DataFrame.toMongoDB to be a string that specifies the collection to store data to.");
 
+	var settings = mongo.parseStoreOptions(options, 'DataFrame.toMongoDB');
+
+	var self = this;
+	var iterator = self.getIterator();
+
+	//
+	// Pull the next batch of documents from the dataframe.
+	//
+	var readBatch = function (batchSize) {
+		var documents = [];
+		while (documents.length < batchSize && iterator.moveNext()) {
+			var document = iterator.getCurrent()[1];
+			if (document !== undefined) {
+				documents.push(document);
+			}
+		}
+		return Promise.resolve(documents);
+	};
+
+	return mongo.store(connectionString, collectionName, settings, readBatch);
+};
+
+/**
+ * Store a DataFrame to a SQL database table.
+ * Rows are written with batched, parameterized INSERT statements as the dataframe is iterated, all within a single transaction.
+ * 
+ * @param {object} connection - SQL adapter that implements 'query', 'execute' and 'transaction' (eg dataForge.SQLiteAdapter).
+ * @param {string} tableName - The name of the table to store data to.
+ * @param {object} [options] - Optional options: 'createTable' (set to true to create the table if it doesn't exist, with column types determined by 'detectTypes'), 'columnTypes' (object that maps column names to SQL types for table creation) and 'batchSize' (maximum number of rows per INSERT statement, defaults to 100).
+ *   
+ * @returns {Promise} Returns a promise that is resolved when the store operation has completed. The promise resolves to a result object with the number of rows 'inserted'.
+ */
+DataFrame.prototype.toSQL = function (connection, tableName, options) {
+	sql.validateAdapter(connection, 'DataFrame.toSQL');
+	assert.isString(tableName, "Expected 'tableName' parameter to DataFrame.toSQL to be a string that specifies the table to store data to.");
+
+	if (options) {
+		assert.isObject(options, "Expected optional 'options' parameter to DataFrame.toSQL to be an object with options for storing data.");
+
+		if (options.columnTypes) {
+			assert.isObject(options.columnTypes, "Expected 'columnTypes' option to DataFrame.toSQL to be an object that maps column names to SQL types.");
+		}
+	}
+	else {
+		options = {};
+	}
+
+	var batchSize = options.batchSize !== undefined ? options.batchSize : 100;
+	assert.isNumber(batchSize, "Expected 'batchSize' option to DataFrame.toSQL to be a number.");
+	assert(batchSize > 0, "Expected 'batchSize' option to DataFrame.toSQL to be greater than zero.");
+
 	var self = this;
-	var mongo = require('promised-mongo');
-	var db = mongo(connectionString, [collectionName]);
+	var columnNames = self.getColumnNames();
+	var rowsPerBatch = sql.rowsPerBatch(connection, batchSize, columnNames.length);
+	var iterator = null;
+	var result = {
+		inserted: 0,
+	};
+
+	//
+	// Pull the next batch of rows from the dataframe.
+	//
+	var nextBatch = function () {
+		var rows = [];
+		while (rows.length < rowsPerBatch && iterator.moveNext()) {
+			var row = iterator.getCurrent()[1];
+			if (row !== undefined) {
+				rows.push(row);
+			}
+		}
+		return rows;
+	};
+
+	var insertBatches = function () {
+		var rows = nextBatch();
+		if (rows.length === 0) {
+			return Promise.resolve();
+		}
+
+		var statement = sql.insertStatement(connection, tableName, columnNames, rows);
+		return connection.execute(statement.sql, statement.params)
+			.then(function () {
+				result.inserted += rows.length;
+				return insertBatches();
+			});
+	};
+
+	return connection.transaction(function () {
+			var createTable = Promise.resolve();
+			if (options.createTable) {
+				var sqlTypes = sql.determineColumnTypes(connection, self, columnNames, options.columnTypes);
+				createTable = connection.execute(sql.createTableStatement(connection, tableName, columnNames, sqlTypes));
+			}
 
-	return db[collectionName].insert(self.toArray())
-		.catch(function (err) {
-			return db.close() // An error occurred, but we still need to close the database.
+			return createTable
 				.then(function () {
-					throw err; // Rethrow after trying to close database.
+					iterator = self.getIterator();
+					return insertBatches();
 				});
 		})
 		.then(function () {
-			return db.close(); // Finished with the database connection.
+			return result;
 		});
 };
 
@@ -1380,14 +1857,411 @@ DataFrame.prototype.inflateSeries = function (columnName, selector) {
 	);
 };
 
-/**
- * Aggregate the rows of the data-frame.
- *
- * @param {object} [seed] - The seed value for producing the aggregation.
- * @param {function} selector - Function that takes the seed and then each row in the data-frame and produces the aggregate value.
- *
- * @returns {DataFrame} Returns a new dataframe with a column inflated to 1 or more new columns.
- */
+//
+// Resolve the columns that a missing value operation applies to, defaulting to all columns.
+//
+var resolveMissingColumns = function (self, columns, fnName) {
+
+	if (columns === undefined) {
+		return self.getColumnNames();
+	}
+
+	if (!Object.isArray(columns)) {
+		columns = [columns];
+	}
+
+	columns.forEach(function (columnName) {
+		assert.isString(columnName, "Expected 'columns' option to '" + fnName + "' to be a column name or an array of column names.");
+	});
+
+	return columns;
+};
+
+//
+// Create a dataframe whose column values are produced from the columns (and index) of another dataframe by a function that fills missing values.
+//
+var createFilledDataFrame = function (self, columns, fill) {
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var pairs = [];
+				var iterator = self.getIterator();
+				while (iterator.moveNext()) {
+					var pair = iterator.getCurrent();
+					pairs.push([pair[0], extend({}, pair[1])]);
+				}
+
+				var indexValues = pairs.map(function (pair) {
+					return pair[0];
+				});
+
+				columns.forEach(function (columnName) {
+					var values = fill(
+						pairs.map(function (pair) {
+							return pair[1][columnName];
+						}),
+						indexValues
+					);
+
+					pairs.forEach(function (pair, rowIndex) {
+						pair[1][columnName] = values[rowIndex];
+					});
+				});
+
+				return new ArrayIterator(pairs);
+			},
+
+			getColumnNames: function () {
+				return self.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Validate the options passed to a dataframe function that handles missing values.
+//
+var validateMissingOptions = function (options, fnName) {
+
+	if (options === undefined) {
+		return {};
+	}
+
+	assert.isObject(options, "Expected 'options' parameter to '" + fnName + "' to be an object.");
+
+	if (options.limit !== undefined) {
+		assert.isNumber(options.limit, "Expected 'limit' option to '" + fnName + "' to be the maximum number of consecutive missing values to fill.");
+	}
+
+	return options;
+};
+
+/**
+ * Determine which values are missing. By default undefined, null, NaN and empty strings are missing, use 'dataForge.defineMissing' to change the definition.
+ *
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe with the same columns, each value is true where the value is missing.
+ */
+DataFrame.prototype.isMissing = function (options) {
+
+	var isMissing = missing.resolve(validateMissingOptions(options, 'DataFrame.isMissing'), 'DataFrame.isMissing');
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	return self.select(function (row) {
+		var mask = {};
+		columnNames.forEach(function (columnName) {
+			mask[columnName] = isMissing(row[columnName]);
+		});
+		return mask;
+	});
+};
+
+/**
+ * Count the missing values in each column.
+ *
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a series indexed by column name with the number of missing values in each column.
+ */
+DataFrame.prototype.countMissing = function (options) {
+
+	var isMissing = missing.resolve(validateMissingOptions(options, 'DataFrame.countMissing'), 'DataFrame.countMissing');
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	var counts = columnNames.map(function () {
+		return 0;
+	});
+
+	var iterator = self.getIterator();
+	while (iterator.moveNext()) {
+		var row = iterator.getCurrent()[1];
+		columnNames.forEach(function (columnName, columnIndex) {
+			if (isMissing(row[columnName])) {
+				++counts[columnIndex];
+			}
+		});
+	}
+
+	return new Series({
+		index: columnNames,
+		values: counts,
+	});
+};
+
+/**
+ * Drop rows that have missing values.
+ *
+ * @param {object} [options] - Optional options: 'columns' (column name or array of column names to check, defaults to all columns),
+ * 'how' ('any' drops rows with any missing values, 'all' drops rows where all the values are missing, defaults to 'any'),
+ * 'threshold' (keep rows that have at least this many values that aren't missing, overrides 'how') and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe without the rows that have missing values.
+ */
+DataFrame.prototype.dropMissing = function (options) {
+
+	options = validateMissingOptions(options, 'DataFrame.dropMissing');
+	var isMissing = missing.resolve(options, 'DataFrame.dropMissing');
+
+	var how = options.how || 'any';
+	assert(how === 'any' || how === 'all', "Expected 'how' option to 'DataFrame.dropMissing' to be 'any' or 'all', instead it is '" + how + "'.");
+
+	if (options.threshold !== undefined) {
+		assert.isNumber(options.threshold, "Expected 'threshold' option to 'DataFrame.dropMissing' to be the minimum number of values that aren't missing.");
+	}
+
+	var self = this;
+	var columns = resolveMissingColumns(self, options.columns, 'DataFrame.dropMissing');
+
+	return self.where(function (row) {
+		var numPresent = 0;
+		columns.forEach(function (columnName) {
+			if (!isMissing(row[columnName])) {
+				++numPresent;
+			}
+		});
+
+		if (options.threshold !== undefined) {
+			return numPresent >= options.threshold;
+		}
+
+		return how === 'any' ? numPresent === columns.length : numPresent > 0;
+	});
+};
+
+/**
+ * Replace missing values.
+ *
+ * @param {value|object} valueOrColumnValues - The value to replace missing values with, or an object that maps column names to the value to replace missing values with in each column.
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values replaced.
+ */
+DataFrame.prototype.fillMissing = function (valueOrColumnValues, options) {
+
+	var isMissing = missing.resolve(validateMissingOptions(options, 'DataFrame.fillMissing'), 'DataFrame.fillMissing');
+
+	var self = this;
+	var columnValues = valueOrColumnValues;
+	if (!Object.isObject(valueOrColumnValues)) {
+		columnValues = E.from(self.getColumnNames())
+			.toObject(
+				function (columnName) {
+					return columnName;
+				},
+				function () {
+					return valueOrColumnValues;
+				}
+			);
+	}
+
+	var columns = Object.keys(columnValues);
+
+	return self.select(function (row) {
+		var output = extend({}, row);
+		columns.forEach(function (columnName) {
+			if (isMissing(output[columnName])) {
+				output[columnName] = columnValues[columnName];
+			}
+		});
+		return output;
+	});
+};
+
+/**
+ * Fill missing values in each column with the previous value that isn't missing.
+ *
+ * @param {object} [options] - Optional options: 'columns' (column name or array of column names to fill, defaults to all columns), 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values filled forward.
+ */
+DataFrame.prototype.fillForward = function (options) {
+
+	options = validateMissingOptions(options, 'DataFrame.fillForward');
+	var isMissing = missing.resolve(options, 'DataFrame.fillForward');
+
+	var self = this;
+	var columns = resolveMissingColumns(self, options.columns, 'DataFrame.fillForward');
+	return createFilledDataFrame(self, columns, function (values) {
+		return missing.fillForward(values, options.limit, isMissing);
+	});
+};
+
+/**
+ * Fill missing values in each column with the next value that isn't missing.
+ *
+ * @param {object} [options] - Optional options: 'columns' (column name or array of column names to fill, defaults to all columns), 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values filled backward.
+ */
+DataFrame.prototype.fillBackward = function (options) {
+
+	options = validateMissingOptions(options, 'DataFrame.fillBackward');
+	var isMissing = missing.resolve(options, 'DataFrame.fillBackward');
+
+	var self = this;
+	var columns = resolveMissingColumns(self, options.columns, 'DataFrame.fillBackward');
+	return createFilledDataFrame(self, columns, function (values) {
+		return missing.fillBackward(values, options.limit, isMissing);
+	});
+};
+
+/**
+ * Fill missing values in each column by interpolating between the values on either side. Missing values at the start and end are left as they are.
+ *
+ * @param {object} [options] - Optional options: 'columns' (column name or array of column names to interpolate, defaults to all columns), 'method' ('linear' treats values as equally spaced, 'time' weights by the index, which must contain dates or numbers, defaults to 'linear'),
+ * 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values interpolated.
+ */
+DataFrame.prototype.interpolate = function (options) {
+
+	options = validateMissingOptions(options, 'DataFrame.interpolate');
+	var isMissing = missing.resolve(options, 'DataFrame.interpolate');
+	var method = options.method || 'linear';
+	assert(method === 'linear' || method === 'time', "Expected 'method' option to 'DataFrame.interpolate' to be 'linear' or 'time', instead it is '" + method + "'.");
+
+	var self = this;
+	var columns = resolveMissingColumns(self, options.columns, 'DataFrame.interpolate');
+	return createFilledDataFrame(self, columns, function (values, indexValues) {
+		return missing.interpolate(values, method === 'time' ? indexValues : null, options.limit, isMissing);
+	});
+};
+
+/**
+ * Summarize each column of the data-frame with descriptive statistics.
+ * Each column is summarized as numbers, dates or strings according to the most frequent type of its values.
+ * 
+ * @returns {DataFrame} Returns a new dataframe indexed by column name with a row for each column and the columns
+ * Column, Type, Count, Missing, Mean, Std, Min, 25%, 50%, 75%, Max, Distinct, Top and Frequency.
+ * Statistics that don't apply to a column's type are undefined.
+ */
+DataFrame.prototype.describe = function () {
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	var columnValues = columnNames.map(function () {
+		return [];
+	});
+
+	var numRows = 0;
+	var iterator = self.getIterator();
+	while (iterator.moveNext()) {
+		var row = iterator.getCurrent()[1];
+		++numRows;
+
+		columnNames.forEach(function (columnName, columnIndex) {
+			var value = row[columnName];
+			if (!missing.isMissing(value)) {
+				columnValues[columnIndex].push(value);
+			}
+		});
+	}
+
+	var summaries = columnNames.map(function (columnName, columnIndex) {
+		var summary = stats.describe(columnValues[columnIndex]);
+		var quartiles = summary.quartiles || [];
+		return [
+			columnName,
+			summary.type,
+			summary.count,
+			numRows - summary.count,
+			summary.mean,
+			summary.std,
+			summary.min,
+			quartiles[0],
+			quartiles[1],
+			quartiles[2],
+			summary.max,
+			summary.distinct,
+			summary.top,
+			summary.frequency,
+		];
+	});
+
+	return new DataFrame({
+		columnNames: ['Column', 'Type', 'Count', 'Missing', 'Mean', 'Std', 'Min', '25%', '50%', '75%', 'Max', 'Distinct', 'Top', 'Frequency'],
+		values: summaries,
+		index: columnNames,
+	});
+};
+
+//
+// Build a square dataframe that compares each pair of number columns, indexed by column name.
+//
+var createColumnMatrix = function (self, compare) {
+
+	var rows = self.toArray();
+	var numberColumns = self.getColumnNames()
+		.filter(function (columnName) {
+			return rows.some(function (row) {
+				return Object.isNumber(row[columnName]);
+			});
+		});
+
+	var columnValues = numberColumns.map(function (columnName) {
+		return rows.map(function (row) {
+			return row[columnName];
+		});
+	});
+
+	return new DataFrame({
+		columnNames: numberColumns,
+		values: columnValues.map(function (valuesA) {
+			return columnValues.map(function (valuesB) {
+				return compare(valuesA, valuesB);
+			});
+		}),
+		index: numberColumns,
+	});
+};
+
+/**
+ * Compute the correlation of each pair of columns that contain numbers.
+ * Each pair of columns is compared over the rows where both values are numbers.
+ *
+ * @param {string} [method] - The correlation coefficient: 'pearson' (the default), 'spearman' (rank correlation) or 'kendall' (Kendall's tau-b).
+ * 
+ * @returns {DataFrame} Returns a new square dataframe of correlations with a row and a column for each number column, indexed by column name.
+ */
+DataFrame.prototype.corr = function (method) {
+
+	method = stats.validateCorrelationMethod(method, 'DataFrame.corr');
+
+	var self = this;
+	return createColumnMatrix(self, function (valuesA, valuesB) {
+		var correlation = stats.correlation(valuesA, valuesB, method);
+		if (valuesA === valuesB && correlation !== undefined) {
+			return 1; // A column is perfectly correlated with itself, without the rounding error of computing it.
+		}
+
+		return correlation;
+	});
+};
+
+/**
+ * Compute the sample covariance of each pair of columns that contain numbers.
+ * Each pair of columns is compared over the rows where both values are numbers.
+ * 
+ * @returns {DataFrame} Returns a new square dataframe of covariances with a row and a column for each number column, indexed by column name.
+ */
+DataFrame.prototype.cov = function () {
+
+	var self = this;
+	return createColumnMatrix(self, stats.covariance);
+};
+
+/**
+ * Aggregate the rows of the data-frame.
+ *
+ * @param {object} [seed] - The seed value for producing the aggregation.
+ * @param {function} selector - Function that takes the seed and then each row in the data-frame and produces the aggregate value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with a column inflated to 1 or more new columns.
+ */
 DataFrame.prototype.aggregate = function (seedOrSelector, selector) {
 
 	var self = this;
@@ -1427,6 +2301,151 @@ DataFrame.prototype.aggregate = function (seedOrSelector, selector) {
 	}
 };
 
+//
+// Sort a dataframe by columns. 'columns' is a column name or an array of column names, each optionally prefixed with '-' to sort
+// that column descending or '+' to sort it ascending. Columns without a prefix sort descending when 'isDescending' is true, otherwise ascending.
+// 'isThenBy' is true to continue the sort of an already sorted dataframe.
+//
+var orderByColumns = function (self, columns, options, isThenBy, isDescending, fnName) {
+
+	if (Object.isString(columns)) {
+		columns = [columns];
+	}
+
+	assert.isArray(columns, "Expected 'sortSelector' parameter to '" + fnName + "' to be a selector function, a column name or an array of column names.");
+	assert(columns.length > 0, "Expected 'sortSelector' parameter to '" + fnName + "' to specify at least one column.");
+
+	var columnNames = self.getColumnNames();
+
+	var sorted = self;
+	columns.forEach(function (column, columnIndex) {
+		assert.isString(column, "Expected columns passed to '" + fnName + "' to be column names, optionally prefixed with '-' or '+'.");
+
+		var hasPrefix = column[0] === '-' || column[0] === '+';
+		var descending = hasPrefix ? column[0] === '-' : isDescending;
+		var columnName = hasPrefix ? column.substring(1) : column;
+		if (columnNames.indexOf(columnName) < 0) {
+			throw new Error("Expected dataframe to contain column '" + columnName + "'.");
+		}
+
+		var sortMethod = columnIndex === 0 && !isThenBy ? 
+			(descending ? 'orderByDescending' : 'orderBy') :
+			(descending ? 'thenByDescending' : 'thenBy');
+
+		sorted = parent[sortMethod].call(sorted, function (row) {
+			return row[columnName];
+		}, options);
+	});
+
+	return sorted;
+};
+
+/**
+ * Sorts the dataframe (ascending), see 'Series.orderBy'. 
+ * Instead of a selector, a column name or an array of column names can be passed, each prefixed with '-' to sort that column descending, for example ['Region', '-Revenue'].
+ * 
+ * @param {function|string|array} [sortSelector] - Selects the value to sort by, or a column name or array of column names to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options (applied to each column), see 'Series.orderBy'.
+ * 
+ * @returns {DataFrame} Returns a new dataframe that has been sorted. 
+ */
+DataFrame.prototype.orderBy = function (sortSelector, options) {
+
+	var self = this;
+
+	if (Object.isString(sortSelector) || Object.isArray(sortSelector)) {
+		return orderByColumns(self, sortSelector, options, false, false, 'DataFrame.orderBy');
+	}
+
+	return parent.orderBy.call(self, sortSelector, options);
+};
+
+/**
+ * Sorts the dataframe (descending), see 'Series.orderByDescending'. 
+ * Instead of a selector, a column name or an array of column names can be passed. Each column sorts descending unless it is prefixed with '+' to sort it ascending.
+ * 
+ * @param {function|string|array} [sortSelector] - Selects the value to sort by, or a column name or array of column names to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options (applied to each column), see 'Series.orderBy'.
+ * 
+ * @returns {DataFrame} Returns a new dataframe that has been sorted. 
+ */
+DataFrame.prototype.orderByDescending = function (sortSelector, options) {
+
+	var self = this;
+
+	if (Object.isString(sortSelector) || Object.isArray(sortSelector)) {
+		return orderByColumns(self, sortSelector, options, false, true, 'DataFrame.orderByDescending');
+	}
+
+	return parent.orderByDescending.call(self, sortSelector, options);
+};
+
+/**
+ * Performs additional sorting (ascending) of a sorted dataframe, see 'Series.thenBy'. 
+ * Instead of a selector, a column name or an array of column names can be passed, each prefixed with '-' to sort that column descending.
+ * 
+ * @param {function|string|array} [sortSelector] - Selects the value to sort by, or a column name or array of column names to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options (applied to each column), see 'Series.orderBy'.
+ * 
+ * @returns {DataFrame} Returns a new dataframe that has been sorted. 
+ */
+DataFrame.prototype.thenBy = function (sortSelector, options) {
+
+	var self = this;
+
+	if (Object.isString(sortSelector) || Object.isArray(sortSelector)) {
+		return orderByColumns(self, sortSelector, options, true, false, 'DataFrame.thenBy');
+	}
+
+	return parent.thenBy.call(self, sortSelector, options);
+};
+
+/**
+ * Performs additional sorting (descending) of a sorted dataframe, see 'Series.thenByDescending'. 
+ * Instead of a selector, a column name or an array of column names can be passed. Each column sorts descending unless it is prefixed with '+' to sort it ascending.
+ * 
+ * @param {function|string|array} [sortSelector] - Selects the value to sort by, or a column name or array of column names to sort by.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options (applied to each column), see 'Series.orderBy'.
+ * 
+ * @returns {DataFrame} Returns a new dataframe that has been sorted. 
+ */
+DataFrame.prototype.thenByDescending = function (sortSelector, options) {
+
+	var self = this;
+
+	if (Object.isString(sortSelector) || Object.isArray(sortSelector)) {
+		return orderByColumns(self, sortSelector, options, true, true, 'DataFrame.thenByDescending');
+	}
+
+	return parent.thenByDescending.call(self, sortSelector, options);
+};
+
+/**
+ * Group the rows of the data-frame.
+ *
+ * @param {function|string|array} selectorOrColumns - Selector that defines the value to group by, or the name of a column or an array of column names to group by.
+ * @param {object} [options] - Optional options when grouping by columns: 'index' (set to true to index the aggregated dataframes by group key, which is an array of values when grouping by multiple columns).
+ *
+ * @returns {Series|DataFrameGrouping} Returns a series of groups when grouping with a selector. Returns a grouping that can be aggregated to a new dataframe with 'aggregate', 'count', 'first', 'last', 'mean' or 'std' when grouping by columns.
+ */
+DataFrame.prototype.groupBy = function (selectorOrColumns, options) {
+
+	var self = this;
+
+	if (Object.isFunction(selectorOrColumns)) {
+		return parent.groupBy.call(self, selectorOrColumns);
+	}
+
+	if (Object.isString(selectorOrColumns)) {
+		selectorOrColumns = [selectorOrColumns];
+	}
+
+	assert.isArray(selectorOrColumns, "Expected 'selectorOrColumns' parameter to 'DataFrame.groupBy' to be a selector function, a column name or an array of column names.");
+	assert(selectorOrColumns.length > 0, "Expected 'selectorOrColumns' parameter to 'DataFrame.groupBy' to specify at least one column.");
+
+	return new DataFrameGrouping(self, selectorOrColumns, options);
+};
+
 /**
  * Bring the name column to the front, making it the first column in the data-frame.
  *
@@ -1555,6 +2574,119 @@ DataFrame.prototype.pivot = function (column, value) {
 	});
 };
 
+/**
+ * Summarize the data-frame as a pivot table. Unlike 'pivot' this is done in a single pass, keeps the row keys and aggregates rows that have the same keys.
+ *
+ * @param {object} options - Options: 'index' (column name or array of column names whose values make the rows), 'columns' (column name or array of column names whose values make the new columns),
+ * 'values' (column name or array of column names to aggregate, defaults to the remaining columns), 'aggregate' (the name of an aggregation such as 'sum', 'mean' or 'count', or a function that is passed a Series of values, defaults to 'sum'),
+ * 'fillValue' (value for combinations that have no values), 'margins' (set to true to add a total column and a total row) and 'marginsName' (label for the totals, defaults to 'Total').
+ *
+ * @returns {DataFrame} Returns a new dataframe with the index columns followed by a column for each distinct value of the pivot columns. The new dataframe is indexed by the row keys, which are arrays when there are multiple index columns.
+ * When there are multiple value columns the new columns are named 'value_column'.
+ */
+DataFrame.prototype.pivotTable = function (options) {
+
+	var self = this;
+	return pivotTable(self, options);
+};
+
+/**
+ * Unpivot the data-frame from wide to long format (the inverse of a pivot table). Each value column of each row becomes a row with the id columns, the name of the value column and the value.
+ *
+ * @param {string|array} idColumns - Column name or array of column names that identify each row.
+ * @param {string|array} [valueColumns] - Column name or array of column names to unpivot, defaults to the columns that aren't id columns.
+ * @param {object} [options] - Optional options: 'variableName' (name of the column for the names of the value columns, defaults to 'variable') and 'valueName' (name of the column for the values, defaults to 'value').
+ *
+ * @returns {DataFrame} Returns a new dataframe with the id columns, the variable column and the value column.
+ */
+DataFrame.prototype.melt = function (idColumns, valueColumns, options) {
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+
+	if (!Object.isArray(idColumns)) {
+		idColumns = [idColumns];
+	}
+
+	idColumns.forEach(function (idColumn) {
+		assert.isString(idColumn, "Expected 'idColumns' parameter to 'DataFrame.melt' to be a column name or an array of column names.");
+	});
+
+	if (valueColumns === undefined || valueColumns === null) {
+		valueColumns = E.from(columnNames)
+			.where(function (columnName) {
+				return idColumns.indexOf(columnName) < 0;
+			})
+			.toArray();
+	}
+	else if (!Object.isArray(valueColumns)) {
+		valueColumns = [valueColumns];
+	}
+
+	assert(valueColumns.length > 0, "Expected 'DataFrame.melt' to have at least one value column to unpivot.");
+
+	idColumns.concat(valueColumns).forEach(function (columnName) {
+		assert.isString(columnName, "Expected column names passed to 'DataFrame.melt' to be strings.");
+
+		if (columnNames.indexOf(columnName) < 0) {
+			throw new Error("Expected dataframe to contain column '" + columnName + "'.");
+		}
+	});
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'DataFrame.melt' to be an object with unpivot options.");
+	}
+	else {
+		options = {};
+	}
+
+	var variableName = options.variableName || 'variable';
+	var valueName = options.valueName || 'value';
+	var newColumnNames = idColumns.concat([variableName, valueName]);
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var rows = new SelectManyIterator(self.getIterator(), function (pair) {
+					var row = pair[1];
+					return valueColumns.map(function (valueColumn) {
+						var output = {};
+						idColumns.forEach(function (idColumn) {
+							output[idColumn] = row[idColumn];
+						});
+						output[variableName] = valueColumn;
+						output[valueName] = row[valueColumn];
+						return output;
+					});
+				});
+
+				return new SelectIterator(rows, function (row, rowIndex) {
+					return [rowIndex, row];
+				});
+			},
+
+			getColumnNames: function () {
+				return newColumnNames;
+			},
+		},
+	});
+};
+
+/**
+ * Unpivot the data-frame from wide to long format, the same as 'melt'.
+ *
+ * @param {string|array} idColumns - Column name or array of column names that identify each row.
+ * @param {string|array} [valueColumns] - Column name or array of column names to unpivot, defaults to the columns that aren't id columns.
+ * @param {object} [options] - Optional options: 'variableName' (defaults to 'variable') and 'valueName' (defaults to 'value').
+ *
+ * @returns {DataFrame} Returns a new dataframe with the id columns, the variable column and the value column.
+ */
+DataFrame.prototype.unpivot = function (idColumns, valueColumns, options) {
+
+	var self = this;
+	return self.melt(idColumns, valueColumns, options);
+};
+
 /**
  * Concatenate multiple other dataframes onto this dataframe.
  * 
@@ -1581,6 +2713,22 @@ DataFrame.prototype.concat = function () {
 	);
 };
 
+/**
+ * Merge this dataframe with another dataframe on one or more key columns, in the style of a Pandas merge.
+ * 
+ * @param {DataFrame} other - The dataframe to merge with (the right side of the merge).
+ * @param {object} [options] - Optional options: 'on' (column name or array of column names to merge on, defaults to the columns common to both dataframes), 'how' ('inner', 'left', 'right' or 'outer', defaults to 'inner') and 'suffixes' (two element array of suffixes for overlapping columns, defaults to ['_x', '_y']).
+ *  
+ * @returns {DataFrame} Returns a new dataframe with the key columns followed by the remaining columns from this dataframe and then from the other dataframe. 
+ */
+DataFrame.prototype.merge = function (other, options) {
+
+	assert.instanceOf(other, DataFrame, "Expected 'other' parameter to 'DataFrame.merge' to be a DataFrame.");
+
+	var self = this;
+	return mergeDataFrames(self, other, options);
+};
+
 /**
  * Bake the data frame to an array of rows.
  * 
@@ -0,0 +1,132 @@
+'use strict';
+
+//
+// Bridging ES2015 iterables and iterators (Set, Map, generators and so on) to data-forge iterators.
+//
+// Iterables are iterated again each time the series is iterated and generator functions are called again.
+// An iterator that can only be iterated once (for example a generator object) is not buffered: the series can be iterated only once
+// and iterating it again throws. Pass a generator function instead, or 'bake' the series, to iterate it more than once.
+//
+
+var ArrayIterator = require('./iterators/array');
+var FromEsIterator = require('./iterators/from-es');
+
+var hasSymbols = typeof Symbol !== 'undefined' && !!Symbol.iterator;
+
+//
+// Returns true if the value is a function. Generator functions aren't functions according to 'Object.isFunction'.
+//
+var isFunction = function (value) {
+	return typeof value === 'function';
+};
+
+//
+// Returns true if the value is an ES2015 iterable. Arrays, strings and data-forge iterables have their own support, so they aren't included.
+//
+var isIterable = function (value) {
+	return hasSymbols &&
+		value !== null &&
+		value !== undefined &&
+		!Object.isString(value) &&
+		!Object.isArray(value) &&
+		!Object.isFunction(value.getIterator) &&
+		Object.isFunction(value[Symbol.iterator]);
+};
+
+//
+// Convert the result of a function for 'values' or 'index' to a data-forge iterator.
+// The function can return a data-forge iterator, an ES2015 iterator (a generator function returns a generator object), an ES2015 iterable or an array.
+//
+var toIterator = function (result) {
+	if (result && Object.isFunction(result.moveNext)) {
+		return result;
+	}
+	else if (Object.isArray(result)) {
+		return new ArrayIterator(result);
+	}
+	else if (result && Object.isFunction(result.next)) {
+		return new FromEsIterator(result);
+	}
+	else if (isIterable(result)) {
+		return new FromEsIterator(result[Symbol.iterator]());
+	}
+
+	return result; // Not an iterator, this fails validation when it is used.
+};
+
+//
+// Returns true if the value is an ES2015 iterator, such as a generator object or the result of 'Map.prototype.keys'.
+// These are iterable, but can only be iterated once. This checks the type of the value, it doesn't start iterating it.
+//
+var isEsIterator = function (value) {
+	return isIterable(value) &&
+		(Object.prototype.toString.call(value) === '[object Generator]' || isFunction(value.next));
+};
+
+//
+// Create a function that returns a data-forge iterator for an ES2015 iterator the first time it is called and throws after that.
+//
+var createOnceFunction = function (esIterator) {
+
+	var iterated = false;
+
+	return function () {
+		if (iterated) {
+			throw new Error("An ES2015 iterator (such as a generator object) can only be iterated once. Pass a generator function instead, or call 'bake', to iterate a series or dataframe more than once.");
+		}
+
+		iterated = true;
+		return new FromEsIterator(esIterator);
+	};
+};
+
+module.exports = {
+
+	isIterable: isIterable,
+
+	isEsIterator: isEsIterator,
+
+	//
+	// Read all values of an ES2015 iterator into an array.
+	//
+	toArray: function (esIterator) {
+		var values = [];
+		var iterator = new FromEsIterator(esIterator);
+		while (iterator.moveNext()) {
+			values.push(iterator.getCurrent());
+		}
+
+		return values;
+	},
+
+	//
+	// Returns true for the values that 'toIteratorFunction' converts: functions (including generator functions) and ES2015 iterables.
+	//
+	isConvertible: function (values) {
+		return isFunction(values) || isIterable(values);
+	},
+
+	//
+	// Convert 'values' or 'index' that is an ES2015 iterable or a function (including a generator function) to a function that returns data-forge iterators.
+	// Other values are returned unchanged.
+	//
+	toIteratorFunction: function (values) {
+
+		if (isFunction(values)) {
+			return function () {
+				return toIterator(values());
+			};
+		}
+		else if (isIterable(values)) {
+			if (isEsIterator(values)) {
+				return createOnceFunction(values);
+			}
+
+			return function () {
+				return new FromEsIterator(values[Symbol.iterator]());
+			};
+		}
+
+		return values;
+	},
+};
@@ -24,6 +24,46 @@ var Series = require('./series');
 var parent = inherit(Index, Series);
 var moment = require('moment');
 
+//
+// Convert an index value to a key for the hash lookup. Dates are looked up by value.
+// Returns undefined for values that can't be hashed.
+//
+var toLookupKey = function (value) {
+    if (Object.isDate(value)) {
+        return 'date:' + value.getTime();
+    }
+    else if (Object.isNumber(value) || Object.isString(value)) {
+        return typeof(value) + ':' + value;
+    }
+    else if (Object.isArray(value)) {
+        // Multi-part index values.
+        var keys = value.map(toLookupKey);
+        return keys.indexOf(undefined) < 0 ? 'array:' + JSON.stringify(keys) : undefined;
+    }
+    else {
+        return undefined;
+    }
+};
+
+//
+// Binary search for the first position in a non-decreasing array where the predicate is true.
+// Returns the length of the array if the predicate isn't true anywhere.
+//
+var findFirst = function (values, predicate) {
+    var low = 0;
+    var high = values.length;
+    while (low < high) {
+        var mid = (low + high) >>> 1;
+        if (predicate(values[mid])) {
+            high = mid;
+        }
+        else {
+            low = mid + 1;
+        }
+    }
+    return low;
+};
+
 /**
  * Get the type of the index.
  * 
@@ -112,6 +152,165 @@ Index.prototype.getGreaterThan = function () {
     }
 };
 
+/**
+ * Get the position of an index value, using a hash lookup for a baked index.
+ * Dates are matched by value.
+ * 
+ * @param {value} indexValue - The index value to search for.
+ * 
+ * @returns {int} Returns the position of the first occurrence of the index value or -1 if the index doesn't contain the value.
+ */
+Index.prototype.getPosition = function (indexValue) {
+
+    var self = this;
+    var key = toLookupKey(indexValue);
+    var lookup = key !== undefined && self._getLookup();
+    if (lookup) {
+        var position = lookup[key];
+        return position === undefined ? -1 : position;
+    }
+
+    var values = self._bakedValues || self.toArray();
+    for (var i = 0; i < values.length; ++i) {
+        var value = values[i];
+        if (value === indexValue || (key !== undefined && toLookupKey(value) === key)) {
+            return i;
+        }
+    }
+
+    return -1;
+};
+
+/**
+ * Find the first position where the index value is not less than the specified value.
+ * This is where 'startAt' starts and 'before' ends. Uses a binary search on a baked index.
+ * 
+ * @param {value} indexValue - The value to search for.
+ * 
+ * @returns {int|undefined} Returns the position, or undefined if the index isn't baked or doesn't support ordering.
+ */
+Index.prototype.findStartPosition = function (indexValue) {
 
+    var self = this;
+    var ordering = self._getOrdering();
+    if (!ordering) {
+        return undefined;
+    }
 
+    var value = ordering.toComparable(indexValue);
+    return findFirst(ordering.runningMax, function (max) {
+        return !(max < value);
+    });
+};
 
+/**
+ * Find the first position where the index value is greater than the specified value.
+ * This is where 'endAt' ends and 'after' starts. Uses a binary search on a baked index.
+ * 
+ * @param {value} indexValue - The value to search for.
+ * 
+ * @returns {int|undefined} Returns the position, or undefined if the index isn't baked or doesn't support ordering.
+ */
+Index.prototype.findEndPosition = function (indexValue) {
+
+    var self = this;
+    var ordering = self._getOrdering();
+    if (!ordering) {
+        return undefined;
+    }
+
+    var value = ordering.toComparable(indexValue);
+    return findFirst(ordering.runningMax, function (max) {
+        return max > value;
+    });
+};
+
+//
+// Build (and cache) a hash map from index value to position. Only available for the index of a baked series.
+// Returns null when the index contains values that can't be hashed.
+//
+Index.prototype._getLookup = function () {
+
+    var self = this;
+    if (self._lookup !== undefined) {
+        return self._lookup;
+    }
+
+    if (!self._bakedValues) {
+        return null;
+    }
+
+    var lookup = {};
+    var values = self._bakedValues;
+    for (var i = 0; i < values.length; ++i) {
+        var key = toLookupKey(values[i]);
+        if (key === undefined) {
+            lookup = null;
+            break;
+        }
+
+        if (lookup[key] === undefined) {
+            lookup[key] = i; // Keep the first occurrence.
+        }
+    }
+
+    self._lookup = lookup;
+    return lookup;
+};
+
+//
+// Build (and cache) the running maximum of the index values, which is non-decreasing even when the index isn't sorted.
+// The first position where the running maximum reaches a value is the first position where an index value reaches it,
+// so a binary search gives the same result as scanning the index. Only available for the index of a baked series.
+// Returns null when the index has mixed or unsupported types.
+//
+Index.prototype._getOrdering = function () {
+
+    var self = this;
+    if (self._ordering !== undefined) {
+        return self._ordering;
+    }
+
+    if (!self._bakedValues) {
+        return null;
+    }
+
+    var type = self.getType();
+    var toComparable;
+    var isType;
+
+    if (type === 'date') {
+        isType = Object.isDate;
+        toComparable = function (value) {
+            return moment(value).valueOf();
+        };
+    }
+    else if (type === 'number' || type === 'string') {
+        isType = type === 'number' ? Object.isNumber : Object.isString;
+        toComparable = function (value) {
+            return value;
+        };
+    }
+    else {
+        self._ordering = null;
+        return null;
+    }
+
+    var values = self._bakedValues;
+    var runningMax = [];
+    for (var i = 0; i < values.length; ++i) {
+        if (!isType(values[i])) {
+            self._ordering = null; // Mixed types, can't be ordered.
+            return null;
+        }
+
+        var value = toComparable(values[i]);
+        runningMax.push(i > 0 && runningMax[i - 1] > value ? runningMax[i - 1] : value);
+    }
+
+    self._ordering = {
+        runningMax: runningMax,
+        toComparable: toComparable,
+    };
+    return self._ordering;
+};
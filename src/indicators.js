@@ -0,0 +1,321 @@
+'use strict';
+
+//
+// Technical indicators for time series, computed in a single pass by 'IndicatorIterator'.
+//
+// Each indicator is a factory that creates a step function. The step function is called with the index and value of
+// each pair in turn and returns an output pair with the same index, or undefined while there isn't enough data for an output.
+// A new step function is created each time a series is iterated, so the state of the indicator isn't shared between iterations.
+//
+
+//
+// Fixed size ring buffer of the most recent values.
+//
+var createRing = function (size) {
+	var values = new Array(size);
+	var next = 0;
+	var count = 0;
+	return {
+		isFull: function () {
+			return count === size;
+		},
+
+		//
+		// Add a value, returns the oldest value when it drops out of the ring.
+		//
+		push: function (value) {
+			var dropped = count === size ? values[next] : undefined;
+			values[next] = value;
+			next = (next + 1) % size;
+			count = Math.min(count + 1, size);
+			return dropped;
+		},
+	};
+};
+
+//
+// Wrap a step function so that it is only passed values that are numbers. Other values produce no output.
+//
+var numbersOnly = function (step) {
+	return function (index, value) {
+		if (!Object.isNumber(value) || isNaN(value)) {
+			return undefined;
+		}
+
+		return step(index, value);
+	};
+};
+
+//
+// Exponential moving average of a sequence of numbers, seeded with the simple average of the first 'period' numbers.
+// Returns a function that takes the next number and returns the average, or undefined until there are 'period' numbers.
+//
+var exponentialAverage = function (period) {
+	var alpha = 2 / (period + 1);
+	var count = 0;
+	var sum = 0;
+	var average = undefined;
+	return function (value) {
+		if (average === undefined) {
+			sum += value;
+			++count;
+			if (count < period) {
+				return undefined;
+			}
+
+			average = sum / period;
+		}
+		else {
+			average += alpha * (value - average);
+		}
+
+		return average;
+	};
+};
+
+//
+// Mean and variance of the most recent 'period' numbers, updated as each number replaces the oldest.
+// Returns a function that takes the next number and returns an object with 'mean' and 'sumOfSquares' (of the deviations), or undefined until there are 'period' numbers.
+//
+var rollingMoments = function (period) {
+	var ring = createRing(period);
+	var count = 0;
+	var mean = 0;
+	var sumOfSquares = 0;
+	return function (value) {
+		var full = ring.isFull();
+		var dropped = ring.push(value);
+		var previousMean = mean;
+		if (!full) {
+			++count;
+			mean += (value - mean) / count;
+			sumOfSquares += (value - previousMean) * (value - mean);
+		}
+		else {
+			mean += (value - dropped) / period;
+			sumOfSquares = Math.max(0, sumOfSquares + (value - dropped) * (value - mean + dropped - previousMean)); // Rounding errors can't make it negative.
+		}
+
+		return count === period ? { mean: mean, sumOfSquares: sumOfSquares } : undefined;
+	};
+};
+
+module.exports = {
+
+	//
+	// Simple moving average.
+	//
+	sma: function (period) {
+		var ring = createRing(period);
+		var sum = 0;
+		return numbersOnly(function (index, value) {
+			var full = ring.isFull();
+			var dropped = ring.push(value);
+			sum += full ? value - dropped : value;
+			return ring.isFull() ? [index, sum / period] : undefined;
+		});
+	},
+
+	//
+	// Exponential moving average.
+	//
+	ema: function (period) {
+		var average = exponentialAverage(period);
+		return numbersOnly(function (index, value) {
+			var output = average(value);
+			return output !== undefined ? [index, output] : undefined;
+		});
+	},
+
+	//
+	// Weighted moving average, the weights decrease linearly from 'period' for the latest number to 1 for the oldest.
+	//
+	wma: function (period) {
+		var ring = createRing(period);
+		var count = 0;
+		var sum = 0;
+		var weightedSum = 0;
+		var totalWeight = period * (period + 1) / 2;
+		return numbersOnly(function (index, value) {
+			var full = ring.isFull();
+			var dropped = ring.push(value);
+			if (!full) {
+				sum += value;
+				++count;
+				weightedSum += count * value;
+				return count === period ? [index, weightedSum / totalWeight] : undefined;
+			}
+
+			// Each number in the window loses a weight of 1, which drops the oldest, then the latest number is added with the full weight.
+			weightedSum += period * value - sum;
+			sum += value - dropped;
+			return [index, weightedSum / totalWeight];
+		});
+	},
+
+	//
+	// Rolling standard deviation.
+	//
+	rollingStd: function (period, population) {
+		var moments = rollingMoments(period);
+		var divisor = population ? period : period - 1;
+		return numbersOnly(function (index, value) {
+			var output = moments(value);
+			return output ? [index, Math.sqrt(output.sumOfSquares / divisor)] : undefined;
+		});
+	},
+
+	//
+	// Bollinger bands, the simple moving average and the bands 'stdDevs' (population) standard deviations above and below it.
+	//
+	bollingerBands: function (period, stdDevs) {
+		var moments = rollingMoments(period);
+		return numbersOnly(function (index, value) {
+			var output = moments(value);
+			if (!output) {
+				return undefined;
+			}
+
+			var width = stdDevs * Math.sqrt(output.sumOfSquares / period);
+			return [index, {
+				middle: output.mean,
+				upper: output.mean + width,
+				lower: output.mean - width,
+			}];
+		});
+	},
+
+	//
+	// Relative strength index with Wilder's smoothing of the average gains and losses.
+	// The RSI is 100 when there are no losses and 50 when the value hasn't changed.
+	//
+	rsi: function (period) {
+		var previous = undefined;
+		var count = 0;
+		var gainSum = 0;
+		var lossSum = 0;
+		var averageGain = undefined;
+		var averageLoss = undefined;
+		return numbersOnly(function (index, value) {
+			if (previous === undefined) {
+				previous = value;
+				return undefined;
+			}
+
+			var change = value - previous;
+			previous = value;
+			var gain = Math.max(change, 0);
+			var loss = Math.max(-change, 0);
+
+			if (averageGain === undefined) {
+				gainSum += gain;
+				lossSum += loss;
+				++count;
+				if (count < period) {
+					return undefined;
+				}
+
+				averageGain = gainSum / period;
+				averageLoss = lossSum / period;
+			}
+			else {
+				averageGain = (averageGain * (period - 1) + gain) / period;
+				averageLoss = (averageLoss * (period - 1) + loss) / period;
+			}
+
+			if (averageLoss === 0) {
+				return [index, averageGain === 0 ? 50 : 100];
+			}
+
+			return [index, 100 - 100 / (1 + averageGain / averageLoss)];
+		});
+	},
+
+	//
+	// Moving average convergence divergence: the difference between the fast and slow exponential moving averages,
+	// the signal line (an exponential moving average of the difference) and the histogram (the difference less the signal).
+	// The signal and histogram are undefined until there are enough values for the signal line.
+	//
+	macd: function (fastPeriod, slowPeriod, signalPeriod) {
+		var fast = exponentialAverage(fastPeriod);
+		var slow = exponentialAverage(slowPeriod);
+		var signal = exponentialAverage(signalPeriod);
+		return numbersOnly(function (index, value) {
+			var fastAverage = fast(value);
+			var slowAverage = slow(value);
+			if (fastAverage === undefined || slowAverage === undefined) {
+				return undefined;
+			}
+
+			var difference = fastAverage - slowAverage;
+			var signalAverage = signal(difference);
+			return [index, {
+				macd: difference,
+				signal: signalAverage,
+				histogram: signalAverage !== undefined ? difference - signalAverage : undefined,
+			}];
+		});
+	},
+
+	//
+	// Rate of change, the percentage change from the value 'period' values earlier.
+	//
+	rateOfChange: function (period) {
+		var ring = createRing(period);
+		return numbersOnly(function (index, value) {
+			var full = ring.isFull();
+			var earlier = ring.push(value);
+			return full ? [index, (value - earlier) / earlier * 100] : undefined;
+		});
+	},
+
+	//
+	// Drawdown, the fractional decline from the highest value so far (0 at a new high).
+	//
+	drawdown: function () {
+		var peak = undefined;
+		return numbersOnly(function (index, value) {
+			if (peak === undefined || value > peak) {
+				peak = value;
+			}
+
+			return [index, (value - peak) / peak];
+		});
+	},
+
+	//
+	// Difference from the value 'periods' values earlier.
+	//
+	diff: function (periods) {
+		var ring = createRing(periods);
+		return numbersOnly(function (index, value) {
+			var full = ring.isFull();
+			var earlier = ring.push(value);
+			return full ? [index, value - earlier] : undefined;
+		});
+	},
+
+	//
+	// Shift values forward by 'periods' (lag) or backward when 'periods' is negative (lead), keeping the index.
+	// Index values that have no value to shift to them are dropped.
+	//
+	shift: function (periods) {
+		if (periods === 0) {
+			return function (index, value) {
+				return [index, value];
+			};
+		}
+
+		var ring = createRing(Math.abs(periods));
+		return function (index, value) {
+			var full = ring.isFull();
+			if (periods > 0) {
+				var earlierValue = ring.push(value);
+				return full ? [index, earlierValue] : undefined;
+			}
+
+			var earlierIndex = ring.push(index);
+			return full ? [earlierIndex, value] : undefined;
+		};
+	},
+};
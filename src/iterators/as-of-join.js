@@ -0,0 +1,97 @@
+'use strict';
+
+//
+// Iterator that matches each pair of an outer iterator to the inner pair with the nearest preceding (or equal) index, in a single pass over both iterators.
+// The indexes of both iterators must be dates (or numbers) in ascending order. 'resultSelector' is called with the outer value
+// and the matching inner value, or null when no inner pair precedes the outer pair. Pairs with undefined values are skipped.
+// Each output is an [outerIndex, result] pair.
+//
+var AsOfJoinIterator = function (outerIterator, innerIterator, resultSelector) {
+
+	var self = this;
+	self._outerIterator = outerIterator;
+	self._innerIterator = innerIterator;
+	self._resultSelector = resultSelector;
+	self._previousOuterIndex = undefined;
+	self._previousInnerIndex = undefined;
+	self._matched = null; // Latest inner pair that precedes the current outer pair.
+	self._next = undefined; // Next inner pair, read ahead to find where the matched pair ends.
+	self._started = false;
+	self._current = undefined;
+};
+
+module.exports = AsOfJoinIterator;
+
+//
+// Check that an index value can be compared and isn't less than the previous index value.
+//
+var checkIndex = function (index, previousIndex, side) {
+
+	if (!Object.isDate(index) && !Object.isNumber(index)) {
+		throw new Error("Expected the index of the " + side + " series to contain dates or numbers for 'joinAsOf', instead found '" + index + "'.");
+	}
+
+	if (previousIndex !== undefined && index < previousIndex) {
+		throw new Error("Expected the index of the " + side + " series to be in ascending order for 'joinAsOf', found '" + index + "' after '" + previousIndex + "'.");
+	}
+};
+
+//
+// Read the next inner pair that has a value, returns undefined at the end of the inner iterator.
+//
+AsOfJoinIterator.prototype._readInner = function () {
+
+	var self = this;
+
+	while (self._innerIterator.moveNext()) {
+		var pair = self._innerIterator.getCurrent();
+		if (pair[1] === undefined) {
+			continue;
+		}
+
+		checkIndex(pair[0], self._previousInnerIndex, 'inner');
+		self._previousInnerIndex = pair[0];
+		return pair;
+	}
+
+	return undefined;
+};
+
+AsOfJoinIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	for (;;) {
+		if (!self._outerIterator.moveNext()) {
+			self._current = undefined;
+			return false;
+		}
+
+		var pair = self._outerIterator.getCurrent();
+		if (pair[1] !== undefined) {
+			break;
+		}
+	}
+
+	checkIndex(pair[0], self._previousOuterIndex, 'outer');
+	self._previousOuterIndex = pair[0];
+
+	if (!self._started) {
+		self._next = self._readInner();
+		self._started = true;
+	}
+
+	while (self._next !== undefined && self._next[0] <= pair[0]) {
+		self._matched = self._next;
+		self._next = self._readInner();
+	}
+
+	self._current = [pair[0], self._resultSelector(pair[1], self._matched ? self._matched[1] : null)];
+	return true;
+};
+
+AsOfJoinIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
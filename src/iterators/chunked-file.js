@@ -0,0 +1,123 @@
+'use strict';
+
+var StringDecoder = require('string_decoder').StringDecoder;
+
+var defaultChunkSize = 64 * 1024;
+
+//
+// Base for data-forge iterators that read a text file incrementally.
+// The file is read in chunks as the iterator is moved forward so that only a small part of the file is in memory at once.
+// The file is opened and closed for each chunk, so abandoning the iterator doesn't leak a file handle.
+//
+// Derived iterators implement:
+//
+//		_findLastEnd(text) - Returns the index of the last character of the last complete value in the text, or -1 if there is no complete value.
+//		_parse(text, terminated) - Returns an array of the values in a block of text. 'terminated' is false for the text left at the end of the file.
+//
+var ChunkedFileIterator = function (filePath, config) {
+
+	var self = this;
+	self._filePath = filePath;
+	self._config = config || {};
+	self._chunkSize = self._config.chunkSize || defaultChunkSize;
+	self._position = 0;
+	self._decoder = new StringDecoder('utf8');
+	self._text = '';
+	self._endOfFile = false;
+	self._values = [];
+	self._valueIndex = -1;
+};
+
+module.exports = ChunkedFileIterator;
+
+//
+// Read the next chunk of the file. Returns false when the end of the file has been reached.
+//
+ChunkedFileIterator.prototype._readChunk = function () {
+
+	var self = this;
+	var fs = require('fs');
+	var buffer = Buffer.alloc(self._chunkSize);
+	var fd = fs.openSync(self._filePath, 'r');
+	var bytesRead;
+
+	try {
+		bytesRead = fs.readSync(fd, buffer, 0, self._chunkSize, self._position);
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+
+	if (bytesRead <= 0) {
+		self._text += self._decoder.end();
+		return false;
+	}
+
+	self._position += bytesRead;
+	self._text += self._decoder.write(buffer.slice(0, bytesRead));
+	return true;
+};
+
+//
+// Load the next batch of values. Returns false when there are no more values in the file.
+//
+ChunkedFileIterator.prototype._loadValues = function () {
+
+	var self = this;
+	self._valueIndex = -1;
+
+	while (!self._endOfFile) {
+		if (!self._readChunk()) {
+			self._endOfFile = true;
+			break;
+		}
+
+		var end = self._findLastEnd(self._text);
+		if (end >= 0) {
+			self._values = self._parse(self._text.substring(0, end + 1), true);
+			self._text = self._text.substring(end + 1);
+			if (self._values.length > 0) {
+				return true;
+			}
+		}
+	}
+
+	if (self._text.length > 0) {
+		// Last value, not terminated.
+		self._values = self._parse(self._text, false);
+		self._text = '';
+		return self._values.length > 0;
+	}
+
+	return false;
+};
+
+ChunkedFileIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._valueIndex < self._values.length - 1) {
+		++self._valueIndex;
+		return true;
+	}
+
+	if (!self._loadValues()) {
+		self._values = [];
+		self._valueIndex = -1;
+		return false;
+	}
+
+	++self._valueIndex;
+	return true;
+};
+
+ChunkedFileIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._valueIndex >= 0 && self._valueIndex < self._values.length) {
+		return self._values[self._valueIndex];
+	}
+	else {
+		return undefined;
+	}
+};
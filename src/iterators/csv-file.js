@@ -0,0 +1,82 @@
+'use strict';
+
+var BabyParse = require('babyparse');
+var extend = require('extend');
+var ChunkedFileIterator = require('./chunked-file');
+var inherit = require('../inherit');
+
+//
+// Find the end of the last complete CSV record in a block of text, ignoring new lines within fields quoted by 'quoteChar'.
+// Returns -1 if there is no complete record.
+//
+var findLastRecordEnd = function (text, quoteChar) {
+
+	var inQuotes = false;
+	var lastRecordEnd = -1;
+
+	for (var i = 0; i < text.length; ++i) {
+		var ch = text[i];
+		if (ch === quoteChar) {
+			inQuotes = !inQuotes; // Escaped quotes toggle twice, so they cancel out.
+		}
+		else if (ch === '\n' && !inQuotes) {
+			lastRecordEnd = i;
+		}
+	}
+
+	return lastRecordEnd;
+};
+
+//
+// The options that are passed to the CSV parser for each block of text.
+// Other options, such as 'header' or 'schema', apply to the whole file and would be wrong if the parser applied them to each block.
+//
+var parserOptionNames = ['delimiter', 'newline', 'quoteChar', 'comments', 'skipEmptyLines'];
+
+//
+// Data-forge iterator that reads a CSV file incrementally. Each value is a row of the file as an array of strings, the header is the first row.
+// The parser options in the config are passed to the CSV parser the same as for 'fromCSV', 'quoteChar' (defaults to '"') is used to find where records end.
+//
+var CsvFileIterator = function (filePath, config) {
+
+	ChunkedFileIterator.call(this, filePath, config);
+
+	var self = this;
+	self._quoteChar = self._config.quoteChar || '"';
+	self._parserConfig = {};
+
+	parserOptionNames.forEach(function (optionName) {
+		if (self._config[optionName] !== undefined) {
+			self._parserConfig[optionName] = self._config[optionName];
+		}
+	});
+};
+
+module.exports = CsvFileIterator;
+
+inherit(CsvFileIterator, ChunkedFileIterator);
+
+CsvFileIterator.prototype._findLastEnd = function (text) {
+
+	var self = this;
+	return findLastRecordEnd(text, self._quoteChar);
+};
+
+//
+// Parse a block of text that contains complete CSV records.
+//
+CsvFileIterator.prototype._parse = function (text, terminated) {
+
+	var self = this;
+	var csvConfig = extend({}, self._parserConfig);
+	var rows = BabyParse.parse(text, csvConfig).data;
+
+	if (terminated && rows.length > 0) {
+		var lastRow = rows[rows.length - 1];
+		if (lastRow.length === 1 && lastRow[0] === '') {
+			rows.pop(); // The parser sees an empty record after the final new line, it isn't in the file.
+		}
+	}
+
+	return rows;
+};
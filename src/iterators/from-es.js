@@ -0,0 +1,38 @@
+'use strict';
+
+//
+// Data-forge iterator that wraps an ES2015 iterator, such as the iterator of a Set or Map or a generator object.
+//
+var FromEsIterator = function (esIterator) {
+
+	var self = this;
+	self._esIterator = esIterator;
+	self._current = undefined;
+	self._done = false;
+};
+
+module.exports = FromEsIterator;
+
+FromEsIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (!self._done) {
+		var result = self._esIterator.next();
+		if (!result.done) {
+			self._current = result.value;
+			return true;
+		}
+
+		self._done = true; // Don't call next again after the ES2015 iterator has finished.
+	}
+
+	self._current = undefined;
+	return false;
+};
+
+FromEsIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
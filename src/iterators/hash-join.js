@@ -0,0 +1,58 @@
+'use strict';
+
+//
+// Iterator that joins the pairs of an outer iterator to inner values with matching keys, in a single pass over the outer iterator.
+// 'lookup' maps the key of each inner value to an array of the inner values with that key, in order. 'outerKey' is called with
+// the value and index of each outer pair and returns its key. There is an output for each outer value and each of its matching
+// inner values, produced by 'resultSelector'. Outer pairs with undefined values are skipped.
+// Each output is a [rowIndex, result] pair, rows are numbered from zero.
+//
+var HashJoinIterator = function (iterator, lookup, outerKey, resultSelector) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._lookup = lookup;
+	self._outerKey = outerKey;
+	self._resultSelector = resultSelector;
+	self._outerValue = undefined;
+	self._matches = [];
+	self._matchIndex = 0;
+	self._rowIndex = -1;
+	self._current = undefined;
+};
+
+module.exports = HashJoinIterator;
+
+HashJoinIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	while (self._matchIndex >= self._matches.length) {
+		if (!self._iterator.moveNext()) {
+			self._matches = [];
+			self._matchIndex = 0;
+			self._current = undefined;
+			return false;
+		}
+
+		var pair = self._iterator.getCurrent();
+		if (pair[1] === undefined) {
+			continue;
+		}
+
+		self._outerValue = pair[1];
+		self._matches = self._lookup[self._outerKey(pair[1], pair[0])] || [];
+		self._matchIndex = 0;
+	}
+
+	++self._rowIndex;
+	self._current = [self._rowIndex, self._resultSelector(self._outerValue, self._matches[self._matchIndex])];
+	++self._matchIndex;
+	return true;
+};
+
+HashJoinIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
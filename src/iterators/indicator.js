@@ -0,0 +1,39 @@
+'use strict';
+
+//
+// Iterator that computes an indicator over the pairs of another iterator, in a single pass.
+// 'step' is called with the index and value of each pair and returns an output pair, or undefined when there is no output
+// for the pair (for example while a moving average is waiting for enough values).
+//
+var IndicatorIterator = function (iterator, step) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._step = step;
+	self._current = undefined;
+};
+
+module.exports = IndicatorIterator;
+
+IndicatorIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	while (self._iterator.moveNext()) {
+		var pair = self._iterator.getCurrent();
+		var output = self._step(pair[0], pair[1]);
+		if (output !== undefined) {
+			self._current = output;
+			return true;
+		}
+	}
+
+	self._current = undefined;
+	return false;
+};
+
+IndicatorIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
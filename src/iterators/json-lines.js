@@ -0,0 +1,60 @@
+'use strict';
+
+//
+// Iterator that parses JSON Lines (newline-delimited JSON), one value for each line of another iterator.
+// Blank lines are skipped. A line that isn't valid JSON throws an error with the (one-based) line number,
+// unless 'skipMalformed' is set in the config, then the line is skipped and passed to the 'onMalformed' callback (when set)
+// as an object with the (one-based) 'lineNumber', the 'line' and the 'error' message from the JSON parser.
+//
+var JsonLinesIterator = function (lineIterator, config) {
+
+	var self = this;
+	self._lineIterator = lineIterator;
+	self._skipMalformed = !!(config && config.skipMalformed);
+	self._onMalformed = config && config.onMalformed;
+	self._lineNumber = 0;
+	self._current = undefined;
+};
+
+module.exports = JsonLinesIterator;
+
+JsonLinesIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	while (self._lineIterator.moveNext()) {
+		++self._lineNumber;
+
+		var line = self._lineIterator.getCurrent();
+		if (line.trim().length === 0) {
+			continue;
+		}
+
+		try {
+			self._current = JSON.parse(line);
+		}
+		catch (err) {
+			if (self._skipMalformed) {
+				if (self._onMalformed) {
+					self._onMalformed({ lineNumber: self._lineNumber, line: line, error: err.message });
+				}
+
+				continue;
+			}
+
+			throw new Error("Malformed JSON on line " + self._lineNumber + ": " + err.message);
+		}
+
+		return true;
+	}
+
+	self._current = undefined;
+	return false;
+};
+
+JsonLinesIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
+
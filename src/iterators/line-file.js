@@ -0,0 +1,33 @@
+'use strict';
+
+var ChunkedFileIterator = require('./chunked-file');
+var inherit = require('../inherit');
+
+//
+// Data-forge iterator that reads the lines of a text file incrementally. Line endings ('\n' or '\r\n') aren't included in the lines.
+//
+var LineFileIterator = function (filePath, config) {
+
+	ChunkedFileIterator.call(this, filePath, config);
+};
+
+module.exports = LineFileIterator;
+
+inherit(LineFileIterator, ChunkedFileIterator);
+
+LineFileIterator.prototype._findLastEnd = function (text) {
+
+	return text.lastIndexOf('\n');
+};
+
+LineFileIterator.prototype._parse = function (text, terminated) {
+
+	if (terminated) {
+		text = text.substring(0, text.length - 1); // The new line that ends the last line.
+	}
+
+	return text.split('\n')
+		.map(function (line) {
+			return line.length > 0 && line[line.length - 1] === '\r' ? line.substring(0, line.length - 1) : line;
+		});
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+//
+// Iterator that splits text into lines as it is moved forward, so that the text isn't split up front.
+// Lines end with '\n' or '\r\n', the line endings aren't included in the lines.
+//
+var LineIterator = function (text) {
+
+	var self = this;
+	self._text = text;
+	self._position = 0;
+	self._current = undefined;
+};
+
+module.exports = LineIterator;
+
+LineIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._position >= self._text.length) {
+		self._current = undefined;
+		return false;
+	}
+
+	var lineEnd = self._text.indexOf('\n', self._position);
+	if (lineEnd < 0) {
+		lineEnd = self._text.length;
+	}
+
+	var line = self._text.substring(self._position, lineEnd);
+	if (line.length > 0 && line[line.length - 1] === '\r') {
+		line = line.substring(0, line.length - 1);
+	}
+
+	self._current = line;
+	self._position = lineEnd + 1;
+	return true;
+};
+
+LineIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
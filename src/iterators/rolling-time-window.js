@@ -0,0 +1,68 @@
+'use strict';
+
+//
+// Iterator that produces a rolling window over the pairs of another iterator that covers a period of time, in a single pass.
+// The index must contain dates in ascending order. There is a window for each pair, which contains that pair and the
+// preceding pairs whose index falls within the period that ends at it.
+// Each value is a [date, window] pair, 'createWindow' creates the window from an array of the pairs it contains.
+//
+var RollingTimeWindowIterator = function (iterator, period, createWindow) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._period = period;
+	self._createWindow = createWindow;
+	self._buffer = []; // Pairs in the current window, from position '_start' onwards.
+	self._start = 0;
+	self._hasWindow = false;
+	self._current = undefined;
+};
+
+module.exports = RollingTimeWindowIterator;
+
+RollingTimeWindowIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (!self._iterator.moveNext()) {
+		self._buffer = [];
+		self._start = 0;
+		self._hasWindow = false;
+		self._current = undefined;
+		return false;
+	}
+
+	var pair = self._iterator.getCurrent();
+	if (!(pair[0] instanceof Date)) {
+		throw new Error("Expected the index of the series to contain dates for time based windows, instead found '" + pair[0] + "'.");
+	}
+
+	self._buffer.push(pair);
+
+	// Drop pairs that have fallen out of the window.
+	var windowStart = self._period.windowStart(pair[0]).getTime();
+	while (self._buffer[self._start][0].getTime() <= windowStart) {
+		++self._start;
+	}
+
+	// Reclaim the space used by dropped pairs once they make up most of the buffer.
+	if (self._start > 1024 && self._start * 2 > self._buffer.length) {
+		self._buffer = self._buffer.slice(self._start);
+		self._start = 0;
+	}
+
+	self._hasWindow = true;
+	self._current = undefined; // The window is only created when it is requested.
+	return true;
+};
+
+RollingTimeWindowIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._current === undefined && self._hasWindow) {
+		var pairs = self._buffer.slice(self._start);
+		self._current = [pairs[pairs.length - 1][0], self._createWindow(pairs)];
+	}
+
+	return self._current;
+};
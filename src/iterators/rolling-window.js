@@ -0,0 +1,67 @@
+'use strict';
+
+//
+// Iterator that produces a rolling window over the pairs of another iterator, in a single pass.
+// The most recent pairs are kept in a ring buffer, so each step only reads one new pair from the source.
+// Each value is a [windowIndex, window] pair, 'createWindow' creates the window from an array of the pairs it contains.
+//
+var RollingWindowIterator = function (iterator, period, createWindow) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._period = period;
+	self._createWindow = createWindow;
+	self._buffer = new Array(Math.max(period, 0));
+	self._next = 0; // Position in the ring buffer of the next pair to be written, which is also the oldest pair once the buffer is full.
+	self._count = 0;
+	self._windowIndex = -1;
+	self._hasWindow = false;
+	self._current = undefined;
+};
+
+module.exports = RollingWindowIterator;
+
+RollingWindowIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._period <= 0) {
+		return false;
+	}
+
+	// Fill the buffer for the first window, then advance a single pair for each subsequent window.
+	do {
+		if (!self._iterator.moveNext()) {
+			self._hasWindow = false;
+			self._current = undefined;
+			return false;
+		}
+
+		self._buffer[self._next] = self._iterator.getCurrent();
+		self._next = (self._next + 1) % self._period;
+		++self._count;
+	} while (self._count < self._period);
+
+	++self._windowIndex;
+	self._hasWindow = true;
+	self._current = undefined; // The window is only created when it is requested.
+	return true;
+};
+
+RollingWindowIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._current === undefined && self._hasWindow) {
+		//
+		// Copy the pairs out of the ring buffer, oldest first.
+		//
+		var pairs = new Array(self._period);
+		for (var i = 0; i < self._period; ++i) {
+			pairs[i] = self._buffer[(self._next + i) % self._period];
+		}
+
+		self._current = [self._windowIndex, self._createWindow(pairs)];
+	}
+
+	return self._current;
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+//
+// Iterator that validates and coerces rows against a schema.
+// Rows that are dropped by the schema are skipped.
+//
+var SchemaIterator = function (iterator, schema, onViolation) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._schema = schema;
+	self._onViolation = onViolation || function () {};
+	self._rowIndex = -1;
+	self._current = undefined;
+};
+
+module.exports = SchemaIterator;
+
+SchemaIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	while (self._iterator.moveNext()) {
+		++self._rowIndex;
+
+		var row = self._schema.applyToRow(self._iterator.getCurrent(), self._rowIndex, self._onViolation);
+		if (row) {
+			self._current = row;
+			return true;
+		}
+	}
+
+	self._current = undefined;
+	return false;
+};
+
+SchemaIterator.prototype.getCurrent = function () {
+	var self = this;
+	return self._current;
+};
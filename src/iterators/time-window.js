@@ -0,0 +1,87 @@
+'use strict';
+
+//
+// Iterator that groups the pairs of another iterator into time buckets according to their date index, in a single pass.
+// The index must be in ascending order. Buckets that contain no pairs are skipped.
+// Each value is a [bucketStart, window] pair, 'createWindow' creates the window from an array of the pairs it contains.
+//
+var TimeWindowIterator = function (iterator, period, createWindow) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._period = period;
+	self._createWindow = createWindow;
+	self._pending = undefined; // First pair of the next bucket, read ahead while finding the end of the current bucket.
+	self._pendingStart = undefined;
+	self._done = false;
+	self._bucketStart = undefined;
+	self._pairs = null;
+	self._current = undefined;
+};
+
+module.exports = TimeWindowIterator;
+
+//
+// Find the start of the bucket that contains a pair.
+//
+TimeWindowIterator.prototype._bucketStartOf = function (pair) {
+
+	var self = this;
+	if (!(pair[0] instanceof Date)) {
+		throw new Error("Expected the index of the series to contain dates for time based windows, instead found '" + pair[0] + "'.");
+	}
+
+	return self._period.bucketStart(pair[0]);
+};
+
+TimeWindowIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._pending === undefined) {
+		if (self._done || !self._iterator.moveNext()) {
+			self._done = true;
+			self._pairs = null;
+			self._current = undefined;
+			return false;
+		}
+
+		self._pending = self._iterator.getCurrent();
+		self._pendingStart = self._bucketStartOf(self._pending);
+	}
+
+	var pairs = [self._pending];
+	var bucketStart = self._pendingStart;
+	self._pending = undefined;
+
+	while (self._iterator.moveNext()) {
+		var curPair = self._iterator.getCurrent();
+		var curStart = self._bucketStartOf(curPair);
+		if (curStart.getTime() !== bucketStart.getTime()) {
+			self._pending = curPair; // Starts the next bucket.
+			self._pendingStart = curStart;
+			break;
+		}
+
+		pairs.push(curPair);
+	}
+
+	if (self._pending === undefined) {
+		self._done = true;
+	}
+
+	self._bucketStart = bucketStart;
+	self._pairs = pairs;
+	self._current = undefined; // The window is only created when it is requested.
+	return true;
+};
+
+TimeWindowIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._current === undefined && self._pairs) {
+		self._current = [self._bucketStart, self._createWindow(self._pairs)];
+	}
+
+	return self._current;
+};
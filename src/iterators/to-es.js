@@ -0,0 +1,43 @@
+'use strict';
+
+//
+// ES2015 iterator that wraps a data-forge iterator of pairs, so that series and dataframes work with for...of, spread and Array.from.
+// 'selector' picks what to produce from each pair. Pairs with undefined values are skipped, the same as 'toArray' and 'toPairs'.
+//
+var ToEsIterator = function (iterator, selector) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._selector = selector;
+};
+
+module.exports = ToEsIterator;
+
+ToEsIterator.prototype.next = function () {
+
+	var self = this;
+
+	while (self._iterator.moveNext()) {
+		var pair = self._iterator.getCurrent();
+		if (pair[1] !== undefined) {
+			return {
+				value: self._selector(pair),
+				done: false,
+			};
+		}
+	}
+
+	return {
+		value: undefined,
+		done: true,
+	};
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+	//
+	// ES2015 iterators are also iterable.
+	//
+	ToEsIterator.prototype[Symbol.iterator] = function () {
+		return this;
+	};
+}
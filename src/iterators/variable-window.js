@@ -0,0 +1,69 @@
+'use strict';
+
+//
+// Iterator that groups sequential pairs of another iterator into variable length windows, in a single pass.
+// 'comparer' is called with the values of the current and previous pairs and returns true when they belong in the same window.
+// Each value is a [windowIndex, window] pair, 'createWindow' creates the window from an array of the pairs it contains.
+//
+var VariableWindowIterator = function (iterator, comparer, createWindow) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._comparer = comparer;
+	self._createWindow = createWindow;
+	self._pending = undefined; // First pair of the next window, read ahead while finding the end of the current window.
+	self._done = false;
+	self._windowIndex = -1;
+	self._pairs = null;
+	self._current = undefined;
+};
+
+module.exports = VariableWindowIterator;
+
+VariableWindowIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (self._pending === undefined) {
+		if (self._done || !self._iterator.moveNext()) {
+			self._done = true;
+			self._pairs = null;
+			self._current = undefined;
+			return false;
+		}
+
+		self._pending = self._iterator.getCurrent();
+	}
+
+	var pairs = [self._pending];
+	self._pending = undefined;
+
+	while (self._iterator.moveNext()) {
+		var curPair = self._iterator.getCurrent();
+		if (!self._comparer(curPair[1], pairs[pairs.length - 1][1])) {
+			self._pending = curPair; // Starts the next window.
+			break;
+		}
+
+		pairs.push(curPair);
+	}
+
+	if (self._pending === undefined) {
+		self._done = true;
+	}
+
+	++self._windowIndex;
+	self._pairs = pairs;
+	self._current = undefined; // The window is only created when it is requested.
+	return true;
+};
+
+VariableWindowIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._current === undefined && self._pairs) {
+		self._current = [self._windowIndex, self._createWindow(self._pairs)];
+	}
+
+	return self._current;
+};
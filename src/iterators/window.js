@@ -0,0 +1,55 @@
+'use strict';
+
+//
+// Iterator that segments the pairs of another iterator into consecutive windows of a fixed size, in a single pass.
+// Each value is a [windowIndex, window] pair, 'createWindow' creates the window from an array of the pairs it contains.
+//
+var WindowIterator = function (iterator, period, createWindow) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._period = period;
+	self._createWindow = createWindow;
+	self._done = false;
+	self._windowIndex = -1;
+	self._pairs = null;
+	self._current = undefined;
+};
+
+module.exports = WindowIterator;
+
+WindowIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var pairs = [];
+
+	while (!self._done && pairs.length < self._period) {
+		if (!self._iterator.moveNext()) {
+			self._done = true; // Don't read past the end of the source again.
+			break;
+		}
+
+		pairs.push(self._iterator.getCurrent());
+	}
+
+	if (pairs.length === 0) {
+		self._pairs = null;
+		self._current = undefined;
+		return false; // Nothing left.
+	}
+
+	++self._windowIndex;
+	self._pairs = pairs;
+	self._current = undefined; // The window is only created when it is requested.
+	return true;
+};
+
+WindowIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	if (self._current === undefined && self._pairs) {
+		self._current = [self._windowIndex, self._createWindow(self._pairs)];
+	}
+
+	return self._current;
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+//
+// Hash keys for comparing values by value, used by 'distinct', 'union', 'intersection' and 'except'.
+//
+// The default key is structural: numbers, strings and booleans are keyed by their type and value, dates by their time and
+// arrays and objects by the keys of their elements and fields (in any order), so that values that look the same have the same key.
+// Each operation can be passed a different key function with the 'key' option.
+//
+
+var assert = require('chai').assert;
+
+var structuralKey = function (value) {
+	if (value === undefined) {
+		return 'undefined';
+	}
+
+	if (value === null) {
+		return 'null';
+	}
+
+	if (Object.isDate(value)) {
+		return 'date:' + value.getTime();
+	}
+
+	if (Object.isArray(value)) {
+		return 'array:' + JSON.stringify(value.map(structuralKey));
+	}
+
+	if (typeof value === 'object') {
+		var fields = Object.keys(value)
+			.sort()
+			.map(function (fieldName) {
+				return [fieldName, structuralKey(value[fieldName])];
+			});
+		return 'object:' + JSON.stringify(fields);
+	}
+
+	return typeof value + ':' + value;
+};
+
+module.exports = {
+
+	//
+	// Validate the options passed to an operation that compares values by key and fill in the default structural key.
+	// The 'key' option is a function that is passed a value and returns a string, values with the same key are considered equal.
+	//
+	validateOptions: function (options, fnName) {
+
+		if (options === undefined || options === null) {
+			return { key: structuralKey };
+		}
+
+		assert.isObject(options, "Expected optional 'options' parameter to '" + fnName + "' to be an object with options for comparing values.");
+
+		if (options.key !== undefined) {
+			assert.isFunction(options.key, "Expected 'key' option to '" + fnName + "' to be a function that returns the key (a string) for a value.");
+		}
+
+		return {
+			key: options.key || structuralKey,
+		};
+	},
+
+	structuralKey: structuralKey,
+};
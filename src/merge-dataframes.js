@@ -0,0 +1,165 @@
+'use strict';
+
+var assert = require('chai').assert;
+var E = require('linq');
+var DataFrame = require('./dataframe');
+var SelectIterator = require('./iterators/select');
+
+//
+// Build a function that extracts the (possibly composite) merge key from a row.
+// Joins hash keys by value, so dates and composite keys (arrays of values) match when their contents are the same.
+//
+var makeKeySelector = function (keyColumns) {
+
+	if (keyColumns.length === 1) {
+		var keyColumn = keyColumns[0];
+		return function (row) {
+			return row[keyColumn];
+		};
+	}
+
+	return function (row) {
+		return keyColumns.map(function (keyColumn) {
+			return row[keyColumn];
+		});
+	};
+};
+
+/**
+ * Merge two dataframes on one or more key columns, in the style of a Pandas merge.
+ *
+ * @param {DataFrame} left - The left dataframe to merge.
+ * @param {DataFrame} right - The right dataframe to merge.
+ * @param {object} [options] - Optional options: 'on' (column name or array of column names to merge on, defaults to the columns common to both dataframes), 'how' ('inner', 'left', 'right' or 'outer', defaults to 'inner') and 'suffixes' (two element array of suffixes for overlapping columns, defaults to ['_x', '_y']).
+ */
+module.exports = function (left, right, options) {
+
+	assert.instanceOf(left, DataFrame, "Expected 'left' parameter to 'dataForge.merge' to be a DataFrame.");
+	assert.instanceOf(right, DataFrame, "Expected 'right' parameter to 'dataForge.merge' to be a DataFrame.");
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'dataForge.merge' to be an object with merge options.");
+	}
+	else {
+		options = {};
+	}
+
+	var leftColumnNames = left.getColumnNames();
+	var rightColumnNames = right.getColumnNames();
+
+	var keyColumns = options.on;
+	if (keyColumns === undefined) {
+		keyColumns = E.from(leftColumnNames)
+			.intersect(rightColumnNames)
+			.toArray();
+	}
+	else if (!Object.isArray(keyColumns)) {
+		keyColumns = [keyColumns];
+	}
+
+	assert(keyColumns.length > 0, "Expected 'on' option to 'dataForge.merge' to specify one or more columns to merge on, or for the dataframes to have columns in common.");
+
+	keyColumns.forEach(function (keyColumn) {
+		assert.isString(keyColumn, "Expected 'on' option to 'dataForge.merge' to be a column name or an array of column names.");
+
+		if (leftColumnNames.indexOf(keyColumn) < 0) {
+			throw new Error("Expected left dataframe to contain merge column '" + keyColumn + "'.");
+		}
+
+		if (rightColumnNames.indexOf(keyColumn) < 0) {
+			throw new Error("Expected right dataframe to contain merge column '" + keyColumn + "'.");
+		}
+	});
+
+	var how = options.how || 'inner';
+	assert(
+		how === 'inner' || how === 'left' || how === 'right' || how === 'outer',
+		"Expected 'how' option to 'dataForge.merge' to be one of 'inner', 'left', 'right' or 'outer', instead it is '" + how + "'."
+	);
+
+	var suffixes = options.suffixes || ['_x', '_y'];
+	assert.isArray(suffixes, "Expected 'suffixes' option to 'dataForge.merge' to be an array of two strings.");
+	assert(suffixes.length === 2, "Expected 'suffixes' option to 'dataForge.merge' to be an array of two strings.");
+
+	var isKeyColumn = function (columnName) {
+		return keyColumns.indexOf(columnName) >= 0;
+	};
+
+	var leftValueColumns = E.from(leftColumnNames)
+		.where(function (columnName) {
+			return !isKeyColumn(columnName);
+		})
+		.toArray();
+
+	var rightValueColumns = E.from(rightColumnNames)
+		.where(function (columnName) {
+			return !isKeyColumn(columnName);
+		})
+		.toArray();
+
+	//
+	// Map each non-key column to its output column name, suffixing columns that exist in both dataframes.
+	//
+	var leftOutputColumns = E.from(leftValueColumns)
+		.select(function (columnName) {
+			return rightValueColumns.indexOf(columnName) >= 0 ? columnName + suffixes[0] : columnName;
+		})
+		.toArray();
+
+	var rightOutputColumns = E.from(rightValueColumns)
+		.select(function (columnName) {
+			return leftValueColumns.indexOf(columnName) >= 0 ? columnName + suffixes[1] : columnName;
+		})
+		.toArray();
+
+	var columnNames = keyColumns
+		.concat(leftOutputColumns)
+		.concat(rightOutputColumns);
+
+	var resultSelector = function (leftRow, rightRow) {
+		var keyRow = leftRow || rightRow;
+		var output = {};
+
+		keyColumns.forEach(function (keyColumn) {
+			output[keyColumn] = keyRow[keyColumn];
+		});
+
+		leftValueColumns.forEach(function (columnName, columnIndex) {
+			output[leftOutputColumns[columnIndex]] = leftRow ? leftRow[columnName] : undefined;
+		});
+
+		rightValueColumns.forEach(function (columnName, columnIndex) {
+			output[rightOutputColumns[columnIndex]] = rightRow ? rightRow[columnName] : undefined;
+		});
+
+		return output;
+	};
+
+	var keySelector = makeKeySelector(keyColumns);
+
+	var joinMethod = {
+		inner: 'join',
+		left: 'joinOuterLeft',
+		right: 'joinOuterRight',
+		outer: 'joinOuter',
+	}[how];
+
+	var joined = left[joinMethod](right, keySelector, keySelector, resultSelector);
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new SelectIterator(
+					joined.getIterator(),
+					function (pair, rowIndex) {
+						return [rowIndex, pair[1]];
+					}
+				);
+			},
+
+			getColumnNames: function () {
+				return columnNames;
+			},
+		},
+	});
+};
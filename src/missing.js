@@ -0,0 +1,194 @@
+'use strict';
+
+//
+// The definition of missing values and the algorithms for filling them.
+//
+// By default undefined, null, NaN and empty (or whitespace only) strings are missing. The definition can be changed
+// for all operations with 'define' (exposed as 'dataForge.defineMissing') or for a single operation with the 'isMissing' option.
+//
+
+var assert = require('chai').assert;
+
+var defaultIsMissing = function (value) {
+	if (value === undefined || value === null) {
+		return true;
+	}
+
+	if (Object.isNumber(value)) {
+		return isNaN(value);
+	}
+
+	return Object.isString(value) && value.trim().length === 0;
+};
+
+var currentIsMissing = defaultIsMissing;
+
+//
+// Create a predicate from a list of missing values, NaN matches NaN.
+//
+var createPredicate = function (missingValues) {
+	return function (value) {
+		for (var i = 0; i < missingValues.length; ++i) {
+			var missingValue = missingValues[i];
+			if (value === missingValue || (Object.isNumber(value) && Object.isNumber(missingValue) && isNaN(value) && isNaN(missingValue))) {
+				return true;
+			}
+		}
+
+		return false;
+	};
+};
+
+//
+// Find the runs of consecutive missing values. Each run is an object with 'start' and 'end' (exclusive) positions.
+//
+var findMissingRuns = function (values, isMissing) {
+	var runs = [];
+	var i = 0;
+	while (i < values.length) {
+		if (!isMissing(values[i])) {
+			++i;
+			continue;
+		}
+
+		var start = i;
+		while (i < values.length && isMissing(values[i])) {
+			++i;
+		}
+
+		runs.push({ start: start, end: i });
+	}
+
+	return runs;
+};
+
+//
+// Convert an index value to a number for interpolating.
+//
+var toPosition = function (indexValue) {
+	if (Object.isDate(indexValue)) {
+		return indexValue.getTime();
+	}
+
+	if (!Object.isNumber(indexValue)) {
+		throw new Error("Expected the index to contain dates or numbers for time-weighted interpolation, instead found '" + indexValue + "'.");
+	}
+
+	return indexValue;
+};
+
+module.exports = {
+
+	//
+	// Determine if a value is missing according to the current definition.
+	//
+	isMissing: function (value) {
+		return currentIsMissing(value);
+	},
+
+	//
+	// Change the definition of missing values. Pass a predicate function, an array of missing values or null to restore the default.
+	//
+	define: function (definition) {
+		if (definition === null || definition === undefined) {
+			currentIsMissing = defaultIsMissing;
+		}
+		else if (Object.isArray(definition)) {
+			currentIsMissing = createPredicate(definition);
+		}
+		else {
+			assert.isFunction(definition, "Expected 'definition' parameter to 'dataForge.defineMissing' to be a predicate function, an array of missing values or null to restore the default definition.");
+			currentIsMissing = definition;
+		}
+	},
+
+	//
+	// Resolve the missing value predicate for an operation from its options.
+	//
+	resolve: function (options, fnName) {
+		if (options && options.isMissing !== undefined) {
+			if (Object.isArray(options.isMissing)) {
+				return createPredicate(options.isMissing);
+			}
+
+			assert.isFunction(options.isMissing, "Expected 'isMissing' option to '" + fnName + "' to be a predicate function or an array of missing values.");
+			return options.isMissing;
+		}
+
+		return currentIsMissing;
+	},
+
+	//
+	// Fill missing values with the previous value that isn't missing.
+	// 'limit' is the maximum number of consecutive missing values to fill.
+	//
+	fillForward: function (values, limit, isMissing) {
+		var output = values.slice();
+		findMissingRuns(values, isMissing).forEach(function (run) {
+			if (run.start === 0) {
+				return; // Nothing to fill from.
+			}
+
+			var end = limit !== undefined ? Math.min(run.end, run.start + limit) : run.end;
+			for (var i = run.start; i < end; ++i) {
+				output[i] = values[run.start - 1];
+			}
+		});
+
+		return output;
+	},
+
+	//
+	// Fill missing values with the next value that isn't missing.
+	// 'limit' is the maximum number of consecutive missing values to fill.
+	//
+	fillBackward: function (values, limit, isMissing) {
+		var output = values.slice();
+		findMissingRuns(values, isMissing).forEach(function (run) {
+			if (run.end === values.length) {
+				return; // Nothing to fill from.
+			}
+
+			var start = limit !== undefined ? Math.max(run.start, run.end - limit) : run.start;
+			for (var i = start; i < run.end; ++i) {
+				output[i] = values[run.end];
+			}
+		});
+
+		return output;
+	},
+
+	//
+	// Fill missing values by interpolating between the values on either side.
+	// 'indexValues' is provided for time-weighted interpolation, otherwise values are treated as equally spaced.
+	// Missing values at the start and end can't be interpolated and are left as they are.
+	// 'limit' is the maximum number of consecutive missing values to fill.
+	//
+	interpolate: function (values, indexValues, limit, isMissing) {
+		var output = values.slice();
+		findMissingRuns(values, isMissing).forEach(function (run) {
+			if (run.start === 0 || run.end === values.length) {
+				return; // Nothing to interpolate from.
+			}
+
+			var before = values[run.start - 1];
+			var after = values[run.end];
+			if (!Object.isNumber(before) || !Object.isNumber(after)) {
+				throw new Error("Expected numbers to interpolate between, instead found '" + before + "' and '" + after + "'.");
+			}
+
+			var position = function (i) {
+				return indexValues ? toPosition(indexValues[i]) : i;
+			};
+
+			var startPosition = position(run.start - 1);
+			var distance = position(run.end) - startPosition;
+			var end = limit !== undefined ? Math.min(run.end, run.start + limit) : run.end;
+			for (var i = run.start; i < end; ++i) {
+				output[i] = before + (after - before) * (position(i) - startPosition) / distance;
+			}
+		});
+
+		return output;
+	},
+};
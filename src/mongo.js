@@ -0,0 +1,228 @@
+'use strict';
+
+//
+// Helpers for storing data to a MongoDB collection.
+// Documents are pulled from the data source a batch at a time, so DataFrame and AsyncDataFrame share the same store implementation.
+//
+
+var assert = require('chai').assert;
+var extend = require('extend');
+
+//
+// Check the options for storing to MongoDB and fill in the defaults.
+//
+var parseStoreOptions = function (options, fnName) {
+
+	if (options) {
+		assert.isObject(options, "Expected optional 'options' parameter to " + fnName + " to be an object with options for storing data.");
+	}
+	else {
+		options = {};
+	}
+
+	var batchSize = options.batchSize !== undefined ? options.batchSize : 1000;
+	assert.isNumber(batchSize, "Expected 'batchSize' option to " + fnName + " to be a number.");
+	assert(batchSize > 0, "Expected 'batchSize' option to " + fnName + " to be greater than zero.");
+
+	var keyColumns;
+	if (options.upsertKey !== undefined) {
+		keyColumns = Object.isArray(options.upsertKey) ? options.upsertKey : [options.upsertKey];
+		assert(keyColumns.length > 0, "Expected 'upsertKey' option to " + fnName + " to be a column name or an array of column names.");
+		keyColumns.forEach(function (keyColumn) {
+			assert.isString(keyColumn, "Expected 'upsertKey' option to " + fnName + " to be a column name or an array of column names.");
+		});
+		assert(!options.replace, "The 'upsertKey' and 'replace' options to " + fnName + " can't be used together.");
+	}
+
+	return {
+		batchSize: batchSize,
+		ordered: options.ordered !== false,
+		keyColumns: keyColumns,
+		replace: !!options.replace,
+	};
+};
+
+//
+// Write a batch of documents to a MongoDB collection with a single insert or update command.
+// Resolves to the number of documents inserted, updated and failed, plus the write errors.
+//
+var writeBatch = function (collection, documents, settings) {
+
+	if (!settings.keyColumns) {
+		return collection.runCommand('insert', { documents: documents, ordered: settings.ordered })
+			.then(function (result) {
+				var errors = result.writeErrors || [];
+				return {
+					inserted: result.n || 0,
+					updated: 0,
+					failed: errors.length,
+					errors: errors,
+				};
+			});
+	}
+
+	var updates = documents.map(function (document) {
+		var key = {};
+		settings.keyColumns.forEach(function (keyColumn) {
+			if (document[keyColumn] === undefined) {
+				throw new Error("Expected row to have a value for upsert key column '" + keyColumn + "'.");
+			}
+
+			key[keyColumn] = document[keyColumn];
+		});
+
+		return { q: key, u: document, upsert: true };
+	});
+
+	return collection.runCommand('update', { updates: updates, ordered: settings.ordered })
+		.then(function (result) {
+			var errors = result.writeErrors || [];
+			var inserted = (result.upserted || []).length;
+			return {
+				inserted: inserted,
+				updated: (result.n || 0) - inserted,
+				failed: errors.length,
+				errors: errors,
+			};
+		});
+};
+
+//
+// Rename the temporary collection over the target collection, replacing the target's documents in a single step.
+// Resolves to the number of documents that were replaced.
+//
+var renameOver = function (db, tempCollectionName, collectionName) {
+
+	var removed = 0;
+
+	return db[collectionName].count()
+		.then(function (count) {
+			removed = count;
+			return db.toString(); // Resolves to the database name.
+		})
+		.then(function (dbName) {
+			return db.getSiblingDb('admin') // MongoDB only runs 'renameCollection' against the admin database.
+				.then(function (adminDb) {
+					return adminDb.runCommand({
+						renameCollection: dbName + '.' + tempCollectionName,
+						to: dbName + '.' + collectionName,
+						dropTarget: true,
+					});
+				});
+		})
+		.then(function () {
+			return removed;
+		});
+};
+
+//
+// Store documents to a MongoDB collection.
+// 'readBatch' is called with the batch size and returns a promise for the next array of documents, an empty array when there are no more documents.
+// Each batch is written before the next is read.
+// To replace the collection, documents are written to a temporary collection that is only renamed over the collection once every document has been written.
+//
+var store = function (connectionString, collectionName, settings, readBatch) {
+
+	var mongo = require('promised-mongo');
+	var db = mongo(connectionString, [collectionName]);
+	var tempCollectionName = settings.replace ? collectionName + '_dataforge_' + Date.now() : null;
+	var collection = settings.replace ? db.collection(tempCollectionName) : db[collectionName];
+
+	var result = {
+		inserted: 0,
+		updated: 0,
+		failed: 0,
+		removed: 0,
+		errors: [],
+	};
+
+	var rowIndex = 0;
+	var stopped = false;
+
+	var writeBatches = function () {
+		return readBatch(settings.batchSize)
+			.then(function (documents) {
+				if (documents.length === 0) {
+					return;
+				}
+
+				var batchStart = rowIndex;
+				rowIndex += documents.length;
+
+				return writeBatch(collection, documents, settings)
+					.then(function (batchResult) {
+						result.inserted += batchResult.inserted;
+						result.updated += batchResult.updated;
+						result.failed += batchResult.failed;
+						batchResult.errors.forEach(function (error) {
+							result.errors.push(extend({}, error, { index: batchStart + error.index })); // Index of the failed row in the data source.
+						});
+
+						if (batchResult.failed > 0 && settings.ordered) {
+							stopped = true;
+							return; // An ordered store stops at the first error.
+						}
+
+						return writeBatches();
+					});
+			});
+	};
+
+	//
+	// Drop the temporary collection and leave the existing collection untouched.
+	//
+	var abandonReplace = function () {
+		return collection.drop()
+			.catch(function () {
+				// The temporary collection doesn't exist when nothing was written to it.
+			});
+	};
+
+	var finishReplace = function () {
+		if (!settings.replace) {
+			return Promise.resolve();
+		}
+
+		if (stopped) {
+			result.inserted = 0; // Nothing reaches the collection.
+			return abandonReplace();
+		}
+
+		if (result.inserted === 0) {
+			return db[collectionName].remove({}) // No temporary collection to rename, the collection is just emptied.
+				.then(function (removeResult) {
+					result.removed = removeResult.n || 0;
+				});
+		}
+
+		return renameOver(db, tempCollectionName, collectionName)
+			.then(function (removed) {
+				result.removed = removed;
+			});
+	};
+
+	return writeBatches()
+		.then(function () {
+			return finishReplace();
+		})
+		.catch(function (err) {
+			return (settings.replace ? abandonReplace() : Promise.resolve())
+				.then(function () {
+					return db.close(); // An error occurred, but we still need to close the database.
+				})
+				.then(function () {
+					throw err; // Rethrow after trying to close database.
+				});
+		})
+		.then(function () {
+			return db.close(); // Finished with the database connection.
+		})
+		.then(function () {
+			return result;
+		});
+};
+
+module.exports = {
+	parseStoreOptions: parseStoreOptions,
+	store: store,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+//
+// Time periods for windowing and resampling series that have a date index.
+//
+// A period is specified as a string with an optional amount and a unit, for example 'day', '7 days', '15 minutes' or 'month'.
+// The units are 'second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year' and 'business day'.
+// Calendar periods are aligned to the start of the unit in local time. Multiples of seconds, minutes and hours are aligned
+// to the start of the day, multiples of larger units are aligned to 1 January 1970.
+// Business day buckets start each weekday, values that fall on a weekend belong to the preceding Friday.
+//
+
+var assert = require('chai').assert;
+var moment = require('moment');
+
+var units = {
+	second: 'second',
+	minute: 'minute',
+	hour: 'hour',
+	day: 'day',
+	week: 'week',
+	month: 'month',
+	quarter: 'quarter',
+	year: 'year',
+	businessday: 'businessDay',
+};
+
+var subDayUnits = ['second', 'minute', 'hour'];
+
+var saturday = 6;
+var sunday = 0;
+
+//
+// Find the start of the calendar unit that contains a date, treating weekends as part of the preceding Friday.
+//
+var startOfUnit = function (date, unit) {
+
+	if (unit !== 'businessDay') {
+		return moment(date).startOf(unit);
+	}
+
+	var start = moment(date).startOf('day');
+	var dayOfWeek = start.day();
+	if (dayOfWeek === saturday) {
+		start.subtract(1, 'day');
+	}
+	else if (dayOfWeek === sunday) {
+		start.subtract(2, 'day');
+	}
+
+	return start;
+};
+
+//
+// Add a number of units to a date, skipping weekends when the unit is business days.
+//
+var addUnits = function (date, amount, unit) {
+
+	if (unit !== 'businessDay') {
+		return moment(date).add(amount, unit);
+	}
+
+	var result = moment(date);
+	while (amount > 0) {
+		result.add(1, 'day');
+		if (result.day() !== saturday && result.day() !== sunday) {
+			--amount;
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Constructor for Period.
+ * @constructor
+ * @param {string} period - The period, for example 'day', '7 days' or 'month'.
+ * @param {string} fnName - Name of the function the period was passed to, for error messages.
+ */
+var Period = function (period, fnName) {
+
+	assert.isString(period, "Expected 'period' parameter to '" + fnName + "' to be a string that specifies a time period, for example '1 day' or '15 minutes'.");
+
+	var match = period.trim().toLowerCase().match(/^(\d+)?\s*([a-z ]+?)s?$/);
+	var unit = match && units[match[2].replace(/ /g, '')];
+	assert(unit, "Expected 'period' parameter to '" + fnName + "' to be an optional amount and one of the units second, minute, hour, day, week, month, quarter, year or business day, instead it is '" + period + "'.");
+
+	var amount = match[1] !== undefined ? parseInt(match[1]) : 1;
+	assert(amount > 0, "Expected the amount in 'period' parameter to '" + fnName + "' to be greater than zero.");
+	assert(amount === 1 || unit !== 'businessDay', "Expected 'period' parameter to '" + fnName + "' to be a single business day, multiples of business days are not supported.");
+
+	var self = this;
+	self.amount = amount;
+	self.unit = unit;
+
+	if (amount > 1 && subDayUnits.indexOf(unit) < 0) {
+		// Multiples are aligned to a fixed reference, so bucket boundaries don't depend on the data.
+		self._reference = moment([1970, 0, 1]).startOf(unit);
+	}
+};
+
+module.exports = Period;
+
+/**
+ * Get the start of the bucket that contains a date.
+ *
+ * @param {Date} date - The date.
+ *
+ * @returns {Date} Returns the date at the start of the bucket.
+ */
+Period.prototype.bucketStart = function (date) {
+
+	var self = this;
+	var start = startOfUnit(date, self.unit);
+
+	if (self.amount > 1) {
+		var reference = self._reference || moment(date).startOf('day');
+		var numUnits = start.diff(reference, self.unit);
+		start = moment(reference).add(Math.floor(numUnits / self.amount) * self.amount, self.unit);
+	}
+
+	return start.toDate();
+};
+
+/**
+ * Get the start of the bucket that follows the bucket that starts at a date.
+ *
+ * @param {Date} bucketStart - The start of a bucket.
+ *
+ * @returns {Date} Returns the start of the next bucket.
+ */
+Period.prototype.nextBucket = function (bucketStart) {
+
+	var self = this;
+	return addUnits(bucketStart, self.amount, self.unit).toDate();
+};
+
+/**
+ * Get the start of a window that covers the period up to a date.
+ *
+ * @param {Date} date - The end of the window.
+ *
+ * @returns {Date} Returns the (exclusive) start of the window.
+ */
+Period.prototype.windowStart = function (date) {
+
+	var self = this;
+	if (self.unit !== 'businessDay') {
+		return moment(date).subtract(self.amount, self.unit).toDate();
+	}
+
+	var result = moment(date);
+	var amount = self.amount;
+	while (amount > 0) {
+		result.subtract(1, 'day');
+		if (result.day() !== saturday && result.day() !== sunday) {
+			--amount;
+		}
+	}
+
+	return result.toDate();
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+var assert = require('chai').assert;
+var E = require('linq');
+var DataFrame = require('./dataframe');
+var aggregators = require('./aggregators');
+var keys = require('./keys');
+
+//
+// Normalize an option that can be a column name or an array of column names.
+//
+var toColumnNames = function (columnOrColumns, optionName) {
+
+	var columnNames = Object.isArray(columnOrColumns) ? columnOrColumns : [columnOrColumns];
+	assert(columnNames.length > 0, "Expected '" + optionName + "' option to 'DataFrame.pivotTable' to specify at least one column.");
+
+	columnNames.forEach(function (columnName) {
+		assert.isString(columnName, "Expected '" + optionName + "' option to 'DataFrame.pivotTable' to be a column name or an array of column names.");
+	});
+
+	return columnNames;
+};
+
+//
+// Find or create the entry for a key in a hash, recording the order in which keys are first encountered.
+// Key values are compared structurally, so null, undefined and NaN are separate keys and a date isn't the same key as its string.
+//
+var findOrCreate = function (lookup, orderedKeys, keyValues, create) {
+
+	var key = keys.structuralKey(keyValues);
+	var entry = lookup[key];
+	if (!entry) {
+		entry = lookup[key] = create();
+		orderedKeys.push({ key: key, keyValues: keyValues });
+	}
+
+	return entry;
+};
+
+//
+// Create an array with an empty array for each value column, to collect the values to aggregate.
+//
+var createValueLists = function (numValueColumns) {
+
+	var valueLists = new Array(numValueColumns);
+	for (var i = 0; i < numValueColumns; ++i) {
+		valueLists[i] = [];
+	}
+	return valueLists;
+};
+
+/**
+ * Summarize a dataframe as a pivot table, in a single pass over the rows.
+ *
+ * @param {DataFrame} dataFrame - The dataframe to summarize.
+ * @param {object} options - Options: 'index' (column name or array of column names whose values make the rows), 'columns' (column name or array of column names whose values make the new columns),
+ * 'values' (column name or array of column names to aggregate, defaults to the remaining columns), 'aggregate' (the name of an aggregation or a function that is passed a Series of values, defaults to 'sum'),
+ * 'fillValue' (value for combinations that have no values), 'margins' (set to true to add a total column and a total row) and 'marginsName' (label for the totals, defaults to 'Total').
+ */
+module.exports = function (dataFrame, options) {
+
+	assert.isObject(options, "Expected 'options' parameter to 'DataFrame.pivotTable' to be an object that specifies 'index' and 'columns'.");
+
+	var columnNames = dataFrame.getColumnNames();
+	var indexColumns = toColumnNames(options.index, 'index');
+	var pivotColumns = toColumnNames(options.columns, 'columns');
+
+	var valueColumns = options.values !== undefined ?
+		toColumnNames(options.values, 'values') :
+		E.from(columnNames)
+			.where(function (columnName) {
+				return indexColumns.indexOf(columnName) < 0 && pivotColumns.indexOf(columnName) < 0;
+			})
+			.toArray();
+
+	assert(valueColumns.length > 0, "Expected the dataframe passed to 'DataFrame.pivotTable' to have a column of values to aggregate.");
+
+	indexColumns.concat(pivotColumns).concat(valueColumns).forEach(function (columnName) {
+		if (columnNames.indexOf(columnName) < 0) {
+			throw new Error("Expected dataframe to contain column '" + columnName + "'.");
+		}
+	});
+
+	var aggregate = aggregators.resolve(options.aggregate || 'sum', "'aggregate' option to 'DataFrame.pivotTable'");
+	var fillValue = options.fillValue;
+	var marginsName = options.marginsName || 'Total';
+
+	//
+	// Collect the values for each combination of row and column keys.
+	//
+	var rowKeys = [];
+	var rows = Object.create(null);
+	var columnKeys = [];
+	var columnTotals = Object.create(null);
+	var grandTotals = createValueLists(valueColumns.length);
+
+	var extractKey = function (row, keyColumns) {
+		return keyColumns.map(function (keyColumn) {
+			return row[keyColumn];
+		});
+	};
+
+	dataFrame.toArray().forEach(function (row) {
+		var rowEntry = findOrCreate(rows, rowKeys, extractKey(row, indexColumns), function () {
+			return {
+				cells: Object.create(null),
+				totals: createValueLists(valueColumns.length),
+			};
+		});
+
+		var columnKeyValues = extractKey(row, pivotColumns);
+		var columnTotal = findOrCreate(columnTotals, columnKeys, columnKeyValues, function () {
+			return createValueLists(valueColumns.length);
+		});
+
+		var cellKey = keys.structuralKey(columnKeyValues);
+		var cell = rowEntry.cells[cellKey];
+		if (!cell) {
+			cell = rowEntry.cells[cellKey] = createValueLists(valueColumns.length);
+		}
+
+		valueColumns.forEach(function (valueColumn, valueIndex) {
+			var value = row[valueColumn];
+			cell[valueIndex].push(value);
+			rowEntry.totals[valueIndex].push(value);
+			columnTotal[valueIndex].push(value);
+			grandTotals[valueIndex].push(value);
+		});
+	});
+
+	//
+	// Name the new columns.
+	//
+	var columnLabels = columnKeys.map(function (columnKey) {
+		return columnKey.keyValues.join('_');
+	});
+
+	if (options.margins) {
+		columnLabels.push(marginsName);
+	}
+
+	var newColumnNames = indexColumns.slice();
+	valueColumns.forEach(function (valueColumn) {
+		columnLabels.forEach(function (columnLabel) {
+			newColumnNames.push(valueColumns.length > 1 ? valueColumn + '_' + columnLabel : columnLabel);
+		});
+	});
+
+	//
+	// Aggregate each row.
+	//
+	var aggregateRow = function (keyValues, findValues, totals) {
+		var output = keyValues.slice();
+		valueColumns.forEach(function (valueColumn, valueIndex) {
+			columnKeys.forEach(function (columnKey) {
+				var values = findValues(columnKey);
+				output.push(values ? aggregate(values[valueIndex]) : fillValue);
+			});
+
+			if (options.margins) {
+				output.push(aggregate(totals[valueIndex]));
+			}
+		});
+		return output;
+	};
+
+	var index = [];
+	var values = rowKeys.map(function (rowKey) {
+		var rowEntry = rows[rowKey.key];
+		index.push(rowKey.keyValues.length === 1 ? rowKey.keyValues[0] : rowKey.keyValues);
+		return aggregateRow(rowKey.keyValues, function (columnKey) {
+			return rowEntry.cells[columnKey.key];
+		}, rowEntry.totals);
+	});
+
+	if (options.margins && rowKeys.length > 0) {
+		var totalKeyValues = indexColumns.map(function (indexColumn, columnIndex) {
+			return columnIndex === 0 ? marginsName : '';
+		});
+
+		index.push(totalKeyValues.length === 1 ? marginsName : totalKeyValues);
+		values.push(aggregateRow(totalKeyValues, function (columnKey) {
+			return columnTotals[columnKey.key];
+		}, grandTotals));
+	}
+
+	return new DataFrame({
+		columnNames: newColumnNames,
+		values: values,
+		index: index,
+	}).bake();
+};
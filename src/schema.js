@@ -0,0 +1,235 @@
+'use strict';
+
+//
+// Typed column schemas that validate and coerce the values of each row as a dataframe is loaded.
+//
+// A schema is an object that maps column names to column definitions. A column definition is either a type name
+// or an object with the following fields:
+//
+//		type - 'string', 'number', 'int', 'boolean', 'date' or 'any'.
+//		nullable - Set to false to report missing values as violations, defaults to true.
+//		           Values are missing according to the same definition as 'dropMissing' (see 'dataForge.defineMissing').
+//		format - Format string for parsing date strings (with moment).
+//		default - Value to use when a value is missing, and in place of invalid values in 'default' mode.
+//		values - Array of allowed values.
+//		min / max - Allowed range of values.
+//
+// Violations are handled according to the schema mode: 'throw' (the default) throws an error, 'drop' drops the row
+// and 'default' replaces the value with the column default.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var moment = require('moment');
+var extend = require('extend');
+var missing = require('./missing');
+
+var types = ['string', 'number', 'int', 'boolean', 'date', 'any'];
+var modes = ['throw', 'drop', 'default'];
+
+var trueStrings = ['true', 'yes', '1'];
+var falseStrings = ['false', 'no', '0'];
+
+//
+// Coerce a value to a type. Returns an object with either 'value' or 'reason' (when the value can't be coerced).
+//
+var coerce = function (value, column) {
+
+	switch (column.type) {
+		case 'string':
+			if (Object.isDate(value) && column.format) {
+				return { value: moment(value).format(column.format) };
+			}
+			return { value: Object.isString(value) ? value : value.toString() };
+
+		case 'number':
+		case 'int':
+			var number = Object.isString(value) ? Number(value.trim()) : value;
+			if (!Object.isNumber(number) || isNaN(number)) {
+				return { reason: "Expected a number." };
+			}
+			if (column.type === 'int' && Math.floor(number) !== number) {
+				return { reason: "Expected an integer." };
+			}
+			return { value: number };
+
+		case 'boolean':
+			if (value === true || value === false) {
+				return { value: value };
+			}
+			var lowered = value.toString().trim().toLowerCase();
+			if (trueStrings.indexOf(lowered) >= 0) {
+				return { value: true };
+			}
+			if (falseStrings.indexOf(lowered) >= 0) {
+				return { value: false };
+			}
+			return { reason: "Expected a boolean." };
+
+		case 'date':
+			var date;
+			if (Object.isDate(value)) {
+				date = value;
+			}
+			else if (Object.isNumber(value)) {
+				date = new Date(value);
+			}
+			else if (Object.isString(value)) {
+				var parsed = column.format ? moment(value.trim(), column.format, true) : moment(new Date(value.trim()));
+				date = parsed.isValid() ? parsed.toDate() : null;
+			}
+
+			if (!date || isNaN(date.getTime())) {
+				return { reason: column.format ? "Expected a date in the format '" + column.format + "'." : "Expected a date." };
+			}
+			return { value: date };
+
+		default:
+			return { value: value };
+	}
+};
+
+//
+// Comparable form of a value, so that dates compare by value.
+//
+var comparable = function (value) {
+	return Object.isDate(value) ? value.getTime() : value;
+};
+
+//
+// Check that a coerced value is allowed by the column definition. Returns the reason when it isn't.
+//
+var checkConstraints = function (value, column) {
+
+	if (column.values) {
+		var allowed = E.from(column.values)
+			.any(function (allowedValue) {
+				return comparable(allowedValue) === comparable(value);
+			});
+		if (!allowed) {
+			return "Expected one of the allowed values.";
+		}
+	}
+
+	if (column.min !== undefined && comparable(value) < comparable(column.min)) {
+		return "Expected a value no less than " + column.min + ".";
+	}
+
+	if (column.max !== undefined && comparable(value) > comparable(column.max)) {
+		return "Expected a value no greater than " + column.max + ".";
+	}
+
+	return null;
+};
+
+/**
+ * Constructor for Schema.
+ * Validates the schema definition up front so that mistakes are reported when the dataframe is created.
+ * @constructor
+ * @param {object} definition - Object that maps column names to column definitions.
+ * @param {string} [mode] - How violations are handled: 'throw', 'drop' or 'default'. Defaults to 'throw'.
+ */
+var Schema = function (definition, mode) {
+
+	assert.isObject(definition, "Expected 'schema' to be an object that maps column names to column types or definitions.");
+
+	mode = mode || 'throw';
+	assert(modes.indexOf(mode) >= 0, "Expected 'schemaMode' to be one of 'throw', 'drop' or 'default', instead it is '" + mode + "'.");
+
+	var self = this;
+	self.mode = mode;
+	self.columnNames = Object.keys(definition);
+	self.columns = E.from(self.columnNames)
+		.select(function (columnName) {
+			var column = definition[columnName];
+			if (Object.isString(column)) {
+				column = { type: column };
+			}
+
+			assert.isObject(column, "Expected schema for column '" + columnName + "' to be a type name or an object that defines the column.");
+
+			column = extend({ type: 'any', nullable: true }, column);
+			assert(types.indexOf(column.type) >= 0, "Expected type for column '" + columnName + "' in schema to be one of " + types.join(', ') + ", instead it is '" + column.type + "'.");
+
+			if (column.values) {
+				assert.isArray(column.values, "Expected 'values' for column '" + columnName + "' in schema to be an array of allowed values.");
+			}
+
+			if (column.format) {
+				assert.isString(column.format, "Expected 'format' for column '" + columnName + "' in schema to be a format string.");
+			}
+
+			return column;
+		})
+		.toArray();
+};
+
+module.exports = Schema;
+
+/**
+ * Validate and coerce a row.
+ *
+ * @param {object} row - The row to validate.
+ * @param {int} rowIndex - Index of the row in the source data, for reporting.
+ * @param {function} onViolation - Called with each violation.
+ *
+ * @returns {object} Returns the coerced row, or null if the row should be dropped.
+ */
+Schema.prototype.applyToRow = function (row, rowIndex, onViolation) {
+
+	var self = this;
+	var output = extend({}, row);
+	var drop = false;
+
+	self.columns.forEach(function (column, columnIndex) {
+		var columnName = self.columnNames[columnIndex];
+		var value = row[columnName];
+		var reason = null;
+
+		if (missing.isMissing(value)) {
+			if (column.default !== undefined) {
+				output[columnName] = column.default;
+				return;
+			}
+
+			if (column.nullable) {
+				output[columnName] = undefined;
+				return;
+			}
+
+			reason = "Expected a value.";
+		}
+		else {
+			var coerced = coerce(value, column);
+			reason = coerced.reason || checkConstraints(coerced.value, column);
+			output[columnName] = coerced.value;
+		}
+
+		if (!reason) {
+			return;
+		}
+
+		var violation = {
+			rowIndex: rowIndex,
+			column: columnName,
+			value: value,
+			reason: reason,
+		};
+
+		onViolation(violation);
+
+		if (self.mode === 'throw') {
+			var err = new Error("Schema violation in column '" + columnName + "' at row " + rowIndex + ": " + reason);
+			err.violation = violation;
+			throw err;
+		}
+		else if (self.mode === 'drop') {
+			drop = true;
+		}
+		else {
+			output[columnName] = column.default;
+		}
+	});
+
+	return drop ? null : output;
+};
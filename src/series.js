@@ -19,6 +19,14 @@ var PairIterator = require('../src/iterators/pair');
 var WhereIterator = require('../src/iterators/where');
 var CountIterator = require('../src/iterators/count');
 var EmptyIterator = require('../src/iterators/empty');
+var WindowIterator = require('./iterators/window');
+var RollingWindowIterator = require('./iterators/rolling-window');
+var VariableWindowIterator = require('./iterators/variable-window');
+var TimeWindowIterator = require('./iterators/time-window');
+var RollingTimeWindowIterator = require('./iterators/rolling-time-window');
+var IndicatorIterator = require('./iterators/indicator');
+var HashJoinIterator = require('./iterators/hash-join');
+var AsOfJoinIterator = require('./iterators/as-of-join');
 var PairsIterable = require('../src/iterables/pairs');
 var SelectValuesIterable = require('../src/iterables/select-values');
 var ArrayIterable = require('../src/iterables/array');
@@ -32,6 +40,14 @@ var TakeWhileIterable = require('../src/iterables/take-while');
 var WhereIterable = require('../src/iterables/where');
 var SelectPairsIterable = require('../src/iterables/select-pairs');
 var extend = require('extend');
+var Period = require('./period');
+var missing = require('./missing');
+var stats = require('./stats');
+var indicators = require('./indicators');
+var esIterables = require('./es-iterables');
+var keys = require('./keys');
+var sort = require('./sort');
+var ToEsIterator = require('./iterators/to-es');
 
 
 //
@@ -41,9 +57,9 @@ var createIndexIterable = function (index) {
 	if (!index) {
 		return new CountIterable();
 	}
-	else if (Object.isFunction(index)) {
+	else if (esIterables.isConvertible(index)) {
 		return {
-			getIterator: index,
+			getIterator: esIterables.toIteratorFunction(index),
 		};
 	}
 	else if (Object.isArray(index)) {
@@ -61,9 +77,9 @@ var createValuesIterable = function (values) {
 	if (!values) {
 		return new EmptyIterable(); 
 	}
-	else if (Object.isFunction(values)) {
+	else if (esIterables.isConvertible(values)) {
 		return {
-			getIterator: values,
+			getIterator: esIterables.toIteratorFunction(values),
 		};
 	}
 	else if (Object.isArray(values)) {
@@ -74,11 +90,106 @@ var createValuesIterable = function (values) {
 	}
 };
 
+//
+// Create a baked series or dataframe from an array of pairs.
+// Baked series keep their pairs, so that the index can support fast lookups.
+//
+var createBaked = function (self, pairs) {
+
+	var baked = self.factory({
+		iterable: {
+			getIterator: function () {
+				return new ArrayIterator(pairs);
+			},
+
+			getColumnNames: function () {
+				return self.iterable.getColumnNames();
+			},
+		}
+	});
+	baked._baked = true;
+	baked._pairs = pairs;
+	return baked;
+};
+
+//
+// Create a lazily evaluated series or dataframe with the pairs of 'self' whose values pass a predicate.
+// 'createPredicate' is called each time the series is iterated, so that state (such as the keys that have been seen) isn't shared between iterations.
+// The predicate it returns is passed each value and its index.
+// Pairs with undefined values are skipped.
+//
+var createFilteredSeries = function (self, createPredicate) {
+
+	return self.factory({
+		iterable: {
+			getIterator: function () {
+				var predicate = createPredicate();
+				return new WhereIterator(self.iterable.getIterator(), function (pair) {
+					return pair[1] !== undefined && predicate(pair[1], pair[0]);
+				});
+			},
+
+			getColumnNames: function () {
+				return self.iterable.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Hash the keys of the values of a series. 'selector' is called with each value and its index to select what to hash and 'key' makes its key.
+// Returns an object with a field for each key.
+//
+var createKeySet = function (series, selector, key) {
+
+	var keySet = Object.create(null); // No prototype, so keys such as 'constructor' aren't already present.
+	var iterator = series.getIterator();
+	while (iterator.moveNext()) {
+		var pair = iterator.getCurrent();
+		if (pair[1] !== undefined) {
+			keySet[key(selector(pair[1], pair[0]))] = true;
+		}
+	}
+
+	return keySet;
+};
+
+//
+// Hash the keys of the values of a series for a join. 'keySelector' is called with each value and its index, 'key' makes the key of what it selects.
+// Returns an object that maps each key to an array of the values that have the key, in order. Undefined values are skipped.
+//
+var createKeyLookup = function (series, keySelector, key) {
+
+	var lookup = Object.create(null); // No prototype, so keys such as 'constructor' aren't already present.
+	var iterator = series.getIterator();
+	while (iterator.moveNext()) {
+		var pair = iterator.getCurrent();
+		if (pair[1] === undefined) {
+			continue;
+		}
+
+		var valueKey = key(keySelector(pair[1], pair[0]));
+		if (lookup[valueKey]) {
+			lookup[valueKey].push(pair[1]);
+		}
+		else {
+			lookup[valueKey] = [pair[1]];
+		}
+	}
+
+	return lookup;
+};
+
+var identity = function (value) {
+	return value;
+};
+
 /**
  * Constructor for Series.
  * @constructor
  * @memberof dataForge
  * @param {object|array} config|values - Specifies content and configuration for the Series.
+ * The 'values' and 'index' fields can be arrays, iterables, functions that return iterators, ES2015 iterables (such as a Set or a generator object) or generator functions.
  */
 var Series = function (config) {
 
@@ -108,16 +219,16 @@ var Series = function (config) {
 		}
 
 		if (config.values) {
-			if (!Object.isFunction(config.values) && !Object.isArray(config.values)) {
-				assert.isObject(config.values, "Expected 'values' field of 'config' parameter to Series constructor be an array of values, a function that returns an iterator or an iterable.");
-				assert.isFunction(config.values.getIterator, "Expected 'values' field of 'config' parameter to Series constructor be an array of values, a function that returns an iterator or an iterable.");
+			if (!esIterables.isConvertible(config.values) && !Object.isArray(config.values)) {
+				assert.isObject(config.values, "Expected 'values' field of 'config' parameter to Series constructor be an array of values, a function that returns an iterator (or a generator function), an iterable or an ES2015 iterable.");
+				assert.isFunction(config.values.getIterator, "Expected 'values' field of 'config' parameter to Series constructor be an array of values, a function that returns an iterator (or a generator function), an iterable or an ES2015 iterable.");
 			}
 		}
 
 		if (config.index) {
-			if (!Object.isFunction(config.index) && !Object.isArray(config.index)) {
-				assert.isObject(config.index, "Expected 'index' field of 'config' parameter to Series constructor to be an array, function that returns an iterator, Series, DataFrame or iterable.");
-				assert.isFunction(config.index.getIterator, "Expected 'index' field of 'config' parameter to Series constructor to be an array, function that returns an iterator, Series, DataFrame or iterable.");
+			if (!esIterables.isConvertible(config.index) && !Object.isArray(config.index)) {
+				assert.isObject(config.index, "Expected 'index' field of 'config' parameter to Series constructor to be an array, function that returns an iterator (or a generator function), Series, DataFrame, iterable or ES2015 iterable.");
+				assert.isFunction(config.index.getIterator, "Expected 'index' field of 'config' parameter to Series constructor to be an array, function that returns an iterator (or a generator function), Series, DataFrame, iterable or ES2015 iterable.");
 			}
 		}
 
@@ -163,7 +274,20 @@ Series.prototype.getIterator = function () {
  */
 Series.prototype.getIndex = function () {
 	var self = this;
-	return new Index({ //todo: Should cache index.
+	if (self._baked) {
+		if (!self._index) {
+			// The index of a baked series is cached and builds lookup structures on demand.
+			var indexValues = self._pairs.map(function (pair) {
+				return pair[0];
+			});
+			self._index = new Index({ values: indexValues });
+			self._index._bakedValues = indexValues;
+		}
+
+		return self._index;
+	}
+
+	return new Index({
 		values: new ExtractIterable(self.iterable, 0), // Extract the index. 
 	});
 };
@@ -365,51 +489,40 @@ Series.prototype.selectMany = function (generator) {
 };
 
 //
-// Throw an exception if the sort method doesn't make sense.
-//
-var validateSortMethod = function (sortMethod) {
-	assert.isString(sortMethod);
-	assert(
-		sortMethod === 'orderBy' || 
-	   sortMethod === 'orderByDescending' ||
-	   sortMethod === 'thenBy' ||
-	   sortMethod === 'thenByDescending', 
-	   "Expected 'sortMethod' to be one of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending', instead it is '" + sortMethod + "'."
-   );
-};
-
-//
-// Execute a batched sorting command.
+// Sort a series or dataframe by a batch of sort commands, the first command is the primary sort.
+// Each command has a 'sortSelector', a 'direction' (1 for ascending, -1 for descending) and 'options' (see 'sort.validateOptions').
+// The sort is stable: values with the same keys keep their original order. It is lazily evaluated when the result is iterated.
+// The result remembers the batch so that 'thenBy' and 'thenByDescending' can add to it.
 //
 var executeOrderBy = function (self, batch) {
 
-	assert.isObject(self);
-	assert.isArray(batch);
-	assert(batch.length > 0);
-
 	//
 	// Don't invoke the sort until we really know what we need.
 	//
 	var executeLazySort = function () {
 
-		batch.forEach(function (orderCmd) {
-			assert.isObject(orderCmd);
-			assert.isFunction(orderCmd.sortSelector);
-			validateSortMethod(orderCmd.sortMethod);
-		});
+		var compareKeys = sort.createComparer(batch);
+		var sortable = self.toPairs()
+			.map(function (pair, position) {
+				return {
+					pair: pair,
+					keys: batch.map(function (orderCmd) {
+						return orderCmd.sortSelector(pair[1]);
+					}),
+					position: position,
+				};
+			});
 
-		var pairs = self.toPairs();
+		sortable.sort(function (a, b) {
+			return compareKeys(a.keys, b.keys) || a.position - b.position;
+		});
 
-		return E.from(batch)
-			.aggregate(E.from(pairs), function (unsorted, orderCmd) {
-				return unsorted[orderCmd.sortMethod](function (pair) {
-					return orderCmd.sortSelector(pair[1]);
-				}); 
-			})
-			.toArray();
+		return sortable.map(function (item) {
+			return item.pair;
+		});
 	};
 
-	return self.factory({
+	var sorted = self.factory({
 		iterable: {
 			getIterator: function () {
 				return new ArrayIterator(executeLazySort());
@@ -420,105 +533,99 @@ var executeOrderBy = function (self, batch) {
 			},
 		},
 	});
+
+	sorted._sortSource = self;
+	sorted._sortBatch = batch;
+	return sorted;
 };
 
 //
-// Order by values in a partcular series, either ascending or descending
+// Create a sort command from the parameters of a sort method.
 //
-var orderBy = function (self, sortMethod, sortSelector) {
-	assert.isObject(self);
-	validateSortMethod(sortMethod);
-	assert.isFunction(sortSelector);
-
-	var batchOrder = [
-		{ 
-			sortSelector: sortSelector, 
-			sortMethod: sortMethod 
-		}
-	];
+var createOrderCmd = function (sortSelector, options, direction, fnName) {
+
+	if (sortSelector) {
+		assert.isFunction(sortSelector, "Expected 'sortSelector' parameter to '" + fnName + "' to be a function that selects the value to sort by.");
+	}
+	else {
+		sortSelector = identity;
+	}
 
-	var sortedDataFrame = executeOrderBy(self, batchOrder);
-	sortedDataFrame.thenBy = orderThenBy(self, batchOrder, 'thenBy');
-	sortedDataFrame.thenByDescending = orderThenBy(self, batchOrder, 'thenByDescending');	
-	return sortedDataFrame;
+	return {
+		sortSelector: sortSelector,
+		direction: direction,
+		options: sort.validateOptions(options, fnName),
+	};
 };
 
 //
-// Generates a thenBy function that is attached to already ordered data frames.
+// Add a sort command to the sort that produced a series or dataframe.
 //
-var orderThenBy = function (self, batch, nextSortMethod) {
-	assert.isObject(self);
-	assert.isArray(batch);
-	assert(batch.length > 0);
-	validateSortMethod(nextSortMethod);
-	
-	return function (sortSelector) {
-		assert.isFunction(sortSelector, "Expected parameter 'sortSelector' to be a function");
+var orderThenBy = function (self, orderCmd, fnName) {
 
-		var extendedBatch = batch.concat([
-			{
-				sortSelector: sortSelector,
-				sortMethod: nextSortMethod,
-			},
-		]);
-
-		var sortedDataFrame = executeOrderBy(self, extendedBatch);
-
-		/** 
-		 * Performs additional sorting (ascending).
-		 * 
-		 * @public
-		 * @instance
-		 * @memberof dataForge.Series
-		 * @param {function} sortSelector - Selects the value to sort by.
-		 * 
-		 * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector. 
-		 */
-		var thenBy = orderThenBy(self, extendedBatch, 'thenBy');
-		sortedDataFrame.thenBy = thenBy;
-
-		/** 
-		 * Performs additional sorting (descending). 
-		 * 
-		 * @public
-		 * @instance
-		 * @memberof dataForge.Series
-		 * @param {function} sortSelector - Selects the value to sort by.
-		 * 
-		 * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector. 
-		 */
-		var thenByDescending = orderThenBy(self, extendedBatch, 'thenByDescending');
-		sortedDataFrame.thenByDescending = thenByDescending;
-		return sortedDataFrame;
-	};	
-};
-
-/**
- * Sorts the series or dataframe (ascending). 
- * 
- * @param {function} sortSelector - Selects the value to sort by.
+	assert(self._sortBatch, "Expected '" + fnName + "' to be called on the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.");
+
+	return executeOrderBy(self._sortSource, self._sortBatch.concat([orderCmd]));
+};
+
+/**
+ * Sorts the series or dataframe (ascending). The sort is stable, values that sort the same keep their order.
+ * By default missing values (null, undefined and NaN) sort last, strings are compared by code point and dates by time.
+ * 
+ * @param {function} [sortSelector] - Selects the value to sort by, defaults to the value itself.
+ * @param {function|object} [options] - Optional comparer function, or an object with options: 'comparer' (function that compares two values
+ * and returns a negative number, zero or a positive number), 'nulls' ('first' or 'last', where missing values are placed, regardless of the direction)
+ * and 'collator' (an Intl.Collator or a locale, for locale aware comparison of strings). Missing values aren't passed to the comparer.
  * 
  * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector. 
  */
-Series.prototype.orderBy = function (sortSelector) {
-
-	assert.isFunction
+Series.prototype.orderBy = function (sortSelector, options) {
 
 	var self = this;
-	return orderBy(self, 'orderBy', sortSelector);
+	return executeOrderBy(self, [createOrderCmd(sortSelector, options, 1, 'Series.orderBy')]);
 };
 
 /**
- * Sorts the series or dataframe (descending). 
+ * Sorts the series or dataframe (descending). The sort is stable, values that sort the same keep their order.
  * 
- * @param {function} sortSelector - Selects the value to sort by.
+ * @param {function} [sortSelector] - Selects the value to sort by, defaults to the value itself.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'orderBy'.
  * 
  * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector.
  */
-Series.prototype.orderByDescending = function (sortSelector) {
+Series.prototype.orderByDescending = function (sortSelector, options) {
 
 	var self = this;
-	return orderBy(self, 'orderByDescending', sortSelector);
+	return executeOrderBy(self, [createOrderCmd(sortSelector, options, -1, 'Series.orderByDescending')]);
+};
+
+/** 
+ * Performs additional sorting (ascending) of the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.
+ * Values that sort the same by the previous sort commands are sorted by the value returned by the selector.
+ * 
+ * @param {function} [sortSelector] - Selects the value to sort by, defaults to the value itself.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'orderBy'.
+ * 
+ * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector. 
+ */
+Series.prototype.thenBy = function (sortSelector, options) {
+
+	var self = this;
+	return orderThenBy(self, createOrderCmd(sortSelector, options, 1, 'Series.thenBy'), 'Series.thenBy');
+};
+
+/** 
+ * Performs additional sorting (descending) of the result of 'orderBy', 'orderByDescending', 'thenBy' or 'thenByDescending'.
+ * 
+ * @param {function} [sortSelector] - Selects the value to sort by, defaults to the value itself.
+ * @param {function|object} [options] - Optional comparer function or an object with 'comparer', 'nulls' and 'collator' options, see 'orderBy'.
+ * 
+ * @returns {Series|DataFrame} Returns a new series or dataframe that has been sorted by the value returned by the selector. 
+ */
+Series.prototype.thenByDescending = function (sortSelector, options) {
+
+	var self = this;
+	return orderThenBy(self, createOrderCmd(sortSelector, options, -1, 'Series.thenByDescending'), 'Series.thenByDescending');
 };
 
 /**
@@ -539,29 +646,9 @@ Series.prototype.window = function (period, obsoleteSelector) {
 	return new Series({
 		iterable: {
 			getIterator: function () {
-
-				var curOutput = undefined;
-				var windowIndex = 0;
-
-				return {
-					moveNext: function () {
-						var window = self.skip(windowIndex*period).take(period);
-						if (window.none(function () { return true; })) { //todo: Shouldn't have to pass a predicate.
-							return false; // Nothing left.
-						}
-
-						curOutput = [
-							windowIndex, 
-							window,						
-						];
-						++windowIndex;
-						return true;
-					},
-
-					getCurrent: function () {
-						return curOutput;
-					},
-				};
+				return new WindowIterator(self.getIterator(), period, function (pairs) {
+					return createBaked(self, pairs);
+				});
 			},
 		}
 	});	
@@ -585,30 +672,161 @@ Series.prototype.rollingWindow = function (period, obsoleteSelector) {
 	return new Series({
 		iterable: { 
 			getIterator: function () {
+				return new RollingWindowIterator(self.getIterator(), period, function (pairs) {
+					return createBaked(self, pairs);
+				});
+			},
+		},
+	});
+};
+
+//
+// Create a series of the time buckets of a series.
+//
+var createTimeWindows = function (self, timePeriod) {
+
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new TimeWindowIterator(self.getIterator(), timePeriod, function (pairs) {
+					return createBaked(self, pairs);
+				});
+			},
+		},
+	});
+};
+
+/**
+ * Segment a Series with a date index into time buckets, for example one per day or per calendar month.
+ * The index must be in ascending order. Buckets that contain no values are left out.
+ * Use select or selectPairs to aggregate, or use resample.
+ *
+ * @param {string} period - The length of each bucket, for example 'day', '7 days', '15 minutes', 'month' or 'business day'.
+ * 
+ * @returns {Series} Returns a new series indexed by the start of each bucket, each value of which is a 'window' of the original series or dataframe.
+ */
+Series.prototype.timeWindow = function (period) {
 
-				var curOutput = undefined;
-				var done = false;
-				var windowIndex = 0;
+	var self = this;
+	return createTimeWindows(self, new Period(period, 'Series.timeWindow'));
+};
 
-				return {
-					moveNext: function () {
-						var window = self.skip(windowIndex).take(period);
-						if (window.count() < period) {
-							return false;
+/**
+ * Segment a Series with a date index into 'rolling windows' that cover a period of time, for example the last 7 days.
+ * The index must be in ascending order. There is a window for each value, which contains that value and the preceding values within the period.
+ * Use select or selectPairs to aggregate.
+ *
+ * @param {string} period - The length of time covered by each window, for example '7 days', '1 hour' or '5 business days'.
+ * 
+ * @returns {Series} Returns a new series indexed by the date at the end of each window, each value of which is a 'window' of the original series or dataframe.
+ */
+Series.prototype.rollingTimeWindow = function (period) {
+
+	var timePeriod = new Period(period, 'Series.rollingTimeWindow');
+
+	var self = this;
+
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new RollingTimeWindowIterator(self.getIterator(), timePeriod, function (pairs) {
+					return createBaked(self, pairs);
+				});
+			},
+		},
+	});
+};
+
+//
+// Aggregations that can be specified by name for 'resample'.
+//
+var resampleAggregators = ['sum', 'average', 'median', 'min', 'max', 'count', 'first', 'last'];
+
+//
+// Generate the value for an empty bucket when upsampling.
+//
+var resampleFillers = {
+	previous: function (bucketStart, pairA, pairB) {
+		return pairA[1];
+	},
+
+	linear: function (bucketStart, pairA, pairB) {
+		if (!Object.isNumber(pairA[1]) || !Object.isNumber(pairB[1])) {
+			throw new Error("Expected numbers to interpolate when resampling, instead found '" + pairA[1] + "' and '" + pairB[1] + "'.");
+		}
+
+		var fraction = (bucketStart.getTime() - pairA[0].getTime()) / (pairB[0].getTime() - pairA[0].getTime());
+		return pairA[1] + (pairB[1] - pairA[1]) * fraction;
+	},
+};
+
+/**
+ * Resample a Series with a date index to a different time period, for example to convert irregular readings to daily values.
+ * Each value in the new series is produced by aggregating the values in a time bucket and is indexed by the start of the bucket.
+ * Empty buckets are left out unless a fill option is specified, which generates values for the empty buckets (upsampling).
+ *
+ * @param {string} period - The length of each bucket, for example 'day', '7 days', '15 minutes', 'month' or 'business day'.
+ * @param {function|string} aggregator - Function that is passed the window for each bucket and returns the aggregated value, or the name of a Series aggregation: 'sum', 'average', 'median', 'min', 'max', 'count', 'first' or 'last'.
+ * @param {object} [options] - Optional object that specifies 'fill', either 'previous' to repeat the previous value, 'linear' to interpolate between values or a function that is passed the start of an empty bucket and the pairs before and after it and returns the value for the bucket.
+ * 
+ * @returns {Series} Returns a new series with a value for each bucket.
+ */
+Series.prototype.resample = function (period, aggregator, options) {
+
+	var timePeriod = new Period(period, 'Series.resample');
+
+	if (Object.isString(aggregator)) {
+		assert(resampleAggregators.indexOf(aggregator) >= 0, "Expected 'aggregator' parameter to 'Series.resample' to be a function or one of " + resampleAggregators.join(', ') + ", instead it is '" + aggregator + "'.");
+
+		var aggregatorName = aggregator;
+		aggregator = function (window) {
+			return window[aggregatorName]();
+		};
+	}
+	else {
+		assert.isFunction(aggregator, "Expected 'aggregator' parameter to 'Series.resample' to be a function that aggregates each window or the name of an aggregation.");
+	}
+
+	var filler;
+	if (options && options.fill !== undefined) {
+		filler = Object.isFunction(options.fill) ? options.fill : resampleFillers[options.fill];
+		assert.isFunction(filler, "Expected 'fill' option to 'Series.resample' to be 'previous', 'linear' or a function that generates the value for an empty bucket.");
+	}
+
+	var self = this;
+
+	var aggregated = createTimeWindows(self, timePeriod)
+		.asPairs()
+		.select(function (pair) {
+			return [pair[0], aggregator(pair[1])];
+		})
+		.asValues();
+
+	if (!filler) {
+		return aggregated;
+	}
+
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				var output = [];
+				var prevPair = null;
+
+				aggregated.toPairs().forEach(function (pair) {
+					if (prevPair) {
+						// Generate values for the empty buckets between this bucket and the previous one.
+						var bucketStart = timePeriod.nextBucket(prevPair[0]);
+						while (bucketStart.getTime() < pair[0].getTime()) {
+							output.push([bucketStart, filler(bucketStart, prevPair, pair)]);
+							bucketStart = timePeriod.nextBucket(bucketStart);
 						}
+					}
 
-						curOutput = [
-							windowIndex, 
-							window,						
-						];
-						++windowIndex;
-						return true;
-					},
+					output.push(pair);
+					prevPair = pair;
+				});
 
-					getCurrent: function () {
-						return curOutput;
-					},
-				};
+				return new ArrayIterator(output);
 			},
 		},
 	});
@@ -666,60 +884,320 @@ Series.prototype.percentChange = function () {
 		;
 };
 
-/**
- * Parse a series with string values to a series with int values.
- * 
- * @returns {Series} Returns a new series where string values from the original series have been parsed to integer values.
- */
-Series.prototype.parseInts = function () {
+//
+// Create a series that computes an indicator over another series. 'createStep' creates the step function of the indicator each time the series is iterated.
+//
+var createIndicatorSeries = function (self, createStep) {
 
-	var self = this;
-	return self.select(function (value, valueIndex) {
-		if (value === undefined) {
-			return undefined;
-		}
-		else {
-			assert.isString(value, "Called parseInts on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new IndicatorIterator(self.getIterator(), createStep());
+			},
+		},
+	});
+};
 
-			if (value.length === 0) {
-				return undefined;
-			}
+//
+// Check that a period passed to an indicator is a positive integer.
+//
+var validatePeriod = function (period, parameterName, fnName) {
 
-			return parseInt(value);
-		}
-	});
+	assert(Object.isNumber(period) && period >= 1 && Math.floor(period) === period, "Expected '" + parameterName + "' parameter to '" + fnName + "' to be a positive integer.");
 };
 
 /**
- * Parse a series with string values to a series with float values.
+ * Compute the simple moving average of the number values in the series.
+ *
+ * @param {integer} period - The number of values to average.
  * 
- * @returns {Series} Returns a new series where string values from the original series have been parsed to floating-point values.
+ * @returns {Series} Returns a new series of averages, starting from the first value that has 'period' values to average. Each average has the index of the latest value.
  */
-Series.prototype.parseFloats = function () {
-
-	var self = this;
-	return self.select(function (value, valueIndex) {
-		if (value === undefined) {
-			return undefined;
-		}
-		else {
-			assert.isString(value, "Called parseFloats on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+Series.prototype.sma = function (period) {
 
-			if (value.length === 0) {
-				return undefined;
-			}
+	validatePeriod(period, 'period', 'Series.sma');
 
-			return parseFloat(value);
-		}
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.sma(period);
 	});
 };
 
 /**
- * Parse a series with string values to a series with date values.
+ * Compute the exponential moving average of the number values in the series, with a smoothing factor of 2 / (period + 1).
+ * The average is seeded with the simple average of the first 'period' values.
  *
- * @param {string} [formatString] - Optional formatting string for dates.
+ * @param {integer} period - The number of values that determines the smoothing.
  * 
- * @returns {Series} Returns a new series where string values from the original series have been parsed to Date values.
+ * @returns {Series} Returns a new series of averages, starting from the value at 'period'. Each average has the index of the latest value.
+ */
+Series.prototype.ema = function (period) {
+
+	validatePeriod(period, 'period', 'Series.ema');
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.ema(period);
+	});
+};
+
+/**
+ * Compute the weighted moving average of the number values in the series. The weights decrease linearly from the latest value to the oldest.
+ *
+ * @param {integer} period - The number of values to average.
+ * 
+ * @returns {Series} Returns a new series of averages, starting from the first value that has 'period' values to average. Each average has the index of the latest value.
+ */
+Series.prototype.wma = function (period) {
+
+	validatePeriod(period, 'period', 'Series.wma');
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.wma(period);
+	});
+};
+
+/**
+ * Compute the rolling standard deviation of the number values in the series.
+ *
+ * @param {integer} period - The number of values in each window.
+ * @param {object} [options] - Optional options: 'population' (set to true for the population standard deviation instead of the sample standard deviation).
+ * 
+ * @returns {Series} Returns a new series of standard deviations, starting from the first full window. Each standard deviation has the index of the latest value.
+ */
+Series.prototype.rollingStd = function (period, options) {
+
+	validatePeriod(period, 'period', 'Series.rollingStd');
+
+	var population = options && options.population;
+	assert(population || period > 1, "Expected 'period' parameter to 'Series.rollingStd' to be greater than 1 for the sample standard deviation.");
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.rollingStd(period, population);
+	});
+};
+
+/**
+ * Compute Bollinger bands for the number values in the series: the simple moving average and bands a number of (population) standard deviations above and below it.
+ *
+ * @param {integer} period - The number of values in each window.
+ * @param {number} [stdDevs] - The number of standard deviations from the average to the bands, defaults to 2.
+ * 
+ * @returns {DataFrame} Returns a new dataframe with the columns 'middle', 'upper' and 'lower', starting from the first full window. Each row has the index of the latest value.
+ */
+Series.prototype.bollingerBands = function (period, stdDevs) {
+
+	validatePeriod(period, 'period', 'Series.bollingerBands');
+
+	if (stdDevs === undefined) {
+		stdDevs = 2;
+	}
+
+	assert.isNumber(stdDevs, "Expected 'stdDevs' parameter to 'Series.bollingerBands' to be a number.");
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+			return indicators.bollingerBands(period, stdDevs);
+		})
+		.inflate();
+};
+
+/**
+ * Compute the relative strength index of the number values in the series, with Wilder's smoothing.
+ *
+ * @param {integer} [period] - The number of changes to average, defaults to 14.
+ * 
+ * @returns {Series} Returns a new series of values between 0 and 100, starting from the value that has 'period' changes before it. Each value has the index of the latest value.
+ */
+Series.prototype.rsi = function (period) {
+
+	if (period === undefined) {
+		period = 14;
+	}
+
+	validatePeriod(period, 'period', 'Series.rsi');
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.rsi(period);
+	});
+};
+
+/**
+ * Compute the moving average convergence divergence of the number values in the series.
+ *
+ * @param {integer} [fastPeriod] - The period of the fast exponential moving average, defaults to 12.
+ * @param {integer} [slowPeriod] - The period of the slow exponential moving average, defaults to 26.
+ * @param {integer} [signalPeriod] - The period of the exponential moving average for the signal line, defaults to 9.
+ * 
+ * @returns {DataFrame} Returns a new dataframe with the columns 'macd' (the fast average less the slow average), 'signal' and 'histogram' (the macd less the signal), starting from the value at 'slowPeriod'.
+ * The signal and histogram are undefined until there are 'signalPeriod' values of the macd. Each row has the index of the latest value.
+ */
+Series.prototype.macd = function (fastPeriod, slowPeriod, signalPeriod) {
+
+	fastPeriod = fastPeriod === undefined ? 12 : fastPeriod;
+	slowPeriod = slowPeriod === undefined ? 26 : slowPeriod;
+	signalPeriod = signalPeriod === undefined ? 9 : signalPeriod;
+
+	validatePeriod(fastPeriod, 'fastPeriod', 'Series.macd');
+	validatePeriod(slowPeriod, 'slowPeriod', 'Series.macd');
+	validatePeriod(signalPeriod, 'signalPeriod', 'Series.macd');
+	assert(fastPeriod < slowPeriod, "Expected 'fastPeriod' parameter to 'Series.macd' to be less than 'slowPeriod'.");
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+			return indicators.macd(fastPeriod, slowPeriod, signalPeriod);
+		})
+		.inflate();
+};
+
+/**
+ * Compute the rate of change of the number values in the series, the percentage change from the value 'period' values earlier.
+ *
+ * @param {integer} period - The number of values to look back.
+ * 
+ * @returns {Series} Returns a new series of percentages, starting from the value that has 'period' values before it. Each percentage has the index of the latest value.
+ */
+Series.prototype.rateOfChange = function (period) {
+
+	validatePeriod(period, 'period', 'Series.rateOfChange');
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.rateOfChange(period);
+	});
+};
+
+/**
+ * Compute the drawdown of the number values in the series, the fractional decline from the highest value so far.
+ * 
+ * @returns {Series} Returns a new series of drawdowns, 0 at each new high and negative below it.
+ */
+Series.prototype.drawdown = function () {
+
+	var self = this;
+	return createIndicatorSeries(self, indicators.drawdown);
+};
+
+/**
+ * Get the maximum drawdown of the number values in the series, the largest fractional decline from a high.
+ * 
+ * @returns {number} Returns the maximum drawdown as a negative fraction (or 0 if the values never decline), or undefined if there are no numbers.
+ */
+Series.prototype.maxDrawdown = function () {
+
+	var self = this;
+	var maxDrawdown = undefined;
+	var iterator = self.drawdown().getIterator();
+	while (iterator.moveNext()) {
+		var drawdown = iterator.getCurrent()[1];
+		if (maxDrawdown === undefined || drawdown < maxDrawdown) {
+			maxDrawdown = drawdown;
+		}
+	}
+
+	return maxDrawdown;
+};
+
+/**
+ * Compute the difference of each number value in the series from the value a number of values earlier.
+ *
+ * @param {integer} [periods] - The number of values to look back, defaults to 1.
+ * 
+ * @returns {Series} Returns a new series of differences, starting from the value that has 'periods' values before it. Each difference has the index of the latest value.
+ */
+Series.prototype.diff = function (periods) {
+
+	if (periods === undefined) {
+		periods = 1;
+	}
+
+	validatePeriod(periods, 'periods', 'Series.diff');
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.diff(periods);
+	});
+};
+
+/**
+ * Shift the values of the series relative to the index. 
+ * A positive number of periods lags the values (each index value gets an earlier value) and a negative number leads them (each index value gets a later value).
+ *
+ * @param {integer} [periods] - The number of values to shift by, defaults to 1.
+ * 
+ * @returns {Series} Returns a new series with the shifted values. Index values that have no value to shift to them are dropped.
+ */
+Series.prototype.shift = function (periods) {
+
+	if (periods === undefined) {
+		periods = 1;
+	}
+
+	assert(Object.isNumber(periods) && Math.floor(periods) === periods, "Expected 'periods' parameter to 'Series.shift' to be an integer.");
+
+	var self = this;
+	return createIndicatorSeries(self, function () {
+		return indicators.shift(periods);
+	});
+};
+
+/**
+ * Parse a series with string values to a series with int values.
+ * 
+ * @returns {Series} Returns a new series where string values from the original series have been parsed to integer values.
+ */
+Series.prototype.parseInts = function () {
+
+	var self = this;
+	return self.select(function (value, valueIndex) {
+		if (value === undefined) {
+			return undefined;
+		}
+		else {
+			assert.isString(value, "Called parseInts on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+
+			if (value.length === 0) {
+				return undefined;
+			}
+
+			return parseInt(value);
+		}
+	});
+};
+
+/**
+ * Parse a series with string values to a series with float values.
+ * 
+ * @returns {Series} Returns a new series where string values from the original series have been parsed to floating-point values.
+ */
+Series.prototype.parseFloats = function () {
+
+	var self = this;
+	return self.select(function (value, valueIndex) {
+		if (value === undefined) {
+			return undefined;
+		}
+		else {
+			assert.isString(value, "Called parseFloats on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+
+			if (value.length === 0) {
+				return undefined;
+			}
+
+			return parseFloat(value);
+		}
+	});
+};
+
+/**
+ * Parse a series with string values to a series with date values.
+ *
+ * @param {string} [formatString] - Optional formatting string for dates.
+ * 
+ * @returns {Series} Returns a new series where string values from the original series have been parsed to Date values.
  */
 Series.prototype.parseDates = function (formatString) {
 
@@ -919,6 +1397,47 @@ Series.prototype.toArray = function () {
 	return values;
 };
 
+if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+	/**
+	 * Get an ES2015 iterator for the values of the series, so that the series works with for...of, spread and Array.from.
+	 * The series is lazily evaluated as the iterator is moved forward. Undefined values are skipped, the same as 'toArray'.
+	 * 
+	 * @returns {iterator} Returns an ES2015 iterator for the values of the series or dataframe.
+	 */
+	Series.prototype[Symbol.iterator] = function () {
+
+		var self = this;
+		return new ToEsIterator(self.getIterator(), function (pair) {
+			return pair[1];
+		});
+	};
+}
+
+/**
+ * Get an ES2015 iterator for the pairs of the series, each pair is a two element array that contains an index and a value.
+ * The series is lazily evaluated as the iterator is moved forward. Pairs with undefined values are skipped, the same as 'toPairs'.
+ * 
+ * @returns {iterator} Returns an ES2015 iterator for the [index, value] pairs of the series or dataframe.
+ */
+Series.prototype.pairs = function () {
+
+	var self = this;
+	return new ToEsIterator(self.getIterator(), function (pair) {
+		return pair;
+	});
+};
+
+/**
+ * Get an ES2015 iterator for the [index, value] pairs of the series, the same as 'pairs'. Named for compatibility with Map and Array.
+ * 
+ * @returns {iterator} Returns an ES2015 iterator for the [index, value] pairs of the series or dataframe.
+ */
+Series.prototype.entries = function () {
+
+	var self = this;
+	return self.pairs();
+};
+
 /**
  * Forces lazy evaluation to complete and 'bakes' the series into memory.
  * 
@@ -932,19 +1451,13 @@ Series.prototype.bake = function () {
 		return self;
 	}
 
-	var pairs = self.toPairs();
-	var baked = self.factory({
-		iterable: {
-			getIterator: function () {
-				return new ArrayIterator(pairs);
-			},
+	var baked = createBaked(self, self.toPairs());
+	if (self._sortBatch) {
+		// Baking a sorted series keeps the sort, so that it can be continued with 'thenBy'.
+		baked._sortSource = self._sortSource;
+		baked._sortBatch = self._sortBatch;
+	}
 
-			getColumnNames: function () {
-				return self.iterable.getColumnNames();
-			},
-		}
-	});
-	baked._baked = true;
 	return baked;
 };
 
@@ -1208,71 +1721,471 @@ Series.prototype.max = function () {
 };
 
 /**
- * Aggregate the values in the series.
+ * Get the variance of the number values in the series.
  *
- * @param {object} [seed] - The seed value for producing the aggregation.
- * @param {function} selector - Function that takes the seed and then each value in the series and produces the aggregate value.
+ * @param {object} [options] - Optional options: 'population' (set to true for the population variance instead of the sample variance).
  * 
- * @returns {value} Returns a new value that has been aggregated from the input sequence by the 'selector' function. 
+ * @returns {number} Returns the variance, or undefined if there are too few values.
  */
-Series.prototype.aggregate = function (seedOrSelector, selector) {
+Series.prototype.variance = function (options) {
 
 	var self = this;
+	return stats.variance(self.toArray(), options && options.population);
+};
 
-	if (Object.isFunction(seedOrSelector) && !selector) {
-		return self.skip(1).aggregate(self.first(), seedOrSelector);
-	}
-	else {
-		assert.isFunction(selector, "Expected 'selector' parameter to aggregate to be a function.");
-
-		var working = seedOrSelector;
-		var it = self.iterable.getIterator();
-		while (it.moveNext()) {
-			var curValue = it.getCurrent()[1];
-			working = selector(working, curValue); //todo: should pass index in here as well.
-		}
+/**
+ * Get the standard deviation of the number values in the series.
+ *
+ * @param {object} [options] - Optional options: 'population' (set to true for the population standard deviation instead of the sample standard deviation).
+ * 
+ * @returns {number} Returns the standard deviation, or undefined if there are too few values.
+ */
+Series.prototype.std = function (options) {
 
-		return working;
-	}
+	var self = this;
+	return stats.std(self.toArray(), options && options.population);
 };
 
 /**
- * Convert the series to a JavaScript object.
+ * Get a quantile of the number values in the series.
  *
- * @param {function} keySelector - Function that selects keys for the resulting object.
- * @param {valueSelector} keySelector - Function that selects values for the resulting object.
+ * @param {number|array} q - The quantile between 0 and 1, or an array of quantiles.
+ * @param {string|object} [interpolation] - How to compute a quantile that falls between two values: 'linear' (the default), 'lower', 'higher', 'nearest' or 'midpoint'.
+ * Can also be passed as an object with options: 'interpolation', the same as 'rank'.
  * 
- * @returns {object} Returns a JavaScript object generated from the input sequence by the key and value selector funtions. 
+ * @returns {number|array} Returns the quantile, or an array of quantiles when an array is passed in.
  */
-Series.prototype.toObject = function (keySelector, valueSelector) {
+Series.prototype.quantile = function (q, interpolation) {
 
-	var self = this;
+	var qs = Object.isArray(q) ? q : [q];
+	qs.forEach(function (curQ) {
+		assert(Object.isNumber(curQ) && curQ >= 0 && curQ <= 1, "Expected 'q' parameter to 'Series.quantile' to be a number between 0 and 1, or an array of such numbers.");
+	});
 
-	assert.isFunction(keySelector, "Expected 'keySelector' parameter to toObject to be a function.");
-	assert.isFunction(valueSelector, "Expected 'valueSelector' parameter to toObject to be a function.");
+	interpolation = stats.validateInterpolation(interpolation, 'Series.quantile');
 
-	return E.from(self.toArray()).toObject(keySelector, valueSelector);
+	var self = this;
+	var quantiles = stats.quantiles(self.toArray(), qs, interpolation);
+	return Object.isArray(q) ? quantiles : quantiles[0];
 };
 
 /**
- * Zip together multiple series or dataframes to produce a new series or dataframe.
+ * Get a percentile of the number values in the series.
  *
- * @param {...Series|DataFrame} sequence - Multiple parameters, one for each sequence to be zipped.
- * @param {function} selector - Selector function that produces a new series or dataframe based on the inputs.
+ * @param {number|array} p - The percentile between 0 and 100, or an array of percentiles.
+ * @param {string|object} [interpolation] - How to compute a percentile that falls between two values: 'linear' (the default), 'lower', 'higher', 'nearest' or 'midpoint'.
+ * Can also be passed as an object with options: 'interpolation', the same as 'rank'.
  * 
- * @returns {Series|DataFrame} Returns a single series or dataframe that is the combination of multiple input sequences that have been 'zipped' together by the 'selector' function.
+ * @returns {number|array} Returns the percentile, or an array of percentiles when an array is passed in.
  */
-Series.prototype.zip = function () {
+Series.prototype.percentile = function (p, interpolation) {
+
+	var ps = Object.isArray(p) ? p : [p];
+	ps.forEach(function (curP) {
+		assert(Object.isNumber(curP) && curP >= 0 && curP <= 100, "Expected 'p' parameter to 'Series.percentile' to be a number between 0 and 100, or an array of such numbers.");
+	});
 
 	var self = this;
+	var qs = ps.map(function (curP) {
+		return curP / 100;
+	});
+	return self.quantile(Object.isArray(p) ? qs : qs[0], interpolation);
+};
 
-	var inputSeries = E.from(arguments)
-		.takeWhile(function (arg) {
-			return arg && !Object.isFunction(arg);
-		})
-		.toArray();
+/**
+ * Get the most frequent value in the series. When values are equally frequent the one that appears first wins.
+ * 
+ * @returns {value} Returns the most frequent value, or undefined if the series is empty.
+ */
+Series.prototype.mode = function () {
 
-	assert(inputSeries.length >= 0, "Expected 1 or more 'series' or 'dataframe' parameters to the Series.zip function.");
+	var self = this;
+	return stats.mode(self.toArray()).value;
+};
+
+/**
+ * Get the skewness of the number values in the series (sample skewness, as in Pandas and Excel).
+ * 
+ * @returns {number} Returns the skewness, or undefined if there are less than 3 values.
+ */
+Series.prototype.skew = function () {
+
+	var self = this;
+	return stats.skew(self.toArray());
+};
+
+/**
+ * Get the excess kurtosis of the number values in the series (sample kurtosis, as in Pandas and Excel).
+ * 
+ * @returns {number} Returns the kurtosis, or undefined if there are less than 4 values.
+ */
+Series.prototype.kurtosis = function () {
+
+	var self = this;
+	return stats.kurtosis(self.toArray());
+};
+
+//
+// Create a series that accumulates the number values of another series. Other values are passed through unchanged.
+//
+var accumulate = function (self, accumulator) {
+
+	return createTransformedSeries(self, function (values) {
+		var accumulated = undefined;
+		return values.map(function (value) {
+			if (!Object.isNumber(value) || isNaN(value)) {
+				return value;
+			}
+
+			accumulated = accumulated === undefined ? value : accumulator(accumulated, value);
+			return accumulated;
+		});
+	});
+};
+
+/**
+ * Compute the cumulative sum of the number values in the series.
+ * 
+ * @returns {Series} Returns a new series with the running total at each value.
+ */
+Series.prototype.cumulativeSum = function () {
+
+	var self = this;
+	return accumulate(self, function (total, value) {
+		return total + value;
+	});
+};
+
+/**
+ * Compute the cumulative product of the number values in the series.
+ * 
+ * @returns {Series} Returns a new series with the running product at each value.
+ */
+Series.prototype.cumulativeProduct = function () {
+
+	var self = this;
+	return accumulate(self, function (product, value) {
+		return product * value;
+	});
+};
+
+/**
+ * Compute the cumulative minimum of the number values in the series.
+ * 
+ * @returns {Series} Returns a new series with the running minimum at each value.
+ */
+Series.prototype.cumulativeMin = function () {
+
+	var self = this;
+	return accumulate(self, Math.min);
+};
+
+/**
+ * Compute the cumulative maximum of the number values in the series.
+ * 
+ * @returns {Series} Returns a new series with the running maximum at each value.
+ */
+Series.prototype.cumulativeMax = function () {
+
+	var self = this;
+	return accumulate(self, Math.max);
+};
+
+var rankMethods = ['average', 'min', 'max', 'first', 'dense'];
+
+/**
+ * Rank the values in the series, starting from 1. Missing values aren't ranked.
+ *
+ * @param {string|object} [options] - Optional ranking method, or an object with options: 'method' (how equal values are ranked: 'average' (the default), 'min', 'max', 'first' (in the order they appear)
+ * or 'dense' (like 'min' without gaps between ranks)) and 'ascending' (set to false to rank the largest value first). The method is passed the same way as the interpolation for 'quantile'.
+ * 
+ * @returns {Series} Returns a new series with the rank of each value.
+ */
+Series.prototype.rank = function (options) {
+
+	if (Object.isString(options)) {
+		options = { method: options };
+	}
+	else if (options !== undefined) {
+		assert.isObject(options, "Expected optional 'options' parameter to 'Series.rank' to be a ranking method or an object with ranking options.");
+	}
+
+	options = options || {};
+	var method = options.method || 'average';
+	assert(rankMethods.indexOf(method) >= 0, "Expected 'method' option to 'Series.rank' to be one of " + rankMethods.join(', ') + ", instead it is '" + method + "'.");
+	var direction = options.ascending === false ? -1 : 1;
+
+	var self = this;
+	return createTransformedSeries(self, function (values) {
+		var comparable = function (value) {
+			return Object.isDate(value) ? value.getTime() : value;
+		};
+
+		var positions = [];
+		values.forEach(function (value, position) {
+			if (!missing.isMissing(value)) {
+				positions.push(position);
+			}
+		});
+
+		positions.sort(function (a, b) {
+			var valueA = comparable(values[a]);
+			var valueB = comparable(values[b]);
+			if (valueA < valueB) {
+				return -direction;
+			}
+			if (valueA > valueB) {
+				return direction;
+			}
+			return a - b; // Keep equal values in the order they appear.
+		});
+
+		var ranks = new Array(values.length);
+		var denseRank = 0;
+		var i = 0;
+		while (i < positions.length) {
+			// Find the run of equal values.
+			var end = i + 1;
+			while (end < positions.length && comparable(values[positions[end]]) === comparable(values[positions[i]])) {
+				++end;
+			}
+
+			++denseRank;
+			for (var j = i; j < end; ++j) {
+				var rank;
+				switch (method) {
+					case 'min': rank = i + 1; break;
+					case 'max': rank = end; break;
+					case 'first': rank = j + 1; break;
+					case 'dense': rank = denseRank; break;
+					default: rank = (i + 1 + end) / 2; break;
+				}
+				ranks[positions[j]] = rank;
+			}
+
+			i = end;
+		}
+
+		return ranks;
+	});
+};
+
+/**
+ * Normalize the number values in the series to z-scores, the number of standard deviations from the mean.
+ *
+ * @param {object} [options] - Optional options: 'population' (set to true to use the population standard deviation instead of the sample standard deviation).
+ * 
+ * @returns {Series} Returns a new series of z-scores. Values that aren't numbers are passed through unchanged.
+ * The z-scores are undefined when the standard deviation is zero or there are too few values.
+ */
+Series.prototype.zscore = function (options) {
+
+	var self = this;
+	return createTransformedSeries(self, function (values) {
+		var mean = stats.mean(values);
+		var std = stats.std(values, options && options.population);
+		return values.map(function (value) {
+			if (!Object.isNumber(value) || isNaN(value)) {
+				return value;
+			}
+
+			return std ? (value - mean) / std : undefined; // There are no z-scores when the values don't vary.
+		});
+	});
+};
+
+//
+// Pair the values of a series with the values of another series that have the same index value, in the order of the first series.
+// Returns an object with the matching 'index' values, the 'values' of the first series and the 'otherValues' of the other series.
+//
+var alignByIndex = function (self, other, fnName) {
+
+	assert.instanceOf(other, Series, "Expected 'other' parameter to '" + fnName + "' to be a Series.");
+
+	var otherBaked = other.bake();
+	var otherIndex = otherBaked.getIndex();
+	var aligned = { index: [], values: [], otherValues: [] };
+
+	var iterator = self.getIterator();
+	while (iterator.moveNext()) {
+		var pair = iterator.getCurrent();
+		var position = otherIndex.getPosition(pair[0]);
+		if (position >= 0) {
+			aligned.index.push(pair[0]);
+			aligned.values.push(pair[1]);
+			aligned.otherValues.push(otherBaked._pairs[position][1]);
+		}
+	}
+
+	return aligned;
+};
+
+/**
+ * Get the sample covariance of this series with another series. Values are paired by index and pairs that aren't both numbers are ignored.
+ *
+ * @param {Series} other - The other series.
+ * 
+ * @returns {number} Returns the covariance, or undefined if there are less than 2 pairs of numbers.
+ */
+Series.prototype.covariance = function (other) {
+
+	var self = this;
+	var aligned = alignByIndex(self, other, 'Series.covariance');
+	return stats.covariance(aligned.values, aligned.otherValues);
+};
+
+/**
+ * Get the correlation of this series with another series. Values are paired by index and pairs that aren't both numbers are ignored.
+ *
+ * @param {Series} other - The other series.
+ * @param {string} [method] - The correlation coefficient: 'pearson' (the default), 'spearman' (rank correlation) or 'kendall' (Kendall's tau-b).
+ * 
+ * @returns {number} Returns the correlation between -1 and 1, or undefined if there are less than 2 pairs of numbers or the values don't vary.
+ */
+Series.prototype.correlation = function (other, method) {
+
+	method = stats.validateCorrelationMethod(method, 'Series.correlation');
+
+	var self = this;
+	var aligned = alignByIndex(self, other, 'Series.correlation');
+	return stats.correlation(aligned.values, aligned.otherValues, method);
+};
+
+/**
+ * Compute the correlation of this series with another series over a rolling window. Values are paired by index.
+ *
+ * @param {Series} other - The other series.
+ * @param {integer} period - The number of paired values in each window.
+ * @param {string} [method] - The correlation coefficient: 'pearson' (the default), 'spearman' or 'kendall'.
+ * 
+ * @returns {Series} Returns a new series with the correlation of each window, indexed by the last index value in the window.
+ */
+Series.prototype.rollingCorrelation = function (other, period, method) {
+
+	assert.instanceOf(other, Series, "Expected 'other' parameter to 'Series.rollingCorrelation' to be a Series.");
+	assert.isNumber(period, "Expected 'period' parameter to 'Series.rollingCorrelation' to be a number.");
+	method = stats.validateCorrelationMethod(method, 'Series.rollingCorrelation');
+
+	var self = this;
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				var aligned = alignByIndex(self, other, 'Series.rollingCorrelation');
+				var output = [];
+				for (var end = period; end <= aligned.index.length; ++end) {
+					output.push([
+						aligned.index[end - 1],
+						stats.correlation(aligned.values.slice(end - period, end), aligned.otherValues.slice(end - period, end), method),
+					]);
+				}
+
+				return new ArrayIterator(output);
+			},
+		},
+	});
+};
+
+/**
+ * Fit a straight line to the values of this series (the dependent variable) against the values of another series (the independent variable) by least squares.
+ * Values are paired by index and pairs that aren't both numbers are ignored.
+ *
+ * @param {Series} other - The series of independent values.
+ * 
+ * @returns {object} Returns an object with the 'slope', 'intercept', 'rSquared' (coefficient of determination) and 'fitted' (a series of the fitted values, with the same index as this series).
+ * Returns undefined if there are less than 2 pairs of numbers or the independent values don't vary.
+ */
+Series.prototype.linearRegression = function (other) {
+
+	var self = this;
+	var aligned = alignByIndex(self, other, 'Series.linearRegression');
+	var fit = stats.linearRegression(aligned.otherValues, aligned.values);
+	if (!fit) {
+		return undefined;
+	}
+
+	var fittedIndex = [];
+	var fittedValues = [];
+	aligned.otherValues.forEach(function (x, position) {
+		if (Object.isNumber(x) && !isNaN(x)) {
+			fittedIndex.push(aligned.index[position]);
+			fittedValues.push(fit.intercept + fit.slope * x);
+		}
+	});
+
+	fit.fitted = new Series({
+		index: fittedIndex,
+		values: fittedValues,
+	});
+
+	return fit;
+};
+
+/**
+ * Aggregate the values in the series.
+ *
+ * @param {object} [seed] - The seed value for producing the aggregation.
+ * @param {function} selector - Function that takes the seed and then each value in the series and produces the aggregate value.
+ * 
+ * @returns {value} Returns a new value that has been aggregated from the input sequence by the 'selector' function. 
+ */
+Series.prototype.aggregate = function (seedOrSelector, selector) {
+
+	var self = this;
+
+	if (Object.isFunction(seedOrSelector) && !selector) {
+		return self.skip(1).aggregate(self.first(), seedOrSelector);
+	}
+	else {
+		assert.isFunction(selector, "Expected 'selector' parameter to aggregate to be a function.");
+
+		var working = seedOrSelector;
+		var it = self.iterable.getIterator();
+		while (it.moveNext()) {
+			var curValue = it.getCurrent()[1];
+			working = selector(working, curValue); //todo: should pass index in here as well.
+		}
+
+		return working;
+	}
+};
+
+/**
+ * Convert the series to a JavaScript object.
+ *
+ * @param {function} keySelector - Function that selects keys for the resulting object.
+ * @param {valueSelector} keySelector - Function that selects values for the resulting object.
+ * 
+ * @returns {object} Returns a JavaScript object generated from the input sequence by the key and value selector funtions. 
+ */
+Series.prototype.toObject = function (keySelector, valueSelector) {
+
+	var self = this;
+
+	assert.isFunction(keySelector, "Expected 'keySelector' parameter to toObject to be a function.");
+	assert.isFunction(valueSelector, "Expected 'valueSelector' parameter to toObject to be a function.");
+
+	return E.from(self.toArray()).toObject(keySelector, valueSelector);
+};
+
+/**
+ * Zip together multiple series or dataframes to produce a new series or dataframe.
+ *
+ * @param {...Series|DataFrame} sequence - Multiple parameters, one for each sequence to be zipped.
+ * @param {function} selector - Selector function that produces a new series or dataframe based on the inputs.
+ * 
+ * @returns {Series|DataFrame} Returns a single series or dataframe that is the combination of multiple input sequences that have been 'zipped' together by the 'selector' function.
+ */
+Series.prototype.zip = function () {
+
+	var self = this;
+
+	var inputSeries = E.from(arguments)
+		.takeWhile(function (arg) {
+			return arg && !Object.isFunction(arg);
+		})
+		.toArray();
+
+	assert(inputSeries.length >= 0, "Expected 1 or more 'series' or 'dataframe' parameters to the Series.zip function.");
 
 	inputSeries = [this].concat(inputSeries);
 
@@ -1415,11 +2328,12 @@ Series.prototype.none = function (predicate) {
 };
 
 /**
- * Group sequential duplicate values into a Series of windows.
+ * Collapse sequential duplicate values, the first value of each run of duplicates is kept (with its index).
+ * The output is lazily evaluated in a single pass, so it works with streaming data sources and stops reading when iteration stops.
  *
- * @param {function} selector - Selects the value used to compare for duplicates.
+ * @param {function} [selector] - Optional selector for the value used to compare for duplicates.
  * 
- * @returns {Series|DataFrame} Returns a series of groups. Each group is itself a series or dataframe. 
+ * @returns {Series} Returns a series that contains the first value of each run of sequential duplicates.
  */
 Series.prototype.sequentialDistinct = function (selector) {
 	
@@ -1427,244 +2341,362 @@ Series.prototype.sequentialDistinct = function (selector) {
 		assert.isFunction(selector, "Expected 'selector' parameter to 'Series.sequentialDistinct' to be a selector function that determines the value to compare for duplicates.")
 	}
 	else {
-		selector = function (value) {
-			return value;
-		};
+		selector = identity;
 	}
 
 	var self = this;
+	return createIndicatorSeries(self, function () {
+		var hasPrevious = false;
+		var previous = undefined;
+		return function (index, value) {
+			var key = selector(value);
+			if (hasPrevious && key === previous) {
+				return undefined;
+			}
 
-	return self.variableWindow(function (a, b) {
-			return selector(a) === selector(b);
-		})
-		.asPairs()
-		.select(function (pair) {
-			var window = pair[1];
-			return [window.getIndex().first(), window.first()];
-		})
-		.asValues() 
-		;
+			hasPrevious = true;
+			previous = key;
+			return [index, value];
+		};
+	});
 };
 
 /**
- * Group distinct values in the Series into a Series of windows.
+ * Get the distinct values in the Series or DataFrame, the first occurrence of each value is kept (with its index).
+ * Values are compared by hashing their keys, so this is linear in the number of values, and the output is lazily evaluated as it is iterated.
+ * Keys are structural, so objects, arrays and dates that have the same content are the same, unless a 'key' function is passed in the options.
  *
- * @param {function} selector - Selects the value used to compare for duplicates.
+ * @param {function} [selector] - Optional selector for the value used to compare for duplicates.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected value, values with the same key are the same).
+ * The options can be passed in place of the selector.
  * 
  * @returns {Series|DataFrame} Returns a series or dataframe containing only unique values as determined by the 'selector' function. 
  */
-Series.prototype.distinct = function (selector) {
+Series.prototype.distinct = function (selector, options) {
+
+	if (selector && !Object.isFunction(selector)) {
+		options = selector;
+		selector = undefined;
+	}
+
+	var key = keys.validateOptions(options, 'Series.distinct').key;
 	
 	if (selector) {
 		assert.isFunction(selector, "Expected 'selector' parameter to 'Series.distinct' to be a selector function that determines the value to compare for duplicates.")
 	}
 	else {
-		selector = function (value) {
-			return value;
-		};
+		selector = identity;
 	}
 
 	var self = this;
+	return createFilteredSeries(self, function () {
+		var seen = Object.create(null); // No prototype, so keys such as 'constructor' aren't already present.
+		return function (value) {
+			var valueKey = key(selector(value));
+			if (seen[valueKey]) {
+				return false;
+			}
+
+			seen[valueKey] = true;
+			return true;
+		};
+	});
+};
+
+/**
+ * Groups sequential values into variable length 'windows'. The windows can then be transformed/transformed using selectPairs or selectManyPairs.
+ * Windows are produced lazily in a single pass, each window is emitted as soon as the comparer signals the start of the next,
+ * so only the current window is held in memory and iteration (for example with 'take') stops reading the input early.
+ *
+ * @param {function} comparer - Predicate that compares two values and returns true if they should be in the same window.
+ * 
+ * @returns {Series|DataFrame} Returns a series of groups. Each group is itself a series or dataframe that contains the values in the 'window'. 
+ */
+Series.prototype.variableWindow = function (comparer, obsoleteSelector) {
+	
+	assert.isFunction(comparer, "Expected 'comparer' parameter to 'Series.variableWindow' to be a function.")
+	assert(!obsoleteSelector, "Selector parameter is obsolete and no longer required.");
+
+	var self = this;
+
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new VariableWindowIterator(self.getIterator(), comparer, function (pairs) {
+					return createBaked(self, pairs);
+				});
+			},
+		},
+	});
+};
+
+/**
+ * Insert a pair at the start of a Series.
+ *
+ * @param {pair} pair - The pair to insert.
+ * 
+ * @returns {Series|DataFrame} Returns a new series or dataframe with the specified pair inserted.
+ */
+Series.prototype.insertPair = function (pair) {
+	assert.isArray(pair, "Expected 'pair' parameter to 'Series.insertPair' to be an array.");
+	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.insertPair' to be an array with two elements. The first element is the index, the second is the value.");
+
+	//todo: make this lazy.
+
+	var self = this;
+	var pairs = [pair].concat(self.toPairs());
+	return self.factory({
+		iterable: new ArrayIterable(pairs), 
+	});
+};
+
+/**
+ * Append a pair to the end of a Series.
+ *
+ * @param {pair} pair - The pair to append.
+ * 
+ * @returns {Series|DataFrame} Returns a new series or dataframe with the specified pair appended.
+ */
+Series.prototype.appendPair = function (pair) {
+	assert.isArray(pair, "Expected 'pair' parameter to 'Series.appendPair' to be an array.");
+	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.appendPair' to be an array with two elements. The first element is the index, the second is the value.");
 
 	//todo: make this lazy.
 
-	/* todo: Want to zip here, when zip can specify the index. 
+	var self = this;
+	var pairs = self.toPairs();
+	pairs.push(pair);
+	return self.factory({
+		iterable: new ArrayIterable(pairs), 
+	});
+};
 
-	series.zip(series.skip(1), function (prev, next) { 
-		});
 
-	*/
+/**
+ * Fill gaps in a series or dataframe.
+ *
+ * @param {function} predicate - Predicate that is passed pairA and pairB, two consecutive rows, return truthy if there is a gap between the rows, or falsey if there is no gap.
+ * @param {function} generator - Generator that is passed pairA and pairB, two consecutive rows, returns an array of pairs that fills the gap between the rows.
+ *
+ * @returns {Series} Returns a new series with gaps filled in.
+ */
+Series.prototype.fillGaps = function (predicate, generator) {
+	assert.isFunction(predicate, "Expected 'predicate' parameter to 'Series.fillGaps' to be a predicate function that returns a boolean.")
+	assert.isFunction(generator, "Expected 'generator' parameter to 'Series.fillGaps' to be a generator function that returns an array of generated pairs.")
 
-	var input = E.from(self.toPairs())
-		.select(function (pair) {
-			return {
-				pair: pair,
-				considered: false,
-			};
+	var self = this;
+
+	return self.rollingWindow(2)
+		.asPairs()
+		.selectMany(function (pair) {
+			var window = pair[1];
+			var pairA = window.asPairs().first();
+			var pairB = window.asPairs().last();
+			if (!predicate(pairA, pairB)) {
+				return [pairA];
+			}
+
+			var generatedRows = generator(pairA, pairB);
+			assert.isArray(generatedRows, "Expected return from 'generator' parameter to 'Series.fillGaps' to be an array of pairs, instead got a " + typeof(generatedRows));
+
+			return [pairA].concat(generatedRows);
 		})
-		.toArray();
+		.asValues()
+		.appendPair(self.asPairs().last())
+		;
+};
 
-	var output = [];
+//
+// Extract all pairs from a series, including pairs whose values are undefined.
+//
+var extractAllPairs = function (self) {
 
-	for (var i = 0; i < input.length; ++i) {
-		var underConsideration = input[i];
-		if (underConsideration.considered) {
-			// Skip this item, it has already been dealt with.
-			continue;
-		}
+	var pairs = [];
+	var iterator = self.getIterator();
+	while (iterator.moveNext()) {
+		pairs.push(iterator.getCurrent());
+	}
 
-		var curPair = underConsideration.pair;
-		underConsideration.considered = true; // Don't really need to do this, because we never backtrack, but it feels like it makes the code 'complete'.
+	return pairs;
+};
 
-		for (var j = i+1; j < input.length; ++j) {
-			var underComparison = input[j];
-			if (underComparison.considered) {
-				continue;
-			}
+//
+// Validate the options passed to a function that handles missing values.
+//
+var validateMissingOptions = function (options, fnName) {
 
-			if (selector(underComparison.pair[1]) === selector(underConsideration.pair[1])) {
-				underComparison.considered = true;
-			}
-		}
+	if (options === undefined) {
+		return {};
+	}
 
-		output.push(curPair);
+	assert.isObject(options, "Expected 'options' parameter to '" + fnName + "' to be an object.");
+
+	if (options.limit !== undefined) {
+		assert.isNumber(options.limit, "Expected 'limit' option to '" + fnName + "' to be the maximum number of consecutive missing values to fill.");
 	}
 
-	return self.factory({
+	return options;
+};
+
+//
+// Create a series whose values are produced from all the values (and index) of another series at once, for transformations
+// that depend on other values such as filling missing values or cumulative sums.
+//
+var createTransformedSeries = function (self, transform) {
+
+	return new Series({
 		iterable: {
 			getIterator: function () {
-				return new ArrayIterator(output);
-			},
+				var pairs = extractAllPairs(self);
+				var values = transform(
+					pairs.map(function (pair) {
+						return pair[1];
+					}),
+					pairs.map(function (pair) {
+						return pair[0];
+					})
+				);
 
-			getColumnNames: function () {
-				return self.iterable.getColumnNames();
-			}
+				return new ArrayIterator(pairs.map(function (pair, pairIndex) {
+					return [pair[0], values[pairIndex]];
+				}));
+			},
 		},
 	});
 };
 
 /**
- * Groups sequential values into variable length 'windows'. The windows can then be transformed/transformed using selectPairs or selectManyPairs.
+ * Determine which values are missing. By default undefined, null, NaN and empty strings are missing, use 'dataForge.defineMissing' to change the definition.
  *
- * @param {function} comparer - Predicate that compares two values and returns true if they should be in the same window.
- * 
- * @returns {Series|DataFrame} Returns a series of groups. Each group is itself a series or dataframe that contains the values in the 'window'. 
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a new series of booleans that are true where values are missing.
  */
-Series.prototype.variableWindow = function (comparer, obsoleteSelector) {
-	
-	assert.isFunction(comparer, "Expected 'comparer' parameter to 'Series.variableWindow' to be a function.")
-	assert(!obsoleteSelector, "Selector parameter is obsolete and no longer required.");
-
-	var self = this;
+Series.prototype.isMissing = function (options) {
 
-	//todo: make this lazy.
-
-	var input = self.toPairs();
-
-	var output = [];
-
-	if (input.length > 0) {
+	var isMissing = missing.resolve(validateMissingOptions(options, 'Series.isMissing'), 'Series.isMissing');
 
-		var startIndex = 0;
-		var takeAmount = 1;
-		var windowIndex = 0;
+	var self = this;
+	return new Series({
+		iterable: new SelectValuesIterable(self.iterable, function (value) {
+			return isMissing(value);
+		}),
+	});
+};
 
-		var prevPair = input[0]; // 1st pair.
+/**
+ * Count the missing values.
+ *
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {number} Returns the number of missing values.
+ */
+Series.prototype.countMissing = function (options) {
 
-		for (var i = 1; i < input.length; ++i) {
+	var isMissing = missing.resolve(validateMissingOptions(options, 'Series.countMissing'), 'Series.countMissing');
 
-			var curPair = input[i];
-			
-			if (!comparer(curPair[1], prevPair[1])) {
-				// Flush.
-				output.push([windowIndex, self.skip(startIndex).take(takeAmount)]);
-				++windowIndex;
+	var self = this;
+	var total = 0;
+	var iterator = self.getIterator();
+	while (iterator.moveNext()) {
+		if (isMissing(iterator.getCurrent()[1])) {
+			++total;
+		}
+	}
 
-				startIndex = i;
-				takeAmount = 1;
-			}
-			else {
-				++takeAmount;
-			}
+	return total;
+};
 
-			prevPair = curPair;
-		}
+/**
+ * Drop missing values.
+ *
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a new series without the missing values.
+ */
+Series.prototype.dropMissing = function (options) {
 
-		if (takeAmount > 0) {
-			output.push([windowIndex, self.skip(startIndex).take(takeAmount)]);
-		}
-	}
+	var isMissing = missing.resolve(validateMissingOptions(options, 'Series.dropMissing'), 'Series.dropMissing');
 
-	return new Series({
-			values: E.from(output)
-				.select(function (pair) {
-					return pair[1];
-				})
-				.toArray(),
-			index: new Series({ 
-				values: E.from(output)
-					.select(function (pair) {
-						return pair[0];
-					})
-					.toArray()
-			})
+	var self = this;
+	return self.where(function (value) {
+		return !isMissing(value);
 	});
 };
 
 /**
- * Insert a pair at the start of a Series.
+ * Replace missing values with a value.
  *
- * @param {pair} pair - The pair to insert.
- * 
- * @returns {Series|DataFrame} Returns a new series or dataframe with the specified pair inserted.
+ * @param {value} value - The value to replace missing values with.
+ * @param {object} [options] - Optional options: 'isMissing' (predicate function or array of values that overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a new series with missing values replaced.
  */
-Series.prototype.insertPair = function (pair) {
-	assert.isArray(pair, "Expected 'pair' parameter to 'Series.insertPair' to be an array.");
-	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.insertPair' to be an array with two elements. The first element is the index, the second is the value.");
+Series.prototype.fillMissing = function (value, options) {
 
-	//todo: make this lazy.
+	var isMissing = missing.resolve(validateMissingOptions(options, 'Series.fillMissing'), 'Series.fillMissing');
 
 	var self = this;
-	var pairs = [pair].concat(self.toPairs());
-	return self.factory({
-		iterable: new ArrayIterable(pairs), 
+	return self.select(function (curValue) {
+		return isMissing(curValue) ? value : curValue;
 	});
 };
 
 /**
- * Append a pair to the end of a Series.
+ * Fill missing values with the previous value that isn't missing.
  *
- * @param {pair} pair - The pair to append.
- * 
- * @returns {Series|DataFrame} Returns a new series or dataframe with the specified pair appended.
+ * @param {object} [options] - Optional options: 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a new series with missing values filled forward.
  */
-Series.prototype.appendPair = function (pair) {
-	assert.isArray(pair, "Expected 'pair' parameter to 'Series.appendPair' to be an array.");
-	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.appendPair' to be an array with two elements. The first element is the index, the second is the value.");
+Series.prototype.fillForward = function (options) {
 
-	//todo: make this lazy.
+	options = validateMissingOptions(options, 'Series.fillForward');
+	var isMissing = missing.resolve(options, 'Series.fillForward');
 
 	var self = this;
-	var pairs = self.toPairs();
-	pairs.push(pair);
-	return self.factory({
-		iterable: new ArrayIterable(pairs), 
+	return createTransformedSeries(self, function (values) {
+		return missing.fillForward(values, options.limit, isMissing);
 	});
 };
 
-
 /**
- * Fill gaps in a series or dataframe.
+ * Fill missing values with the next value that isn't missing.
  *
- * @param {function} predicate - Predicate that is passed pairA and pairB, two consecutive rows, return truthy if there is a gap between the rows, or falsey if there is no gap.
- * @param {function} generator - Generator that is passed pairA and pairB, two consecutive rows, returns an array of pairs that fills the gap between the rows.
+ * @param {object} [options] - Optional options: 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
  *
- * @returns {Series} Returns a new series with gaps filled in.
+ * @returns {Series} Returns a new series with missing values filled backward.
  */
-Series.prototype.fillGaps = function (predicate, generator) {
-	assert.isFunction(predicate, "Expected 'predicate' parameter to 'Series.fillGaps' to be a predicate function that returns a boolean.")
-	assert.isFunction(generator, "Expected 'generator' parameter to 'Series.fillGaps' to be a generator function that returns an array of generated pairs.")
+Series.prototype.fillBackward = function (options) {
+
+	options = validateMissingOptions(options, 'Series.fillBackward');
+	var isMissing = missing.resolve(options, 'Series.fillBackward');
 
 	var self = this;
+	return createTransformedSeries(self, function (values) {
+		return missing.fillBackward(values, options.limit, isMissing);
+	});
+};
 
-	return self.rollingWindow(2)
-		.asPairs()
-		.selectMany(function (pair) {
-			var window = pair[1];
-			var pairA = window.asPairs().first();
-			var pairB = window.asPairs().last();
-			if (!predicate(pairA, pairB)) {
-				return [pairA];
-			}
+/**
+ * Fill missing values by interpolating between the values on either side. Missing values at the start and end are left as they are.
+ *
+ * @param {object} [options] - Optional options: 'method' ('linear' treats values as equally spaced, 'time' weights by the index, which must contain dates or numbers, defaults to 'linear'),
+ * 'limit' (maximum number of consecutive missing values to fill) and 'isMissing' (overrides the definition of missing values).
+ *
+ * @returns {Series} Returns a new series with missing values interpolated.
+ */
+Series.prototype.interpolate = function (options) {
 
-			var generatedRows = generator(pairA, pairB);
-			assert.isArray(generatedRows, "Expected return from 'generator' parameter to 'Series.fillGaps' to be an array of pairs, instead got a " + typeof(generatedRows));
+	options = validateMissingOptions(options, 'Series.interpolate');
+	var isMissing = missing.resolve(options, 'Series.interpolate');
+	var method = options.method || 'linear';
+	assert(method === 'linear' || method === 'time', "Expected 'method' option to 'Series.interpolate' to be 'linear' or 'time', instead it is '" + method + "'.");
 
-			return [pairA].concat(generatedRows);
-		})
-		.asValues()
-		.appendPair(self.asPairs().last())
-		;
+	var self = this;
+	return createTransformedSeries(self, function (values, indexValues) {
+		return missing.interpolate(values, method === 'time' ? indexValues : null, options.limit, isMissing);
+	});
 };
 
 /**
@@ -1700,8 +2732,9 @@ Series.prototype.groupBy = function (selector) {
 
 /**
  * Group sequential values into a Series of windows.
+ * Like 'variableWindow' the groups are produced lazily in a single pass.
  *
- * @param {function} selector - Selector that defines the value to group by.
+ * @param {function} [selector] - Selector that defines the value to group by.
  *
  * @returns {Series} Returns a series of groups. Each group is a series with values that have been grouped by the 'selector' function.
  */
@@ -1733,6 +2766,13 @@ Series.prototype.groupSequentialBy = function (selector) {
 Series.prototype.at = function (index) {
 
 	var self = this;
+
+	if (self._baked) {
+		// Hash lookup on the index of a baked series.
+		var position = self.getIndex().getPosition(index);
+		return position >= 0 ? self._pairs[position][1] : undefined;
+	}
+
 	var iterator = self.iterable.getIterator();
 
 	if (!iterator.moveNext()) {
@@ -1741,13 +2781,13 @@ Series.prototype.at = function (index) {
 
 	//
 	// This is pretty expensive.
-	// A specialised index could improve this.
+	// Bake the series first for a hash lookup.
 	//
 
 	do {
 
 		var curPair = iterator.getCurrent();
-		if (curPair[0] === index) {
+		if (curPair[0] === index || (Object.isDate(index) && Object.isDate(curPair[0]) && curPair[0].getTime() === index.getTime())) {
 			return curPair[1];
 		}
 
@@ -1784,62 +2824,62 @@ Series.prototype.concat = function () {
 
 /**
  * Correlates the elements of two Series or DataFrames based on matching keys.
+ * This is a hash join: the keys of the inner sequence are hashed (the first time the result is iterated) and the outer sequence is streamed.
+ * Keys are compared the same way as 'distinct', so a key selector can return an array or object for a composite key.
+ * When keys are duplicated there is a result for each combination of outer and inner values with the same key.
  *
- * @param {Series|DataFrame} self - The outer Series or DataFrame to join. 
  * @param {Series|DataFrame} inner - The inner Series or DataFrame to join.
- * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence.
- * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence.
+ * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
  * @param {function} resultSelector - Selector that defines how to merge outer and inner values.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
  * 
- * @returns {Series|DataFrame} Returns the joined series or dataframe. 
+ * @returns {DataFrame} Returns the joined dataframe, indexed from zero, in the order of the outer sequence. 
  */
-Series.prototype.join = function (inner, outerKeySelector, innerKeySelector, resultSelector) {
+Series.prototype.join = function (inner, outerKeySelector, innerKeySelector, resultSelector, options) {
 
 	assert.instanceOf(inner, Series, "Expected 'inner' parameter of 'Series.join' to be a Series or DataFrame.");
 	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.join' to be a selector function.");
 	assert.isFunction(innerKeySelector, "Expected 'innerKeySelector' parameter of 'Series.join' to be a selector function.");
 	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.join' to be a selector function.");
 
+	var key = keys.validateOptions(options, 'Series.join').key;
 	var outer = this;
-	var joined = E.from(outer.toPairs())
-		.join(
-			inner.toPairs(),
-			function (outerPair) {
-				return outerKeySelector(outerPair[1], outerPair[0]);
-			},
-			function (innerPair) {
-				return innerKeySelector(innerPair[1], innerPair[0]);
-			},
-			function (outerPair, innerPair) {
-				return resultSelector(outerPair[1], innerPair[1]);
-			}
-		)
-		.toArray();
+	var lookup = null;
 
-	return new DataFrame({
-		values: joined,
+	var outerKey = function (value, index) {
+		return key(outerKeySelector(value, index));
+	};
+
+	var joined = new Series({
+		iterable: {
+			getIterator: function () {
+				if (!lookup) {
+					lookup = createKeyLookup(inner, innerKeySelector, key);
+				}
+
+				return new HashJoinIterator(outer.getIterator(), lookup, outerKey, resultSelector);
+			},
+		},
 	});
+
+	return joined.inflate();
 };
 
 /**
  * Performs an outer join on two Series or DataFrames. Correlates the elements based on matching keys.
- * Includes elements that have no correlation.
+ * Includes elements that have no correlation, these are passed to 'resultSelector' with null for the other side.
+ * The outer elements that have no correlation come first, then the joined elements (see 'join'), then the inner elements that have no correlation.
  *
- * @param {Series|DataFrame} self - The outer Series or DataFrame to join. 
- * @param {Series|DataFrame} inner - The inner Series or DataFrame to join.
- * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence.
- * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence.
- * @param {function} outerResultSelector - Selector that defines how to extract the outer value before joining it with the inner value. 
- * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
- * @param {function} mergeSelector - Selector that defines how to combine left and right.
- * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
+ * @param {Series|DataFrame} rightSeries - The inner Series or DataFrame to join.
+ * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
+ * @param {function} resultSelector - Selector that defines how to merge outer and inner values.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
  * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
-Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
+Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector, options) {
 
 	assert.instanceOf(rightSeries, Series, "Expected 'rightSeries' parameter of 'Series.joinOuter' to be a Series.");
 	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.joinOuter' to be a selector function.");
@@ -1848,23 +2888,19 @@ Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySe
 
 	var self = this;
 
-	var leftOuter = self.except(rightSeries, function (outer, inner) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
+	var leftOuter = self.joinAnti(rightSeries, outerKeySelector, innerKeySelector, options)
 		.select(function (outer) { 
 			return resultSelector(outer, null);
 		})
 		;
 
-	var rightOuter = rightSeries.except(self, function (inner, outer) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
+	var rightOuter = rightSeries.joinAnti(self, innerKeySelector, outerKeySelector, options)
 		.select(function (inner) {
 			return resultSelector(null, inner);
 		})
 		;
 
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector, options);
 
 	return leftOuter
 		.concat(inner)
@@ -1875,23 +2911,18 @@ Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySe
 
 /**
  * Performs a left outer join on two Series or DataFrames. Correlates the elements based on matching keys.
- * Includes left elements that have no correlation.
+ * Includes left elements that have no correlation, these are passed to 'resultSelector' with null for the inner value.
+ * The left elements that have no correlation come first, then the joined elements (see 'join').
  *
- * @param {Series|DataFrame} self - The outer Series or DataFrame to join. 
- * @param {Series|DataFrame} inner - The inner Series or DataFrame to join.
- * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence.
- * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence.
- * @param {function} outerResultSelector - Selector that defines how to extract the outer value before joining it with the inner value. 
- * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
- * @param {function} mergeSelector - Selector that defines how to combine left and right.
- * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
+ * @param {Series|DataFrame} rightSeries - The inner Series or DataFrame to join.
+ * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
+ * @param {function} resultSelector - Selector that defines how to merge outer and inner values.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
  * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
-Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
+Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector, options) {
 
 	assert.instanceOf(rightSeries, Series, "Expected 'rightSeries' parameter of 'Series.joinOuterLeft' to be a Series.");
 	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.joinOuterLeft' to be a selector function.");
@@ -1900,15 +2931,13 @@ Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerK
 
 	var self = this;
 
-	var leftOuter = self.except(rightSeries, function (outer, inner) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
+	var leftOuter = self.joinAnti(rightSeries, outerKeySelector, innerKeySelector, options)
 		.select(function (outer) { 
 			return resultSelector(outer, null);
 		})
 		;
 
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector, options);
 
 	return leftOuter
 		.concat(inner)
@@ -1918,23 +2947,18 @@ Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerK
 
 /**
  * Performs a right outer join on two Series or DataFrames. Correlates the elements based on matching keys.
- * Includes right elements that have no correlation.
+ * Includes right elements that have no correlation, these are passed to 'resultSelector' with null for the outer value.
+ * The joined elements (see 'join') come first, then the right elements that have no correlation.
  *
- * @param {Series|DataFrame} self - The outer Series or DataFrame to join. 
- * @param {Series|DataFrame} inner - The inner Series or DataFrame to join.
- * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence.
- * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence.
- * @param {function} outerResultSelector - Selector that defines how to extract the outer value before joining it with the inner value. 
- * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
- * @param {function} mergeSelector - Selector that defines how to combine left and right.
- * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
+ * @param {Series|DataFrame} rightSeries - The inner Series or DataFrame to join.
+ * @param {function} outerKeySelector - Selector that chooses the join key from the outer sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
+ * @param {function} resultSelector - Selector that defines how to merge outer and inner values.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
  * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
-Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
+Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector, options) {
 
 	assert.instanceOf(rightSeries, Series, "Expected 'rightSeries' parameter of 'Series.joinOuterRight' to be a Series.");
 	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.joinOuterRight' to be a selector function.");
@@ -1943,15 +2967,13 @@ Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, inner
 
 	var self = this;
 
-	var rightOuter = rightSeries.except(self, function (inner, outer) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
+	var rightOuter = rightSeries.joinAnti(self, innerKeySelector, outerKeySelector, options)
 		.select(function (inner) {
 			return resultSelector(null, inner);
 		})
 		;
 
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector, options);
 
 	return inner
 		.concat(rightOuter)
@@ -1959,6 +2981,90 @@ Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, inner
 		;
 };
 
+/**
+ * Performs a semi-join on two Series or DataFrames: keeps the values of this sequence that have a matching key in the inner sequence.
+ * Each value is kept once (with its index), no matter how many inner values match it. The inner keys are hashed each time the result is iterated, the result is lazily evaluated.
+ *
+ * @param {Series|DataFrame} inner - The inner Series or DataFrame to match against.
+ * @param {function} outerKeySelector - Selector that chooses the join key from this sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
+ * 
+ * @returns {Series|DataFrame} Returns the values of this series or dataframe that have a match.
+ */
+Series.prototype.joinSemi = function (inner, outerKeySelector, innerKeySelector, options) {
+
+	assert.instanceOf(inner, Series, "Expected 'inner' parameter of 'Series.joinSemi' to be a Series or DataFrame.");
+	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.joinSemi' to be a selector function.");
+	assert.isFunction(innerKeySelector, "Expected 'innerKeySelector' parameter of 'Series.joinSemi' to be a selector function.");
+
+	var key = keys.validateOptions(options, 'Series.joinSemi').key;
+
+	var self = this;
+	return createFilteredSeries(self, function () {
+		var innerKeys = createKeySet(inner, innerKeySelector, key);
+		return function (value, index) {
+			return innerKeys[key(outerKeySelector(value, index))] === true;
+		};
+	});
+};
+
+/**
+ * Performs an anti-join on two Series or DataFrames: keeps the values of this sequence that have no matching key in the inner sequence.
+ * The inner keys are hashed each time the result is iterated, the result is lazily evaluated.
+ *
+ * @param {Series|DataFrame} inner - The inner Series or DataFrame to match against.
+ * @param {function} outerKeySelector - Selector that chooses the join key from this sequence, it is passed each value and its index.
+ * @param {function} innerKeySelector - Selector that chooses the join key from the inner sequence, it is passed each value and its index.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected join key, see 'distinct').
+ * 
+ * @returns {Series|DataFrame} Returns the values of this series or dataframe that have no match.
+ */
+Series.prototype.joinAnti = function (inner, outerKeySelector, innerKeySelector, options) {
+
+	assert.instanceOf(inner, Series, "Expected 'inner' parameter of 'Series.joinAnti' to be a Series or DataFrame.");
+	assert.isFunction(outerKeySelector, "Expected 'outerKeySelector' parameter of 'Series.joinAnti' to be a selector function.");
+	assert.isFunction(innerKeySelector, "Expected 'innerKeySelector' parameter of 'Series.joinAnti' to be a selector function.");
+
+	var key = keys.validateOptions(options, 'Series.joinAnti').key;
+
+	var self = this;
+	return createFilteredSeries(self, function () {
+		var innerKeys = createKeySet(inner, innerKeySelector, key);
+		return function (value, index) {
+			return innerKeys[key(outerKeySelector(value, index))] !== true;
+		};
+	});
+};
+
+/**
+ * Performs an as-of join on two Series or DataFrames that have a date index in ascending order.
+ * Each value of this sequence is matched to the inner value with the nearest preceding (or equal) index, for example to find the price
+ * that was current at the time of each trade. Both sequences are read in a single pass and the result is lazily evaluated.
+ *
+ * @param {Series|DataFrame} inner - The inner Series or DataFrame to join, its index must be in ascending order.
+ * @param {function} resultSelector - Selector that defines how to merge outer and inner values. The inner value is null when no inner value precedes the outer value.
+ * 
+ * @returns {DataFrame} Returns the joined dataframe, with the index of this series or dataframe.
+ */
+Series.prototype.joinAsOf = function (inner, resultSelector) {
+
+	assert.instanceOf(inner, Series, "Expected 'inner' parameter of 'Series.joinAsOf' to be a Series or DataFrame.");
+	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.joinAsOf' to be a selector function.");
+
+	var self = this;
+
+	var joined = new Series({
+		iterable: {
+			getIterator: function () {
+				return new AsOfJoinIterator(self.getIterator(), inner.getIterator(), resultSelector);
+			},
+		},
+	});
+
+	return joined.inflate();
+};
+
 /**
  * Returns the specified default sequence if the Series or DataFrame is empty. 
  *
@@ -1989,91 +3095,181 @@ Series.prototype.defaultIfEmpty = function (defaultSequence) {
 };
 
 /**
- * Returns the unique union of values between two Series or DataFrames.
+ * Returns the unique union of values between two Series or DataFrames, the first occurrence of each value is kept.
+ * Values are compared by hashing their keys, see 'distinct'.
  *
  * @param {Series|DataFrame} other - The other Series or DataFrame to combine.
- * @param {function} [comparer] - Optional comparer that selects the value to compare.
+ * @param {function} [selector] - Optional selector for the value to compare.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected value, see 'distinct').
+ * The options can be passed in place of the selector.
  * 
  * @returns {Series|DataFrame} Returns the union of two sequences.
  */
-Series.prototype.union = function (other, selector) {
+Series.prototype.union = function (other, selector, options) {
 
 	assert.instanceOf(other, Series, "Expected 'other' parameter to 'Series.union' to be a Series or DataFrame.");
 
+	if (selector && !Object.isFunction(selector)) {
+		options = selector;
+		selector = undefined;
+	}
+
 	if (selector) {
 		assert.isFunction(selector, "Expected optional 'selector' parameter to 'Series.union' to be a selector function.");
 	}
 
 	var self = this;
 	return self.concat(other)
-		.distinct(selector)
+		.distinct(selector, options)
 		;
 };
 
 /**
- * Returns the intersection of values between two Series or DataFrames.
+ * Returns the values of this Series or DataFrame that are also in the other Series or DataFrame.
+ * Values are compared by hashing their keys, see 'distinct'. The other series is hashed each time the result is iterated, the result is lazily evaluated.
+ * Instead of keys, values can be compared with the 'comparer' option, a function of two values. This compares every pair of values.
  *
  * @param {Series|DataFrame} other - The other Series or DataFrame to combine.
- * @param {function} [comparer] - Optional comparer that selects the value to compare.  
+ * @param {function} [selector] - Optional selector for the value to compare.
+ * @param {function} [otherSelector] - Optional selector for the value to compare from the other series, defaults to 'selector'.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected value, see 'distinct')
+ * or 'comparer' (function that is passed a value from each sequence and returns true when they are the same, it can't be used with selectors).
+ * The options can be passed in place of the selectors. A selector that takes two parameters, with no 'otherSelector', is used as the comparer. A selector that takes two parameters, with no 'otherSelector', is used as the comparer.
  * 
  * @returns {Series|DataFrame} Returns the intersection of two sequences.
  */
-Series.prototype.intersection = function (other, comparer) {
+Series.prototype.intersection = function (other, selector, otherSelector, options) {
 
 	assert.instanceOf(other, Series, "Expected 'other' parameter to 'Series.intersection' to be a Series or DataFrame.");
 
-	if (comparer) {
-		assert.isFunction(comparer, "Expected optional 'comparer' parameter to 'Series.intersection' to be a comparer function.");
+	if (otherSelector && !Object.isFunction(otherSelector)) {
+		options = otherSelector;
+		otherSelector = undefined;
+	}
+
+	if (selector && !Object.isFunction(selector)) {
+		options = selector;
+		selector = undefined;
+	}
+
+	if (Object.isFunction(selector) && selector.length === 2 && !otherSelector) {
+		options = extend({}, options, { comparer: selector }); // A function of two values is a comparer, as in the 'intersection(other, comparer)' signature.
+		selector = undefined;
+	}
+
+	var key = keys.validateOptions(options, 'Series.intersection').key;
+
+	if (selector) {
+		assert.isFunction(selector, "Expected optional 'selector' parameter to 'Series.intersection' to be a selector function.");
 	}
 	else {
-		comparer = function (left, right) {
-			return left === right;
-		};
+		selector = identity;
+	}
+
+	if (otherSelector) {
+		assert.isFunction(otherSelector, "Expected optional 'otherSelector' parameter to 'Series.intersection' to be a selector function.");
+	}
+
+	var comparer = options ? options.comparer : undefined;
+	if (comparer !== undefined) {
+		assert.isFunction(comparer, "Expected 'comparer' option to 'Series.intersection' to be a function that compares two values and returns true when they are the same.");
+		assert(selector === identity && !otherSelector, "The 'comparer' option to 'Series.intersection' can't be used with selectors.");
 	}
 
 	var self = this;
-	return self
-		.where(function (left) {
-			return other
-				.where(function (right) {
-					return comparer(left, right);
-				})
-				.any();
-		})
-		;
+
+	if (comparer) {
+		return self
+			.where(function (left) {
+				return other
+					.where(function (right) {
+						return comparer(left, right);
+					})
+					.any();
+			})
+			;
+	}
+
+	return createFilteredSeries(self, function () {
+		var otherKeys = createKeySet(other, otherSelector || selector, key);
+		return function (value) {
+			return otherKeys[key(selector(value))] === true;
+		};
+	});
 };
 
 /**
- * Returns the exception of values between two Series or DataFrames.
+ * Returns the values of this Series or DataFrame that aren't in the other Series or DataFrame.
+ * Values are compared by hashing their keys, see 'distinct'. The other series is hashed each time the result is iterated, the result is lazily evaluated.
+ * Instead of keys, values can be compared with the 'comparer' option, a function of two values. This compares every pair of values.
  *
  * @param {Series|DataFrame} other - The other Series or DataFrame to combine.
- * @param {function} [comparer] - Optional comparer that selects the value to compare.  
+ * @param {function} [selector] - Optional selector for the value to compare.
+ * @param {function} [otherSelector] - Optional selector for the value to compare from the other series, defaults to 'selector'.
+ * @param {object} [options] - Optional options: 'key' (function that returns the key, a string, for a selected value, see 'distinct')
+ * or 'comparer' (function that is passed a value from each sequence and returns true when they are the same, it can't be used with selectors).
+ * The options can be passed in place of the selectors. A selector that takes two parameters, with no 'otherSelector', is used as the comparer. A selector that takes two parameters, with no 'otherSelector', is used as the comparer.
  * 
  * @returns {Series|DataFrame} Returns the difference of one sequence to another.
  */
-Series.prototype.except = function (other, comparer) {
+Series.prototype.except = function (other, selector, otherSelector, options) {
 
 	assert.instanceOf(other, Series, "Expected 'other' parameter to 'Series.except' to be a Series or DataFrame.");
 
-	if (comparer) {
-		assert.isFunction(comparer, "Expected optional 'comparer' parameter to 'Series.except' to be a comparer function.");
+	if (otherSelector && !Object.isFunction(otherSelector)) {
+		options = otherSelector;
+		otherSelector = undefined;
+	}
+
+	if (selector && !Object.isFunction(selector)) {
+		options = selector;
+		selector = undefined;
+	}
+
+	if (Object.isFunction(selector) && selector.length === 2 && !otherSelector) {
+		options = extend({}, options, { comparer: selector }); // A function of two values is a comparer, as in the 'except(other, comparer)' signature.
+		selector = undefined;
+	}
+
+	var key = keys.validateOptions(options, 'Series.except').key;
+
+	if (selector) {
+		assert.isFunction(selector, "Expected optional 'selector' parameter to 'Series.except' to be a selector function.");
 	}
 	else {
-		comparer = function (left, right) {
-			return left === right;
-		};
+		selector = identity;
+	}
+
+	if (otherSelector) {
+		assert.isFunction(otherSelector, "Expected optional 'otherSelector' parameter to 'Series.except' to be a selector function.");
+	}
+
+	var comparer = options ? options.comparer : undefined;
+	if (comparer !== undefined) {
+		assert.isFunction(comparer, "Expected 'comparer' option to 'Series.except' to be a function that compares two values and returns true when they are the same.");
+		assert(selector === identity && !otherSelector, "The 'comparer' option to 'Series.except' can't be used with selectors.");
 	}
 
 	var self = this;
-	return self
-		.where(function (left) {
-			return other
-				.where(function (right) {
-					return comparer(left, right);
-				})
-				.none();
-		})
-		;
+
+	if (comparer) {
+		return self
+			.where(function (left) {
+				return other
+					.where(function (right) {
+						return comparer(left, right);
+					})
+					.none();
+			})
+			;
+	}
+
+	return createFilteredSeries(self, function () {
+		var otherKeys = createKeySet(other, otherSelector || selector, key);
+		return function (value) {
+			return otherKeys[key(selector(value))] !== true;
+		};
+	});
 };
 
 /** 
@@ -2097,6 +3293,18 @@ Series.prototype.asPairs = function () {
 };
 
 
+//
+// Binary search the index of a baked series for a slicing position.
+// Returns undefined when the series isn't baked or its index can't be searched.
+//
+var findBakedPosition = function (self, findFnName, indexValue) {
+	if (!self._baked) {
+		return undefined;
+	}
+
+	return self.getIndex()[findFnName](indexValue);
+};
+
 /**
  * Get a new series or dataframe starting at the specified index value.
  * 
@@ -2107,6 +3315,11 @@ Series.prototype.asPairs = function () {
 Series.prototype.startAt = function (indexValue) {
 
 	var self = this;
+	var position = findBakedPosition(self, 'findStartPosition', indexValue);
+	if (position !== undefined) {
+		return createBaked(self, self._pairs.slice(position));
+	}
+
 	var lessThan = self.getIndex().getLessThan();
 	return self.asPairs()
 		.skipWhile(function (pair) {
@@ -2126,6 +3339,11 @@ Series.prototype.startAt = function (indexValue) {
 Series.prototype.endAt = function (indexValue) {
 
 	var self = this;
+	var position = findBakedPosition(self, 'findEndPosition', indexValue);
+	if (position !== undefined) {
+		return createBaked(self, self._pairs.slice(0, position));
+	}
+
 	var greaterThan = self.getIndex().getGreaterThan();
 	return self.asPairs()
 		.takeUntil(function (pair) {
@@ -2145,6 +3363,11 @@ Series.prototype.endAt = function (indexValue) {
 Series.prototype.before = function (indexValue) {
 
 	var self = this;
+	var position = findBakedPosition(self, 'findStartPosition', indexValue);
+	if (position !== undefined) {
+		return createBaked(self, self._pairs.slice(0, position));
+	}
+
 	var lessThan = self.getIndex().getLessThan();
 	return self.asPairs()
 		.takeWhile(function (pair) {
@@ -2164,6 +3387,11 @@ Series.prototype.before = function (indexValue) {
 Series.prototype.after = function (indexValue) {
 
 	var self = this;
+	var position = findBakedPosition(self, 'findEndPosition', indexValue);
+	if (position !== undefined) {
+		return createBaked(self, self._pairs.slice(position));
+	}
+
 	var greaterThan = self.getIndex().getGreaterThan();
 	return self.asPairs()
 		.skipUntil(function (pair) {
@@ -0,0 +1,130 @@
+'use strict';
+
+//
+// Comparison of sort keys for 'orderBy', 'orderByDescending', 'thenBy' and 'thenByDescending'.
+//
+// Each sort command has a selector for its sort key, a direction and options: a custom 'comparer', where missing values
+// (null, undefined and NaN) are placed ('nulls', 'first' or 'last', regardless of the direction) and a 'collator' for
+// comparing strings. Missing values are never passed to the comparer or the collator.
+//
+
+var assert = require('chai').assert;
+
+var isMissing = function (value) {
+	return value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+};
+
+//
+// Default comparison of values, dates are compared by time.
+//
+var compareValues = function (a, b) {
+	if (a < b) {
+		return -1;
+	}
+
+	if (a > b) {
+		return 1;
+	}
+
+	return 0;
+};
+
+//
+// Create the function that compares two (non-missing) keys for a sort command.
+//
+var createKeyComparer = function (options) {
+
+	if (options.comparer) {
+		return options.comparer;
+	}
+
+	if (options.collator) {
+		var collator = options.collator;
+		return function (a, b) {
+			if (Object.isString(a) && Object.isString(b)) {
+				return collator.compare(a, b);
+			}
+
+			return compareValues(a, b);
+		};
+	}
+
+	return compareValues;
+};
+
+module.exports = {
+
+	//
+	// Check the options for a sort method and normalize them to an object with 'comparer', 'nulls' and 'collator'.
+	// 'options' can be a comparer function or an object with options. A 'collator' can be an Intl.Collator (or any
+	// object with a 'compare' function) or a locale for a new Intl.Collator.
+	//
+	validateOptions: function (options, fnName) {
+
+		if (options === undefined || options === null) {
+			return { nulls: 'last' };
+		}
+
+		if (Object.isFunction(options)) {
+			return { comparer: options, nulls: 'last' };
+		}
+
+		assert.isObject(options, "Expected optional 'options' parameter to '" + fnName + "' to be a comparer function or an object with sorting options.");
+
+		if (options.comparer !== undefined) {
+			assert.isFunction(options.comparer, "Expected 'comparer' option to '" + fnName + "' to be a function that compares two values and returns a negative number, zero or a positive number.");
+		}
+
+		var nulls = options.nulls || 'last';
+		assert(nulls === 'first' || nulls === 'last', "Expected 'nulls' option to '" + fnName + "' to be 'first' or 'last', instead it is '" + nulls + "'.");
+
+		var collator = options.collator;
+		if (Object.isString(collator)) {
+			collator = new Intl.Collator(collator);
+		}
+		else if (collator !== undefined) {
+			assert(collator && Object.isFunction(collator.compare), "Expected 'collator' option to '" + fnName + "' to be an Intl.Collator or a locale.");
+		}
+
+		return {
+			comparer: options.comparer,
+			nulls: nulls,
+			collator: collator,
+		};
+	},
+
+	//
+	// Create a function that compares two arrays of sort keys, with a key for each command in 'batch'.
+	// Each command has a 'direction' (1 for ascending, -1 for descending) and 'options' from 'validateOptions'.
+	//
+	createComparer: function (batch) {
+
+		var comparers = batch.map(function (orderCmd) {
+			var compareKeys = createKeyComparer(orderCmd.options);
+			var missingOrder = orderCmd.options.nulls === 'first' ? -1 : 1;
+			var direction = orderCmd.direction;
+			return function (a, b) {
+				var aMissing = isMissing(a);
+				var bMissing = isMissing(b);
+				if (aMissing || bMissing) {
+					return aMissing === bMissing ? 0 : aMissing ? missingOrder : -missingOrder;
+				}
+
+				return direction * compareKeys(a, b);
+			};
+		});
+
+		return function (aKeys, bKeys) {
+			for (var keyIndex = 0; keyIndex < comparers.length; ++keyIndex) {
+				var result = comparers[keyIndex](aKeys[keyIndex], bKeys[keyIndex]);
+				if (result) {
+					return result;
+				}
+			}
+
+			return 0;
+		};
+	},
+
+	isMissing: isMissing,
+};
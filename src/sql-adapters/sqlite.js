@@ -0,0 +1,150 @@
+'use strict';
+
+//
+// SQL adapter for SQLite databases, built on the 'sqlite3' package.
+// The 'sqlite3' package is only required when the adapter is created from a file path.
+//
+
+var assert = require('chai').assert;
+
+//
+// Convert parameters to values that SQLite can store.
+//
+var convertParams = function (params) {
+	return (params || []).map(function (param) {
+		if (Object.isDate(param)) {
+			return param.toISOString(); // SQLite has no date type.
+		}
+
+		if (param === true || param === false) {
+			return param ? 1 : 0;
+		}
+
+		return param;
+	});
+};
+
+/**
+ * Constructor for a SQLite adapter, for use with dataForge.fromSQL and DataFrame.toSQL.
+ * @constructor
+ * @memberof dataForge
+ * @param {string|object} database - Path of the SQLite database file (or ':memory:') or an existing 'sqlite3' Database object.
+ */
+var SQLiteAdapter = function (database) {
+
+	var self = this;
+
+	if (Object.isString(database)) {
+		var sqlite3 = require('sqlite3');
+		self._db = new sqlite3.Database(database);
+	}
+	else {
+		assert.isObject(database, "Expected 'database' parameter to SQLiteAdapter constructor to be a file path or a 'sqlite3' Database object.");
+		self._db = database;
+	}
+
+	self.typeNames = {
+		number: 'REAL',
+		string: 'TEXT',
+		boolean: 'INTEGER',
+		date: 'TEXT',
+		object: 'TEXT',
+	};
+
+	self.maxParameters = 999; // Default SQLite limit on the number of bound parameters.
+};
+
+module.exports = SQLiteAdapter;
+
+/**
+ * Run a query.
+ *
+ * @param {string} sql - The SQL query.
+ * @param {array} [params] - Values for the query parameters.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of row objects.
+ */
+SQLiteAdapter.prototype.query = function (sql, params) {
+
+	var self = this;
+	return new Promise(function (resolve, reject) {
+		self._db.all(sql, convertParams(params), function (err, rows) {
+			if (err) {
+				reject(err);
+			}
+			else {
+				resolve(rows);
+			}
+		});
+	});
+};
+
+/**
+ * Run a statement.
+ *
+ * @param {string} sql - The SQL statement.
+ * @param {array} [params] - Values for the statement parameters.
+ *
+ * @returns {Promise<object>} Returns a promise for an object with the number of rows changed by the statement.
+ */
+SQLiteAdapter.prototype.execute = function (sql, params) {
+
+	var self = this;
+	return new Promise(function (resolve, reject) {
+		self._db.run(sql, convertParams(params), function (err) {
+			if (err) {
+				reject(err);
+			}
+			else {
+				resolve({ changes: this.changes }); // sqlite3 reports changes via 'this'.
+			}
+		});
+	});
+};
+
+/**
+ * Run work within a transaction. The transaction is committed when the work completes and rolled back if it fails.
+ *
+ * @param {function} work - Function that does the work and returns a promise.
+ *
+ * @returns {Promise} Returns a promise for the result of the work.
+ */
+SQLiteAdapter.prototype.transaction = function (work) {
+
+	var self = this;
+	return self.execute('BEGIN TRANSACTION')
+		.then(function () {
+			return work();
+		})
+		.then(function (result) {
+			return self.execute('COMMIT')
+				.then(function () {
+					return result;
+				});
+		}, function (err) {
+			return self.execute('ROLLBACK')
+				.then(function () {
+					throw err; // Rethrow after rolling back.
+				});
+		});
+};
+
+/**
+ * Close the database.
+ *
+ * @returns {Promise} Returns a promise that resolves when the database has been closed.
+ */
+SQLiteAdapter.prototype.close = function () {
+
+	var self = this;
+	return new Promise(function (resolve, reject) {
+		self._db.close(function (err) {
+			if (err) {
+				reject(err);
+			}
+			else {
+				resolve();
+			}
+		});
+	});
+};
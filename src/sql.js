@@ -0,0 +1,149 @@
+'use strict';
+
+//
+// Helpers for reading from and writing to SQL databases through a driver adapter.
+//
+// An adapter is an object with the following functions:
+//
+//		query(sql, params) - Runs a query and returns a promise for an array of row objects.
+//		execute(sql, params) - Runs a statement and returns a promise that resolves when the statement has completed.
+//		transaction(work) - Calls 'work' (which returns a promise) within a transaction. Returns a promise for the result of 'work'.
+//			The transaction is committed when the promise resolves and rolled back when it is rejected.
+//
+// An adapter can optionally customize the SQL dialect:
+//
+//		quoteIdentifier(name) - Quotes a table or column name, defaults to double quotes.
+//		parameter(index) - Returns the placeholder for the parameter at the (zero-based) index, defaults to '?'.
+//		typeNames - Object that maps data-forge types ('number', 'string', 'boolean', 'date' and 'object') to SQL column types.
+//		maxParameters - The maximum number of parameters that can be bound to a single statement.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+
+//
+// Default mapping from data-forge types to SQL column types.
+//
+var defaultTypeNames = {
+	number: 'NUMERIC',
+	string: 'TEXT',
+	boolean: 'BOOLEAN',
+	date: 'TIMESTAMP',
+	object: 'TEXT',
+};
+
+var defaultQuoteIdentifier = function (name) {
+	return '"' + name.replace(/"/g, '""') + '"';
+};
+
+var defaultParameter = function () {
+	return '?';
+};
+
+module.exports = {
+
+	//
+	// Check that an object implements the adapter interface.
+	//
+	validateAdapter: function (adapter, fnName) {
+		assert.isObject(adapter, "Expected 'connection' parameter to " + fnName + " to be a SQL adapter object that implements 'query', 'execute' and 'transaction'.");
+		assert.isFunction(adapter.query, "Expected 'connection' parameter to " + fnName + " to be a SQL adapter object that implements 'query'.");
+		assert.isFunction(adapter.execute, "Expected 'connection' parameter to " + fnName + " to be a SQL adapter object that implements 'execute'.");
+		assert.isFunction(adapter.transaction, "Expected 'connection' parameter to " + fnName + " to be a SQL adapter object that implements 'transaction'.");
+	},
+
+	//
+	// Determine the SQL column type for each column of a dataframe from the types detected in the column.
+	// The most frequent type wins, null values are ignored unless the column contains nothing else.
+	// 'columnTypes' optionally overrides the type for particular columns.
+	//
+	determineColumnTypes: function (adapter, dataFrame, columnNames, columnTypes) {
+
+		var typeNames = adapter.typeNames || defaultTypeNames;
+		var detectedTypes = dataFrame.detectTypes().toArray();
+
+		return E.from(columnNames)
+			.select(function (columnName) {
+				if (columnTypes && columnTypes[columnName]) {
+					return columnTypes[columnName];
+				}
+
+				var mostFrequent = E.from(detectedTypes)
+					.where(function (detectedType) {
+						return detectedType.Column === columnName;
+					})
+					.orderBy(function (detectedType) {
+						return detectedType.Type === 'object' ? 0 : 1; // Nulls are detected as objects.
+					})
+					.thenBy(function (detectedType) {
+						return detectedType.Frequency;
+					})
+					.lastOrDefault();
+
+				var valueType = mostFrequent ? mostFrequent.Type : 'string';
+				return typeNames[valueType] || typeNames.string || defaultTypeNames.string;
+			})
+			.toArray();
+	},
+
+	//
+	// Build a CREATE TABLE statement.
+	//
+	createTableStatement: function (adapter, tableName, columnNames, sqlTypes) {
+
+		var quote = adapter.quoteIdentifier || defaultQuoteIdentifier;
+		var columnDefinitions = E.from(columnNames)
+			.zip(sqlTypes, function (columnName, sqlType) {
+				return quote(columnName) + ' ' + sqlType;
+			})
+			.toArray();
+
+		return 'CREATE TABLE IF NOT EXISTS ' + quote(tableName) + ' (' + columnDefinitions.join(', ') + ')';
+	},
+
+	//
+	// Build a parameterized multi-row INSERT statement for a batch of rows.
+	// Returns the SQL and the array of parameters.
+	//
+	insertStatement: function (adapter, tableName, columnNames, rows) {
+
+		var quote = adapter.quoteIdentifier || defaultQuoteIdentifier;
+		var parameter = adapter.parameter || defaultParameter;
+		var params = [];
+
+		var valueLists = E.from(rows)
+			.select(function (row) {
+				var placeholders = E.from(columnNames)
+					.select(function (columnName) {
+						var value = row[columnName];
+						params.push(value === undefined ? null : value);
+						return parameter(params.length - 1);
+					})
+					.toArray();
+
+				return '(' + placeholders.join(', ') + ')';
+			})
+			.toArray();
+
+		var quotedColumnNames = E.from(columnNames)
+			.select(quote)
+			.toArray();
+
+		return {
+			sql: 'INSERT INTO ' + quote(tableName) + ' (' + quotedColumnNames.join(', ') + ') VALUES ' + valueLists.join(', '),
+			params: params,
+		};
+	},
+
+	//
+	// Determine how many rows to insert per statement, keeping under the adapter's parameter limit.
+	//
+	rowsPerBatch: function (adapter, batchSize, numColumns) {
+
+		if (!adapter.maxParameters || numColumns === 0) {
+			return batchSize;
+		}
+
+		return Math.max(1, Math.min(batchSize, Math.floor(adapter.maxParameters / numColumns)));
+	},
+};
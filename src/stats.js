@@ -0,0 +1,480 @@
+'use strict';
+
+//
+// Statistics computed from arrays of values. Values that aren't numbers (including NaN) are ignored.
+//
+
+var assert = require('chai').assert;
+
+var interpolations = ['linear', 'lower', 'higher', 'nearest', 'midpoint'];
+
+//
+// Extract the numbers from an array of values.
+//
+var numbersOf = function (values) {
+	return values.filter(function (value) {
+		return Object.isNumber(value) && !isNaN(value);
+	});
+};
+
+var sumOf = function (numbers) {
+	var total = 0;
+	for (var i = 0; i < numbers.length; ++i) {
+		total += numbers[i];
+	}
+	return total;
+};
+
+var meanOf = function (numbers) {
+	return numbers.length > 0 ? sumOf(numbers) / numbers.length : undefined;
+};
+
+//
+// Sum of the powers of the deviations from the mean.
+//
+var sumOfDeviations = function (numbers, mean, power) {
+	var total = 0;
+	for (var i = 0; i < numbers.length; ++i) {
+		total += Math.pow(numbers[i] - mean, power);
+	}
+	return total;
+};
+
+//
+// Variance, 'population' selects the population variance instead of the sample variance.
+//
+var varianceOf = function (numbers, population) {
+	var divisor = population ? numbers.length : numbers.length - 1;
+	if (divisor <= 0) {
+		return undefined;
+	}
+
+	return sumOfDeviations(numbers, meanOf(numbers), 2) / divisor;
+};
+
+//
+// Quantile of sorted numbers, 'q' is between 0 and 1.
+// 'interpolation' determines the value when the quantile falls between two numbers, as in Pandas.
+//
+var quantileOfSorted = function (sorted, q, interpolation) {
+	if (sorted.length === 0) {
+		return undefined;
+	}
+
+	var position = q * (sorted.length - 1);
+	var lower = Math.floor(position);
+	var upper = Math.ceil(position);
+	var fraction = position - lower;
+
+	switch (interpolation) {
+		case 'lower':
+			return sorted[lower];
+
+		case 'higher':
+			return sorted[upper];
+
+		case 'nearest':
+			return fraction <= 0.5 ? sorted[lower] : sorted[upper];
+
+		case 'midpoint':
+			return (sorted[lower] + sorted[upper]) / 2;
+
+		default:
+			return sorted[lower] + (sorted[upper] - sorted[lower]) * fraction;
+	}
+};
+
+var ascending = function (a, b) {
+	return a - b;
+};
+
+//
+// Key for counting values, so that dates are counted by value.
+//
+var toCountKey = function (value) {
+	if (Object.isDate(value)) {
+		return 'date:' + value.getTime();
+	}
+
+	return typeof(value) + ':' + value;
+};
+
+//
+// Find the most frequent value and its frequency. Ties are won by the value that appears first.
+//
+var modeOf = function (values) {
+	var counts = {};
+	values.forEach(function (value) {
+		var key = toCountKey(value);
+		counts[key] = (counts[key] || 0) + 1;
+	});
+
+	var best = { value: undefined, frequency: 0 };
+	values.forEach(function (value) {
+		var count = counts[toCountKey(value)];
+		if (count > best.frequency) {
+			best = { value: value, frequency: count };
+		}
+	});
+	return best;
+};
+
+//
+// Count the distinct values.
+//
+var countDistinctOf = function (values) {
+	var seen = {};
+	var count = 0;
+	values.forEach(function (value) {
+		var key = toCountKey(value);
+		if (!seen[key]) {
+			seen[key] = true;
+			++count;
+		}
+	});
+	return count;
+};
+
+//
+// Pair up the values of two arrays, keeping the pairs where both values are numbers.
+//
+var pairedNumbersOf = function (xs, ys) {
+	var paired = { xs: [], ys: [] };
+	var length = Math.min(xs.length, ys.length);
+	for (var i = 0; i < length; ++i) {
+		var x = xs[i];
+		var y = ys[i];
+		if (Object.isNumber(x) && !isNaN(x) && Object.isNumber(y) && !isNaN(y)) {
+			paired.xs.push(x);
+			paired.ys.push(y);
+		}
+	}
+	return paired;
+};
+
+//
+// Sample covariance of paired numbers.
+//
+var covarianceOf = function (xs, ys) {
+	var n = xs.length;
+	if (n < 2) {
+		return undefined;
+	}
+
+	var meanX = meanOf(xs);
+	var meanY = meanOf(ys);
+	var total = 0;
+	for (var i = 0; i < n; ++i) {
+		total += (xs[i] - meanX) * (ys[i] - meanY);
+	}
+	return total / (n - 1);
+};
+
+//
+// Pearson correlation of paired numbers, undefined when either doesn't vary.
+//
+var pearsonOf = function (xs, ys) {
+	var covariance = covarianceOf(xs, ys);
+	if (covariance === undefined) {
+		return undefined;
+	}
+
+	var stdX = Math.sqrt(varianceOf(xs));
+	var stdY = Math.sqrt(varianceOf(ys));
+	if (stdX === 0 || stdY === 0) {
+		return undefined;
+	}
+
+	return covariance / (stdX * stdY);
+};
+
+//
+// Rank numbers from 1, equal numbers get the average of their ranks.
+//
+var averageRanksOf = function (numbers) {
+	var positions = numbers.map(function (number, position) {
+		return position;
+	});
+
+	positions.sort(function (a, b) {
+		return numbers[a] - numbers[b];
+	});
+
+	var ranks = new Array(numbers.length);
+	var i = 0;
+	while (i < positions.length) {
+		var end = i + 1;
+		while (end < positions.length && numbers[positions[end]] === numbers[positions[i]]) {
+			++end;
+		}
+
+		for (var j = i; j < end; ++j) {
+			ranks[positions[j]] = (i + 1 + end) / 2;
+		}
+
+		i = end;
+	}
+
+	return ranks;
+};
+
+//
+// Kendall's tau-b of paired numbers, which accounts for ties.
+//
+var kendallOf = function (xs, ys) {
+	var n = xs.length;
+	var concordant = 0;
+	var discordant = 0;
+	var tiesX = 0;
+	var tiesY = 0;
+	for (var i = 0; i < n; ++i) {
+		for (var j = i + 1; j < n; ++j) {
+			var signX = Math.sign(xs[i] - xs[j]);
+			var signY = Math.sign(ys[i] - ys[j]);
+			if (signX * signY > 0) {
+				++concordant;
+			}
+			else if (signX * signY < 0) {
+				++discordant;
+			}
+			else if (signX === 0 && signY !== 0) {
+				++tiesX;
+			}
+			else if (signY === 0 && signX !== 0) {
+				++tiesY;
+			}
+		}
+	}
+
+	var denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+	return denominator > 0 ? (concordant - discordant) / denominator : undefined;
+};
+
+var correlationMethods = {
+	pearson: pearsonOf,
+	spearman: function (xs, ys) {
+		return pearsonOf(averageRanksOf(xs), averageRanksOf(ys));
+	},
+	kendall: kendallOf,
+};
+
+module.exports = {
+
+	numbersOf: numbersOf,
+
+	sum: function (values) {
+		return sumOf(numbersOf(values));
+	},
+
+	mean: function (values) {
+		return meanOf(numbersOf(values));
+	},
+
+	variance: function (values, population) {
+		return varianceOf(numbersOf(values), population);
+	},
+
+	std: function (values, population) {
+		var variance = varianceOf(numbersOf(values), population);
+		return variance === undefined ? undefined : Math.sqrt(variance);
+	},
+
+	//
+	// Check and default the interpolation mode for quantiles. It is passed either as a string or as the 'interpolation' field of an options object.
+	//
+	validateInterpolation: function (options, fnName) {
+		if (options !== undefined && !Object.isString(options)) {
+			assert.isObject(options, "Expected optional 'interpolation' parameter to '" + fnName + "' to be an interpolation mode or an object with an 'interpolation' field.");
+		}
+
+		var interpolation = Object.isObject(options) ? options.interpolation : options;
+		interpolation = interpolation || 'linear';
+		assert(interpolations.indexOf(interpolation) >= 0, "Expected 'interpolation' parameter to '" + fnName + "' to be one of " + interpolations.join(', ') + ", instead it is '" + interpolation + "'.");
+		return interpolation;
+	},
+
+	//
+	// Quantiles of the numbers in an array of values. 'qs' is an array of quantiles between 0 and 1.
+	//
+	quantiles: function (values, qs, interpolation) {
+		var sorted = numbersOf(values).sort(ascending);
+		return qs.map(function (q) {
+			return quantileOfSorted(sorted, q, interpolation);
+		});
+	},
+
+	mode: modeOf,
+
+	countDistinct: countDistinctOf,
+
+	//
+	// Sample skewness (adjusted Fisher-Pearson), as in Pandas and Excel.
+	//
+	skew: function (values) {
+		var numbers = numbersOf(values);
+		var n = numbers.length;
+		if (n < 3) {
+			return undefined;
+		}
+
+		var mean = meanOf(numbers);
+		var std = Math.sqrt(sumOfDeviations(numbers, mean, 2) / (n - 1));
+		if (std === 0) {
+			return 0;
+		}
+
+		return (n / ((n - 1) * (n - 2))) * sumOfDeviations(numbers, mean, 3) / Math.pow(std, 3);
+	},
+
+	//
+	// Sample excess kurtosis, as in Pandas and Excel.
+	//
+	kurtosis: function (values) {
+		var numbers = numbersOf(values);
+		var n = numbers.length;
+		if (n < 4) {
+			return undefined;
+		}
+
+		var mean = meanOf(numbers);
+		var variance = sumOfDeviations(numbers, mean, 2) / (n - 1);
+		if (variance === 0) {
+			return 0;
+		}
+
+		var fourthMoment = sumOfDeviations(numbers, mean, 4) / (variance * variance);
+		return (n * (n + 1) / ((n - 1) * (n - 2) * (n - 3))) * fourthMoment - 3 * (n - 1) * (n - 1) / ((n - 2) * (n - 3));
+	},
+
+	//
+	// Sample covariance of two arrays of values, paired by position. Pairs that aren't both numbers are ignored.
+	//
+	covariance: function (xs, ys) {
+		var paired = pairedNumbersOf(xs, ys);
+		return covarianceOf(paired.xs, paired.ys);
+	},
+
+	//
+	// Check and default the correlation method.
+	//
+	validateCorrelationMethod: function (method, fnName) {
+		method = method || 'pearson';
+		assert(correlationMethods.hasOwnProperty(method), "Expected 'method' parameter to '" + fnName + "' to be one of " + Object.keys(correlationMethods).join(', ') + ", instead it is '" + method + "'.");
+		return method;
+	},
+
+	//
+	// Correlation of two arrays of values, paired by position, with the 'pearson', 'spearman' or 'kendall' method.
+	// Pairs that aren't both numbers are ignored. Returns undefined when there are too few pairs or the values don't vary.
+	// The result is clamped to [-1, 1], rounding errors can otherwise put it just outside.
+	//
+	correlation: function (xs, ys, method) {
+		var paired = pairedNumbersOf(xs, ys);
+		if (paired.xs.length < 2) {
+			return undefined;
+		}
+
+		var correlation = correlationMethods[method || 'pearson'](paired.xs, paired.ys);
+		if (correlation === undefined) {
+			return undefined;
+		}
+
+		return Math.min(1, Math.max(-1, correlation));
+	},
+
+	//
+	// Least squares fit of 'ys' against 'xs', paired by position. Pairs that aren't both numbers are ignored.
+	// Returns an object with 'slope', 'intercept' and 'rSquared', or undefined when there are too few pairs or 'xs' doesn't vary.
+	//
+	linearRegression: function (xs, ys) {
+		var paired = pairedNumbersOf(xs, ys);
+		var n = paired.xs.length;
+		if (n < 2) {
+			return undefined;
+		}
+
+		var meanX = meanOf(paired.xs);
+		var meanY = meanOf(paired.ys);
+		var sumOfSquaresX = sumOfDeviations(paired.xs, meanX, 2);
+		if (sumOfSquaresX === 0) {
+			return undefined;
+		}
+
+		var slope = covarianceOf(paired.xs, paired.ys) * (n - 1) / sumOfSquaresX;
+		var intercept = meanY - slope * meanX;
+
+		var totalSumOfSquares = sumOfDeviations(paired.ys, meanY, 2);
+		var residualSumOfSquares = 0;
+		for (var i = 0; i < n; ++i) {
+			var residual = paired.ys[i] - (intercept + slope * paired.xs[i]);
+			residualSumOfSquares += residual * residual;
+		}
+
+		return {
+			slope: slope,
+			intercept: intercept,
+			rSquared: totalSumOfSquares > 0 ? 1 - residualSumOfSquares / totalSumOfSquares : undefined,
+		};
+	},
+
+	//
+	// Summarize an array of values that aren't missing, for 'DataFrame.describe'.
+	// The type of the values is the most frequent of 'number', 'date' and 'string' (which includes other values).
+	//
+	describe: function (values) {
+		var typeCounts = { number: 0, date: 0, string: 0 };
+		values.forEach(function (value) {
+			if (Object.isNumber(value)) {
+				++typeCounts.number;
+			}
+			else if (Object.isDate(value)) {
+				++typeCounts.date;
+			}
+			else {
+				++typeCounts.string;
+			}
+		});
+
+		var type = typeCounts.date > typeCounts.number ? 'date' : 'number';
+		if (typeCounts.string > typeCounts[type]) {
+			type = 'string';
+		}
+
+		var top = modeOf(values);
+		var summary = {
+			type: type,
+			count: values.length,
+			distinct: countDistinctOf(values),
+			top: top.value,
+			frequency: values.length > 0 ? top.frequency : undefined,
+		};
+
+		if (type === 'string') {
+			return summary;
+		}
+
+		var numbers = type === 'number' ?
+			numbersOf(values) :
+			values
+				.filter(function (value) {
+					return Object.isDate(value);
+				})
+				.map(function (date) {
+					return date.getTime();
+				});
+
+		var sorted = numbers.slice().sort(ascending);
+		var fromNumber = function (number) {
+			return type === 'date' && number !== undefined ? new Date(number) : number;
+		};
+
+		summary.mean = fromNumber(meanOf(numbers));
+		summary.std = type === 'number' && numbers.length > 1 ? Math.sqrt(varianceOf(numbers)) : undefined;
+		summary.min = fromNumber(sorted[0]);
+		summary.quartiles = [0.25, 0.5, 0.75].map(function (q) {
+			return fromNumber(quantileOfSorted(sorted, q, 'linear'));
+		});
+		summary.max = fromNumber(sorted[sorted.length - 1]);
+		return summary;
+	},
+};
@@ -0,0 +1,251 @@
+'use strict';
+
+//
+// Parsing text that isn't CSV, such as log files, to rows.
+//
+// Each line is a row. In pattern mode the columns are the capture groups of a regular expression, lines that don't match
+// are unmatched. In fixed-width mode the columns are at fixed positions in each line, given by their widths or found from the header line.
+// Blank lines are ignored. Values are strings (empty values are undefined), like CSV.
+//
+
+var assert = require('chai').assert;
+
+var LineIterator = require('./iterators/line');
+var SelectIterator = require('./iterators/select');
+var WhereIterator = require('./iterators/where');
+
+var isBlank = function (line) {
+	return line.trim().length === 0;
+};
+
+var toValue = function (text) {
+	if (text === undefined) {
+		return undefined;
+	}
+
+	var value = text.trim();
+	return value.length > 0 ? value : undefined;
+};
+
+//
+// Get the non-blank lines of the text, each an object with 'line' and (one-based) 'lineNumber'.
+//
+var nonBlankLines = function (text) {
+	var lines = new SelectIterator(new LineIterator(text), function (line, lineIndex) {
+		return {
+			line: line,
+			lineNumber: lineIndex + 1,
+		};
+	});
+
+	return new WhereIterator(lines, function (entry) {
+		return !isBlank(entry.line);
+	});
+};
+
+//
+// Get the names of the named capture groups of a regular expression, in order.
+//
+var namedGroupsOf = function (pattern) {
+	var names = [];
+	var namedGroup = /(^|[^\\])\(\?<([A-Za-z_$][A-Za-z0-9_$]*)>/g;
+	var match;
+	while ((match = namedGroup.exec(pattern.source)) !== null) {
+		names.push(match[2]);
+		namedGroup.lastIndex = match.index + match[0].length - 1; // Groups can be next to each other.
+	}
+
+	return names;
+};
+
+//
+// Find the start of each column in a header line, a column starts with a character that isn't a space after a space.
+//
+var columnStartsOf = function (header) {
+	var starts = [];
+	for (var i = 0; i < header.length; ++i) {
+		if (header[i] !== ' ' && (i === 0 || header[i - 1] === ' ')) {
+			starts.push(i);
+		}
+	}
+
+	return starts;
+};
+
+//
+// Create the parser for pattern mode. The parser has 'columnNames', 'hasHeader' and 'parseLine', which returns the values of a line or undefined when the line doesn't match.
+//
+var createPatternParser = function (config) {
+
+	var pattern = Object.isString(config.pattern) ? new RegExp(config.pattern) : config.pattern;
+	var groupNames = config.columnNames ? undefined : namedGroupsOf(pattern);
+	assert(config.columnNames || groupNames.length > 0, "Expected 'columnNames' option to name the capture groups of 'pattern', or 'pattern' to have named capture groups.");
+
+	return {
+		columnNames: config.columnNames || groupNames,
+		hasHeader: false,
+		parseLine: function (line) {
+			pattern.lastIndex = 0; // Global and sticky patterns remember where the last match ended.
+			var match = pattern.exec(line);
+			if (!match) {
+				return undefined;
+			}
+
+			if (groupNames) {
+				return groupNames.map(function (groupName) {
+					return toValue(match.groups[groupName]);
+				});
+			}
+
+			return config.columnNames.map(function (columnName, columnIndex) {
+				return toValue(match[columnIndex + 1]);
+			});
+		},
+	};
+};
+
+//
+// Create the parser for fixed-width mode. The header line (the first non-blank line) is used when there are no 'columnNames' or no 'widths'.
+//
+var createFixedWidthParser = function (config, header) {
+
+	var starts;
+	var ends;
+	if (config.widths) {
+		starts = [];
+		ends = [];
+		config.widths.reduce(function (start, width) {
+			starts.push(start);
+			ends.push(start + width);
+			return start + width;
+		}, 0);
+	}
+	else {
+		starts = header !== undefined ? columnStartsOf(header) : [];
+		ends = starts.slice(1).concat([undefined]); // The last column goes to the end of the line.
+	}
+
+	var split = function (line) {
+		return starts.map(function (start, columnIndex) {
+			return toValue(line.substring(start, ends[columnIndex]));
+		});
+	};
+
+	var hasHeader = !config.columnNames || !config.widths;
+	var columnNames = config.columnNames || (header !== undefined ? split(header) : []);
+	if (config.columnNames && !config.widths) {
+		assert(columnNames.length === starts.length, "Expected 'columnNames' option to name the " + starts.length + " columns found in the header line.");
+	}
+
+	return {
+		columnNames: columnNames.map(function (columnName, columnIndex) {
+			return columnName !== undefined ? columnName : 'Column' + (columnIndex + 1); // Header without a name for the column.
+		}),
+		hasHeader: hasHeader,
+		parseLine: split,
+	};
+};
+
+module.exports = {
+
+	//
+	// Check the options for parsing text.
+	//
+	validateParseOptions: function (config, fnName) {
+
+		assert.isObject(config, "Expected 'config' parameter to " + fnName + " to be an object with a 'pattern' option or fixed-width options ('widths' or 'fixedWidth').");
+
+		var isFixedWidth = config.widths !== undefined || config.fixedWidth;
+		assert(config.pattern !== undefined || isFixedWidth, "Expected 'config' parameter to " + fnName + " to have a 'pattern' option, a 'widths' option or 'fixedWidth' set to true.");
+		assert(config.pattern === undefined || !isFixedWidth, "Can't use both the 'pattern' option and fixed-width options ('widths' or 'fixedWidth') for " + fnName + ".");
+
+		if (config.pattern !== undefined) {
+			assert(Object.isString(config.pattern) || Object.isRegExp(config.pattern), "Expected 'pattern' option to " + fnName + " to be a regular expression or a string that contains a regular expression.");
+		}
+
+		if (config.widths !== undefined) {
+			assert.isArray(config.widths, "Expected 'widths' option to " + fnName + " to be an array with the number of characters in each column.");
+
+			config.widths.forEach(function (width) {
+				assert(Object.isNumber(width) && width > 0, "Expected 'widths' option to " + fnName + " to be an array with the number of characters in each column.");
+			});
+		}
+
+		if (config.columnNames !== undefined) {
+			assert.isArray(config.columnNames, "Expected 'columnNames' option to " + fnName + " to be an array of strings that specify column names.");
+
+			if (config.widths !== undefined) {
+				assert(config.columnNames.length === config.widths.length, "Expected 'columnNames' option to " + fnName + " to name each of the columns in 'widths'.");
+			}
+		}
+
+		if (config.onUnmatched !== undefined) {
+			assert.isFunction(config.onUnmatched, "Expected 'onUnmatched' option to " + fnName + " to be a function that is called with each line that doesn't match.");
+		}
+	},
+
+	//
+	// Parse text to the configuration for a dataframe, an object with 'columnNames' and 'values'.
+	// 'values' is a function that returns an iterator, lines are split and parsed as the dataframe is iterated.
+	// Options: 'pattern' (a regular expression, each capture group is a column), 'columnNames' (names of the capture groups,
+	// the names of named capture groups are used when not set), 'skipNonMatching' (set to false to throw an error for a line that doesn't match)
+	// and 'onUnmatched' (called with the 'lineNumber' and 'line' of each line that is skipped because it doesn't match).
+	// For fixed-width columns: 'widths' (the number of characters in each column) or 'fixedWidth' (set to true to find
+	// the columns from the header line, each column starts where a name in the header starts).
+	// The first non-blank line is the header when there are no 'columnNames' or when columns are found from the header.
+	//
+	parse: function (text, config) {
+
+		var firstLines = nonBlankLines(text);
+		var header = firstLines.moveNext() ? firstLines.getCurrent().line : undefined;
+
+		var parser = config.pattern !== undefined ? createPatternParser(config) : createFixedWidthParser(config, header);
+
+		//
+		// Get the lines after the header.
+		//
+		var dataLines = function () {
+			var lines = nonBlankLines(text);
+			if (parser.hasHeader) {
+				lines.moveNext();
+			}
+
+			return lines;
+		};
+
+		return {
+			columnNames: parser.columnNames,
+			values: function () {
+				var lines = dataLines();
+				var row = undefined;
+
+				return {
+					moveNext: function () {
+						while (lines.moveNext()) {
+							var entry = lines.getCurrent();
+							row = parser.parseLine(entry.line); // Parsed once here, rather than each time the row is retrieved.
+							if (row !== undefined) {
+								return true;
+							}
+
+							if (config.skipNonMatching === false) {
+								throw new Error("Line " + entry.lineNumber + " doesn't match the pattern: " + entry.line);
+							}
+
+							if (config.onUnmatched) {
+								config.onUnmatched({ lineNumber: entry.lineNumber, line: entry.line });
+							}
+						}
+
+						row = undefined;
+						return false;
+					},
+
+					getCurrent: function () {
+						return row;
+					},
+				};
+			},
+		};
+	},
+};
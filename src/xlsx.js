@@ -0,0 +1,213 @@
+'use strict';
+
+//
+// Reading and writing Excel workbooks (XLSX) with the SheetJS 'xlsx' library.
+// The 'xlsx' package is an optional dependency, it is only required when a workbook is read or written.
+//
+// Cells keep the types that Excel gives them: numbers, strings, booleans and dates (cells that are formatted as dates).
+// Empty cells are undefined.
+//
+
+var assert = require('chai').assert;
+var extend = require('extend');
+
+var defaultDateFormat = 'yyyy-mm-dd hh:mm:ss';
+
+//
+// Find a worksheet by name or zero-based position, defaults to the first worksheet.
+//
+var findSheet = function (workbook, sheet) {
+
+	var sheetName = sheet === undefined ? workbook.SheetNames[0] :
+		Object.isNumber(sheet) ? workbook.SheetNames[sheet] :
+		sheet;
+
+	var worksheet = sheetName !== undefined ? workbook.Sheets[sheetName] : undefined;
+	if (!worksheet) {
+		throw new Error("Expected workbook to contain sheet '" + sheet + "', the workbook contains " + workbook.SheetNames.join(', ') + ".");
+	}
+
+	return worksheet;
+};
+
+module.exports = {
+
+	//
+	// Normalize the sheets to write to an array of objects with 'name' and 'dataFrame'.
+	// 'sheets' is either an array of such objects or an object that maps sheet names to dataframes.
+	//
+	toSheetList: function (sheets) {
+
+		if (Object.isArray(sheets)) {
+			return sheets;
+		}
+
+		return Object.keys(sheets).map(function (sheetName) {
+			return {
+				name: sheetName,
+				dataFrame: sheets[sheetName],
+			};
+		});
+	},
+
+	//
+	// Check the options for parsing a workbook.
+	//
+	validateParseOptions: function (config, fnName) {
+
+		if (!config) {
+			return;
+		}
+
+		assert.isObject(config, "Expected optional 'config' parameter to " + fnName + " to be an object with configuration options for XLSX parsing.");
+
+		if (config.sheet !== undefined) {
+			assert(Object.isString(config.sheet) || Object.isNumber(config.sheet), "Expected 'sheet' option to " + fnName + " to be the name or zero-based position of a worksheet.");
+		}
+
+		if (config.headerRow !== undefined && config.headerRow !== false) {
+			assert.isNumber(config.headerRow, "Expected 'headerRow' option to " + fnName + " to be the (one-based) row number of the header row, or false when there is no header row.");
+		}
+
+		if (config.range !== undefined) {
+			assert.isString(config.range, "Expected 'range' option to " + fnName + " to be a range of cells, for example 'A1:D100'.");
+		}
+	},
+
+	//
+	// Parse a worksheet of a workbook to the configuration for a dataframe, an object with 'columnNames' and 'values'.
+	// Options: 'sheet' (name or zero-based position of the worksheet, defaults to the first), 'range' (the cells to read, defaults to all cells)
+	// and 'headerRow' (the row number of the column names, defaults to the first row of the range, rows above it are skipped).
+	// Set 'headerRow' to false when there is no header, columns are then named with 'columnNames' or with their column letters.
+	//
+	parse: function (buffer, config) {
+
+		config = config || {};
+
+		var XLSX = require('xlsx');
+		var workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+		var worksheet = findSheet(workbook, config.sheet);
+
+		var ref = config.range || worksheet['!ref'];
+		if (!ref) {
+			return { columnNames: config.columnNames || [], values: [] }; // Empty worksheet.
+		}
+
+		var range = XLSX.utils.decode_range(ref);
+		var hasHeader = config.headerRow !== false;
+		if (hasHeader && config.headerRow !== undefined) {
+			var headerRowIndex = config.headerRow - 1;
+			assert(headerRowIndex >= range.s.r && headerRowIndex <= range.e.r, "Expected 'headerRow' option to be a row within the range " + XLSX.utils.encode_range(range) + ".");
+			range.s.r = headerRowIndex;
+		}
+
+		var rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, range: range, raw: true, blankrows: false });
+		var numColumns = range.e.c - range.s.c + 1;
+
+		var columnNames = [];
+		var header = hasHeader ? (rows.shift() || []) : [];
+		for (var columnIndex = 0; columnIndex < numColumns; ++columnIndex) {
+			var name = header[columnIndex];
+			if (name !== undefined && name !== null && name.toString().trim().length > 0) {
+				columnNames.push(name.toString().trim());
+			}
+			else if (!hasHeader && config.columnNames && columnIndex < config.columnNames.length) {
+				columnNames.push(config.columnNames[columnIndex]);
+			}
+			else {
+				columnNames.push(XLSX.utils.encode_col(range.s.c + columnIndex));
+			}
+		}
+
+		var values = rows.map(function (row) {
+			var values = new Array(numColumns);
+			for (var columnIndex = 0; columnIndex < numColumns; ++columnIndex) {
+				var value = row[columnIndex];
+				values[columnIndex] = value === null ? undefined : value;
+			}
+			return values;
+		});
+
+		return {
+			columnNames: columnNames,
+			values: values,
+		};
+	},
+
+	//
+	// Create an object for serializing one or more dataframes to a workbook, with a worksheet for each dataframe.
+	// 'getSheets' is passed the options for writing and returns the sheets to write, an array of objects with 'name' and 'dataFrame'.
+	//
+	createSerializer: function (getSheets, fnName) {
+
+		var toBuffer = function (options) {
+
+			if (options) {
+				assert.isObject(options, "Expected 'options' parameter to " + fnName + " to be an object with options for writing the workbook.");
+			}
+
+			options = extend({ dateFormat: defaultDateFormat }, options);
+
+			var XLSX = require('xlsx');
+			var workbook = XLSX.utils.book_new();
+			getSheets(options).forEach(function (sheet) {
+				var rows = [sheet.dataFrame.getColumnNames()].concat(sheet.dataFrame.toRows());
+				var worksheet = XLSX.utils.aoa_to_sheet(rows, { dateNF: options.dateFormat });
+				XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
+			});
+
+			return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+		};
+
+		return {
+			/**
+			 * Serialize to an XLSX file in the local file system.
+			 * Asynchronous version.
+			 *
+			 * @param {string} filePath - Specifies the output path for the file.
+			 * @param {object} [options] - Optional options: 'sheetName' (name of the worksheet for a single dataframe, defaults to 'Sheet1') and 'dateFormat' (Excel number format for dates).
+			 *
+			 * @returns {Promise} Returns a promise that resolves when the file has been written.
+			 */
+			writeFile: function (filePath, options) {
+				assert.isString(filePath, "Expected 'filePath' parameter to " + fnName + ".writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+				return new Promise(function (resolve, reject) {
+					var buffer = toBuffer(options);
+					var fs = require('fs');
+					fs.writeFile(filePath, buffer, function (err) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve();
+					});
+				});
+			},
+
+			/**
+			 * Serialize to an XLSX file in the local file system.
+			 * Synchronous version.
+			 *
+			 * @param {string} filePath - Specifies the output path for the file.
+			 * @param {object} [options] - Optional options: 'sheetName' (name of the worksheet for a single dataframe, defaults to 'Sheet1') and 'dateFormat' (Excel number format for dates).
+			 */
+			writeFileSync: function (filePath, options) {
+				assert.isString(filePath, "Expected 'filePath' parameter to " + fnName + ".writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+				var fs = require('fs');
+				fs.writeFileSync(filePath, toBuffer(options));
+			},
+
+			/**
+			 * Serialize to an XLSX workbook in memory.
+			 *
+			 * @param {object} [options] - Optional options: 'sheetName' (name of the worksheet for a single dataframe, defaults to 'Sheet1') and 'dateFormat' (Excel number format for dates).
+			 *
+			 * @returns {Buffer} Returns a buffer that contains the workbook.
+			 */
+			toBuffer: toBuffer,
+		};
+	},
+};
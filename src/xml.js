@@ -0,0 +1,208 @@
+'use strict';
+
+//
+// Reading and writing XML with the 'fast-xml-parser' library.
+// The 'fast-xml-parser' package is an optional dependency, it is only required when XML is read or written.
+//
+// Each row is an element, its attributes and child elements are the columns. Values are read as strings, like CSV.
+//
+
+var assert = require('chai').assert;
+
+var attributePrefix = '@_';
+var textName = '#text';
+var declarationName = '?xml';
+
+var isAttributeName = function (name) {
+	return name.indexOf(attributePrefix) === 0;
+};
+
+//
+// Get the names of the child elements of a parsed element.
+//
+var childElementNames = function (element) {
+	if (!Object.isObject(element)) {
+		return [];
+	}
+
+	return Object.keys(element)
+		.filter(function (name) {
+			return !isAttributeName(name) && name !== textName && name !== declarationName;
+		});
+};
+
+var toArray = function (value) {
+	return Object.isArray(value) ? value : [value];
+};
+
+//
+// Find the elements with a particular name, at any depth. Elements that are found aren't searched.
+//
+var findElements = function (element, elementName, found) {
+	childElementNames(element).forEach(function (name) {
+		toArray(element[name]).forEach(function (child) {
+			if (name === elementName) {
+				found.push(child);
+			}
+			else {
+				findElements(child, elementName, found);
+			}
+		});
+	});
+
+	return found;
+};
+
+//
+// Replace characters that aren't allowed in element names.
+//
+var toElementName = function (name) {
+	var elementName = name.toString().replace(/[^A-Za-z0-9_.\-]/g, '_');
+	return /^[A-Za-z_]/.test(elementName) ? elementName : '_' + elementName;
+};
+
+//
+// Convert a value to the text of an element.
+//
+var toText = function (value) {
+	if (Object.isDate(value)) {
+		return value.toISOString();
+	}
+
+	if (Object.isObject(value) || Object.isArray(value)) {
+		return JSON.stringify(value);
+	}
+
+	return value.toString();
+};
+
+module.exports = {
+
+	//
+	// Check the options for parsing XML.
+	//
+	validateParseOptions: function (config, fnName) {
+
+		if (!config) {
+			return;
+		}
+
+		assert.isObject(config, "Expected optional 'config' parameter to " + fnName + " to be an object with configuration options for XML parsing.");
+
+		if (config.rowElement !== undefined) {
+			assert.isString(config.rowElement, "Expected 'rowElement' option to " + fnName + " to be the name of the elements that are rows.");
+		}
+	},
+
+	//
+	// Parse XML text to the configuration for a dataframe, an object with 'columnNames' and 'values'.
+	// Options: 'rowElement' (name of the elements that are rows, at any depth, defaults to the elements inside the root element)
+	// and 'attributes' (set to false to ignore the attributes of row elements).
+	// The columns are the attributes followed by the child elements, in the order they are first found.
+	// Repeated child elements produce an array of values, child elements that contain elements produce an object.
+	//
+	parse: function (xmlText, config) {
+
+		config = config || {};
+
+		var XMLParser = require('fast-xml-parser').XMLParser;
+		var parser = new XMLParser({
+			ignoreAttributes: false,
+			attributeNamePrefix: attributePrefix,
+			parseTagValue: false,
+			parseAttributeValue: false,
+		});
+
+		var document = parser.parse(xmlText);
+		var rootNames = childElementNames(document);
+		if (rootNames.length === 0) {
+			return { columnNames: [], values: [] };
+		}
+
+		var root = document[rootNames[0]];
+		var rowElement = config.rowElement;
+		if (rowElement === undefined) {
+			var rowNames = childElementNames(root);
+			if (rowNames.length > 1) {
+				throw new Error("Expected the root element to contain one kind of element, instead found " + rowNames.join(', ') + ". Use the 'rowElement' option to specify the elements that are rows.");
+			}
+
+			rowElement = rowNames[0];
+		}
+
+		var rowElements = rowElement !== undefined ? findElements(document, rowElement, []) : [];
+		var columnNames = [];
+		var rows = rowElements.map(function (element) {
+			var row = {};
+			if (!Object.isObject(element)) {
+				return row; // Element without attributes or children.
+			}
+
+			var names = Object.keys(element);
+			if (config.attributes !== false) {
+				names.filter(isAttributeName).forEach(function (name) {
+					row[name.substring(attributePrefix.length)] = element[name];
+				});
+			}
+
+			childElementNames(element).forEach(function (name) {
+				row[name] = element[name];
+			});
+
+			Object.keys(row).forEach(function (columnName) {
+				if (columnNames.indexOf(columnName) < 0) {
+					columnNames.push(columnName);
+				}
+			});
+
+			return row;
+		});
+
+		return {
+			columnNames: columnNames,
+			values: rows.map(function (row) {
+				return columnNames.map(function (columnName) {
+					return row[columnName];
+				});
+			}),
+		};
+	},
+
+	//
+	// Serialize a dataframe to XML, with an element for each row and a child element for each value.
+	// Options: 'rootElement' (defaults to 'rows') and 'rowElement' (defaults to 'row').
+	// Undefined values are left out, dates are written in ISO 8601 format.
+	//
+	stringify: function (dataFrame, options) {
+
+		options = options || {};
+
+		var rootElement = options.rootElement || 'rows';
+		var rowElement = options.rowElement || 'row';
+		var columnNames = dataFrame.getColumnNames();
+		var elementNames = columnNames.map(toElementName);
+
+		var rows = dataFrame.toArray().map(function (row) {
+			var element = {};
+			columnNames.forEach(function (columnName, columnIndex) {
+				var value = row[columnName];
+				if (value !== undefined && value !== null) {
+					element[elementNames[columnIndex]] = toText(value);
+				}
+			});
+			return element;
+		});
+
+		var document = {};
+		document[rootElement] = {};
+		document[rootElement][rowElement] = rows;
+
+		var XMLBuilder = require('fast-xml-parser').XMLBuilder;
+		var builder = new XMLBuilder({
+			format: true,
+			indentBy: '    ',
+		});
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build(document);
+	},
+};
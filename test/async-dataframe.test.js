@@ -0,0 +1,408 @@
+'use strict';
+
+describe('AsyncDataFrame', function () {
+
+	var dataForge = require('../index');
+	var AsyncDataFrame = require('../src/async-dataframe');
+	var AsyncSeries = require('../src/async-series');
+	var DataFrame = require('../src/dataframe');
+
+	var expect = require('chai').expect;
+	var mock = require('mock-require');
+
+	afterEach(function () {
+		mock.stopAll();
+	});
+
+	var initDataFrame = function () {
+		return new AsyncDataFrame({
+			columnNames: ['Name', 'Value'],
+			values: [
+				['a', 1],
+				['b', 2],
+				['c', 3],
+			],
+		});
+	};
+
+	it('can resolve to dataframe', function () {
+
+		return initDataFrame()
+			.resolve()
+			.then(function (dataFrame) {
+				expect(dataFrame).to.be.an.instanceOf(DataFrame);
+				expect(dataFrame.getColumnNames()).to.eql(['Name', 'Value']);
+				expect(dataFrame.toRows()).to.eql([['a', 1], ['b', 2], ['c', 3]]);
+			});
+	});
+
+	it('can create from dataframe', function () {
+
+		var dataFrame = new DataFrame({ columnNames: ['A'], values: [[1], [2]], index: [10, 11] });
+
+		return new AsyncDataFrame(dataFrame)
+			.resolve()
+			.then(function (resolved) {
+				expect(resolved.getIndex().toArray()).to.eql([10, 11]);
+				expect(resolved.toRows()).to.eql([[1], [2]]);
+			});
+	});
+
+	it('select produces async dataframe with new columns', function () {
+
+		var selected = initDataFrame()
+			.select(function (row) {
+				return { Doubled: row.Value * 2 };
+			});
+
+		expect(selected).to.be.an.instanceOf(AsyncDataFrame);
+
+		return selected
+			.resolve()
+			.then(function (dataFrame) {
+				expect(dataFrame.getColumnNames()).to.eql(['Doubled']);
+				expect(dataFrame.toRows()).to.eql([[2], [4], [6]]);
+			});
+	});
+
+	it('where preserves columns', function () {
+
+		return initDataFrame()
+			.where(function (row) {
+				return row.Value > 1;
+			})
+			.resolve()
+			.then(function (dataFrame) {
+				expect(dataFrame.getColumnNames()).to.eql(['Name', 'Value']);
+				expect(dataFrame.getIndex().toArray()).to.eql([1, 2]);
+				expect(dataFrame.toRows()).to.eql([['b', 2], ['c', 3]]);
+			});
+	});
+
+	it('can get series', function () {
+
+		var series = initDataFrame().getSeries('Value');
+		expect(series).to.be.an.instanceOf(AsyncSeries);
+
+		return series.toArray()
+			.then(function (values) {
+				expect(values).to.eql([1, 2, 3]);
+			});
+	});
+
+	it('can order', function () {
+
+		return initDataFrame()
+			.orderByDescending(function (row) {
+				return row.Value;
+			})
+			.toArray()
+			.then(function (rows) {
+				expect(rows).to.eql([
+					{ Name: 'c', Value: 3 },
+					{ Name: 'b', Value: 2 },
+					{ Name: 'a', Value: 1 },
+				]);
+			});
+	});
+
+	it('can write CSV file', function () {
+
+		var written = null;
+
+		mock('fs', {
+			writeFile: function (filePath, data, callback) {
+				written = [filePath, data];
+				callback(null);
+			},
+		});
+
+		return initDataFrame()
+			.head(2)
+			.asCSV()
+			.writeFile('some/file.csv')
+			.then(function () {
+				expect(written).to.eql(['some/file.csv', "Name,Value\r\na,1\r\nb,2"]);
+			});
+	});
+
+	it('can stream from MongoDB and resolve', function () {
+
+		var documents = [{ A: 1 }, { A: 2 }, { A: 3 }];
+		var closed = false;
+
+		mock('promised-mongo', function (connectionString, collectionNames) {
+			expect(connectionString).to.eql('localhost/db');
+			expect(collectionNames).to.eql(['coll']);
+
+			var db = {
+				close: function () {
+					closed = true;
+					return Promise.resolve();
+				},
+			};
+			db.coll = {
+				find: function () {
+					var i = 0;
+					return {
+						next: function () {
+							return Promise.resolve(i < documents.length ? documents[i++] : null);
+						},
+					};
+				},
+			};
+			return db;
+		});
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.select(function (row) {
+				return { B: row.A * 10 };
+			})
+			.resolve()
+			.then(function (dataFrame) {
+				expect(dataFrame.toRows()).to.eql([[10], [20], [30]]);
+				expect(closed).to.eql(true);
+			});
+	});
+
+	//
+	// Mock MongoDB and record the query that is run against the collection.
+	//
+	var mockMongoQuery = function (documents) {
+
+		var recorded = { connected: false, opened: 0, closed: 0 };
+
+		mock('promised-mongo', function (connectionString, collectionNames) {
+			recorded.connected = true;
+			++recorded.opened;
+
+			var db = {
+				close: function () {
+					++recorded.closed;
+					return Promise.resolve();
+				},
+			};
+			db.coll = {
+				find: function (filter, projection) {
+					recorded.find = Array.prototype.slice.call(arguments);
+
+					var i = 0;
+					var cursor = {
+						sort: function (sort) {
+							recorded.sort = sort;
+							return cursor;
+						},
+						skip: function (skip) {
+							recorded.skip = skip;
+							return cursor;
+						},
+						limit: function (limit) {
+							recorded.limit = limit;
+							return cursor;
+						},
+						next: function () {
+							return Promise.resolve(i < documents.length ? documents[i++] : null);
+						},
+					};
+					return cursor;
+				},
+			};
+			return db;
+		});
+
+		return recorded;
+	};
+
+	it('can pass query options to MongoDB', function () {
+
+		var recorded = mockMongoQuery([{ A: 1 }]);
+
+		var query = {
+			filter: { A: { $gt: 0 } },
+			projection: { A: 1 },
+			sort: { A: -1 },
+			skip: 10,
+			limit: 5,
+		};
+
+		return dataForge.fromMongoDB('localhost/db', 'coll', query)
+			.toArray()
+			.then(function (rows) {
+				expect(rows).to.eql([{ A: 1 }]);
+				expect(recorded.find).to.eql([{ A: { $gt: 0 } }, { A: 1 }]);
+				expect(recorded.sort).to.eql({ A: -1 });
+				expect(recorded.skip).to.eql(10);
+				expect(recorded.limit).to.eql(5);
+			});
+	});
+
+	it('skip and take are passed through to MongoDB', function () {
+
+		var recorded = mockMongoQuery([]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll', { skip: 2 })
+			.skip(3)
+			.take(10)
+			.skip(4)
+			.head(20)
+			.toArray()
+			.then(function () {
+				expect(recorded.find).to.eql([{}]);
+				expect(recorded.skip).to.eql(9);
+				expect(recorded.limit).to.eql(6);
+			});
+	});
+
+	it('skip passed through to MongoDB keeps the original index', function () {
+
+		var documents = [{ A: 1 }, { A: 2 }, { A: 3 }, { A: 4 }];
+
+		return new AsyncDataFrame(documents)
+			.skip(2)
+			.toPairs()
+			.then(function (expectedPairs) {
+				mockMongoQuery(documents.slice(2)); // The mock cursor only returns what MongoDB would after the skip.
+
+				return dataForge.fromMongoDB('localhost/db', 'coll')
+					.skip(2)
+					.toPairs()
+					.then(function (pairs) {
+						expect(pairs).to.eql([[2, { A: 3 }], [3, { A: 4 }]]);
+						expect(pairs).to.eql(expectedPairs);
+					});
+			});
+	});
+
+	it('taking zero rows from MongoDB doesn\'t run a query', function () {
+
+		var recorded = mockMongoQuery([{ A: 1 }]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.take(2)
+			.skip(5)
+			.toArray()
+			.then(function (rows) {
+				expect(rows).to.eql([]);
+				expect(recorded.connected).to.eql(false);
+			});
+	});
+
+	it('filter objects are passed through to MongoDB', function () {
+
+		var recorded = mockMongoQuery([]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll', { filter: { A: 1 } })
+			.where({ B: 2 })
+			.toArray()
+			.then(function () {
+				expect(recorded.find).to.eql([{ $and: [{ A: 1 }, { B: 2 }] }]);
+			});
+	});
+
+	it('filter object after take throws', function () {
+
+		expect(function () {
+			dataForge.fromMongoDB('localhost/db', 'coll')
+				.take(5)
+				.where({ A: 1 });
+		}).to.throw();
+	});
+
+	it('predicate functions are evaluated as documents are streamed from MongoDB', function () {
+
+		var recorded = mockMongoQuery([{ A: 1 }, { A: 2 }, { A: 3 }]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.where(function (row) {
+				return row.A !== 2;
+			})
+			.toArray()
+			.then(function (rows) {
+				expect(rows).to.eql([{ A: 1 }, { A: 3 }]);
+				expect(recorded.find).to.eql([{}]);
+			});
+	});
+
+	it('database is closed when take stops before the end of the documents', function () {
+
+		var recorded = mockMongoQuery([{ A: 1 }, { A: 2 }, { A: 3 }, { A: 4 }]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.where(function (row) {
+				return row.A > 1;
+			})
+			.take(1)
+			.toArray()
+			.then(function (rows) {
+				expect(rows).to.eql([{ A: 2 }]);
+				expect(recorded.limit).to.be.undefined;
+				expect(recorded.opened).to.eql(1);
+				expect(recorded.closed).to.eql(1);
+			});
+	});
+
+	it('database is closed when a terminal operation fails', function () {
+
+		var recorded = mockMongoQuery([{ A: 1 }, { A: 2 }]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.forEach(function () {
+				throw new Error("Callback failed.");
+			})
+			.then(function () {
+				throw new Error("Expected forEach to fail.");
+			}, function (err) {
+				expect(err.message).to.eql("Callback failed.");
+				expect(recorded.opened).to.eql(1);
+				expect(recorded.closed).to.eql(1);
+			});
+	});
+
+	it('subset is passed through to MongoDB as a projection', function () {
+
+		var recorded = mockMongoQuery([{ A: 1, B: 2 }]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll')
+			.subset(['A', 'B'])
+			.resolve()
+			.then(function (dataFrame) {
+				expect(recorded.find).to.eql([{}, { _id: 0, A: 1, B: 1 }]);
+				expect(dataFrame.getColumnNames()).to.eql(['A', 'B']);
+			});
+	});
+
+	it('subset excludes fields already projected away', function () {
+
+		var recorded = mockMongoQuery([]);
+
+		return dataForge.fromMongoDB('localhost/db', 'coll', { projection: { A: 1, _id: 1 } })
+			.subset(['_id', 'A', 'B'])
+			.toArray()
+			.then(function () {
+				expect(recorded.find).to.eql([{}, { _id: 1, A: 1 }]);
+			});
+	});
+
+	it('filter object for a source that doesn\'t support it throws', function () {
+
+		expect(function () {
+			new AsyncDataFrame([{ A: 1 }]).where({ A: 1 });
+		}).to.throw();
+	});
+
+	it('can subset an async dataframe', function () {
+
+		return new AsyncDataFrame([{ A: 1, B: 2, C: 3 }])
+			.subset(['C', 'A'])
+			.resolve()
+			.then(function (dataFrame) {
+				expect(dataFrame.getColumnNames()).to.eql(['C', 'A']);
+				expect(dataFrame.toRows()).to.eql([[3, 1]]);
+			});
+	});
+
+	it('is exported from dataForge', function () {
+
+		expect(dataForge.AsyncDataFrame).to.equal(AsyncDataFrame);
+	});
+});
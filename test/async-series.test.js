@@ -0,0 +1,271 @@
+'use strict';
+
+describe('AsyncSeries', function () {
+
+	var dataForge = require('../index');
+	var AsyncSeries = require('../src/async-series');
+	var Series = require('../src/series');
+
+	var expect = require('chai').expect;
+
+	it('can create from array', function () {
+
+		var series = new AsyncSeries([1, 2, 3]);
+
+		return series.toArray()
+			.then(function (values) {
+				expect(values).to.eql([1, 2, 3]);
+			});
+	});
+
+	it('can create from config', function () {
+
+		var series = new AsyncSeries({ values: [1, 2, 3], index: [10, 20, 30] });
+
+		return series.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[10, 1], [20, 2], [30, 3]]);
+			});
+	});
+
+	it('can create from series', function () {
+
+		var series = new AsyncSeries(new Series({ values: [1, 2], index: [5, 6] }));
+
+		return series.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[5, 1], [6, 2]]);
+			});
+	});
+
+	it('empty series resolves to empty array', function () {
+
+		return new AsyncSeries().toArray()
+			.then(function (values) {
+				expect(values).to.eql([]);
+			});
+	});
+
+	it('can chain lazy operations', function () {
+
+		var series = new AsyncSeries({ values: [1, 2, 3, 4, 5, 6], index: [0, 1, 2, 3, 4, 5] });
+
+		return series
+			.where(function (value) {
+				return value % 2 === 0;
+			})
+			.select(function (value) {
+				return value * 10;
+			})
+			.skip(1)
+			.take(1)
+			.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[3, 40]]);
+			});
+	});
+
+	it('can take head', function () {
+
+		return new AsyncSeries([1, 2, 3]).head(2).toArray()
+			.then(function (values) {
+				expect(values).to.eql([1, 2]);
+			});
+	});
+
+	it('operations are not evaluated until a terminal operation', function () {
+
+		var evaluated = 0;
+		var series = new AsyncSeries([1, 2, 3])
+			.select(function (value) {
+				++evaluated;
+				return value;
+			});
+
+		expect(evaluated).to.eql(0);
+
+		return series.toArray()
+			.then(function () {
+				expect(evaluated).to.eql(3);
+			});
+	});
+
+	it('can order and then order', function () {
+
+		var series = new AsyncSeries([3, 1, 12, 2, 11]);
+
+		return series
+			.orderBy(function (value) {
+				return value % 10;
+			})
+			.thenByDescending(function (value) {
+				return value;
+			})
+			.toArray()
+			.then(function (values) {
+				expect(values).to.eql([11, 1, 12, 2, 3]);
+			});
+	});
+
+	it('can order descending', function () {
+
+		return new AsyncSeries([3, 1, 2])
+			.orderByDescending(function (value) {
+				return value;
+			})
+			.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[0, 3], [2, 2], [1, 1]]);
+			});
+	});
+
+	it('can group', function () {
+
+		return new AsyncSeries([1, 2, 3, 4, 5])
+			.groupBy(function (value) {
+				return value % 2;
+			})
+			.select(function (group) {
+				return group.toArray();
+			})
+			.toArray()
+			.then(function (groups) {
+				expect(groups).to.eql([[1, 3, 5], [2, 4]]);
+			});
+	});
+
+	it('can count', function () {
+
+		return new AsyncSeries([1, 2, 3]).count()
+			.then(function (count) {
+				expect(count).to.eql(3);
+			});
+	});
+
+	it('can resolve to series', function () {
+
+		return new AsyncSeries({ values: [1, 2], index: [3, 4] })
+			.resolve()
+			.then(function (series) {
+				expect(series).to.be.an.instanceOf(Series);
+				expect(series.getIndex().toArray()).to.eql([3, 4]);
+				expect(series.toArray()).to.eql([1, 2]);
+			});
+	});
+
+	it('is thenable', function () {
+
+		return Promise.resolve(new AsyncSeries([1, 2]))
+			.then(function (series) {
+				expect(series).to.be.an.instanceOf(Series);
+				expect(series.toArray()).to.eql([1, 2]);
+			});
+	});
+
+	it('error in selector rejects the terminal operation', function () {
+
+		return new AsyncSeries([1, 2])
+			.select(function () {
+				throw new Error("Bad selector");
+			})
+			.toArray()
+			.then(function () {
+				throw new Error("Expected an error.");
+			}, function (err) {
+				expect(err.message).to.eql("Bad selector");
+			});
+	});
+
+	//
+	// Create an async series of the numbers from 0 to 'count', generated as they are iterated.
+	//
+	var generateSeries = function (count) {
+		return new AsyncSeries({
+			iterable: {
+				getIterator: function () {
+					var value = -1;
+					return {
+						moveNext: function () {
+							++value;
+							return Promise.resolve(value < count);
+						},
+
+						getCurrent: function () {
+							return [value, value];
+						},
+					};
+				},
+			},
+		});
+	};
+
+	//
+	// Size of the heap above what it was when the function was created.
+	//
+	var trackHeapGrowth = function () {
+		var baseline = process.memoryUsage().heapUsed;
+		var peak = 0;
+		return {
+			sample: function () {
+				peak = Math.max(peak, process.memoryUsage().heapUsed - baseline);
+			},
+
+			getPeak: function () {
+				return peak;
+			},
+		};
+	};
+
+	var maxHeapGrowth = 40 * 1024 * 1024;
+
+	it('skipping and filtering a large stream uses bounded memory', function () {
+
+		this.timeout(30000);
+
+		var numValues = 2000000;
+		var heap = trackHeapGrowth();
+		var matched = [];
+
+		return generateSeries(numValues)
+			.skip(numValues / 2)
+			.where(function (value) {
+				return value % 250000 === 0;
+			})
+			.forEach(function (value) {
+				heap.sample();
+				matched.push(value);
+			})
+			.then(function () {
+				expect(matched).to.eql([1000000, 1250000, 1500000, 1750000]);
+				expect(heap.getPeak()).to.be.below(maxHeapGrowth);
+			});
+	});
+
+	it('visiting every value of a large stream uses bounded memory', function () {
+
+		this.timeout(30000);
+
+		var numValues = 2000000;
+		var heap = trackHeapGrowth();
+		var total = 0;
+
+		return generateSeries(numValues)
+			.forEach(function (value) {
+				if (value % 10000 === 0) {
+					heap.sample();
+				}
+
+				total += 1;
+			})
+			.then(function () {
+				heap.sample();
+				expect(total).to.eql(numValues);
+				expect(heap.getPeak()).to.be.below(maxHeapGrowth);
+			});
+	});
+
+	it('is exported from dataForge', function () {
+
+		expect(dataForge.AsyncSeries).to.equal(AsyncSeries);
+	});
+});
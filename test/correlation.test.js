@@ -0,0 +1,201 @@
+'use strict';
+
+describe('correlation', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initSeries = function (values, index) {
+		var config = {
+			values: values,
+		};
+
+		if (index) {
+			config.index = index;
+		}
+
+		return new dataForge.Series(config);
+	};
+
+	it('can compute covariance', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5]);
+		var y = initSeries([2, 4, 5, 4, 5]);
+		expect(x.covariance(y)).to.eql(1.5);
+	});
+
+	it('can compute pearson correlation', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5]);
+		var y = initSeries([2, 4, 5, 4, 5]);
+		expect(x.correlation(y)).to.be.closeTo(0.7746, 0.0001);
+		expect(x.correlation(y, 'pearson')).to.be.closeTo(0.7746, 0.0001);
+	});
+
+	it('can compute spearman correlation', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5]);
+		var y = initSeries([2, 4, 5, 4, 5]);
+		expect(x.correlation(y, 'spearman')).to.be.closeTo(0.7379, 0.0001);
+	});
+
+	it('can compute kendall correlation', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5]);
+		var y = initSeries([2, 4, 5, 4, 5]);
+		expect(x.correlation(y, 'kendall')).to.be.closeTo(0.6708, 0.0001);
+	});
+
+	it('correlation of perfectly related series', function () {
+
+		var x = initSeries([1, 2, 3, 4]);
+		expect(x.correlation(initSeries([10, 20, 30, 40]))).to.be.closeTo(1, 0.0000001);
+		expect(x.correlation(initSeries([4, 3, 2, 1]), 'spearman')).to.be.closeTo(-1, 0.0000001);
+		expect(x.correlation(initSeries([1, 4, 9, 16]), 'kendall')).to.eql(1);
+	});
+
+	it('correlation is clamped to the range -1 to 1', function () {
+
+		var x = initSeries([7.1, 3.7, 5.2]);
+		expect(x.correlation(x)).to.eql(1);
+		expect(x.correlation(initSeries([-7.1, -3.7, -5.2]))).to.be.within(-1, -0.9999999);
+	});
+
+	it('correlation is undefined when values do not vary', function () {
+
+		var x = initSeries([1, 2, 3]);
+		expect(x.correlation(initSeries([5, 5, 5]))).to.be.undefined;
+	});
+
+	it('values are paired by index', function () {
+
+		var x = initSeries([1, 2, 3, 4], [1, 2, 3, 4]);
+		var y = initSeries([40, 30, 20, 10, 99], [4, 3, 2, 1, 100]);
+		expect(x.correlation(y)).to.be.closeTo(1, 0.0000001);
+		expect(x.covariance(y)).to.be.closeTo(16.6667, 0.0001);
+	});
+
+	it('pairs that are not both numbers are ignored', function () {
+
+		var x = initSeries([1, 2, 'x', 3, 4]);
+		var y = initSeries([2, 4, 6, null, 8]);
+		expect(x.correlation(y)).to.be.closeTo(1, 0.0000001);
+	});
+
+	it('throws for unknown correlation method', function () {
+
+		expect(function () {
+			initSeries([1, 2]).correlation(initSeries([1, 2]), 'distance');
+		}).to.throw();
+	});
+
+	it('throws when other is not a series', function () {
+
+		expect(function () {
+			initSeries([1, 2]).correlation([1, 2]);
+		}).to.throw();
+	});
+
+	it('can compute rolling correlation', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5], [10, 20, 30, 40, 50]);
+		var y = initSeries([1, 2, 3, 2, 1], [10, 20, 30, 40, 50]);
+		var rolling = x.rollingCorrelation(y, 3);
+
+		expect(rolling.getIndex().toArray()).to.eql([30, 40, 50]);
+
+		var values = rolling.toArray();
+		expect(values[0]).to.be.closeTo(1, 0.0000001);
+		expect(values[1]).to.eql(0);
+		expect(values[2]).to.be.closeTo(-1, 0.0000001);
+	});
+
+	it('rolling correlation of series shorter than the period is empty', function () {
+
+		var x = initSeries([1, 2]);
+		expect(x.rollingCorrelation(x, 3).count()).to.eql(0);
+	});
+
+	it('can fit a linear regression', function () {
+
+		var x = initSeries([1, 2, 3, 4, 5], ['a', 'b', 'c', 'd', 'e']);
+		var y = initSeries([2, 4, 5, 4, 5], ['a', 'b', 'c', 'd', 'e']);
+		var fit = y.linearRegression(x);
+
+		expect(fit.slope).to.be.closeTo(0.6, 0.0000001);
+		expect(fit.intercept).to.be.closeTo(2.2, 0.0000001);
+		expect(fit.rSquared).to.be.closeTo(0.6, 0.0000001);
+
+		expect(fit.fitted.getIndex().toArray()).to.eql(['a', 'b', 'c', 'd', 'e']);
+		fit.fitted.toArray().forEach(function (value, position) {
+			expect(value).to.be.closeTo([2.8, 3.4, 4, 4.6, 5.2][position], 0.0000001);
+		});
+	});
+
+	it('linear regression is undefined when the independent values do not vary', function () {
+
+		var x = initSeries([3, 3, 3]);
+		var y = initSeries([1, 2, 3]);
+		expect(y.linearRegression(x)).to.be.undefined;
+	});
+
+	var initDataFrame = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['x', 'y', 'name'],
+			values: [
+				[1, 2, 'a'],
+				[2, 4, 'b'],
+				[3, 5, 'c'],
+				[4, 4, 'd'],
+				[5, 5, 'e'],
+				[null, 1, 'f'],
+			],
+		});
+	};
+
+	it('can compute correlation matrix of number columns', function () {
+
+		var corr = initDataFrame().corr();
+		expect(corr.getColumnNames()).to.eql(['x', 'y']);
+		expect(corr.getIndex().toArray()).to.eql(['x', 'y']);
+
+		var rows = corr.toRows();
+		expect(rows[0][0]).to.be.closeTo(1, 0.0000001);
+		expect(rows[0][1]).to.be.closeTo(0.7746, 0.0001);
+		expect(rows[1][0]).to.be.closeTo(0.7746, 0.0001);
+		expect(rows[1][1]).to.be.closeTo(1, 0.0000001);
+	});
+
+	it('correlation matrix has exactly 1 on the diagonal', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['x', 'y'],
+			values: [
+				[68.6, 7.1],
+				[61.9, 3.7],
+				[41.4, 5.2],
+				[93.1, 1],
+				[74.6, 2],
+			],
+		});
+
+		var rows = dataFrame.corr().toRows();
+		expect(rows[0][0]).to.eql(1);
+		expect(rows[1][1]).to.eql(1);
+	});
+
+	it('can compute correlation matrix with rank methods', function () {
+
+		var rows = initDataFrame().corr('kendall').toRows();
+		expect(rows[0][1]).to.be.closeTo(0.6708, 0.0001);
+	});
+
+	it('can compute covariance matrix of number columns', function () {
+
+		var cov = initDataFrame().cov();
+		expect(cov.getColumnNames()).to.eql(['x', 'y']);
+		expect(cov.getIndex().toArray()).to.eql(['x', 'y']);
+		expect(cov.toRows()).to.eql([[2.5, 1.5], [1.5, 2.7]]);
+	});
+});
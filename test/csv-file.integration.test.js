@@ -0,0 +1,202 @@
+'use strict';
+
+describe('csv-file.integration', function () {
+
+	var dataForge = require('../index.js');
+	var CsvFileIterator = require('../src/iterators/csv-file');
+	var expect = require('chai').expect;
+	var fs = require('fs');
+	var os = require('os');
+	var path = require('path');
+
+	var testFilePath = path.join(os.tmpdir(), 'data-forge-csv-file-test.csv');
+	var outputFilePath = path.join(os.tmpdir(), 'data-forge-csv-file-test-output.csv');
+
+	afterEach(function () {
+		[testFilePath, outputFilePath].forEach(function (filePath) {
+			if (fs.existsSync(filePath)) {
+				fs.unlinkSync(filePath);
+			}
+		});
+	});
+
+	var readAll = function (iterator) {
+		var rows = [];
+		while (iterator.moveNext()) {
+			rows.push(iterator.getCurrent());
+		}
+		return rows;
+	};
+
+	it('iterator reads rows across chunk boundaries', function () {
+
+		fs.writeFileSync(testFilePath, "a,b\r\n1,2\r\n3,4\r\n5,6");
+
+		var iterator = new CsvFileIterator(testFilePath, { chunkSize: 3 });
+		expect(readAll(iterator)).to.eql([
+			['a', 'b'],
+			['1', '2'],
+			['3', '4'],
+			['5', '6'],
+		]);
+	});
+
+	it('iterator handles quoted fields with embedded new lines and delimiters', function () {
+
+		fs.writeFileSync(testFilePath, 'a,b\n"hello\nworld","x,y"\n"say ""hi""",z\n');
+
+		var iterator = new CsvFileIterator(testFilePath, { chunkSize: 4 });
+		expect(readAll(iterator)).to.eql([
+			['a', 'b'],
+			['hello\nworld', 'x,y'],
+			['say "hi"', 'z'],
+		]);
+	});
+
+	it('iterator handles multi-byte characters split across chunks', function () {
+
+		fs.writeFileSync(testFilePath, "a\nééé\n");
+
+		var iterator = new CsvFileIterator(testFilePath, { chunkSize: 1 });
+		expect(readAll(iterator)).to.eql([
+			['a'],
+			['ééé'],
+		]);
+	});
+
+	it('iterator passes the config to the CSV parser', function () {
+
+		fs.writeFileSync(testFilePath, "a;b\n# note\n\n1;2\n");
+
+		var iterator = new CsvFileIterator(testFilePath, { chunkSize: 3, delimiter: ';', comments: '#' });
+		expect(readAll(iterator)).to.eql([
+			['a', 'b'],
+			[''],
+			['1', '2'],
+		]);
+
+		iterator = new CsvFileIterator(testFilePath, { chunkSize: 3, delimiter: ';', comments: '#', skipEmptyLines: true });
+		expect(readAll(iterator)).to.eql([
+			['a', 'b'],
+			['1', '2'],
+		]);
+	});
+
+	it('iterator for empty file has no rows', function () {
+
+		fs.writeFileSync(testFilePath, "");
+
+		var iterator = new CsvFileIterator(testFilePath);
+		expect(iterator.moveNext()).to.eql(false);
+		expect(iterator.getCurrent()).to.be.undefined;
+	});
+
+	it('can read CSV file incrementally', function () {
+
+		fs.writeFileSync(testFilePath, "Col1, Col2\r\n1, 2\r\n3, 4\r\n");
+
+		var dataFrame = dataForge.readFileSync(testFilePath).parseCSV({ chunkSize: 5 });
+		expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2']);
+		expect(dataFrame.toRows()).to.eql([
+			['1', '2'],
+			['3', '4'],
+		]);
+	});
+
+	it('can read CSV file in multiple chunks with header option', function () {
+
+		fs.writeFileSync(testFilePath, "Col1,Col2\r\n1,2\r\n3,4\r\n5,6\r\n");
+
+		var dataFrame = dataForge.readFileSync(testFilePath).parseCSV({ header: true, chunkSize: 6 });
+		expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2']);
+		expect(dataFrame.toArray()).to.eql([
+			{ Col1: '1', Col2: '2' },
+			{ Col1: '3', Col2: '4' },
+			{ Col1: '5', Col2: '6' },
+		]);
+
+		var renamed = dataForge.readFileSync(testFilePath).parseCSV({ header: true, columnNames: ['A', 'B'], chunkSize: 6 });
+		expect(renamed.toRows()).to.eql([
+			['1', '2'],
+			['3', '4'],
+			['5', '6'],
+		]);
+	});
+
+	it('iterator only passes parser options to the CSV parser', function () {
+
+		fs.writeFileSync(testFilePath, "a,b\n1,2\n3,4\n");
+
+		var iterator = new CsvFileIterator(testFilePath, { chunkSize: 4, header: true, schema: { a: 'int' } });
+		expect(readAll(iterator)).to.eql([
+			['a', 'b'],
+			['1', '2'],
+			['3', '4'],
+		]);
+	});
+
+	it('can read CSV file without header', function () {
+
+		fs.writeFileSync(testFilePath, "1,2\r\n3,4");
+
+		var dataFrame = dataForge.readFileSync(testFilePath).parseCSV({ header: false, columnNames: ['A', 'B'] });
+		expect(dataFrame.toRows()).to.eql([
+			['1', '2'],
+			['3', '4'],
+		]);
+
+		expect(function () {
+			dataForge.readFileSync(testFilePath).parseCSV({ header: false });
+		}).to.throw();
+	});
+
+	it('can read CSV file with explicit column names', function () {
+
+		fs.writeFileSync(testFilePath, "1,2\r\n3,4");
+
+		var dataFrame = dataForge.readFileSync(testFilePath).parseCSV({ columnNames: ['A', 'B'] });
+		expect(dataFrame.getColumnNames()).to.eql(['A', 'B']);
+		expect(dataFrame.toRows()).to.eql([
+			['1', '2'],
+			['3', '4'],
+		]);
+	});
+
+	it('reading empty CSV file produces empty dataframe', function () {
+
+		fs.writeFileSync(testFilePath, "");
+
+		var dataFrame = dataForge.readFileSync(testFilePath).parseCSV();
+		expect(dataFrame.getColumnNames()).to.eql([]);
+		expect(dataFrame.toRows()).to.eql([]);
+	});
+
+	it('can write CSV file the same as toCSV', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['a', 'b'],
+			values: [
+				[1, 'hello, world'],
+				[2, 'multi\nline'],
+			],
+		});
+
+		dataFrame.asCSV().writeFileSync(outputFilePath);
+		expect(fs.readFileSync(outputFilePath, 'utf8')).to.eql(dataFrame.toCSV());
+	});
+
+	it('can stream CSV from one file to another', function () {
+
+		fs.writeFileSync(testFilePath, "a,b\r\n1,2\r\n3,4\r\n5,6");
+
+		dataForge.readFileSync(testFilePath)
+			.parseCSV({ chunkSize: 4 })
+			.where(function (row) {
+				return row.a !== '3';
+			})
+			.asCSV()
+			.writeFileSync(outputFilePath);
+
+		expect(fs.readFileSync(outputFilePath, 'utf8')).to.eql("a,b\r\n1,2\r\n5,6");
+	});
+});
@@ -48,12 +48,21 @@ describe('data sources - csv', function () {
             + "3,4"
             ; 
 
+        var testFileData = Buffer.from(testCsvData, 'utf8');
+
         mock('fs', { 
-            readFileSync: function(filePath, dataFormat) {
+            openSync: function(filePath, flags) {
                 expect(filePath).to.eql(testFilePath);
-                expect(dataFormat).to.eql('utf8');
+                expect(flags).to.eql('r');
+
+                return 1;
+            },
 
-                return testCsvData;
+            readSync: function(fd, buffer, offset, length, position) {
+                return testFileData.copy(buffer, offset, position, Math.min(position + length, testFileData.length));
+            },
+
+            closeSync: function(fd) {
             },
         });
         
@@ -123,14 +132,30 @@ describe('data sources - csv', function () {
             ; 
         var dataFrame = dataForge.fromCSV(testCsvData);
 
+        var writtenData = "";
+        var closed = false;
+
         mock('fs', { 
-            writeFileSync: function(filePath, fileData) {
+            openSync: function(filePath, flags) {
                 expect(filePath).to.eql(testFilePath);
-                expect(fileData).to.eql(testCsvData);
+                expect(flags).to.eql('w');
+
+                return 1;
+            },
+
+            writeSync: function(fd, fileData) {
+                writtenData += fileData;
+            },
+
+            closeSync: function(fd) {
+                closed = true;
             },
         });
         
         dataFrame.asCSV().writeFileSync(testFilePath);
+
+        expect(writtenData).to.eql(testCsvData);
+        expect(closed).to.eql(true);
     });
 
     it('can http post CSV file asynchronously', function () {
@@ -0,0 +1,344 @@
+'use strict';
+
+//
+// Tests for reading/writing JSON Lines with (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var stream = require('stream');
+
+var dataForge = require('../index');
+
+describe('data sources - json lines', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    var testJsonLinesData =
+        '{"Col1":1,"Col2":"a"}\n' +
+        '\n' +
+        '{"Col1":2,"Col2":"b"}\r\n' +
+        '{"Col1":3,"Col2":"c"}';
+
+    it('can deserialize JSON Lines', function () {
+
+        var dataFrame = dataForge.fromJSONLines(testJsonLinesData);
+        expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2']);
+        expect(dataFrame.toRows()).to.eql([
+            [1, 'a'],
+            [2, 'b'],
+            [3, 'c'],
+        ]);
+    });
+
+    it('can deserialize empty JSON Lines', function () {
+
+        var dataFrame = dataForge.fromJSONLines('');
+        expect(dataFrame.getColumnNames()).to.eql([]);
+        expect(dataFrame.count()).to.eql(0);
+    });
+
+    it('reports malformed line with line number', function () {
+
+        var dataFrame = dataForge.fromJSONLines('{"Col1":1}\n\n{"Col1":\n');
+
+        expect(function () {
+            dataFrame.toArray();
+        }).to.throw(/line 3/);
+    });
+
+    it('can skip malformed lines', function () {
+
+        var malformedLines = [];
+        var dataFrame = dataForge.fromJSONLines('{"Col1":1}\n\n{"Col1":\n{"Col1":2}\nnot json\n', {
+            skipMalformed: true,
+            onMalformed: function (malformed) {
+                malformedLines.push(malformed);
+            },
+        });
+        expect(dataFrame.toArray()).to.eql([{ Col1: 1 }, { Col1: 2 }]);
+
+        expect(malformedLines.map(function (malformed) {
+            return [malformed.lineNumber, malformed.line];
+        })).to.eql([[3, '{"Col1":'], [5, 'not json']]);
+        expect(malformedLines[0].error).to.be.a('string');
+    });
+
+    it('malformed lines are reported when a transformed dataframe is evaluated', function () {
+
+        var malformedLineNumbers = [];
+        var dataFrame = dataForge.fromJSONLines('{"Col1":1}\nnot json\n{"Col1":2}\n', {
+            skipMalformed: true,
+            onMalformed: function (malformed) {
+                malformedLineNumbers.push(malformed.lineNumber);
+            },
+        });
+
+        var values = dataFrame
+            .select(function (row) {
+                return row.Col1 * 10;
+            })
+            .bake()
+            .toArray();
+
+        expect(values).to.eql([10, 20]);
+        expect(malformedLineNumbers).to.eql([2]);
+    });
+
+    it('no malformed lines for valid JSON Lines', function () {
+
+        var malformedLines = [];
+        var dataFrame = dataForge.fromJSONLines(testJsonLinesData, {
+            skipMalformed: true,
+            onMalformed: function (malformed) {
+                malformedLines.push(malformed);
+            },
+        });
+
+        expect(dataFrame.count()).to.be.above(0);
+        expect(malformedLines).to.eql([]);
+    });
+
+    it('throws for malformed line callback that is not a function', function () {
+
+        expect(function () {
+            dataForge.fromJSONLines(testJsonLinesData, { onMalformed: 'log' });
+        }).to.throw();
+    });
+
+    it('lines are parsed as the dataframe is iterated', function () {
+
+        var dataFrame = dataForge.fromJSONLines('{"Col1":1}\n{"Col1":2}\nnot json\n');
+        expect(dataFrame.take(2).toArray()).to.eql([{ Col1: 1 }, { Col1: 2 }]);
+    });
+
+    it('can serialize dataframe to JSON Lines', function () {
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col2'],
+            values: [
+                [1, 'a'],
+                [2, undefined],
+            ],
+        });
+
+        expect(dataFrame.toJSONLines()).to.eql(
+            '{"Col1":1,"Col2":"a"}\n' +
+            '{"Col1":2}\n'
+        );
+    });
+
+    it('JSON Lines round trips', function () {
+
+        var dataFrame = dataForge.fromJSONLines(testJsonLinesData);
+        expect(dataForge.fromJSONLines(dataFrame.toJSONLines()).toArray()).to.eql(dataFrame.toArray());
+    });
+
+    var mockReadableFile = function (testFilePath, testFileData) {
+        var fileData = Buffer.from(testFileData, 'utf8');
+
+        mock('fs', {
+            access: function (filePath, callback) {
+                expect(filePath).to.eql(testFilePath);
+
+                callback(null);
+            },
+
+            openSync: function (filePath, flags) {
+                expect(filePath).to.eql(testFilePath);
+                expect(flags).to.eql('r');
+
+                return 1;
+            },
+
+            readSync: function (fd, buffer, offset, length, position) {
+                return fileData.copy(buffer, offset, position, Math.min(position + length, fileData.length));
+            },
+
+            closeSync: function (fd) {
+            },
+        });
+    };
+
+    it('can read JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl";
+        mockReadableFile(testFilePath, testJsonLinesData);
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseJSONLines()
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Col2').toArray()).to.eql(['a', 'b', 'c']);
+            })
+            ;
+    });
+
+    it('rejects when JSON Lines file can not be read asynchronously', function () {
+
+        mock('fs', {
+            access: function (filePath, callback) {
+                callback(new Error('ENOENT'));
+            },
+        });
+
+        return dataForge
+            .readFile("some/file.jsonl")
+            .parseJSONLines()
+            .then(() => {
+                throw new Error('Expected the file not to be read.');
+            },
+            err => {
+                expect(err.message).to.eql('ENOENT');
+            })
+            ;
+    });
+
+    it('can report malformed lines of JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl";
+        mockReadableFile(testFilePath, '{"Col1":1}\nnot json\n{"Col1":2}');
+
+        var malformedLines = [];
+        var asyncDataFrame = dataForge
+            .readFile(testFilePath)
+            .parseJSONLines({
+                skipMalformed: true,
+                chunkSize: 4,
+                onMalformed: malformed => {
+                    malformedLines.push(malformed);
+                },
+            });
+
+        return asyncDataFrame.toArray()
+            .then(rows => {
+                expect(rows).to.eql([{ Col1: 1 }, { Col1: 2 }]);
+                expect(malformedLines.length).to.eql(1);
+                expect(malformedLines[0].lineNumber).to.eql(2);
+                expect(malformedLines[0].line).to.eql('not json');
+            })
+            ;
+    });
+
+    it('can read JSON Lines file synchronously', function () {
+
+        var testFilePath = "some/file.jsonl";
+        mockReadableFile(testFilePath, testJsonLinesData);
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseJSONLines({ chunkSize: 7 });
+        expect(dataFrame.getSeries('Col1').toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('can http get JSON Lines file asynchronously', function () {
+
+        var testUrl = "some/url";
+
+        mock('request-promise', {
+            get: function (options) {
+                expect(options.uri).to.eql(testUrl);
+
+                return Promise.resolve(testJsonLinesData);
+            },
+        });
+
+        return dataForge
+            .httpGet(testUrl)
+            .parseJSONLines()
+            .then(dataFrame => {
+                expect(dataFrame.count()).to.eql(3);
+            })
+            ;
+    });
+
+    var initDataFrame = function () {
+        return new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col2'],
+            values: [[1, 2], [3, 4]],
+        });
+    };
+
+    it('can write JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl";
+        var dataFrame = initDataFrame();
+        var writtenData = "";
+
+        mock('fs', {
+            createWriteStream: function (filePath) {
+                expect(filePath).to.eql(testFilePath);
+
+                return new stream.Writable({
+                    write: function (chunk, encoding, callback) {
+                        writtenData += chunk.toString();
+                        callback();
+                    },
+                });
+            },
+        });
+
+        return dataFrame
+            .asJSONLines()
+            .writeFile(testFilePath)
+            .then(() => {
+                expect(writtenData).to.eql(dataFrame.toJSONLines());
+            })
+            ;
+    });
+
+    it('can write JSON Lines file synchronously', function () {
+
+        var testFilePath = "some/file.jsonl";
+        var dataFrame = initDataFrame();
+        var writtenData = "";
+        var closed = false;
+
+        mock('fs', {
+            openSync: function (filePath, flags) {
+                expect(filePath).to.eql(testFilePath);
+                expect(flags).to.eql('w');
+
+                return 1;
+            },
+
+            writeSync: function (fd, fileData) {
+                writtenData += fileData;
+            },
+
+            closeSync: function (fd) {
+                closed = true;
+            },
+        });
+
+        dataFrame.asJSONLines().writeFileSync(testFilePath);
+
+        expect(writtenData).to.eql(dataFrame.toJSONLines());
+        expect(closed).to.eql(true);
+    });
+
+    it('can http post JSON Lines file asynchronously', function () {
+
+        var testUrl = "some/url";
+        var dataFrame = initDataFrame();
+
+        mock('request-promise', {
+            post: function (options) {
+                expect(options.uri).to.eql(testUrl);
+                expect(options.body).to.eql(dataFrame.toJSONLines());
+                expect(options.headers).to.eql({
+                    "content-type": "application/x-ndjson",
+                });
+
+                return Promise.resolve();
+            },
+        });
+
+        return dataFrame
+            .asJSONLines()
+            .httpPost(testUrl)
+            ;
+    });
+});
@@ -0,0 +1,357 @@
+'use strict';
+
+//
+// Tests for storing data to a (mocked) MongoDB collection.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - mongodb', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    //
+    // Mock MongoDB, recording the commands that are run against the collection.
+    // 'handleCommand' returns the result for each command.
+    //
+    var mockMongo = function (handleCommand) {
+
+        var recorded = { commands: [], removed: false, closed: false, dropped: [], renamed: null };
+
+        var createCollection = function (collectionName) {
+            return {
+                runCommand: function (command, options) {
+                    recorded.commands.push([command, options]);
+                    recorded.collectionName = collectionName;
+                    return Promise.resolve(handleCommand(command, options));
+                },
+                remove: function (query) {
+                    expect(query).to.eql({});
+                    recorded.removed = true;
+                    return Promise.resolve({ n: 7, ok: 1 });
+                },
+                count: function () {
+                    return Promise.resolve(7);
+                },
+                drop: function () {
+                    recorded.dropped.push(collectionName);
+                    return Promise.resolve({ ok: 1 });
+                },
+            };
+        };
+
+        mock('promised-mongo', function (connectionString, collectionNames) {
+            expect(connectionString).to.eql('localhost/db');
+            expect(collectionNames).to.eql(['coll']);
+
+            var db = {
+                close: function () {
+                    recorded.closed = true;
+                    return Promise.resolve();
+                },
+                collection: createCollection,
+                toString: function () {
+                    return Promise.resolve('db');
+                },
+                getSiblingDb: function (dbName) {
+                    expect(dbName).to.eql('admin');
+                    return Promise.resolve({
+                        runCommand: function (command) {
+                            recorded.renamed = command;
+                            return Promise.resolve({ ok: 1 });
+                        },
+                    });
+                },
+            };
+            db.coll = createCollection('coll');
+            return db;
+        });
+
+        return recorded;
+    };
+
+    var initDataFrame = function () {
+        return new dataForge.DataFrame({
+            columnNames: ['id', 'value'],
+            values: [
+                [1, 'a'],
+                [2, 'b'],
+                [3, 'c'],
+            ],
+        });
+    };
+
+    it('can insert documents in batches', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: options.documents.length };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { batchSize: 2 })
+            .then(function (result) {
+                expect(recorded.commands).to.eql([
+                    ['insert', { documents: [{ id: 1, value: 'a' }, { id: 2, value: 'b' }], ordered: true }],
+                    ['insert', { documents: [{ id: 3, value: 'c' }], ordered: true }],
+                ]);
+                expect(result).to.eql({ inserted: 3, updated: 0, failed: 0, removed: 0, errors: [] });
+                expect(recorded.closed).to.eql(true);
+            });
+    });
+
+    it('ordered insert stops at the first batch with an error', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: 1, writeErrors: [{ index: 1, code: 11000, errmsg: 'duplicate key' }] };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { batchSize: 2 })
+            .then(function (result) {
+                expect(recorded.commands.length).to.eql(1);
+                expect(result.inserted).to.eql(1);
+                expect(result.failed).to.eql(1);
+                expect(result.errors).to.eql([{ index: 1, code: 11000, errmsg: 'duplicate key' }]);
+            });
+    });
+
+    it('unordered insert continues after errors', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: options.documents.length - 1, writeErrors: [{ index: 0, code: 11000, errmsg: 'duplicate key' }] };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { batchSize: 2, ordered: false })
+            .then(function (result) {
+                expect(recorded.commands.length).to.eql(2);
+                expect(recorded.commands[0][1].ordered).to.eql(false);
+                expect(result.inserted).to.eql(1);
+                expect(result.failed).to.eql(2);
+                expect(result.errors[1].index).to.eql(2); // Index of the row in the dataframe.
+            });
+    });
+
+    it('can upsert by key column', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: 3, nModified: 2, upserted: [{ index: 2, _id: 'x' }] };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { upsertKey: 'id' })
+            .then(function (result) {
+                expect(recorded.commands).to.eql([
+                    ['update', {
+                        updates: [
+                            { q: { id: 1 }, u: { id: 1, value: 'a' }, upsert: true },
+                            { q: { id: 2 }, u: { id: 2, value: 'b' }, upsert: true },
+                            { q: { id: 3 }, u: { id: 3, value: 'c' }, upsert: true },
+                        ],
+                        ordered: true,
+                    }],
+                ]);
+                expect(result.inserted).to.eql(1);
+                expect(result.updated).to.eql(2);
+            });
+    });
+
+    it('can upsert by multiple key columns', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: 3 };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { upsertKey: ['id', 'value'] })
+            .then(function (result) {
+                expect(recorded.commands[0][1].updates[0].q).to.eql({ id: 1, value: 'a' });
+                expect(result.updated).to.eql(3);
+            });
+    });
+
+    it('upsert rejects rows without a key value and closes the database', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: 1 };
+        });
+
+        var dataFrame = new dataForge.DataFrame([{ value: 'a' }]);
+
+        return dataFrame
+            .toMongoDB('localhost/db', 'coll', { upsertKey: 'id' })
+            .then(function () {
+                throw new Error("Expected store to fail.");
+            }, function (err) {
+                expect(err.message).to.contain("'id'");
+                expect(recorded.closed).to.eql(true);
+            });
+    });
+
+    it('can replace the collection', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: options.documents.length };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { replace: true })
+            .then(function (result) {
+                expect(recorded.collectionName).to.match(/^coll_dataforge_/);
+                expect(recorded.removed).to.eql(false);
+                expect(recorded.renamed).to.eql({
+                    renameCollection: 'db.' + recorded.collectionName,
+                    to: 'db.coll',
+                    dropTarget: true,
+                });
+                expect(result.removed).to.eql(7);
+                expect(result.inserted).to.eql(3);
+                expect(recorded.closed).to.eql(true);
+            });
+    });
+
+    it('existing documents are kept when replacing the collection fails', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            throw new Error("Lost connection.");
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { replace: true })
+            .then(function () {
+                throw new Error("Expected store to fail.");
+            }, function (err) {
+                expect(err.message).to.eql("Lost connection.");
+                expect(recorded.removed).to.eql(false);
+                expect(recorded.renamed).to.eql(null);
+                expect(recorded.dropped).to.eql([recorded.collectionName]);
+                expect(recorded.closed).to.eql(true);
+            });
+    });
+
+    it('existing documents are kept when an ordered replace stops at a write error', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: 0, writeErrors: [{ index: 0, code: 11000 }] };
+        });
+
+        return initDataFrame()
+            .toMongoDB('localhost/db', 'coll', { replace: true })
+            .then(function (result) {
+                expect(result.failed).to.eql(1);
+                expect(result.inserted).to.eql(0);
+                expect(result.removed).to.eql(0);
+                expect(recorded.renamed).to.eql(null);
+                expect(recorded.dropped).to.eql([recorded.collectionName]);
+            });
+    });
+
+    it('replacing the collection with an empty dataframe empties the collection', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: options.documents.length };
+        });
+
+        return new dataForge.DataFrame()
+            .toMongoDB('localhost/db', 'coll', { replace: true })
+            .then(function (result) {
+                expect(recorded.commands).to.eql([]);
+                expect(recorded.removed).to.eql(true);
+                expect(result.removed).to.eql(7);
+            });
+    });
+
+    it('async dataframe passes options through', function () {
+
+        var recorded = mockMongo(function (command, options) {
+            return { ok: 1, n: options.documents.length };
+        });
+
+        return new dataForge.AsyncDataFrame(initDataFrame())
+            .toMongoDB('localhost/db', 'coll', { batchSize: 1 })
+            .then(function (result) {
+                expect(recorded.commands.length).to.eql(3);
+                expect(result.inserted).to.eql(3);
+            });
+    });
+
+    it('async dataframe writes each batch as it is read', function () {
+
+        var read = 0;
+        var readAtCommand = [];
+
+        mockMongo(function (command, options) {
+            readAtCommand.push(read);
+            return { ok: 1, n: options.documents.length };
+        });
+
+        var rows = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }];
+        var asyncDataFrame = new dataForge.AsyncDataFrame({
+            iterable: {
+                getIterator: function () {
+                    var i = -1;
+                    return {
+                        moveNext: function () {
+                            ++i;
+                            read = Math.min(i + 1, rows.length);
+                            return Promise.resolve(i < rows.length);
+                        },
+                        getCurrent: function () {
+                            return [i, rows[i]];
+                        },
+                    };
+                },
+            },
+        });
+
+        return asyncDataFrame
+            .toMongoDB('localhost/db', 'coll', { batchSize: 2 })
+            .then(function (result) {
+                expect(readAtCommand).to.eql([2, 4, 5]);
+                expect(result.inserted).to.eql(5);
+            });
+    });
+
+    it('async dataframe closes its source when an ordered store stops early', function () {
+
+        var closedSource = false;
+
+        mockMongo(function (command, options) {
+            return { ok: 1, n: 0, writeErrors: [{ index: 0, code: 11000 }] };
+        });
+
+        var asyncDataFrame = new dataForge.AsyncDataFrame({
+            iterable: {
+                getIterator: function () {
+                    var i = -1;
+                    return {
+                        moveNext: function () {
+                            ++i;
+                            return Promise.resolve(true); // Endless source.
+                        },
+                        getCurrent: function () {
+                            return [i, { id: i }];
+                        },
+                        close: function () {
+                            closedSource = true;
+                            return Promise.resolve();
+                        },
+                    };
+                },
+            },
+        });
+
+        return asyncDataFrame
+            .toMongoDB('localhost/db', 'coll', { batchSize: 2 })
+            .then(function (result) {
+                expect(result.failed).to.eql(1);
+                expect(closedSource).to.eql(true);
+            });
+    });
+});
@@ -0,0 +1,358 @@
+'use strict';
+
+//
+// Tests for reading from and writing to (mocked) SQL databases.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - sql', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    //
+    // Create a SQL adapter that records the statements that are run against it.
+    //
+    var createMockAdapter = function (queryRows) {
+
+        var adapter = {
+            statements: [],
+            transactions: 0,
+            rolledBack: false,
+
+            query: function (sql, params) {
+                adapter.statements.push([sql, params]);
+                return Promise.resolve(queryRows);
+            },
+
+            execute: function (sql, params) {
+                adapter.statements.push([sql, params]);
+                if (adapter.failOn && sql.indexOf(adapter.failOn) === 0) {
+                    return Promise.reject(new Error("Statement failed."));
+                }
+                return Promise.resolve({ changes: 1 });
+            },
+
+            transaction: function (work) {
+                ++adapter.transactions;
+                return work()
+                    .catch(function (err) {
+                        adapter.rolledBack = true;
+                        throw err;
+                    });
+            },
+        };
+
+        return adapter;
+    };
+
+    it('can read from SQL query', function () {
+
+        var adapter = createMockAdapter([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+
+        var dataFrame = dataForge.fromSQL(adapter, 'SELECT * FROM things WHERE id > ?', [0]);
+        expect(adapter.statements).to.eql([]); // Query is deferred.
+
+        return dataFrame
+            .resolve()
+            .then(function (dataFrame) {
+                expect(adapter.statements).to.eql([['SELECT * FROM things WHERE id > ?', [0]]]);
+                expect(dataFrame.getColumnNames()).to.eql(['id', 'name']);
+                expect(dataFrame.toRows()).to.eql([[1, 'a'], [2, 'b']]);
+            });
+    });
+
+    it('fromSQL requires an adapter', function () {
+
+        expect(function () {
+            dataForge.fromSQL({}, 'SELECT * FROM things');
+        }).to.throw();
+    });
+
+    it('can write to SQL table with batched parameterized inserts', function () {
+
+        var adapter = createMockAdapter();
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['id', 'name'],
+            values: [
+                [1, 'a'],
+                [2, undefined],
+                [3, 'c'],
+            ],
+        });
+
+        return dataFrame
+            .toSQL(adapter, 'things', { batchSize: 2 })
+            .then(function (result) {
+                expect(result).to.eql({ inserted: 3 });
+                expect(adapter.transactions).to.eql(1);
+                expect(adapter.statements).to.eql([
+                    ['INSERT INTO "things" ("id", "name") VALUES (?, ?), (?, ?)', [1, 'a', 2, null]],
+                    ['INSERT INTO "things" ("id", "name") VALUES (?, ?)', [3, 'c']],
+                ]);
+            });
+    });
+
+    it('batch size is limited by the maximum number of parameters', function () {
+
+        var adapter = createMockAdapter();
+        adapter.maxParameters = 4;
+        adapter.parameter = function (index) {
+            return '$' + (index + 1);
+        };
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['a', 'b'],
+            values: [[1, 2], [3, 4], [5, 6]],
+        });
+
+        return dataFrame
+            .toSQL(adapter, 'things')
+            .then(function () {
+                expect(adapter.statements).to.eql([
+                    ['INSERT INTO "things" ("a", "b") VALUES ($1, $2), ($3, $4)', [1, 2, 3, 4]],
+                    ['INSERT INTO "things" ("a", "b") VALUES ($1, $2)', [5, 6]],
+                ]);
+            });
+    });
+
+    it('can create table with types mapped from detected types', function () {
+
+        var adapter = createMockAdapter();
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['num', 'str', 'flag', 'when', 'mostly null', 'custom'],
+            values: [
+                [1, 'a', true, new Date(2016, 1, 1), null, 'x'],
+                [2, 'b', false, new Date(2016, 1, 2), null, 'y'],
+                [3, 'c', true, new Date(2016, 1, 3), 5, 'z'],
+            ],
+        });
+
+        return dataFrame
+            .toSQL(adapter, 'things', { createTable: true, columnTypes: { custom: 'VARCHAR(10)' } })
+            .then(function () {
+                expect(adapter.statements[0]).to.eql([
+                    'CREATE TABLE IF NOT EXISTS "things" ("num" NUMERIC, "str" TEXT, "flag" BOOLEAN, "when" TIMESTAMP, "mostly null" NUMERIC, "custom" VARCHAR(10))',
+                    undefined,
+                ]);
+                expect(adapter.statements.length).to.eql(2);
+            });
+    });
+
+    it('adapter type names are used for table creation', function () {
+
+        var adapter = createMockAdapter();
+        adapter.typeNames = { number: 'REAL', string: 'TEXT' };
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['n', 's'],
+            values: [[1, 'a']],
+        });
+
+        return dataFrame
+            .toSQL(adapter, 'things', { createTable: true })
+            .then(function () {
+                expect(adapter.statements[0][0]).to.eql('CREATE TABLE IF NOT EXISTS "things" ("n" REAL, "s" TEXT)');
+            });
+    });
+
+    it('failed insert rejects within the transaction', function () {
+
+        var adapter = createMockAdapter();
+        adapter.failOn = 'INSERT';
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['a'],
+            values: [[1]],
+        });
+
+        return dataFrame
+            .toSQL(adapter, 'things')
+            .then(function () {
+                throw new Error("Expected store to fail.");
+            }, function (err) {
+                expect(err.message).to.eql("Statement failed.");
+                expect(adapter.rolledBack).to.eql(true);
+            });
+    });
+
+    describe('SQLite adapter', function () {
+
+        //
+        // Mock the 'sqlite3' package, recording the statements that are run.
+        //
+        var mockSqlite = function (rows) {
+
+            var recorded = { statements: [], closed: false };
+
+            mock('sqlite3', {
+                Database: function (filePath) {
+                    recorded.filePath = filePath;
+
+                    this.all = function (sql, params, callback) {
+                        recorded.statements.push([sql, params]);
+                        callback(null, rows);
+                    };
+
+                    this.run = function (sql, params, callback) {
+                        recorded.statements.push([sql, params]);
+                        if (recorded.failOn && sql.indexOf(recorded.failOn) === 0) {
+                            callback(new Error("SQLITE_ERROR"));
+                        }
+                        else {
+                            callback.call({ changes: 1 }, null);
+                        }
+                    };
+
+                    this.close = function (callback) {
+                        recorded.closed = true;
+                        callback(null);
+                    };
+                },
+            });
+
+            return recorded;
+        };
+
+        it('can query', function () {
+
+            var recorded = mockSqlite([{ a: 1 }]);
+            var adapter = new dataForge.SQLiteAdapter(':memory:');
+
+            return dataForge.fromSQL(adapter, 'SELECT a FROM things WHERE b = ?', [new Date(Date.UTC(2016, 0, 1))])
+                .toArray()
+                .then(function (rows) {
+                    expect(recorded.filePath).to.eql(':memory:');
+                    expect(rows).to.eql([{ a: 1 }]);
+                    expect(recorded.statements).to.eql([['SELECT a FROM things WHERE b = ?', ['2016-01-01T00:00:00.000Z']]]);
+                });
+        });
+
+        it('stores within a transaction', function () {
+
+            var recorded = mockSqlite([]);
+            var adapter = new dataForge.SQLiteAdapter(':memory:');
+            var dataFrame = new dataForge.DataFrame({
+                columnNames: ['a', 'b'],
+                values: [[1, true]],
+            });
+
+            return dataFrame.toSQL(adapter, 'things', { createTable: true })
+                .then(function (result) {
+                    expect(result.inserted).to.eql(1);
+                    expect(recorded.statements).to.eql([
+                        ['BEGIN TRANSACTION', []],
+                        ['CREATE TABLE IF NOT EXISTS "things" ("a" REAL, "b" INTEGER)', []],
+                        ['INSERT INTO "things" ("a", "b") VALUES (?, ?)', [1, 1]],
+                        ['COMMIT', []],
+                    ]);
+
+                    return adapter.close();
+                })
+                .then(function () {
+                    expect(recorded.closed).to.eql(true);
+                });
+        });
+
+        it('rolls back failed transaction', function () {
+
+            var recorded = mockSqlite([]);
+            recorded.failOn = 'INSERT';
+            var adapter = new dataForge.SQLiteAdapter(':memory:');
+            var dataFrame = new dataForge.DataFrame({
+                columnNames: ['a'],
+                values: [[1]],
+            });
+
+            return dataFrame.toSQL(adapter, 'things')
+                .then(function () {
+                    throw new Error("Expected store to fail.");
+                }, function (err) {
+                    expect(err.message).to.eql("SQLITE_ERROR");
+                    expect(recorded.statements[recorded.statements.length - 1]).to.eql(['ROLLBACK', []]);
+                });
+        });
+    });
+
+    describe('SQLite adapter with an in-memory database', function () {
+
+        var sqliteInstalled = true;
+        try {
+            require.resolve('sqlite3');
+        }
+        catch (err) {
+            sqliteInstalled = false; // 'sqlite3' is an optional dependency.
+        }
+
+        var adapter;
+
+        beforeEach(function () {
+            if (!sqliteInstalled) {
+                this.skip();
+                return;
+            }
+
+            adapter = new dataForge.SQLiteAdapter(':memory:');
+        });
+
+        afterEach(function () {
+            if (adapter) {
+                var closing = adapter.close();
+                adapter = null;
+                return closing;
+            }
+        });
+
+        it('can store and query back', function () {
+
+            var dataFrame = new dataForge.DataFrame({
+                columnNames: ['name', 'amount', 'paid', 'date'],
+                values: [
+                    ['ann', 1.5, true, new Date(Date.UTC(2016, 0, 1))],
+                    ['bob', 2, false, new Date(Date.UTC(2016, 0, 2))],
+                ],
+            });
+
+            return dataFrame.toSQL(adapter, 'payments', { createTable: true })
+                .then(function (result) {
+                    expect(result.inserted).to.eql(2);
+
+                    return dataForge.fromSQL(adapter, 'SELECT * FROM payments WHERE amount > ?', [1.75]).toArray();
+                })
+                .then(function (rows) {
+                    expect(rows).to.eql([
+                        { name: 'bob', amount: 2, paid: 0, date: '2016-01-02T00:00:00.000Z' },
+                    ]);
+                });
+        });
+
+        it('rolls back failed transaction', function () {
+
+            var dataFrame = new dataForge.DataFrame({
+                columnNames: ['id'],
+                values: [[1], [2], [1]],
+            });
+
+            return adapter.execute('CREATE TABLE things (id INTEGER PRIMARY KEY)')
+                .then(function () {
+                    return dataFrame.toSQL(adapter, 'things', { batchSize: 1 });
+                })
+                .then(function () {
+                    throw new Error("Expected store to fail.");
+                }, function (err) {
+                    expect(err.message).to.contain('UNIQUE');
+
+                    return adapter.query('SELECT COUNT(*) AS count FROM things');
+                })
+                .then(function (rows) {
+                    expect(rows).to.eql([{ count: 0 }]);
+                });
+        });
+    });
+});
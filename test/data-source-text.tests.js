@@ -0,0 +1,244 @@
+'use strict';
+
+//
+// Tests for parsing text, such as log files, with (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - text', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    var testLogData =
+        '127.0.0.1 - [10/Oct/2016:13:55:36] "GET /index.html" 200\n' +
+        '\n' +
+        '-- server restarted --\n' +
+        '10.0.0.2 - [10/Oct/2016:13:56:01] "POST /login" 302\r\n' +
+        '10.0.0.3 - [10/Oct/2016:13:57:12] "GET /missing" 404\n';
+
+    var testPattern = /^(\S+) - \[([^\]]+)\] "(\S+) (\S+)" (\d+)$/;
+    var testColumnNames = ['Address', 'Time', 'Method', 'Path', 'Status'];
+
+    it('can parse lines with a pattern', function () {
+
+        var dataFrame = dataForge.fromText(testLogData, { pattern: testPattern, columnNames: testColumnNames });
+        expect(dataFrame.getColumnNames()).to.eql(testColumnNames);
+        expect(dataFrame.toRows()).to.eql([
+            ['127.0.0.1', '10/Oct/2016:13:55:36', 'GET', '/index.html', '200'],
+            ['10.0.0.2', '10/Oct/2016:13:56:01', 'POST', '/login', '302'],
+            ['10.0.0.3', '10/Oct/2016:13:57:12', 'GET', '/missing', '404'],
+        ]);
+    });
+
+    it('reports unmatched lines', function () {
+
+        var unmatched = [];
+        var dataFrame = dataForge.fromText(testLogData, {
+            pattern: testPattern,
+            columnNames: testColumnNames,
+            onUnmatched: function (line) {
+                unmatched.push(line);
+            },
+        });
+
+        expect(dataFrame.count()).to.eql(3);
+        expect(unmatched).to.eql([{ lineNumber: 3, line: '-- server restarted --' }]);
+    });
+
+    it('reports unmatched lines when a transformed dataframe is evaluated', function () {
+
+        var unmatched = [];
+        var dataFrame = dataForge.fromText(testLogData, {
+            pattern: testPattern,
+            columnNames: testColumnNames,
+            onUnmatched: function (line) {
+                unmatched.push(line);
+            },
+        });
+
+        var methods = dataFrame
+            .where(function (row) {
+                return row.Method === 'GET';
+            })
+            .getSeries('Path')
+            .toArray();
+
+        expect(methods).to.eql(['/index.html', '/missing']);
+        expect(unmatched.length).to.eql(1);
+    });
+
+    it('throws for unmatched line callback that is not a function', function () {
+
+        expect(function () {
+            dataForge.fromText(testLogData, { pattern: testPattern, columnNames: testColumnNames, onUnmatched: true });
+        }).to.throw();
+    });
+
+    it('can take column names from named capture groups', function () {
+
+        var dataFrame = dataForge.fromText(testLogData, { pattern: '^(?<Address>\\S+) .* (?<Status>\\d+)$' });
+        expect(dataFrame.getColumnNames()).to.eql(['Address', 'Status']);
+        expect(dataFrame.getSeries('Status').toArray()).to.eql(['200', '302', '404']);
+    });
+
+    it('throws for pattern without column names or named capture groups', function () {
+
+        expect(function () {
+            dataForge.fromText(testLogData, { pattern: /^(\S+)/ });
+        }).to.throw();
+    });
+
+    it('throws for line that does not match when not skipping non-matching lines', function () {
+
+        var dataFrame = dataForge.fromText(testLogData, { pattern: testPattern, columnNames: testColumnNames, skipNonMatching: false });
+
+        expect(function () {
+            dataFrame.toRows();
+        }).to.throw(/Line 3/);
+    });
+
+    it('lines are parsed as the dataframe is iterated', function () {
+
+        var dataFrame = dataForge.fromText(testLogData, { pattern: testPattern, columnNames: testColumnNames, skipNonMatching: false });
+        expect(dataFrame.take(1).getSeries('Status').toArray()).to.eql(['200']);
+    });
+
+    it('works with global patterns', function () {
+
+        var dataFrame = dataForge.fromText('a 1\nb 2\n', { pattern: /(\w) (\d)/g, columnNames: ['Letter', 'Number'] });
+        expect(dataFrame.toRows()).to.eql([['a', '1'], ['b', '2']]);
+    });
+
+    var testFixedWidthData =
+        'Name      ' + 'Count  ' + 'City\n' +
+        'apple     ' + '    1  ' + 'Paris\n' +
+        'pear      ' + '       ' + 'London\n' +
+        '\n' +
+        'banana    ' + '  123\n';
+
+    it('can parse fixed width columns', function () {
+
+        var dataFrame = dataForge.fromText(testFixedWidthData, { widths: [10, 7, 10] });
+        expect(dataFrame.getColumnNames()).to.eql(['Name', 'Count', 'City']);
+        expect(dataFrame.toRows()).to.eql([
+            ['apple', '1', 'Paris'],
+            ['pear', undefined, 'London'],
+            ['banana', '123', undefined],
+        ]);
+    });
+
+    it('can parse fixed width columns without header', function () {
+
+        var dataFrame = dataForge.fromText('ab12\ncd34\n', { widths: [2, 2], columnNames: ['Letters', 'Digits'] });
+        expect(dataFrame.toRows()).to.eql([['ab', '12'], ['cd', '34']]);
+    });
+
+    it('can find fixed width columns from header', function () {
+
+        var dataFrame = dataForge.fromText(testFixedWidthData, { fixedWidth: true });
+        expect(dataFrame.getColumnNames()).to.eql(['Name', 'Count', 'City']);
+        expect(dataFrame.toRows()).to.eql([
+            ['apple', '1', 'Paris'],
+            ['pear', undefined, 'London'],
+            ['banana', '123', undefined],
+        ]);
+    });
+
+    it('can rename columns found from header', function () {
+
+        var dataFrame = dataForge.fromText(testFixedWidthData, { fixedWidth: true, columnNames: ['Fruit', 'Quantity', 'Place'] });
+        expect(dataFrame.getColumnNames()).to.eql(['Fruit', 'Quantity', 'Place']);
+        expect(dataFrame.getSeries('Fruit').toArray()).to.eql(['apple', 'pear', 'banana']);
+    });
+
+    it('throws without pattern or fixed width options', function () {
+
+        expect(function () {
+            dataForge.fromText(testLogData, {});
+        }).to.throw();
+    });
+
+    it('throws for both pattern and fixed width options', function () {
+
+        expect(function () {
+            dataForge.fromText(testLogData, { pattern: testPattern, widths: [1] });
+        }).to.throw();
+    });
+
+    it('can read text file asynchronously', function () {
+
+        var testFilePath = "some/file.log";
+
+        mock('fs', {
+            readFile: function (filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                callback(null, testLogData);
+            },
+        });
+
+        var unmatchedLineNumbers = [];
+        var asyncDataFrame = dataForge
+            .readFile(testFilePath)
+            .parseText({
+                pattern: testPattern,
+                columnNames: testColumnNames,
+                onUnmatched: unmatched => {
+                    unmatchedLineNumbers.push(unmatched.lineNumber);
+                },
+            });
+
+        return asyncDataFrame
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Method').toArray()).to.eql(['GET', 'POST', 'GET']);
+                expect(unmatchedLineNumbers).to.eql([3]);
+            })
+            ;
+    });
+
+    it('can read text file synchronously', function () {
+
+        var testFilePath = "some/file.txt";
+
+        mock('fs', {
+            readFileSync: function (filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                return testFixedWidthData;
+            },
+        });
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseText({ fixedWidth: true });
+        expect(dataFrame.getSeries('City').toArray()).to.eql(['Paris', 'London']);
+    });
+
+    it('can http get text file asynchronously', function () {
+
+        var testUrl = "some/url";
+
+        mock('request-promise', {
+            get: function (options) {
+                expect(options.uri).to.eql(testUrl);
+
+                return Promise.resolve(testLogData);
+            },
+        });
+
+        return dataForge
+            .httpGet(testUrl)
+            .parseText({ pattern: testPattern, columnNames: testColumnNames })
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Status').toArray()).to.eql(['200', '302', '404']);
+            })
+            ;
+    });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+//
+// Tests for reading/writing Excel workbooks (with mocked file system and REST API).
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var XLSX = require('xlsx');
+
+var dataForge = require('../index');
+
+describe('data sources - xlsx', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    //
+    // Create a workbook in a buffer from worksheets that are arrays of rows.
+    //
+    var createWorkbook = function (sheets) {
+        var workbook = XLSX.utils.book_new();
+        Object.keys(sheets).forEach(function (sheetName) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets[sheetName]), sheetName);
+        });
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    };
+
+    var createTestWorkbook = function () {
+        return createWorkbook({
+            Prices: [
+                ['Date', 'Close', 'Ticker', 'Traded'],
+                [new Date(2016, 0, 4), 10.5, 'ABC', true],
+                [new Date(2016, 0, 5), 11, 'ABC', false],
+            ],
+            Notes: [
+                ['Report', undefined],
+                [undefined, undefined],
+                ['Name', 'Count'],
+                ['a', 1],
+                ['b', undefined],
+                ['c', 3],
+            ],
+        });
+    };
+
+    it('can deserialize workbook from buffer with typed values', function () {
+
+        var dataFrame = dataForge.fromXLSX(createTestWorkbook());
+        expect(dataFrame.getColumnNames()).to.eql(['Date', 'Close', 'Ticker', 'Traded']);
+        expect(dataFrame.toRows()).to.eql([
+            [new Date(2016, 0, 4), 10.5, 'ABC', true],
+            [new Date(2016, 0, 5), 11, 'ABC', false],
+        ]);
+    });
+
+    it('can choose sheet by name or position', function () {
+
+        var buffer = createTestWorkbook();
+        var byName = dataForge.fromXLSX(buffer, { sheet: 'Notes', headerRow: 3 });
+        var byPosition = dataForge.fromXLSX(buffer, { sheet: 1, headerRow: 3 });
+
+        expect(byName.getColumnNames()).to.eql(['Name', 'Count']);
+        expect(byName.toRows()).to.eql([['a', 1], ['b', undefined], ['c', 3]]);
+        expect(byPosition.toRows()).to.eql(byName.toRows());
+    });
+
+    it('throws for sheet that does not exist', function () {
+
+        expect(function () {
+            dataForge.fromXLSX(createTestWorkbook(), { sheet: 'Missing' });
+        }).to.throw();
+    });
+
+    it('can read range of cells', function () {
+
+        var dataFrame = dataForge.fromXLSX(createTestWorkbook(), { range: 'B1:C2' });
+        expect(dataFrame.getColumnNames()).to.eql(['Close', 'Ticker']);
+        expect(dataFrame.toRows()).to.eql([[10.5, 'ABC']]);
+    });
+
+    it('can read worksheet without header row', function () {
+
+        var buffer = createTestWorkbook();
+        var lettered = dataForge.fromXLSX(buffer, { sheet: 'Notes', range: 'A4:B6', headerRow: false });
+        expect(lettered.getColumnNames()).to.eql(['A', 'B']);
+        expect(lettered.toRows()).to.eql([['a', 1], ['b', undefined], ['c', 3]]);
+
+        var named = dataForge.fromXLSX(buffer, { sheet: 'Notes', range: 'A4:B6', headerRow: false, columnNames: ['Letter', 'Number'] });
+        expect(named.getColumnNames()).to.eql(['Letter', 'Number']);
+    });
+
+    it('can read XLSX file asynchronously', function () {
+
+        var testFilePath = "some/file.xlsx";
+        var buffer = createTestWorkbook();
+
+        mock('fs', {
+            readFile: function (filePath, callback) {
+                expect(filePath).to.eql(testFilePath);
+
+                callback(null, buffer);
+            },
+        });
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseXLSX({ sheet: 'Prices' })
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Close').toArray()).to.eql([10.5, 11]);
+            })
+            ;
+    });
+
+    it('can read XLSX file synchronously', function () {
+
+        var testFilePath = "some/file.xlsx";
+        var buffer = createTestWorkbook();
+
+        mock('fs', {
+            readFileSync: function (filePath) {
+                expect(filePath).to.eql(testFilePath);
+
+                return buffer;
+            },
+        });
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseXLSX({ sheet: 'Notes', headerRow: 3 });
+        expect(dataFrame.getSeries('Name').toArray()).to.eql(['a', 'b', 'c']);
+    });
+
+    it('can http get XLSX file asynchronously', function () {
+
+        var testUrl = "some/url";
+        var buffer = createTestWorkbook();
+
+        mock('request-promise', {
+            get: function (options) {
+                expect(options.uri).to.eql(testUrl);
+                expect(options.encoding).to.eql(null);
+
+                return Promise.resolve(buffer);
+            },
+        });
+
+        return dataForge
+            .httpGet(testUrl)
+            .parseXLSX()
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Ticker').toArray()).to.eql(['ABC', 'ABC']);
+            })
+            ;
+    });
+
+    var initDataFrame = function () {
+        return new dataForge.DataFrame({
+            columnNames: ['Date', 'Value', 'Name'],
+            values: [
+                [new Date(2016, 5, 15, 13, 30), 1.5, 'x'],
+                [new Date(2016, 5, 16), 2, undefined],
+            ],
+        });
+    };
+
+    it('can serialize dataframe to XLSX and read it back', function () {
+
+        var dataFrame = initDataFrame();
+        var buffer = dataFrame.asXLSX().toBuffer();
+        var workbook = XLSX.read(buffer, { type: 'buffer' });
+        expect(workbook.SheetNames).to.eql(['Sheet1']);
+
+        var roundTripped = dataForge.fromXLSX(buffer);
+        expect(roundTripped.getColumnNames()).to.eql(dataFrame.getColumnNames());
+        expect(roundTripped.toRows()).to.eql(dataFrame.toRows());
+    });
+
+    it('can write XLSX file asynchronously', function () {
+
+        var testFilePath = "some/file.xlsx";
+        var written = null;
+
+        mock('fs', {
+            writeFile: function (filePath, fileData, callback) {
+                expect(filePath).to.eql(testFilePath);
+                written = fileData;
+
+                callback(null);
+            },
+        });
+
+        return initDataFrame()
+            .asXLSX()
+            .writeFile(testFilePath, { sheetName: 'Values' })
+            .then(() => {
+                var workbook = XLSX.read(written, { type: 'buffer' });
+                expect(workbook.SheetNames).to.eql(['Values']);
+            })
+            ;
+    });
+
+    it('can write XLSX file synchronously', function () {
+
+        var testFilePath = "some/file.xlsx";
+        var written = null;
+
+        mock('fs', {
+            writeFileSync: function (filePath, fileData) {
+                expect(filePath).to.eql(testFilePath);
+                written = fileData;
+            },
+        });
+
+        initDataFrame().asXLSX().writeFileSync(testFilePath);
+
+        var dataFrame = dataForge.fromXLSX(written);
+        expect(dataFrame.getSeries('Value').toArray()).to.eql([1.5, 2]);
+    });
+
+    it('can write multiple dataframes to sheets of one workbook', function () {
+
+        var other = new dataForge.DataFrame({
+            columnNames: ['A'],
+            values: [[1], [2]],
+        });
+
+        var buffer = dataForge.asXLSX({ First: initDataFrame(), Second: other }).toBuffer();
+        var workbook = XLSX.read(buffer, { type: 'buffer' });
+        expect(workbook.SheetNames).to.eql(['First', 'Second']);
+
+        expect(dataForge.fromXLSX(buffer, { sheet: 'Second' }).toRows()).to.eql([[1], [2]]);
+    });
+
+    it('can write sheets in the order of an array', function () {
+
+        var buffer = dataForge.asXLSX([
+                { name: 'B', dataFrame: initDataFrame() },
+                { name: 'A', dataFrame: initDataFrame() },
+            ])
+            .toBuffer();
+
+        expect(XLSX.read(buffer, { type: 'buffer' }).SheetNames).to.eql(['B', 'A']);
+    });
+
+    it('throws when sheet is not a dataframe', function () {
+
+        expect(function () {
+            dataForge.asXLSX({ First: [1, 2, 3] });
+        }).to.throw();
+    });
+});
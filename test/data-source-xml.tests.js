@@ -0,0 +1,238 @@
+'use strict';
+
+//
+// Tests for reading/writing XML with (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - xml', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    var testXmlData =
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rows>\n' +
+        '    <row id="1">\n' +
+        '        <Col1>a &amp; b</Col1>\n' +
+        '        <Col2>2</Col2>\n' +
+        '    </row>\n' +
+        '    <row id="2">\n' +
+        '        <Col1>c</Col1>\n' +
+        '        <Col3>x</Col3>\n' +
+        '    </row>\n' +
+        '</rows>\n';
+
+    it('can deserialize XML with rows inside the root element', function () {
+
+        var dataFrame = dataForge.fromXML(testXmlData);
+        expect(dataFrame.getColumnNames()).to.eql(['id', 'Col1', 'Col2', 'Col3']);
+        expect(dataFrame.toRows()).to.eql([
+            ['1', 'a & b', '2', undefined],
+            ['2', 'c', undefined, 'x'],
+        ]);
+    });
+
+    it('can ignore attributes', function () {
+
+        var dataFrame = dataForge.fromXML(testXmlData, { attributes: false });
+        expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2', 'Col3']);
+    });
+
+    it('can find row elements at any depth', function () {
+
+        var xmlData =
+            '<report>' +
+                '<title>Sales</title>' +
+                '<region name="North"><sale><amount>10</amount></sale><sale><amount>20</amount></sale></region>' +
+                '<region name="South"><sale><amount>30</amount></sale></region>' +
+            '</report>';
+
+        var dataFrame = dataForge.fromXML(xmlData, { rowElement: 'sale' });
+        expect(dataFrame.getSeries('amount').toArray()).to.eql(['10', '20', '30']);
+    });
+
+    it('throws when root contains different elements and no row element is specified', function () {
+
+        expect(function () {
+            dataForge.fromXML('<report><title>Sales</title><sale><amount>10</amount></sale></report>');
+        }).to.throw();
+    });
+
+    it('can deserialize empty XML', function () {
+
+        var dataFrame = dataForge.fromXML('<rows></rows>');
+        expect(dataFrame.getColumnNames()).to.eql([]);
+        expect(dataFrame.count()).to.eql(0);
+    });
+
+    it('can serialize dataframe to XML', function () {
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col 2', 'Date'],
+            values: [
+                ['a & b', 2, new Date(Date.UTC(2016, 0, 4))],
+                ['c', undefined, undefined],
+            ],
+        });
+
+        expect(dataFrame.toXML()).to.eql(
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<rows>\n' +
+            '    <row>\n' +
+            '        <Col1>a &amp; b</Col1>\n' +
+            '        <Col_2>2</Col_2>\n' +
+            '        <Date>2016-01-04T00:00:00.000Z</Date>\n' +
+            '    </row>\n' +
+            '    <row>\n' +
+            '        <Col1>c</Col1>\n' +
+            '    </row>\n' +
+            '</rows>\n'
+        );
+    });
+
+    it('can serialize dataframe to XML with custom element names', function () {
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['Col1'],
+            values: [[1]],
+        });
+
+        var xmlData = dataFrame.toXML({ rootElement: 'prices', rowElement: 'price' });
+        expect(xmlData).to.contain('<prices>');
+        expect(xmlData).to.contain('<price>');
+        expect(dataForge.fromXML(xmlData).toRows()).to.eql([['1']]);
+    });
+
+    it('can read XML file asynchronously', function () {
+
+        var testFilePath = "some/file.xml";
+
+        mock('fs', {
+            readFile: function (filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                callback(null, testXmlData);
+            },
+        });
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseXML()
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Col1').toArray()).to.eql(['a & b', 'c']);
+            })
+            ;
+    });
+
+    it('can read XML file synchronously', function () {
+
+        var testFilePath = "some/file.xml";
+
+        mock('fs', {
+            readFileSync: function (filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                return testXmlData;
+            },
+        });
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseXML({ attributes: false });
+        expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2', 'Col3']);
+    });
+
+    it('can http get XML file asynchronously', function () {
+
+        var testUrl = "some/url";
+
+        mock('request-promise', {
+            get: function (options) {
+                expect(options.uri).to.eql(testUrl);
+
+                return Promise.resolve(testXmlData);
+            },
+        });
+
+        return dataForge
+            .httpGet(testUrl)
+            .parseXML({ rowElement: 'row' })
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('id').toArray()).to.eql(['1', '2']);
+            })
+            ;
+    });
+
+    var initDataFrame = function () {
+        return new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col2'],
+            values: [[1, 2], [3, 4]],
+        });
+    };
+
+    it('can write XML file asynchronously', function () {
+
+        var testFilePath = "some/file.xml";
+        var dataFrame = initDataFrame();
+
+        mock('fs', {
+            writeFile: function (filePath, fileData, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(fileData).to.eql(dataFrame.toXML());
+
+                callback(null);
+            },
+        });
+
+        return dataFrame
+            .asXML()
+            .writeFile(testFilePath)
+            ;
+    });
+
+    it('can write XML file synchronously', function () {
+
+        var testFilePath = "some/file.xml";
+        var dataFrame = initDataFrame();
+
+        mock('fs', {
+            writeFileSync: function (filePath, fileData) {
+                expect(filePath).to.eql(testFilePath);
+                expect(fileData).to.eql(dataFrame.toXML({ rowElement: 'item' }));
+            },
+        });
+
+        dataFrame.asXML({ rowElement: 'item' }).writeFileSync(testFilePath);
+    });
+
+    it('can http post XML file asynchronously', function () {
+
+        var testUrl = "some/url";
+        var dataFrame = initDataFrame();
+
+        mock('request-promise', {
+            post: function (options) {
+                expect(options.uri).to.eql(testUrl);
+                expect(options.body).to.eql(dataFrame.toXML());
+                expect(options.headers).to.eql({
+                    "content-type": "application/xml",
+                });
+
+                return Promise.resolve();
+            },
+        });
+
+        return dataFrame
+            .asXML()
+            .httpPost(testUrl)
+            ;
+    });
+
+});
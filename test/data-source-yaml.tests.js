@@ -0,0 +1,197 @@
+'use strict';
+
+//
+// Tests for reading/writing YAML with (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - yaml', function () {
+
+    afterEach(function () {
+        mock.stopAll();
+    });
+
+    var testYamlData =
+        '- Col1: 1\n' +
+        '  Col2: hello\n' +
+        '  Col3: 2016-01-04\n' +
+        '- Col1: 3\n' +
+        '  Col2: true\n' +
+        '  Col3: 2016-01-05\n';
+
+    it('can deserialize YAML with typed values', function () {
+
+        var dataFrame = dataForge.fromYAML(testYamlData);
+        expect(dataFrame.getColumnNames()).to.eql(['Col1', 'Col2', 'Col3']);
+        expect(dataFrame.toRows()).to.eql([
+            [1, 'hello', new Date(Date.UTC(2016, 0, 4))],
+            [3, true, new Date(Date.UTC(2016, 0, 5))],
+        ]);
+    });
+
+    it('can deserialize empty YAML', function () {
+
+        expect(dataForge.fromYAML('').count()).to.eql(0);
+    });
+
+    it('throws when YAML does not contain a sequence', function () {
+
+        expect(function () {
+            dataForge.fromYAML('Col1: 1\n');
+        }).to.throw();
+    });
+
+    it('can serialize dataframe to YAML', function () {
+
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col2'],
+            values: [
+                [1, 'hello'],
+                [3, undefined],
+            ],
+        });
+
+        expect(dataFrame.toYAML()).to.eql(
+            '- Col1: 1\n' +
+            '  Col2: hello\n' +
+            '- Col1: 3\n'
+        );
+    });
+
+    it('YAML round trips', function () {
+
+        var dataFrame = dataForge.fromYAML(testYamlData);
+        expect(dataForge.fromYAML(dataFrame.toYAML()).toRows()).to.eql(dataFrame.toRows());
+    });
+
+    it('can read YAML file asynchronously', function () {
+
+        var testFilePath = "some/file.yaml";
+
+        mock('fs', {
+            readFile: function (filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                callback(null, testYamlData);
+            },
+        });
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseYAML()
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Col1').toArray()).to.eql([1, 3]);
+            })
+            ;
+    });
+
+    it('can read YAML file synchronously', function () {
+
+        var testFilePath = "some/file.yaml";
+
+        mock('fs', {
+            readFileSync: function (filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+
+                return testYamlData;
+            },
+        });
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseYAML();
+        expect(dataFrame.getSeries('Col1').toArray()).to.eql([1, 3]);
+    });
+
+    it('can http get YAML file asynchronously', function () {
+
+        var testUrl = "some/url";
+
+        mock('request-promise', {
+            get: function (options) {
+                expect(options.uri).to.eql(testUrl);
+
+                return Promise.resolve(testYamlData);
+            },
+        });
+
+        return dataForge
+            .httpGet(testUrl)
+            .parseYAML()
+            .then(dataFrame => {
+                expect(dataFrame.getSeries('Col2').toArray()).to.eql(['hello', true]);
+            })
+            ;
+    });
+
+    var initDataFrame = function () {
+        return new dataForge.DataFrame({
+            columnNames: ['Col1', 'Col2'],
+            values: [[1, 2], [3, 4]],
+        });
+    };
+
+    it('can write YAML file asynchronously', function () {
+
+        var testFilePath = "some/file.yaml";
+        var dataFrame = initDataFrame();
+
+        mock('fs', {
+            writeFile: function (filePath, fileData, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(fileData).to.eql(dataFrame.toYAML());
+
+                callback(null);
+            },
+        });
+
+        return dataFrame
+            .asYAML()
+            .writeFile(testFilePath)
+            ;
+    });
+
+    it('can write YAML file synchronously', function () {
+
+        var testFilePath = "some/file.yaml";
+        var dataFrame = initDataFrame();
+
+        mock('fs', {
+            writeFileSync: function (filePath, fileData) {
+                expect(filePath).to.eql(testFilePath);
+                expect(fileData).to.eql(dataFrame.toYAML());
+            },
+        });
+
+        dataFrame.asYAML().writeFileSync(testFilePath);
+    });
+
+    it('can http post YAML file asynchronously', function () {
+
+        var testUrl = "some/url";
+        var dataFrame = initDataFrame();
+
+        mock('request-promise', {
+            post: function (options) {
+                expect(options.uri).to.eql(testUrl);
+                expect(options.body).to.eql(dataFrame.toYAML());
+                expect(options.headers).to.eql({
+                    "content-type": "application/x-yaml",
+                });
+
+                return Promise.resolve();
+            },
+        });
+
+        return dataFrame
+            .asYAML()
+            .httpPost(testUrl)
+            ;
+    });
+
+});
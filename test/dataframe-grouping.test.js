@@ -0,0 +1,217 @@
+'use strict';
+
+describe('DataFrame groupBy columns', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initSales = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['region', 'product', 'revenue', 'qty', 'price'],
+			values: [
+				['north', 'apples', 10, 1, 10],
+				['south', 'apples', 20, 2, 10],
+				['north', 'pears', 30, 3, 10],
+				['north', 'apples', 40, 4, 10],
+				['south', 'apples', 50, 5, 10],
+			],
+		});
+	};
+
+	it('can aggregate groups by multiple columns', function () {
+
+		var summary = initSales()
+			.groupBy(['region', 'product'])
+			.aggregate({
+				revenue: 'sum',
+				qty: ['min', 'max'],
+				price: function (series) {
+					return series.count();
+				},
+			});
+
+		expect(summary.getColumnNames()).to.eql(['region', 'product', 'revenue', 'qty_min', 'qty_max', 'price']);
+		expect(summary.getIndex().toArray()).to.eql([0, 1, 2]);
+		expect(summary.toRows()).to.eql([
+			['north', 'apples', 50, 1, 4, 2],
+			['south', 'apples', 70, 2, 5, 2],
+			['north', 'pears', 30, 3, 3, 1],
+		]);
+	});
+
+	it('can group by a single column name', function () {
+
+		var summary = initSales()
+			.groupBy('region')
+			.aggregate({ revenue: 'mean' });
+
+		expect(summary.toRows()).to.eql([
+			['north', 80 / 3],
+			['south', 35],
+		]);
+	});
+
+	it('can name aggregation output columns', function () {
+
+		var summary = initSales()
+			.groupBy('product')
+			.aggregate({
+				revenue: {
+					totalRevenue: 'sum',
+					bestSale: 'max',
+				},
+			});
+
+		expect(summary.getColumnNames()).to.eql(['product', 'totalRevenue', 'bestSale']);
+		expect(summary.toRows()).to.eql([
+			['apples', 120, 50],
+			['pears', 30, 30],
+		]);
+	});
+
+	it('can index aggregated dataframe by multi-part group key', function () {
+
+		var summary = initSales()
+			.groupBy(['region', 'product'], { index: true })
+			.aggregate({ revenue: 'sum' });
+
+		expect(summary.getIndex().toArray()).to.eql([['north', 'apples'], ['south', 'apples'], ['north', 'pears']]);
+		expect(summary.at(['south', 'apples'])).to.eql({ region: 'south', product: 'apples', revenue: 70 });
+		expect(summary.at(['south', 'pears'])).to.be.undefined;
+	});
+
+	it('can index aggregated dataframe by single group key', function () {
+
+		var summary = initSales()
+			.groupBy('region', { index: true })
+			.count();
+
+		expect(summary.getIndex().toArray()).to.eql(['north', 'south']);
+		expect(summary.at('south').count).to.eql(2);
+	});
+
+	it('can count rows in each group', function () {
+
+		var summary = initSales()
+			.groupBy(['region', 'product'])
+			.count();
+
+		expect(summary.getColumnNames()).to.eql(['region', 'product', 'count']);
+		expect(summary.toRows()).to.eql([
+			['north', 'apples', 2],
+			['south', 'apples', 2],
+			['north', 'pears', 1],
+		]);
+	});
+
+	it('groups by the structure of key values', function () {
+
+		var date = new Date(2020, 0, 1);
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['key', 'value'],
+			values: [
+				[null, 1],
+				[undefined, 2],
+				[NaN, 3],
+				[date, 4],
+				[date.toISOString(), 5],
+				[null, 6],
+				[new Date(date.getTime()), 7],
+			],
+		});
+
+		var counts = dataFrame.groupBy('key').count();
+		expect(counts.getSeries('count').toArray()).to.eql([2, 1, 1, 2, 1]);
+	});
+
+	it('can take first and last row of each group', function () {
+
+		var grouping = initSales().groupBy('region');
+
+		expect(grouping.first().toRows()).to.eql([
+			['north', 'apples', 10, 1, 10],
+			['south', 'apples', 20, 2, 10],
+		]);
+
+		expect(grouping.last().toRows()).to.eql([
+			['north', 'apples', 40, 4, 10],
+			['south', 'apples', 50, 5, 10],
+		]);
+	});
+
+	it('can compute mean and standard deviation of number columns', function () {
+
+		var grouping = initSales().groupBy('product');
+
+		var means = grouping.mean();
+		expect(means.getColumnNames()).to.eql(['product', 'revenue', 'qty', 'price']);
+		expect(means.toRows()).to.eql([
+			['apples', 30, 3, 10],
+			['pears', 30, 3, 10],
+		]);
+
+		var stds = grouping.std().toRows();
+		expect(stds[0][1]).to.be.closeTo(Math.sqrt(1000 / 3), 0.000001);
+		expect(stds[0][3]).to.eql(0);
+		expect(stds[1]).to.eql(['pears', undefined, undefined, undefined]); // A single value has no sample standard deviation.
+	});
+
+	it('aggregations ignore missing values', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['key', 'value'],
+			values: [
+				['a', 1],
+				['a', undefined],
+				['a', 3],
+				['a', null],
+			],
+		});
+
+		var summary = dataFrame
+			.groupBy('key')
+			.aggregate({ value: ['count', 'sum', 'mean', 'median', 'min', 'max'] });
+
+		expect(summary.toRows()).to.eql([['a', 2, 4, 2, 2, 1, 3]]);
+	});
+
+	it('can get groups as a series of dataframes', function () {
+
+		var groups = initSales()
+			.groupBy(['region', 'product'])
+			.toSeries();
+
+		expect(groups.getIndex().toArray()).to.eql([['north', 'apples'], ['south', 'apples'], ['north', 'pears']]);
+		expect(groups.first().getColumnNames()).to.eql(['region', 'product', 'revenue', 'qty', 'price']);
+		expect(groups.first().getSeries('revenue').toArray()).to.eql([10, 40]);
+	});
+
+	it('grouping by selector still returns a series of groups', function () {
+
+		var groups = initSales().groupBy(function (row) {
+			return row.region;
+		});
+
+		expect(groups.count()).to.eql(2);
+		expect(groups.first().count()).to.eql(3);
+	});
+
+	it('throws when grouping by a column that does not exist', function () {
+
+		expect(function () {
+			initSales().groupBy(['region', 'bogus']);
+		}).to.throw();
+	});
+
+	it('throws for an unknown aggregation', function () {
+
+		expect(function () {
+			initSales().groupBy('region').aggregate({ revenue: 'bogus' });
+		}).to.throw();
+
+		expect(function () {
+			initSales().groupBy('region').aggregate({ bogus: 'sum' });
+		}).to.throw();
+	});
+});
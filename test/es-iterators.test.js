@@ -0,0 +1,194 @@
+'use strict';
+
+describe('ES2015 iterators', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initDataFrame = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['A', 'B'],
+			values: [[1, 'x'], [2, 'y']],
+			index: [10, 20],
+		});
+	};
+
+	it('series works with for...of', function () {
+
+		var series = new dataForge.Series({ values: [1, 2, 3] });
+		var values = [];
+		for (var value of series) {
+			values.push(value);
+		}
+
+		expect(values).to.eql([1, 2, 3]);
+	});
+
+	it('series works with spread and Array.from', function () {
+
+		var series = new dataForge.Series({ values: [1, undefined, 3] });
+		expect([...series]).to.eql([1, 3]);
+		expect(Array.from(series)).to.eql(series.toArray());
+	});
+
+	it('dataframe iterates rows', function () {
+
+		expect([...initDataFrame()]).to.eql([{ A: 1, B: 'x' }, { A: 2, B: 'y' }]);
+	});
+
+	it('index iterates index values', function () {
+
+		expect([...initDataFrame().getIndex()]).to.eql([10, 20]);
+	});
+
+	it('can iterate pairs and entries', function () {
+
+		var dataFrame = initDataFrame();
+		expect(Array.from(dataFrame.pairs())).to.eql(dataFrame.toPairs());
+		expect(Array.from(dataFrame.entries())).to.eql(dataFrame.toPairs());
+
+		var series = new dataForge.Series({ values: ['a', 'b'], index: [5, 6] });
+		var pairs = [];
+		for (var pair of series.pairs()) {
+			pairs.push(pair);
+		}
+
+		expect(pairs).to.eql([[5, 'a'], [6, 'b']]);
+	});
+
+	it('series is evaluated lazily as it is iterated', function () {
+
+		var numSelected = 0;
+		var series = new dataForge.Series({ values: [1, 2, 3, 4] })
+			.select(function (value) {
+				++numSelected;
+				return value * 2;
+			});
+
+		var iterator = series[Symbol.iterator]();
+		expect(iterator.next()).to.eql({ value: 2, done: false });
+		expect(numSelected).to.eql(1);
+	});
+
+	it('can create series from generator functions', function () {
+
+		var series = new dataForge.Series({
+			values: function* () {
+				yield 'a';
+				yield 'b';
+			},
+			index: function* () {
+				yield 100;
+				yield 200;
+			},
+		});
+
+		expect(series.toPairs()).to.eql([[100, 'a'], [200, 'b']]);
+		expect(series.toPairs()).to.eql([[100, 'a'], [200, 'b']]);
+	});
+
+	it('can create series from ES2015 iterables', function () {
+
+		var series = new dataForge.Series({
+			values: new Set(['a', 'b']),
+			index: new Map([[1, 'x'], [2, 'y']]).keys(),
+		});
+
+		expect(series.toPairs()).to.eql([[1, 'a'], [2, 'b']]);
+	});
+
+	it('generator object can only be iterated once', function () {
+
+		var generate = function* () {
+			yield 1;
+			yield 2;
+			yield 3;
+		};
+
+		var series = new dataForge.Series({ values: generate() });
+		expect(series.toArray()).to.eql([1, 2, 3]);
+		expect(() => series.toArray()).to.throw();
+	});
+
+	it('generator object is not iterated before the series is', function () {
+
+		var numYielded = 0;
+		var generate = function* () {
+			++numYielded;
+			yield 1;
+		};
+
+		var series = new dataForge.Series({ values: generate() });
+		expect(numYielded).to.eql(0);
+		expect(series.toArray()).to.eql([1]);
+		expect(numYielded).to.eql(1);
+	});
+
+	it('series from generator object can be baked to iterate it more than once', function () {
+
+		var generate = function* () {
+			yield 1;
+			yield 2;
+			yield 3;
+		};
+
+		var series = new dataForge.Series({ values: generate() }).bake();
+		expect(series.take(1).toArray()).to.eql([1]);
+		expect(series.toArray()).to.eql([1, 2, 3]);
+		expect(series.skip(1).toArray()).to.eql([2, 3]);
+	});
+
+	it('infinite generator is only iterated as far as needed', function () {
+
+		var series = new dataForge.Series({
+			values: function* () {
+				var value = 0;
+				for (;;) {
+					yield value++;
+				}
+			},
+		});
+
+		expect(series.take(3).toArray()).to.eql([0, 1, 2]);
+	});
+
+	it('can create dataframe from generator of objects', function () {
+
+		var generate = function* () {
+			yield { A: 1, B: 2 };
+			yield { A: 3, B: 4 };
+		};
+
+		var dataFrame = new dataForge.DataFrame({ values: generate() });
+		expect(dataFrame.getColumnNames()).to.eql(['A', 'B']);
+		expect(dataFrame.toRows()).to.eql([[1, 2], [3, 4]]);
+		expect(dataFrame.count()).to.eql(2);
+	});
+
+	it('dataframe from generator object of rows with column names can only be iterated once', function () {
+
+		var generate = function* () {
+			yield [1, 2];
+			yield [3, 4];
+		};
+
+		var dataFrame = new dataForge.DataFrame({ columnNames: ['A', 'B'], values: generate() });
+		expect(dataFrame.toRows()).to.eql([[1, 2], [3, 4]]);
+		expect(() => dataFrame.toRows()).to.throw();
+	});
+
+	it('can create dataframe from generator of rows with column names', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['A', 'B'],
+			values: function* () {
+				yield [1, 2];
+				yield [3, 4];
+			},
+			index: new Set(['x', 'y']),
+		});
+
+		expect(dataFrame.toPairs()).to.eql([['x', { A: 1, B: 2 }], ['y', { A: 3, B: 4 }]]);
+	});
+});
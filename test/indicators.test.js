@@ -0,0 +1,200 @@
+'use strict';
+
+describe('indicators', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initSeries = function (values) {
+		return new dataForge.Series({
+			values: values,
+			index: values.map(function (value, position) {
+				return new Date(2016, 0, position + 1);
+			}),
+		});
+	};
+
+	var expectCloseTo = function (actual, expected) {
+		expect(actual.length).to.eql(expected.length);
+		actual.forEach(function (value, position) {
+			expect(value).to.be.closeTo(expected[position], 0.0001);
+		});
+	};
+
+	it('can compute simple moving average', function () {
+
+		var sma = initSeries([1, 2, 3, 4, 5, 6]).sma(3);
+		expect(sma.toArray()).to.eql([2, 3, 4, 5]);
+	});
+
+	it('moving average preserves the index of the latest value', function () {
+
+		var sma = initSeries([1, 2, 3, 4]).sma(3);
+		expect(sma.getIndex().toArray()).to.eql([new Date(2016, 0, 3), new Date(2016, 0, 4)]);
+	});
+
+	it('values that are not numbers are ignored', function () {
+
+		var sma = initSeries([1, 'x', 2, null, 3]).sma(2);
+		expect(sma.toPairs()).to.eql([
+			[new Date(2016, 0, 3), 1.5],
+			[new Date(2016, 0, 5), 2.5],
+		]);
+	});
+
+	it('can compute exponential moving average', function () {
+
+		var ema = initSeries([1, 2, 3, 4, 5]).ema(3);
+		expect(ema.toArray()).to.eql([2, 3, 4]);
+	});
+
+	it('exponential moving average is seeded with the simple average', function () {
+
+		var ema = initSeries([2, 4, 6, 10]).ema(3);
+		expect(ema.toArray()).to.eql([4, 7]);
+	});
+
+	it('can compute weighted moving average', function () {
+
+		var wma = initSeries([1, 2, 3, 4, 10]).wma(3);
+		expectCloseTo(wma.toArray(), [14 / 6, 20 / 6, 41 / 6]);
+	});
+
+	it('can compute rolling standard deviation', function () {
+
+		var series = initSeries([1, 2, 3, 4, 10]);
+		expectCloseTo(series.rollingStd(3).toArray(), [1, 1, 3.7859]);
+		expectCloseTo(series.rollingStd(3, { population: true }).toArray(), [0.8165, 0.8165, 3.0912]);
+	});
+
+	it('can compute bollinger bands', function () {
+
+		var bands = initSeries([1, 2, 3, 4, 10]).bollingerBands(3);
+		expect(bands.getColumnNames()).to.eql(['middle', 'upper', 'lower']);
+		expect(bands.getIndex().first()).to.eql(new Date(2016, 0, 3));
+
+		var rows = bands.toArray();
+		expect(rows.length).to.eql(3);
+		expect(rows[0].middle).to.eql(2);
+		expect(rows[0].upper).to.be.closeTo(2 + 2 * 0.8165, 0.0001);
+		expect(rows[0].lower).to.be.closeTo(2 - 2 * 0.8165, 0.0001);
+	});
+
+	it('can compute bollinger bands with custom width', function () {
+
+		var rows = initSeries([1, 2, 3]).bollingerBands(3, 1).toArray();
+		expect(rows[0].upper).to.be.closeTo(2.8165, 0.0001);
+	});
+
+	it('can compute relative strength index', function () {
+
+		var rsi = initSeries([1, 2, 3, 2, 3, 1]).rsi(3);
+		expect(rsi.getIndex().toArray()).to.eql([new Date(2016, 0, 4), new Date(2016, 0, 5), new Date(2016, 0, 6)]);
+		expectCloseTo(rsi.toArray(), [200 / 3, 700 / 9, 1400 / 36]);
+	});
+
+	it('relative strength index with no losses is 100', function () {
+
+		expect(initSeries([1, 2, 3, 4]).rsi(2).toArray()).to.eql([100, 100]);
+		expect(initSeries([5, 5, 5]).rsi(2).toArray()).to.eql([50]);
+	});
+
+	it('can compute macd', function () {
+
+		var macd = initSeries([1, 2, 3, 4, 5, 6, 7]).macd(2, 4, 2);
+		expect(macd.getColumnNames()).to.eql(['macd', 'signal', 'histogram']);
+		expect(macd.getIndex().first()).to.eql(new Date(2016, 0, 4));
+
+		var rows = macd.toArray();
+		expect(rows.length).to.eql(4);
+		expect(rows[0].macd).to.be.closeTo(3.5 - 2.5, 0.0001);
+		expect(rows[0].signal).to.be.undefined;
+		expect(rows[1].signal).to.be.closeTo((rows[0].macd + rows[1].macd) / 2, 0.0001);
+		expect(rows[1].histogram).to.be.closeTo(rows[1].macd - rows[1].signal, 0.0001);
+	});
+
+	it('macd fast period must be less than slow period', function () {
+
+		expect(function () {
+			initSeries([1, 2, 3]).macd(26, 12, 9);
+		}).to.throw();
+	});
+
+	it('can compute rate of change', function () {
+
+		var roc = initSeries([10, 11, 12, 15]).rateOfChange(2);
+		expect(roc.toArray()).to.eql([20, 36.36363636363637]);
+	});
+
+	it('can compute drawdown', function () {
+
+		var series = initSeries([100, 120, 90, 130, 65]);
+		expect(series.drawdown().toArray()).to.eql([0, 0, -0.25, 0, -0.5]);
+		expect(series.maxDrawdown()).to.eql(-0.5);
+	});
+
+	it('max drawdown of rising series is zero', function () {
+
+		expect(initSeries([1, 2, 3]).maxDrawdown()).to.eql(0);
+		expect(initSeries([]).maxDrawdown()).to.be.undefined;
+	});
+
+	it('can diff', function () {
+
+		var series = initSeries([1, 3, 6, 10]);
+		expect(series.diff().toArray()).to.eql([2, 3, 4]);
+		expect(series.diff().getIndex().first()).to.eql(new Date(2016, 0, 2));
+		expect(series.diff(2).toArray()).to.eql([5, 7]);
+	});
+
+	it('can shift values forward', function () {
+
+		var shifted = initSeries([1, 2, 3]).shift();
+		expect(shifted.toPairs()).to.eql([
+			[new Date(2016, 0, 2), 1],
+			[new Date(2016, 0, 3), 2],
+		]);
+	});
+
+	it('can shift values backward', function () {
+
+		var shifted = initSeries([1, 2, 3]).shift(-2);
+		expect(shifted.toPairs()).to.eql([
+			[new Date(2016, 0, 1), 3],
+		]);
+	});
+
+	it('shift by zero leaves the series unchanged', function () {
+
+		expect(initSeries([1, 2, 3]).shift(0).toArray()).to.eql([1, 2, 3]);
+	});
+
+	it('shift passes through values that are not numbers', function () {
+
+		expect(initSeries(['a', 'b', 'c']).shift(1).toArray()).to.eql(['a', 'b']);
+	});
+
+	it('throws for invalid period', function () {
+
+		var series = initSeries([1, 2, 3]);
+		expect(function () {
+			series.sma(0);
+		}).to.throw();
+
+		expect(function () {
+			series.ema(1.5);
+		}).to.throw();
+
+		expect(function () {
+			series.rollingStd(1);
+		}).to.throw();
+	});
+
+	it('indicators can be iterated more than once', function () {
+
+		var sma = initSeries([1, 2, 3, 4]).sma(2);
+		expect(sma.toArray()).to.eql([1.5, 2.5, 3.5]);
+		expect(sma.toArray()).to.eql([1.5, 2.5, 3.5]);
+	});
+});
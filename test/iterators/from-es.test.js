@@ -0,0 +1,33 @@
+'use strict';
+
+describe('from ES2015 iterator', function () {
+
+	var FromEsIterator = require('../../src/iterators/from-es');
+	var expect = require('chai').expect;
+
+	it('iterates the values of an ES2015 iterator', function () {
+
+		var iterator = new FromEsIterator(new Set([1, 2])[Symbol.iterator]());
+		expect(iterator.moveNext()).to.eql(true);
+		expect(iterator.getCurrent()).to.eql(1);
+		expect(iterator.moveNext()).to.eql(true);
+		expect(iterator.getCurrent()).to.eql(2);
+		expect(iterator.moveNext()).to.eql(false);
+		expect(iterator.getCurrent()).to.be.undefined;
+	});
+
+	it('does not call next after the ES2015 iterator has finished', function () {
+
+		var numCalls = 0;
+		var iterator = new FromEsIterator({
+			next: function () {
+				++numCalls;
+				return { done: true };
+			},
+		});
+
+		expect(iterator.moveNext()).to.eql(false);
+		expect(iterator.moveNext()).to.eql(false);
+		expect(numCalls).to.eql(1);
+	});
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+describe('indicator iterator', function () {
+
+	var IndicatorIterator = require('../../src/iterators/indicator');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('produces the output of each step', function () {
+
+		var indicator = new IndicatorIterator(new ArrayIterator([[0, 1], [1, 2]]), function (index, value) {
+				return [index, value * 10];
+			});
+
+		expect(realize(indicator)).to.eql([[0, 10], [1, 20]]);
+	});
+
+	it('skips pairs that have no output', function () {
+
+		var indicator = new IndicatorIterator(new ArrayIterator([[0, 1], [1, 2], [2, 3], [3, 4]]), function (index, value) {
+				return value % 2 === 0 ? [index, value] : undefined;
+			});
+
+		expect(realize(indicator)).to.eql([[1, 2], [3, 4]]);
+	});
+
+	it('current is undefined at the end', function () {
+
+		var indicator = new IndicatorIterator(new ArrayIterator([[0, 1]]), function (index, value) {
+				return [index, value];
+			});
+
+		expect(indicator.moveNext()).to.eql(true);
+		expect(indicator.moveNext()).to.eql(false);
+		expect(indicator.getCurrent()).to.be.undefined;
+	});
+
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+describe('json lines iterator', function () {
+
+	var JsonLinesIterator = require('../../src/iterators/json-lines');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('parses each line', function () {
+
+		var iterator = new JsonLinesIterator(new ArrayIterator(['{"a":1}', '[2]', '"three"']));
+		expect(realize(iterator)).to.eql([{ a: 1 }, [2], 'three']);
+	});
+
+	it('skips blank lines', function () {
+
+		var iterator = new JsonLinesIterator(new ArrayIterator(['', '{"a":1}', '   ', '{"a":2}']));
+		expect(realize(iterator)).to.eql([{ a: 1 }, { a: 2 }]);
+	});
+
+	it('throws with the line number of a malformed line', function () {
+
+		var iterator = new JsonLinesIterator(new ArrayIterator(['{"a":1}', '', '{"a":']));
+		expect(iterator.moveNext()).to.eql(true);
+
+		expect(function () {
+			iterator.moveNext();
+		}).to.throw(/line 3/);
+	});
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+describe('line iterator', function () {
+
+	var LineIterator = require('../../src/iterators/line');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('empty text has no lines', function () {
+
+		var lines = new LineIterator('');
+		expect(lines.moveNext()).to.eql(false);
+		expect(lines.getCurrent()).to.be.undefined;
+	});
+
+	it('splits text into lines', function () {
+
+		expect(realize(new LineIterator('a\nb\n\nc'))).to.eql(['a', 'b', '', 'c']);
+	});
+
+	it('strips windows line endings', function () {
+
+		expect(realize(new LineIterator('a\r\nb\r\n'))).to.eql(['a', 'b']);
+	});
+});
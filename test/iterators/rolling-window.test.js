@@ -0,0 +1,70 @@
+'use strict';
+
+describe('rolling window iterator', function () {
+
+	var ArrayIterator = require('../../src/iterators/array');
+	var RollingWindowIterator = require('../../src/iterators/rolling-window');
+	var expect = require('chai').expect;
+
+	var createWindow = function (pairs) {
+		return pairs;
+	};
+
+	var extract = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('result is undefined before moving to first element', function () {
+
+		var testObject = new RollingWindowIterator(new ArrayIterator([[0, 1], [1, 2]]), 2, createWindow);
+		expect(testObject.getCurrent()).to.be.undefined;
+	});
+
+	it('cannot move next for empty enumerator', function () {
+
+		var testObject = new RollingWindowIterator(new ArrayIterator([]), 2, createWindow);
+		expect(testObject.moveNext()).to.eql(false);
+	});
+
+	it('cannot move next when there are fewer pairs than the period', function () {
+
+		var testObject = new RollingWindowIterator(new ArrayIterator([[0, 1]]), 2, createWindow);
+		expect(testObject.moveNext()).to.eql(false);
+	});
+
+	it('cannot move next when the period is zero', function () {
+
+		var testObject = new RollingWindowIterator(new ArrayIterator([[0, 1]]), 0, createWindow);
+		expect(testObject.moveNext()).to.eql(false);
+	});
+
+	it('can roll a window over pairs, oldest pair first', function () {
+
+		var testObject = new RollingWindowIterator(new ArrayIterator([[0, 'a'], [1, 'b'], [2, 'c'], [3, 'd']]), 3, createWindow);
+		expect(extract(testObject)).to.eql([
+			[0, [[0, 'a'], [1, 'b'], [2, 'c']]],
+			[1, [[1, 'b'], [2, 'c'], [3, 'd']]],
+		]);
+	});
+
+	it('only creates the window when it is requested', function () {
+
+		var numCreated = 0;
+		var testObject = new RollingWindowIterator(new ArrayIterator([[0, 1], [1, 2], [2, 3]]), 2, function (pairs) {
+			++numCreated;
+			return pairs;
+		});
+
+		expect(testObject.moveNext()).to.eql(true);
+		expect(testObject.moveNext()).to.eql(true);
+		expect(numCreated).to.eql(0);
+
+		testObject.getCurrent();
+		testObject.getCurrent();
+		expect(numCreated).to.eql(1);
+	});
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+describe('to ES2015 iterator', function () {
+
+	var ToEsIterator = require('../../src/iterators/to-es');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var selectValue = function (pair) {
+		return pair[1];
+	};
+
+	it('produces the selection from each pair', function () {
+
+		var iterator = new ToEsIterator(new ArrayIterator([[0, 'a'], [1, 'b']]), selectValue);
+		expect(iterator.next()).to.eql({ value: 'a', done: false });
+		expect(iterator.next()).to.eql({ value: 'b', done: false });
+		expect(iterator.next()).to.eql({ value: undefined, done: true });
+	});
+
+	it('skips pairs with undefined values', function () {
+
+		var iterator = new ToEsIterator(new ArrayIterator([[0, undefined], [1, 'b']]), selectValue);
+		expect(Array.from(iterator)).to.eql(['b']);
+	});
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+describe('variable window iterator', function () {
+
+	var ArrayIterator = require('../../src/iterators/array');
+	var VariableWindowIterator = require('../../src/iterators/variable-window');
+	var expect = require('chai').expect;
+
+	var createWindow = function (pairs) {
+		return pairs;
+	};
+
+	var isEqual = function (a, b) {
+		return a === b;
+	};
+
+	var extract = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('result is undefined before moving to first element', function () {
+
+		var testObject = new VariableWindowIterator(new ArrayIterator([[0, 1]]), isEqual, createWindow);
+		expect(testObject.getCurrent()).to.be.undefined;
+	});
+
+	it('cannot move next for empty enumerator', function () {
+
+		var testObject = new VariableWindowIterator(new ArrayIterator([]), isEqual, createWindow);
+		expect(testObject.moveNext()).to.eql(false);
+	});
+
+	it('can group sequential pairs into windows', function () {
+
+		var testObject = new VariableWindowIterator(new ArrayIterator([[0, 1], [1, 1], [2, 2], [3, 1], [4, 1]]), isEqual, createWindow);
+		expect(extract(testObject)).to.eql([
+			[0, [[0, 1], [1, 1]]],
+			[1, [[2, 2]]],
+			[2, [[3, 1], [4, 1]]],
+		]);
+	});
+
+	it('cannot move next again after the source is exhausted', function () {
+
+		var testObject = new VariableWindowIterator(new ArrayIterator([[0, 1]]), isEqual, createWindow);
+		expect(testObject.moveNext()).to.eql(true);
+		expect(testObject.moveNext()).to.eql(false);
+		expect(testObject.moveNext()).to.eql(false);
+		expect(testObject.getCurrent()).to.be.undefined;
+	});
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+describe('window iterator', function () {
+
+	var ArrayIterator = require('../../src/iterators/array');
+	var WindowIterator = require('../../src/iterators/window');
+	var expect = require('chai').expect;
+
+	var createWindow = function (pairs) {
+		return pairs;
+	};
+
+	var extract = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('result is undefined before moving to first element', function () {
+
+		var testObject = new WindowIterator(new ArrayIterator([[0, 1]]), 2, createWindow);
+		expect(testObject.getCurrent()).to.be.undefined;
+	});
+
+	it('cannot move next for empty enumerator', function () {
+
+		var testObject = new WindowIterator(new ArrayIterator([]), 2, createWindow);
+		expect(testObject.moveNext()).to.eql(false);
+	});
+
+	it('can split pairs into windows', function () {
+
+		var testObject = new WindowIterator(new ArrayIterator([[0, 'a'], [1, 'b'], [2, 'c'], [3, 'd'], [4, 'e']]), 2, createWindow);
+		expect(extract(testObject)).to.eql([
+			[0, [[0, 'a'], [1, 'b']]],
+			[1, [[2, 'c'], [3, 'd']]],
+			[2, [[4, 'e']]],
+		]);
+	});
+
+	it('reads each pair from the source only once', function () {
+
+		var source = new ArrayIterator([[0, 1], [1, 2], [2, 3], [3, 4]]);
+		var numReads = 0;
+		var moveNext = source.moveNext;
+		source.moveNext = function () {
+			++numReads;
+			return moveNext.call(source);
+		};
+
+		extract(new WindowIterator(source, 3, createWindow));
+		expect(numReads).to.eql(5);
+	});
+});
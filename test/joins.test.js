@@ -0,0 +1,311 @@
+'use strict';
+
+describe('joins', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initOrders = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['Order', 'Customer', 'Region'],
+			values: [
+				[1, 'ann', 'north'],
+				[2, 'bob', 'south'],
+				[3, 'ann', 'south'],
+				[4, 'cat', 'north'],
+			],
+		});
+	};
+
+	var initCustomers = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['Customer', 'Region', 'Phone'],
+			values: [
+				['ann', 'north', '111'],
+				['ann', 'north', '112'],
+				['bob', 'south', '222'],
+				['dan', 'east', '444'],
+			],
+		});
+	};
+
+	var byCustomer = function (row) {
+		return row.Customer;
+	};
+
+	var orderWithPhone = function (order, customer) {
+		return {
+			Order: order ? order.Order : undefined,
+			Phone: customer ? customer.Phone : undefined,
+		};
+	};
+
+	it('join produces a row for each combination of duplicate keys', function () {
+
+		var joined = initOrders().join(initCustomers(), byCustomer, byCustomer, orderWithPhone);
+
+		expect(joined.getColumnNames()).to.eql(['Order', 'Phone']);
+		expect(joined.getIndex().toArray()).to.eql([0, 1, 2, 3, 4]);
+		expect(joined.toRows()).to.eql([
+			[1, '111'],
+			[1, '112'],
+			[2, '222'],
+			[3, '111'],
+			[3, '112'],
+		]);
+	});
+
+	it('join supports composite keys', function () {
+
+		var byCustomerAndRegion = function (row) {
+			return [row.Customer, row.Region];
+		};
+
+		var joined = initOrders().join(initCustomers(), byCustomerAndRegion, byCustomerAndRegion, orderWithPhone);
+
+		expect(joined.toRows()).to.eql([
+			[1, '111'],
+			[1, '112'],
+			[2, '222'],
+		]);
+	});
+
+	it('join matches dates by value', function () {
+
+		var left = new dataForge.Series({ values: [new Date(2016, 0, 1), new Date(2016, 0, 2)] });
+		var right = new dataForge.Series({ values: [new Date(2016, 0, 2)] });
+
+		var joined = left.join(right, value => value, value => value, (l, r) => ({ Left: l, Right: r }));
+
+		expect(joined.toArray()).to.eql([{ Left: new Date(2016, 0, 2), Right: new Date(2016, 0, 2) }]);
+	});
+
+	it('join is lazy and skips undefined values', function () {
+
+		var counter = { keys: 0 };
+		var left = new dataForge.Series({ values: [1, undefined, 2] });
+		var right = new dataForge.Series({ values: [2, 1, undefined] });
+
+		var joined = left.join(
+			right,
+			value => {
+				++counter.keys;
+				return value;
+			},
+			value => value,
+			(l, r) => ({ Left: l, Right: r })
+		);
+
+		expect(counter.keys).to.eql(0);
+		expect(joined.toArray()).to.eql([{ Left: 1, Right: 1 }, { Left: 2, Right: 2 }]);
+		expect(joined.toArray()).to.eql([{ Left: 1, Right: 1 }, { Left: 2, Right: 2 }]);
+	});
+
+	it('outer joins include unmatched rows from both sides with duplicate keys', function () {
+
+		var orders = initOrders();
+		var customers = initCustomers();
+
+		expect(orders.joinOuter(customers, byCustomer, byCustomer, orderWithPhone).toRows()).to.eql([
+			[4, undefined],
+			[1, '111'],
+			[1, '112'],
+			[2, '222'],
+			[3, '111'],
+			[3, '112'],
+			[undefined, '444'],
+		]);
+
+		expect(orders.joinOuterLeft(customers, byCustomer, byCustomer, orderWithPhone).toRows()).to.eql([
+			[4, undefined],
+			[1, '111'],
+			[1, '112'],
+			[2, '222'],
+			[3, '111'],
+			[3, '112'],
+		]);
+
+		expect(orders.joinOuterRight(customers, byCustomer, byCustomer, orderWithPhone).toRows()).to.eql([
+			[1, '111'],
+			[1, '112'],
+			[2, '222'],
+			[3, '111'],
+			[3, '112'],
+			[undefined, '444'],
+		]);
+	});
+
+	it('every join passes the index to the key selectors', function () {
+
+		var left = new dataForge.DataFrame({ columnNames: ['Name'], values: [['a'], ['b'], ['c']], index: [10, 20, 30] });
+		var right = new dataForge.DataFrame({ columnNames: ['Name'], values: [['x'], ['y']], index: [20, 40] });
+
+		var byIndex = function (row, index) {
+			return index;
+		};
+
+		var pair = function (l, r) {
+			return { Left: l ? l.Name : null, Right: r ? r.Name : null };
+		};
+
+		expect(left.join(right, byIndex, byIndex, pair).toArray()).to.eql([{ Left: 'b', Right: 'x' }]);
+		expect(left.joinOuter(right, byIndex, byIndex, pair).toArray()).to.eql([
+			{ Left: 'a', Right: null },
+			{ Left: 'c', Right: null },
+			{ Left: 'b', Right: 'x' },
+			{ Left: null, Right: 'y' },
+		]);
+		expect(left.joinOuterLeft(right, byIndex, byIndex, pair).toArray()).to.eql([
+			{ Left: 'a', Right: null },
+			{ Left: 'c', Right: null },
+			{ Left: 'b', Right: 'x' },
+		]);
+		expect(left.joinOuterRight(right, byIndex, byIndex, pair).toArray()).to.eql([
+			{ Left: 'b', Right: 'x' },
+			{ Left: null, Right: 'y' },
+		]);
+		expect(left.joinSemi(right, byIndex, byIndex).toPairs()).to.eql([[20, { Name: 'b' }]]);
+		expect(left.joinAnti(right, byIndex, byIndex).toPairs()).to.eql([[10, { Name: 'a' }], [30, { Name: 'c' }]]);
+	});
+
+	it('outer join of large sequences is linear', function () {
+
+		this.timeout(10000);
+
+		var left = dataForge.range(0, 20000).select(value => ({ Key: value, Left: value }));
+		var right = dataForge.range(10000, 20000).select(value => ({ Key: value, Right: value }));
+
+		var joined = left.joinOuter(right, row => row.Key, row => row.Key, (l, r) => ({
+			Key: l ? l.Key : r.Key,
+			Matched: !!(l && r),
+		}));
+
+		expect(joined.count()).to.eql(30000);
+		expect(joined.where(row => row.Matched).count()).to.eql(10000);
+	});
+
+	it('semi-join keeps each matching row once with its index', function () {
+
+		var matched = initOrders().joinSemi(initCustomers(), byCustomer, byCustomer);
+
+		expect(matched.getIndex().toArray()).to.eql([0, 1, 2]);
+		expect(matched.getSeries('Order').toArray()).to.eql([1, 2, 3]);
+	});
+
+	it('anti-join keeps rows that have no match', function () {
+
+		var unmatched = initOrders().joinAnti(initCustomers(), byCustomer, byCustomer);
+
+		expect(unmatched.getIndex().toArray()).to.eql([3]);
+		expect(unmatched.getSeries('Order').toArray()).to.eql([4]);
+
+		var unused = initCustomers().joinAnti(initOrders(), byCustomer, byCustomer);
+		expect(unused.getSeries('Customer').toArray()).to.eql(['dan']);
+	});
+
+	it('joins can be passed a key function', function () {
+
+		var upperCaseOrders = initOrders().select(function (row) {
+			return { Order: row.Order, Customer: row.Customer.toUpperCase() };
+		});
+		var options = {
+			key: function (customer) {
+				return customer.toLowerCase();
+			},
+		};
+
+		var joined = upperCaseOrders.join(initCustomers(), byCustomer, byCustomer, orderWithPhone, options);
+		expect(joined.getSeries('Phone').toArray()).to.eql(['111', '112', '222', '111', '112']);
+
+		var unmatched = upperCaseOrders.joinAnti(initCustomers(), byCustomer, byCustomer, options);
+		expect(unmatched.getSeries('Order').toArray()).to.eql([4]);
+
+		var outer = upperCaseOrders.joinOuter(initCustomers(), byCustomer, byCustomer, orderWithPhone, options);
+		expect(outer.count()).to.eql(7);
+	});
+
+	var initTrades = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['Quantity'],
+			values: [[10], [20], [30], [40]],
+			index: [new Date(2016, 0, 1, 9, 0), new Date(2016, 0, 1, 10, 0), new Date(2016, 0, 1, 10, 30), new Date(2016, 0, 1, 12, 0)],
+		});
+	};
+
+	var initQuotes = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['Price'],
+			values: [[1.5], [1.6], [1.7]],
+			index: [new Date(2016, 0, 1, 9, 30), new Date(2016, 0, 1, 10, 30), new Date(2016, 0, 1, 11, 0)],
+		});
+	};
+
+	var tradeWithPrice = function (trade, quote) {
+		return {
+			Quantity: trade.Quantity,
+			Price: quote ? quote.Price : undefined,
+		};
+	};
+
+	it('as-of join matches each row to the nearest preceding key', function () {
+
+		var trades = initTrades();
+		var joined = trades.joinAsOf(initQuotes(), tradeWithPrice);
+
+		expect(joined.getColumnNames()).to.eql(['Quantity', 'Price']);
+		expect(joined.getIndex().toArray()).to.eql(trades.getIndex().toArray());
+		expect(joined.toRows()).to.eql([
+			[10, undefined], // No quote before the first trade.
+			[20, 1.5],
+			[30, 1.6], // Quote at the same time.
+			[40, 1.7],
+		]);
+	});
+
+	it('as-of join passes null when there is no preceding key', function () {
+
+		var left = new dataForge.Series({ index: [1, 2], values: ['a', 'b'] });
+		var right = new dataForge.Series({ index: [2], values: ['x'] });
+
+		expect(left.joinAsOf(right, (l, r) => ({ Left: l, Right: r })).toArray()).to.eql([
+			{ Left: 'a', Right: null },
+			{ Left: 'b', Right: 'x' },
+		]);
+	});
+
+	it('as-of join reads both sides in a single pass', function () {
+
+		var counter = { pulled: 0 };
+		var endless = new dataForge.Series({
+			index: function* () {
+				for (var time = 0; ; time += 10) {
+					yield time;
+				}
+			},
+			values: function* () {
+				for (var value = 0; ; ++value) {
+					++counter.pulled;
+					yield value;
+				}
+			},
+		});
+
+		var left = new dataForge.Series({ index: [5, 25], values: ['a', 'b'] });
+		expect(left.joinAsOf(endless, (l, r) => ({ Left: l, Right: r })).toArray()).to.eql([
+			{ Left: 'a', Right: 0 },
+			{ Left: 'b', Right: 2 },
+		]);
+		expect(counter.pulled).to.eql(4);
+	});
+
+	it('as-of join throws when the index is not in ascending order', function () {
+
+		var left = new dataForge.Series({ index: [2, 1], values: ['a', 'b'] });
+		var right = new dataForge.Series({ index: [1], values: ['x'] });
+
+		expect(function () {
+			left.joinAsOf(right, (l, r) => ({ Left: l, Right: r })).toArray();
+		}).to.throw();
+	});
+});
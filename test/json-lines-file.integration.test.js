@@ -0,0 +1,129 @@
+'use strict';
+
+describe('json-lines-file.integration', function () {
+
+	var dataForge = require('../index.js');
+	var LineFileIterator = require('../src/iterators/line-file');
+	var expect = require('chai').expect;
+	var fs = require('fs');
+	var os = require('os');
+	var path = require('path');
+
+	var testFilePath = path.join(os.tmpdir(), 'data-forge-json-lines-test.jsonl');
+	var outputFilePath = path.join(os.tmpdir(), 'data-forge-json-lines-test-output.jsonl');
+
+	afterEach(function () {
+		[testFilePath, outputFilePath].forEach(function (filePath) {
+			if (fs.existsSync(filePath)) {
+				fs.unlinkSync(filePath);
+			}
+		});
+	});
+
+	var readAll = function (iterator) {
+		var lines = [];
+		while (iterator.moveNext()) {
+			lines.push(iterator.getCurrent());
+		}
+		return lines;
+	};
+
+	it('iterator reads lines across chunk boundaries', function () {
+
+		fs.writeFileSync(testFilePath, "abc\r\nd\n\nefgh");
+
+		var iterator = new LineFileIterator(testFilePath, { chunkSize: 3 });
+		expect(readAll(iterator)).to.eql(['abc', 'd', '', 'efgh']);
+	});
+
+	it('iterator handles multi-byte characters split across chunks', function () {
+
+		fs.writeFileSync(testFilePath, "a\nééé\n");
+
+		var iterator = new LineFileIterator(testFilePath, { chunkSize: 1 });
+		expect(readAll(iterator)).to.eql(['a', 'ééé']);
+	});
+
+	it('iterator for empty file has no lines', function () {
+
+		fs.writeFileSync(testFilePath, "");
+
+		var iterator = new LineFileIterator(testFilePath);
+		expect(iterator.moveNext()).to.eql(false);
+		expect(iterator.getCurrent()).to.be.undefined;
+	});
+
+	it('can write and read back JSON Lines file', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['a', 'b'],
+			values: [
+				[1, 'hello'],
+				[2, 'multi\nline'],
+			],
+		});
+
+		dataFrame.asJSONLines().writeFileSync(outputFilePath);
+		expect(fs.readFileSync(outputFilePath, 'utf8')).to.eql(dataFrame.toJSONLines());
+
+		var loaded = dataForge.readFileSync(outputFilePath).parseJSONLines({ chunkSize: 4 });
+		expect(loaded.toArray()).to.eql(dataFrame.toArray());
+	});
+
+	it('can stream more rows than a batch to a JSON Lines file asynchronously', function () {
+
+		var dataFrame = dataForge.range(0, 20000)
+			.select(function (value) {
+				return { value: value, text: 'row ' + value };
+			})
+			.inflate();
+
+		return dataFrame.asJSONLines().writeFile(outputFilePath)
+			.then(function () {
+				expect(fs.readFileSync(outputFilePath, 'utf8')).to.eql(dataFrame.toJSONLines());
+
+				return dataForge.readFile(outputFilePath).parseJSONLines();
+			})
+			.then(function (loaded) {
+				expect(loaded.count()).to.eql(20000);
+				expect(loaded.last()).to.eql({ value: 19999, text: 'row 19999' });
+			});
+	});
+
+	it('sequential windows only read the file up to the last window that is needed', function () {
+
+		var lines = [];
+		for (var position = 0; position < 1000; ++position) {
+			lines.push(JSON.stringify({ session: Math.floor(position / 10), position: position }));
+		}
+		fs.writeFileSync(testFilePath, lines.join('\n'));
+
+		var readSync = fs.readSync;
+		var bytesRead = 0;
+		fs.readSync = function () {
+			var count = readSync.apply(fs, arguments);
+			bytesRead += count;
+			return count;
+		};
+
+		try {
+			var sessions = dataForge.readFileSync(testFilePath)
+				.parseJSONLines({ chunkSize: 64 })
+				.groupSequentialBy(function (row) {
+					return row.session;
+				})
+				.take(2)
+				.select(function (session) {
+					return session.count();
+				})
+				.toArray();
+
+			expect(sessions).to.eql([10, 10]);
+			expect(bytesRead).to.be.above(0);
+			expect(bytesRead).to.be.below(fs.statSync(testFilePath).size / 10);
+		}
+		finally {
+			fs.readSync = readSync;
+		}
+	});
+});
@@ -767,4 +767,165 @@ describe('merge-examples', function () {
     })
 
 
+    describe('merge', function () {
+
+        var df_a;
+        var df_b;
+
+        beforeEach(function () {
+            df_a = initDataFrame(
+                [
+                    'subject_id',
+                    'first_name',
+                    'last_name',
+                ],
+                [
+                    [1, 'Alex', 'Anderson'],
+                    [2, 'Amy', 'Ackerman'],
+                    [4, 'Alice', 'Aoni'],
+                ]
+            );
+
+            df_b = initDataFrame(
+                [
+                    'subject_id',
+                    'first_name',
+                    'test_id',
+                ],
+                [
+                    [2, 'Billy', 15],
+                    [4, 'Brian', 61],
+                    [6, 'Bran', 16],
+                ]
+            );
+        });
+
+        it('can merge with inner join on column', function () {
+
+            var df_merged = df_a.merge(df_b, { on: 'subject_id' });
+
+            expect(df_merged.getIndex().take(2).toArray()).to.eql([0, 1]);
+            expect(df_merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name_x',
+                'last_name',
+                'first_name_y',
+                'test_id',
+            ]);
+            expect(df_merged.toRows()).to.eql([
+                [2, 'Amy', 'Ackerman', 'Billy', 15],
+                [4, 'Alice', 'Aoni', 'Brian', 61],
+            ]);
+        });
+
+        it('merge defaults to columns common to both dataframes', function () {
+
+            var left = initDataFrame(['key', 'lval'], [['foo', 1], ['bar', 2]]);
+            var right = initDataFrame(['key', 'rval'], [['foo', 4], ['foo', 5]]);
+
+            var merged = left.merge(right);
+
+            expect(merged.getColumnNames()).to.eql(['key', 'lval', 'rval']);
+            expect(merged.toRows()).to.eql([
+                ['foo', 1, 4],
+                ['foo', 1, 5],
+            ]);
+        });
+
+        it('can merge with left join', function () {
+
+            var df_merged = df_a.merge(df_b, { on: 'subject_id', how: 'left' });
+
+            expect(df_merged.getIndex().take(3).toArray()).to.eql([0, 1, 2]);
+            expect(df_merged.toRows()).to.eql([
+                [1, 'Alex', 'Anderson', undefined, undefined],
+                [2, 'Amy', 'Ackerman', 'Billy', 15],
+                [4, 'Alice', 'Aoni', 'Brian', 61],
+            ]);
+        });
+
+        it('can merge with right join', function () {
+
+            var df_merged = df_a.merge(df_b, { on: 'subject_id', how: 'right' });
+
+            expect(df_merged.getIndex().take(3).toArray()).to.eql([0, 1, 2]);
+            expect(df_merged.toRows()).to.eql([
+                [2, 'Amy', 'Ackerman', 'Billy', 15],
+                [4, 'Alice', 'Aoni', 'Brian', 61],
+                [6, undefined, undefined, 'Bran', 16],
+            ]);
+        });
+
+        it('can merge with outer join', function () {
+
+            var df_merged = df_a.merge(df_b, { on: 'subject_id', how: 'outer' });
+
+            expect(df_merged.getIndex().take(4).toArray()).to.eql([0, 1, 2, 3]);
+            expect(df_merged.toRows()).to.eql([
+                [1, 'Alex', 'Anderson', undefined, undefined],
+                [2, 'Amy', 'Ackerman', 'Billy', 15],
+                [4, 'Alice', 'Aoni', 'Brian', 61],
+                [6, undefined, undefined, 'Bran', 16],
+            ]);
+        });
+
+        it('can merge with custom suffixes', function () {
+
+            var df_merged = df_a.merge(df_b, { on: 'subject_id', suffixes: ['_left', '_right'] });
+
+            expect(df_merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name_left',
+                'last_name',
+                'first_name_right',
+                'test_id',
+            ]);
+        });
+
+        it('can merge on multiple columns', function () {
+
+            var left = initDataFrame(
+                ['key1', 'key2', 'lval'],
+                [
+                    ['foo', 1, 'a'],
+                    ['foo', 2, 'b'],
+                    ['bar', 1, 'c'],
+                ]
+            );
+            var right = initDataFrame(
+                ['key1', 'key2', 'rval'],
+                [
+                    ['foo', 2, 'x'],
+                    ['bar', 1, 'y'],
+                    ['bar', 2, 'z'],
+                ]
+            );
+
+            var merged = left.merge(right, { on: ['key1', 'key2'] });
+
+            expect(merged.getColumnNames()).to.eql(['key1', 'key2', 'lval', 'rval']);
+            expect(merged.toRows()).to.eql([
+                ['foo', 2, 'b', 'x'],
+                ['bar', 1, 'c', 'y'],
+            ]);
+        });
+
+        it('can merge via top-level function', function () {
+
+            var df_merged = dataForge.merge(df_a, df_b, { on: 'subject_id' });
+
+            expect(df_merged.toRows()).to.eql([
+                [2, 'Amy', 'Ackerman', 'Billy', 15],
+                [4, 'Alice', 'Aoni', 'Brian', 61],
+            ]);
+        });
+
+        it('merging on a missing column throws', function () {
+
+            expect(function () {
+                df_a.merge(df_b, { on: 'test_id' });
+            }).to.throw();
+        });
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,255 @@
+'use strict';
+
+describe('missing values', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	afterEach(function () {
+		dataForge.defineMissing(null);
+	});
+
+	var initSeries = function () {
+		return new dataForge.Series({
+			values: [1, undefined, null, 4, NaN, '', 7, '  '],
+		});
+	};
+
+	var extractValues = function (series) {
+		return series.toPairs().map(function (pair) {
+			return pair[1];
+		});
+	};
+
+	it('undefined, null, NaN and empty strings are missing by default', function () {
+
+		expect(dataForge.isMissing(undefined)).to.eql(true);
+		expect(dataForge.isMissing(null)).to.eql(true);
+		expect(dataForge.isMissing(NaN)).to.eql(true);
+		expect(dataForge.isMissing('')).to.eql(true);
+		expect(dataForge.isMissing(' ')).to.eql(true);
+		expect(dataForge.isMissing(0)).to.eql(false);
+		expect(dataForge.isMissing('NA')).to.eql(false);
+		expect(dataForge.isMissing(false)).to.eql(false);
+	});
+
+	it('can change the definition of missing values', function () {
+
+		dataForge.defineMissing([undefined, 'NA']);
+
+		expect(dataForge.isMissing('NA')).to.eql(true);
+		expect(dataForge.isMissing('')).to.eql(false);
+		expect(new dataForge.Series({ values: ['a', 'NA', ''] }).countMissing()).to.eql(1);
+
+		dataForge.defineMissing(function (value) {
+			return value === -1;
+		});
+
+		expect(new dataForge.Series({ values: [1, -1, -1] }).countMissing()).to.eql(2);
+
+		dataForge.defineMissing(null);
+		expect(dataForge.isMissing('NA')).to.eql(false);
+	});
+
+	it('can override the definition of missing values for an operation', function () {
+
+		var series = new dataForge.Series({ values: [1, 'NA', 3] });
+		expect(series.countMissing({ isMissing: ['NA'] })).to.eql(1);
+		expect(series.dropMissing({ isMissing: ['NA'] }).toArray()).to.eql([1, 3]);
+	});
+
+	it('can get missing value mask for a series', function () {
+
+		expect(initSeries().isMissing().toArray()).to.eql([false, true, true, false, true, true, false, true]);
+	});
+
+	it('can count missing values in a series', function () {
+
+		expect(initSeries().countMissing()).to.eql(5);
+	});
+
+	it('can drop missing values from a series', function () {
+
+		var dropped = initSeries().dropMissing();
+		expect(dropped.getIndex().toArray()).to.eql([0, 3, 6]);
+		expect(dropped.toArray()).to.eql([1, 4, 7]);
+	});
+
+	it('can fill missing values in a series', function () {
+
+		expect(initSeries().fillMissing(0).toArray()).to.eql([1, 0, 0, 4, 0, 0, 7, 0]);
+	});
+
+	it('can fill forward', function () {
+
+		var series = new dataForge.Series({ values: [undefined, 1, null, null, null, 5, ''] });
+		expect(extractValues(series.fillForward())).to.eql([1, 1, 1, 1, 5, 5]);
+		expect(series.fillForward().getIndex().toArray()).to.eql([0, 1, 2, 3, 4, 5, 6]);
+	});
+
+	it('can fill forward with a limit', function () {
+
+		var series = new dataForge.Series({ values: [1, null, null, null, 5] });
+		expect(extractValues(series.fillForward({ limit: 2 }))).to.eql([1, 1, 1, null, 5]);
+	});
+
+	it('can fill backward with a limit', function () {
+
+		var series = new dataForge.Series({ values: [1, null, null, null, 5, null] });
+		expect(extractValues(series.fillBackward())).to.eql([1, 5, 5, 5, 5, null]);
+		expect(extractValues(series.fillBackward({ limit: 1 }))).to.eql([1, null, null, 5, 5, null]);
+	});
+
+	it('can interpolate linearly', function () {
+
+		var series = new dataForge.Series({ values: [null, 10, null, null, 40, NaN] });
+		var interpolated = extractValues(series.interpolate());
+		expect(interpolated.slice(0, 5)).to.eql([null, 10, 20, 30, 40]);
+		expect(isNaN(interpolated[5])).to.eql(true);
+	});
+
+	it('can interpolate with a limit', function () {
+
+		var series = new dataForge.Series({ values: [10, null, null, 40] });
+		expect(extractValues(series.interpolate({ limit: 1 }))).to.eql([10, 20, null, 40]);
+	});
+
+	it('can interpolate weighted by a date index', function () {
+
+		var series = new dataForge.Series({
+			index: [new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 5)],
+			values: [0, undefined, 40],
+		});
+
+		expect(series.interpolate().toArray()).to.eql([0, 20, 40]);
+		expect(series.interpolate({ method: 'time' }).toArray()).to.eql([0, 10, 40]);
+	});
+
+	it('can interpolate weighted by a number index', function () {
+
+		var series = new dataForge.Series({
+			index: [0, 1, 4],
+			values: [0, undefined, 40],
+		});
+
+		expect(series.interpolate({ method: 'time' }).toArray()).to.eql([0, 10, 40]);
+	});
+
+	var initDataFrame = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['a', 'b', 'c'],
+			values: [
+				[1, 'x', 10],
+				[null, '', 20],
+				[3, 'z', null],
+				[null, '', null],
+			],
+		});
+	};
+
+	it('can get missing value mask for a dataframe', function () {
+
+		var mask = initDataFrame().isMissing();
+		expect(mask.getColumnNames()).to.eql(['a', 'b', 'c']);
+		expect(mask.toRows()).to.eql([
+			[false, false, false],
+			[true, true, false],
+			[false, false, true],
+			[true, true, true],
+		]);
+	});
+
+	it('can count missing values in each column', function () {
+
+		var counts = initDataFrame().countMissing();
+		expect(counts.getIndex().toArray()).to.eql(['a', 'b', 'c']);
+		expect(counts.toArray()).to.eql([2, 2, 2]);
+		expect(counts.at('c')).to.eql(2);
+	});
+
+	it('can drop rows with any missing values', function () {
+
+		var dropped = initDataFrame().dropMissing();
+		expect(dropped.getIndex().toArray()).to.eql([0]);
+	});
+
+	it('can drop rows with all values missing', function () {
+
+		var dropped = initDataFrame().dropMissing({ how: 'all' });
+		expect(dropped.getIndex().toArray()).to.eql([0, 1, 2]);
+	});
+
+	it('can drop rows with missing values in particular columns', function () {
+
+		var dropped = initDataFrame().dropMissing({ columns: ['a', 'b'] });
+		expect(dropped.getIndex().toArray()).to.eql([0, 2]);
+
+		var droppedOne = initDataFrame().dropMissing({ columns: 'c' });
+		expect(droppedOne.getIndex().toArray()).to.eql([0, 1]);
+	});
+
+	it('can drop rows that are below a threshold of values', function () {
+
+		var dropped = initDataFrame().dropMissing({ threshold: 2 });
+		expect(dropped.getIndex().toArray()).to.eql([0, 2]);
+	});
+
+	it('can fill missing values in a dataframe', function () {
+
+		var filled = initDataFrame().fillMissing(0);
+		expect(filled.toRows()).to.eql([
+			[1, 'x', 10],
+			[0, 0, 20],
+			[3, 'z', 0],
+			[0, 0, 0],
+		]);
+	});
+
+	it('can fill missing values per column', function () {
+
+		var filled = initDataFrame().fillMissing({ a: -1, b: '?' });
+		expect(filled.toRows()).to.eql([
+			[1, 'x', 10],
+			[-1, '?', 20],
+			[3, 'z', null],
+			[-1, '?', null],
+		]);
+	});
+
+	it('can fill forward and backward in a dataframe', function () {
+
+		expect(initDataFrame().fillForward({ columns: ['a', 'c'] }).toRows()).to.eql([
+			[1, 'x', 10],
+			[1, '', 20],
+			[3, 'z', 20],
+			[3, '', 20],
+		]);
+
+		expect(initDataFrame().fillBackward().toRows()).to.eql([
+			[1, 'x', 10],
+			[3, 'z', 20],
+			[3, 'z', null],
+			[null, '', null],
+		]);
+	});
+
+	it('can interpolate a dataframe', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['a'],
+			values: [[0], [null], [null], [30]],
+			index: [0, 1, 2, 6],
+		});
+
+		expect(dataFrame.interpolate().toRows()).to.eql([[0], [10], [20], [30]]);
+		expect(dataFrame.interpolate({ method: 'time' }).toRows()).to.eql([[0], [5], [10], [30]]);
+	});
+
+	it('blank CSV cells are missing', function () {
+
+		var dataFrame = dataForge.fromCSV('a,b\n1,\n,2');
+		expect(dataFrame.countMissing().toArray()).to.eql([1, 1]);
+		expect(dataFrame.dropMissing().count()).to.eql(0);
+	});
+});
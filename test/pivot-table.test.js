@@ -0,0 +1,253 @@
+'use strict';
+
+describe('DataFrame pivotTable', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initSales = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['region', 'month', 'revenue', 'qty'],
+			values: [
+				['north', 'jan', 10, 1],
+				['north', 'feb', 20, 2],
+				['south', 'jan', 30, 3],
+				['north', 'jan', 40, 4],
+				['east', 'feb', 50, 5],
+			],
+		});
+	};
+
+	it('can pivot and sum duplicate combinations', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+		});
+
+		expect(pivoted.getColumnNames()).to.eql(['region', 'jan', 'feb']);
+		expect(pivoted.getIndex().toArray()).to.eql(['north', 'south', 'east']);
+		expect(pivoted.toRows()).to.eql([
+			['north', 50, 20],
+			['south', 30, undefined],
+			['east', undefined, 50],
+		]);
+		expect(pivoted.at('south').jan).to.eql(30);
+	});
+
+	it('can fill combinations that have no values', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			fillValue: 0,
+		});
+
+		expect(pivoted.toRows()).to.eql([
+			['north', 50, 20],
+			['south', 30, 0],
+			['east', 0, 50],
+		]);
+	});
+
+	it('can aggregate with a named aggregation', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			aggregate: 'count',
+		});
+
+		expect(pivoted.toRows()[0]).to.eql(['north', 2, 1]);
+
+		var means = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			aggregate: 'mean',
+		});
+
+		expect(means.toRows()[0]).to.eql(['north', 25, 20]);
+	});
+
+	it('can aggregate with a custom function', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			aggregate: function (series) {
+				return series.toArray().join('+');
+			},
+		});
+
+		expect(pivoted.toRows()[0]).to.eql(['north', '10+40', '20']);
+	});
+
+	it('can pivot multiple value columns', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+		});
+
+		expect(pivoted.getColumnNames()).to.eql(['region', 'revenue_jan', 'revenue_feb', 'qty_jan', 'qty_feb']);
+		expect(pivoted.toRows()[0]).to.eql(['north', 50, 20, 5, 2]);
+	});
+
+	it('can pivot with multiple index columns', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['region', 'store', 'month', 'revenue'],
+			values: [
+				['north', 'a', 'jan', 1],
+				['north', 'b', 'jan', 2],
+				['north', 'a', 'feb', 3],
+			],
+		});
+
+		var pivoted = dataFrame.pivotTable({
+			index: ['region', 'store'],
+			columns: 'month',
+			values: 'revenue',
+		});
+
+		expect(pivoted.getIndex().toArray()).to.eql([['north', 'a'], ['north', 'b']]);
+		expect(pivoted.toRows()).to.eql([
+			['north', 'a', 1, 3],
+			['north', 'b', 2, undefined],
+		]);
+		expect(pivoted.at(['north', 'a']).feb).to.eql(3);
+	});
+
+	it('can add margins', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			margins: true,
+		});
+
+		expect(pivoted.getColumnNames()).to.eql(['region', 'jan', 'feb', 'Total']);
+		expect(pivoted.getIndex().toArray()).to.eql(['north', 'south', 'east', 'Total']);
+		expect(pivoted.toRows()).to.eql([
+			['north', 50, 20, 70],
+			['south', 30, undefined, 30],
+			['east', undefined, 50, 50],
+			['Total', 80, 70, 150],
+		]);
+	});
+
+	it('margins aggregate the original values', function () {
+
+		var pivoted = initSales().pivotTable({
+			index: 'region',
+			columns: 'month',
+			values: 'revenue',
+			aggregate: 'mean',
+			margins: true,
+			marginsName: 'All',
+		});
+
+		expect(pivoted.at('north').All).to.eql(70 / 3);
+		expect(pivoted.at('All').jan).to.eql(80 / 3);
+		expect(pivoted.at('All').All).to.eql(30);
+	});
+
+	it('keeps rows apart when their keys only look the same', function () {
+
+		var date = new Date(2020, 0, 1);
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['key', 'month', 'revenue'],
+			values: [
+				[null, 'jan', 1],
+				[NaN, 'jan', 2],
+				[date, 'jan', 3],
+				[date.toISOString(), 'jan', 4],
+				[null, 'jan', 5],
+			],
+		});
+
+		var pivoted = dataFrame.pivotTable({
+			index: 'key',
+			columns: 'month',
+			values: 'revenue',
+		});
+
+		expect(pivoted.getSeries('jan').toArray()).to.eql([6, 2, 3, 4]);
+	});
+
+	it('throws for a column that does not exist', function () {
+
+		expect(function () {
+			initSales().pivotTable({ index: 'region', columns: 'bogus' });
+		}).to.throw();
+	});
+});
+
+describe('DataFrame melt', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initWide = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['region', 'jan', 'feb'],
+			values: [
+				['north', 50, 20],
+				['south', 30, undefined],
+			],
+		});
+	};
+
+	it('can unpivot from wide to long', function () {
+
+		var melted = initWide().melt('region');
+
+		expect(melted.getColumnNames()).to.eql(['region', 'variable', 'value']);
+		expect(melted.getIndex().toArray()).to.eql([0, 1, 2, 3]);
+		expect(melted.toRows()).to.eql([
+			['north', 'jan', 50],
+			['north', 'feb', 20],
+			['south', 'jan', 30],
+			['south', 'feb', undefined],
+		]);
+	});
+
+	it('can unpivot particular columns with custom names', function () {
+
+		var melted = initWide().unpivot(['region'], ['feb'], { variableName: 'month', valueName: 'revenue' });
+
+		expect(melted.getColumnNames()).to.eql(['region', 'month', 'revenue']);
+		expect(melted.toRows()).to.eql([
+			['north', 'feb', 20],
+			['south', 'feb', undefined],
+		]);
+	});
+
+	it('melt is the inverse of pivot table', function () {
+
+		var long = initWide().melt('region');
+		var wide = long.pivotTable({
+			index: 'region',
+			columns: 'variable',
+			values: 'value',
+			aggregate: 'first',
+		});
+
+		expect(wide.toRows()).to.eql(initWide().toRows());
+	});
+
+	it('throws for a column that does not exist', function () {
+
+		expect(function () {
+			initWide().melt('bogus');
+		}).to.throw();
+	});
+});
@@ -45,6 +45,27 @@ describe('rolling window performance', function () {
 		expect(time2).to.be.at.most(100);
 	});
 
+	it('rolling window - large series is computed in a single pass', function () {
+
+		this.timeout(10000);
+
+		var numItems = 1000000;
+		var windowSize = 5;
+
+		var series = new dataForge.Series({
+			values: E.range(0, numItems).toArray(),
+		});
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		expect(series.rollingWindow(windowSize).count()).to.eql(numItems - (windowSize - 1));
+
+		stopwatch.stop();
+		//console.log('t: ' + stopwatch.read());
+		expect(stopwatch.read()).to.be.at.most(2000);
+	});
+
 	it('rolling window - data-frame', function () {
 
 		var numItems = 100;
@@ -0,0 +1,242 @@
+'use strict';
+
+describe('schema', function () {
+
+	var expect = require('chai').expect;
+
+	var dataForge = require('../index');
+	var DataFrame = require('../src/dataframe');
+
+	it('can coerce values on creation', function () {
+
+		var violations = [];
+		var dataFrame = new DataFrame({
+			columnNames: ['n', 'i', 'b', 'd', 's'],
+			values: [
+				['1.5', '2', 'yes', '2016-01-02', 5],
+				['-3', '4', 'FALSE', '2016-02-03', 'x'],
+			],
+			schema: {
+				n: 'number',
+				i: 'int',
+				b: 'boolean',
+				d: { type: 'date', format: 'YYYY-MM-DD' },
+				s: 'string',
+			},
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.toRows()).to.eql([
+			[1.5, 2, true, new Date(2016, 0, 2), '5'],
+			[-3, 4, false, new Date(2016, 1, 3), 'x'],
+		]);
+		expect(violations).to.eql([]);
+	});
+
+	it('throws on violation by default', function () {
+
+		var dataFrame = dataForge.fromCSV("a\n1\nfoo", { schema: { a: 'int' } });
+
+		var error;
+		try {
+			dataFrame.toRows();
+		}
+		catch (err) {
+			error = err;
+		}
+
+		expect(error).to.exist;
+		expect(error.violation).to.eql({ rowIndex: 1, column: 'a', value: 'foo', reason: "Expected a number." });
+	});
+
+	it('can drop rows with violations', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromCSV("a,b\n1,x\n2.5,y\n3,z", {
+			schema: {
+				a: 'int',
+				b: { type: 'string', values: ['x', 'y'] },
+			},
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.toRows()).to.eql([[1, 'x']]);
+		expect(violations).to.eql([
+			{ rowIndex: 1, column: 'a', value: '2.5', reason: "Expected an integer." },
+			{ rowIndex: 2, column: 'b', value: 'z', reason: "Expected one of the allowed values." },
+		]);
+	});
+
+	it('can replace violations with defaults', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromJSON('[{ "a": 5 }, { "a": 50 }, { "a": "bad" }]', {
+			schema: {
+				a: { type: 'number', min: 0, max: 10, default: -1 },
+			},
+			schemaMode: 'default',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.toArray()).to.eql([{ a: 5 }, { a: -1 }, { a: -1 }]);
+		expect(violations.length).to.eql(2);
+	});
+
+	it('missing values use the default', function () {
+
+		var dataFrame = dataForge.fromCSV("a,b\n,1", {
+			schema: {
+				a: { type: 'number', default: 0 },
+				c: { type: 'string', default: 'none' },
+			},
+		});
+
+		expect(dataFrame.getColumnNames()).to.eql(['a', 'b', 'c']);
+		expect(dataFrame.toArray()).to.eql([{ a: 0, b: '1', c: 'none' }]);
+	});
+
+	it('missing values are a violation for non-nullable columns', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromCSV("a,b\n,1\n2,2", {
+			schema: {
+				a: { type: 'number', nullable: false },
+			},
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.toArray()).to.eql([{ a: 2, b: '2' }]);
+		expect(violations).to.eql([
+			{ rowIndex: 0, column: 'a', value: '', reason: "Expected a value." },
+		]);
+	});
+
+	it('missing values are undefined for nullable columns', function () {
+
+		var dataFrame = dataForge.fromCSV("a,b\n,1", { schema: { a: 'number' } });
+
+		expect(dataFrame.toArray()).to.eql([{ a: undefined, b: '1' }]);
+	});
+
+	it('missing values are the same values that dropMissing drops', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromCSV("s,n\n  ,1\nx,2", {
+			schema: {
+				s: { type: 'string', nullable: false },
+			},
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.toArray()).to.eql([{ s: 'x', n: '2' }]);
+		expect(violations.length).to.eql(1);
+
+		var unchecked = dataForge.fromCSV("s,n\n  ,1\nx,2");
+		expect(unchecked.dropMissing().toArray()).to.eql(dataFrame.toArray());
+	});
+
+	it('missing values follow the definition of missing values', function () {
+
+		dataForge.defineMissing([undefined, null, '', 'NA']);
+
+		try {
+			var dataFrame = dataForge.fromCSV("a,b\nNA,1", {
+				schema: { a: { type: 'number', default: 0 } },
+			});
+
+			expect(dataFrame.toArray()).to.eql([{ a: 0, b: '1' }]);
+		}
+		finally {
+			dataForge.defineMissing(null);
+		}
+	});
+
+	it('reports invalid dates', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromCSV("d\n2016-13-45", {
+			schema: { d: { type: 'date', format: 'YYYY-MM-DD' } },
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		expect(dataFrame.count()).to.eql(0);
+		expect(violations[0].reason).to.eql("Expected a date in the format 'YYYY-MM-DD'.");
+	});
+
+	it('violations are reported when a transformed dataframe is evaluated', function () {
+
+		var violations = [];
+		var dataFrame = dataForge.fromCSV("a\n1\nbad\n3", {
+			schema: { a: 'int' },
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		});
+
+		var transformed = dataFrame
+			.where(function (row) {
+				return row.a > 1;
+			})
+			.bake();
+
+		expect(transformed.toArray()).to.eql([{ a: 3 }]);
+		expect(violations).to.eql([
+			{ rowIndex: 1, column: 'a', value: 'bad', reason: "Expected a number." },
+		]);
+	});
+
+	it('throws for invalid schema', function () {
+
+		expect(function () {
+			new DataFrame({ values: [], schema: { a: 'float' } });
+		}).to.throw();
+
+		expect(function () {
+			new DataFrame({ values: [], schema: { a: 'number' }, schemaMode: 'ignore' });
+		}).to.throw();
+
+		expect(function () {
+			new DataFrame({ values: [], schema: { a: 'number' }, onViolation: [] });
+		}).to.throw();
+	});
+
+	it('can create multiple dataframes from the same config', function () {
+
+		var violations = [];
+		var config = {
+			columnNames: ['a', 'b'],
+			values: [['5', 'x'], ['bad', 'y']],
+			schema: { a: 'int' },
+			schemaMode: 'drop',
+			onViolation: function (violation) {
+				violations.push(violation);
+			},
+		};
+
+		var first = new DataFrame(config);
+		var second = new DataFrame(config);
+
+		expect(first.toArray()).to.eql([{ a: 5, b: 'x' }]);
+		expect(second.toArray()).to.eql([{ a: 5, b: 'x' }]);
+		expect(second.getColumnNames()).to.eql(['a', 'b']);
+		expect(violations.length).to.eql(2); // A violation in each dataframe.
+		expect(config.values).to.eql([['5', 'x'], ['bad', 'y']]);
+	});
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+describe('sequential windows', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	//
+	// Create a series of an endless sequence of values, 'counter.pulled' counts the values that have been read.
+	//
+	var initEndlessSeries = function (valueForPosition, counter) {
+		return new dataForge.Series({
+			values: function* () {
+				for (var position = 0; ; ++position) {
+					++counter.pulled;
+					yield valueForPosition(position);
+				}
+			},
+		});
+	};
+
+	var runsOfThree = function (position) {
+		return Math.floor(position / 3);
+	};
+
+	it('variable window stops reading when iteration stops', function () {
+
+		var counter = { pulled: 0 };
+		var windows = initEndlessSeries(runsOfThree, counter)
+			.variableWindow(function (a, b) {
+				return a === b;
+			})
+			.take(2)
+			.select(function (window) {
+				return window.toArray();
+			})
+			.toArray();
+
+		expect(windows).to.eql([[0, 0, 0], [1, 1, 1]]);
+		expect(counter.pulled).to.eql(7); // The first value of the third window ends the second window.
+	});
+
+	it('variable window emits each window as soon as the next starts', function () {
+
+		var counter = { pulled: 0 };
+		var iterator = initEndlessSeries(runsOfThree, counter)
+			.variableWindow(function (a, b) {
+				return a === b;
+			})
+			.getIterator();
+
+		expect(iterator.moveNext()).to.eql(true);
+		expect(counter.pulled).to.eql(4);
+		expect(iterator.getCurrent()[1].toPairs()).to.eql([[0, 0], [1, 0], [2, 0]]);
+
+		expect(iterator.moveNext()).to.eql(true);
+		expect(counter.pulled).to.eql(7);
+		expect(iterator.getCurrent()[1].toPairs()).to.eql([[3, 1], [4, 1], [5, 1]]);
+	});
+
+	it('group sequential by stops reading when iteration stops', function () {
+
+		var counter = { pulled: 0 };
+		var groups = initEndlessSeries(function (position) {
+				return { Session: runsOfThree(position), Position: position };
+			}, counter)
+			.groupSequentialBy(function (value) {
+				return value.Session;
+			})
+			.take(3)
+			.select(function (group) {
+				return group.count();
+			})
+			.toArray();
+
+		expect(groups).to.eql([3, 3, 3]);
+		expect(counter.pulled).to.eql(10);
+	});
+
+	it('sequential distinct stops reading when iteration stops', function () {
+
+		var counter = { pulled: 0 };
+		var distinct = initEndlessSeries(runsOfThree, counter)
+			.sequentialDistinct()
+			.take(3)
+			.toPairs();
+
+		expect(distinct).to.eql([[0, 0], [3, 1], [6, 2]]);
+		expect(counter.pulled).to.eql(7); // Doesn't need to read ahead to the end of the run.
+	});
+
+	it('sequential distinct can be iterated more than once', function () {
+
+		var series = new dataForge.Series({ values: [1, 1, 2, 2, 1, 3] });
+		var distinct = series.sequentialDistinct();
+
+		expect(distinct.toArray()).to.eql([1, 2, 1, 3]);
+		expect(distinct.toArray()).to.eql([1, 2, 1, 3]);
+	});
+
+	it('sequential distinct of dataframe keeps the first row of each run', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['Session', 'Event'],
+			values: [[1, 'a'], [1, 'b'], [2, 'c'], [1, 'd']],
+			index: [10, 20, 30, 40],
+		});
+
+		var firstEvents = dataFrame.sequentialDistinct(function (row) {
+			return row.Session;
+		});
+
+		expect(firstEvents.getIndex().toArray()).to.eql([10, 30, 40]);
+		expect(firstEvents.select(function (row) { return row.Event; }).toArray()).to.eql(['a', 'c', 'd']);
+	});
+});
@@ -1660,6 +1660,84 @@ describe('Series', function () {
 		expect(series.at(200)).to.eql(undefined);
 	});
 
+	it('can get value by index from baked series', function () {
+
+		var series = new Series({ 
+			index:  [100, 200, 300, 200],
+			values: [10, 20, 30, 40],
+		}).bake();
+
+		expect(series.at(200)).to.eql(20);
+		expect(series.at(300)).to.eql(30);
+		expect(series.at(400)).to.eql(undefined);
+		expect(series.at('200')).to.eql(undefined);
+		expect(series.getIndex()._lookup).to.be.an('object'); // Hash lookup has been built and cached.
+	});
+
+	it('can get value by date index', function () {
+
+		var series = new Series({ 
+			index:  [new Date(2016, 1, 1), new Date(2016, 1, 2)],
+			values: [10, 20],
+		});
+
+		expect(series.at(new Date(2016, 1, 2))).to.eql(20);
+		expect(series.bake().at(new Date(2016, 1, 2))).to.eql(20);
+		expect(series.bake().at(new Date(2016, 1, 3))).to.eql(undefined);
+	});
+
+	it('baked series slices the same as lazy series', function () {
+
+		var indexes = [
+			[10, 20, 30, 40, 50],
+			[30, 10, 50, 20, 40], // Unsorted.
+			['a', 'c', 'b', 'e', 'd'],
+			[new Date(2016, 1, 1), new Date(2016, 1, 5), new Date(2016, 1, 3)],
+		];
+
+		var searchValues = [
+			[5, 10, 15, 30, 35, 50, 55],
+			[5, 10, 15, 30, 35, 50, 55],
+			['0', 'a', 'b', 'bb', 'e', 'f'],
+			[new Date(2016, 0, 1), new Date(2016, 1, 1), new Date(2016, 1, 4), new Date(2016, 1, 5), new Date(2016, 2, 1)],
+		];
+
+		indexes.forEach(function (index, indexIndex) {
+			var lazy = new Series({ 
+				index: index,
+				values: E.range(0, index.length).toArray(),
+			});
+			var baked = lazy.bake();
+
+			searchValues[indexIndex].forEach(function (searchValue) {
+				expect(baked.startAt(searchValue).toPairs()).to.eql(lazy.startAt(searchValue).toPairs());
+				expect(baked.endAt(searchValue).toPairs()).to.eql(lazy.endAt(searchValue).toPairs());
+				expect(baked.before(searchValue).toPairs()).to.eql(lazy.before(searchValue).toPairs());
+				expect(baked.after(searchValue).toPairs()).to.eql(lazy.after(searchValue).toPairs());
+
+				if (!lazy.startAt(searchValue).any()) {
+					return; // Lazy slicing throws for an empty series.
+				}
+
+				searchValues[indexIndex].forEach(function (endValue) {
+					expect(baked.between(searchValue, endValue).toPairs()).to.eql(lazy.between(searchValue, endValue).toPairs());
+				});
+			});
+		});
+	});
+
+	it('slicing a baked series produces a baked series', function () {
+
+		var series = new Series({ 
+			index:  [1, 2, 3],
+			values: [10, 20, 30],
+		}).bake();
+
+		var sliced = series.startAt(2);
+		expect(sliced.bake()).to.equal(sliced);
+		expect(sliced.at(3)).to.eql(30);
+	});
+
 	it('can select default instead of empty series - array', function () {
 
 		var series = new Series();
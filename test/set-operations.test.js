@@ -0,0 +1,210 @@
+'use strict';
+
+describe('set operations', function () {
+
+	var dataForge = require('../index');
+	var keys = require('../src/keys');
+
+	var expect = require('chai').expect;
+
+	it('structural keys distinguish types', function () {
+
+		expect(keys.structuralKey(1)).to.not.eql(keys.structuralKey('1'));
+		expect(keys.structuralKey(null)).to.not.eql(keys.structuralKey(undefined));
+		expect(keys.structuralKey(true)).to.not.eql(keys.structuralKey('true'));
+	});
+
+	it('structural keys compare dates, arrays and objects by content', function () {
+
+		expect(keys.structuralKey(new Date(2016, 0, 1))).to.eql(keys.structuralKey(new Date(2016, 0, 1)));
+		expect(keys.structuralKey([1, 'a'])).to.eql(keys.structuralKey([1, 'a']));
+		expect(keys.structuralKey([1, 'a'])).to.not.eql(keys.structuralKey(['1', 'a']));
+		expect(keys.structuralKey({ A: 1, B: [2] })).to.eql(keys.structuralKey({ B: [2], A: 1 }));
+		expect(keys.structuralKey({ A: 1 })).to.not.eql(keys.structuralKey({ A: 1, B: undefined }));
+	});
+
+	it('distinct keeps the index of the first occurrence', function () {
+
+		var series = new dataForge.Series({
+			index: ['a', 'b', 'c', 'd', 'e'],
+			values: [3, 1, 3, 2, 1],
+		});
+
+		expect(series.distinct().toPairs()).to.eql([['a', 3], ['b', 1], ['d', 2]]);
+	});
+
+	it('distinct compares objects and dates by value', function () {
+
+		var series = new dataForge.Series({
+			values: [
+				{ A: 1, D: new Date(2016, 0, 1) },
+				{ D: new Date(2016, 0, 1), A: 1 },
+				{ A: 1, D: new Date(2016, 0, 2) },
+			],
+		});
+
+		expect(series.distinct().count()).to.eql(2);
+	});
+
+	it('distinct of dataframe rows', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['A', 'B'],
+			values: [[1, 'x'], [1, 'x'], [2, 'x']],
+		});
+
+		var distinct = dataFrame.distinct();
+		expect(distinct.getColumnNames()).to.eql(['A', 'B']);
+		expect(distinct.toRows()).to.eql([[1, 'x'], [2, 'x']]);
+		expect(dataFrame.distinct(row => row.B).toRows()).to.eql([[1, 'x']]);
+	});
+
+	it('distinct is lazily evaluated', function () {
+
+		var series = new dataForge.Series({
+			values: function* () {
+				var value = 0;
+				for (;;) {
+					yield value++ % 3;
+				}
+			},
+		});
+
+		var distinct = series.distinct();
+		expect(distinct.take(3).toArray()).to.eql([0, 1, 2]);
+		expect(distinct.take(2).toArray()).to.eql([0, 1]); // Iterations don't share state.
+	});
+
+	it('distinct is linear', function () {
+
+		var values = [];
+		for (var i = 0; i < 200000; ++i) {
+			values.push(i % 1000);
+		}
+
+		var series = new dataForge.Series({ values: values });
+		expect(series.distinct().count()).to.eql(1000);
+	});
+
+	it('can pass a key function to each call', function () {
+
+		var series = new dataForge.Series({ values: ['a', 'A', 'b'] });
+		var lowerCase = function (value) {
+			return value.toLowerCase();
+		};
+
+		expect(series.distinct({ key: lowerCase }).toArray()).to.eql(['a', 'b']);
+		expect(series.distinct().toArray()).to.eql(['a', 'A', 'b']);
+
+		var other = new dataForge.Series({ values: ['B'] });
+		expect(series.union(other, { key: lowerCase }).toArray()).to.eql(['a', 'b']);
+		expect(series.intersection(other, { key: lowerCase }).toArray()).to.eql(['b']);
+		expect(series.except(other, { key: lowerCase }).toArray()).to.eql(['a', 'A']);
+		expect(series.except(other).toArray()).to.eql(['a', 'A', 'b']);
+	});
+
+	it('keys that are the names of object properties are hashed like other keys', function () {
+
+		var series = new dataForge.Series({ values: ['constructor', '__proto__', 'toString', 'constructor', '__proto__'] });
+		var identityKey = { key: value => value };
+
+		expect(series.distinct(identityKey).toArray()).to.eql(['constructor', '__proto__', 'toString']);
+
+		var other = new dataForge.Series({ values: ['toString'] });
+		expect(series.intersection(other, identityKey).toArray()).to.eql(['toString']);
+		expect(series.except(other, identityKey).toArray()).to.eql(['constructor', '__proto__', 'constructor', '__proto__']);
+
+		var joined = series.join(other, value => value, value => value, (left, right) => left + '=' + right, identityKey);
+		expect(joined.toArray()).to.eql(['toString=toString']);
+	});
+
+	it('a function of two values passed in place of the selector is a comparer', function () {
+
+		var series1 = new dataForge.Series({ values: [{ X: 1 }, { X: 2 }] });
+		var series2 = new dataForge.Series({ values: [{ X: 2, Y: 'b' }] });
+		var comparer = function (left, right) {
+			return left.X === right.X;
+		};
+
+		expect(series1.intersection(series2, comparer).toArray()).to.eql([{ X: 2 }]);
+		expect(series1.except(series2, comparer).toArray()).to.eql([{ X: 1 }]);
+	});
+
+	it('can compare values with the comparer option', function () {
+
+		var series1 = new dataForge.Series({ values: [{ X: 1 }, { X: 2 }] });
+		var series2 = new dataForge.Series({ values: [{ X: 2, Y: 'b' }] });
+		var comparer = function (left, right) {
+			return left.X === right.X;
+		};
+
+		expect(series1.intersection(series2, { comparer: comparer }).toArray()).to.eql([{ X: 2 }]);
+		expect(series1.except(series2, { comparer: comparer }).toArray()).to.eql([{ X: 1 }]);
+
+		var selectX = function (value) {
+			return value.X;
+		};
+
+		expect(function () {
+			series1.intersection(series2, selectX, { comparer: comparer });
+		}).to.throw();
+	});
+
+	it('key function must be a function', function () {
+
+		var series = new dataForge.Series({ values: ['a'] });
+
+		expect(function () {
+			series.distinct({ key: 'lowerCase' });
+		}).to.throw();
+	});
+
+	it('union keeps first occurrences', function () {
+
+		var series1 = new dataForge.Series({ values: [{ X: 1 }, { X: 2 }] });
+		var series2 = new dataForge.Series({ values: [{ X: 2 }, { X: 3 }] });
+
+		expect(series1.union(series2).toArray()).to.eql([{ X: 1 }, { X: 2 }, { X: 3 }]);
+	});
+
+	it('intersection and except compare by key', function () {
+
+		var series1 = new dataForge.Series({ values: [new Date(2016, 0, 1), new Date(2016, 0, 2)] });
+		var series2 = new dataForge.Series({ values: [new Date(2016, 0, 2)] });
+
+		expect(series1.intersection(series2).toArray()).to.eql([new Date(2016, 0, 2)]);
+		expect(series1.except(series2).toArray()).to.eql([new Date(2016, 0, 1)]);
+	});
+
+	it('intersection and except can select keys from each series', function () {
+
+		var orders = new dataForge.Series({
+			index: [10, 20, 30],
+			values: [{ Customer: 'a' }, { Customer: 'b' }, { Customer: 'a' }],
+		});
+		var customers = new dataForge.Series({ values: [{ Name: 'a' }] });
+
+		var matched = orders.intersection(customers, order => order.Customer, customer => customer.Name);
+		expect(matched.toPairs()).to.eql([[10, { Customer: 'a' }], [30, { Customer: 'a' }]]);
+
+		var unmatched = orders.except(customers, order => order.Customer, customer => customer.Name);
+		expect(unmatched.toPairs()).to.eql([[20, { Customer: 'b' }]]);
+	});
+
+	it('intersection hashes the other series when it is iterated', function () {
+
+		var series1 = new dataForge.Series({ values: [1, 2, 3] });
+		var numIterations = 0;
+		var series2 = new dataForge.Series({
+			values: function* () {
+				++numIterations;
+				yield 2;
+			},
+		});
+
+		var intersection = series1.intersection(series2);
+		expect(numIterations).to.eql(0);
+		expect(intersection.toArray()).to.eql([2]);
+		expect(numIterations).to.eql(1);
+	});
+});
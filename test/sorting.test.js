@@ -0,0 +1,201 @@
+'use strict';
+
+describe('sorting', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initDataFrame = function () {
+		return new dataForge.DataFrame({
+			columnNames: ['Region', 'Revenue', 'Name'],
+			values: [
+				['north', 10, 'b'],
+				['south', 30, 'a'],
+				['north', 20, 'c'],
+				['south', null, 'd'],
+				['north', 20, 'e'],
+			],
+		});
+	};
+
+	it('sort is stable', function () {
+
+		var sorted = initDataFrame().orderBy(row => row.Region);
+
+		expect(sorted.getSeries('Name').toArray()).to.eql(['b', 'c', 'e', 'a', 'd']);
+		expect(sorted.getIndex().toArray()).to.eql([0, 2, 4, 1, 3]);
+	});
+
+	it('descending sort is stable', function () {
+
+		var series = new dataForge.Series({ values: [{ k: 1, n: 'a' }, { k: 2, n: 'b' }, { k: 1, n: 'c' }, { k: 2, n: 'd' }] });
+
+		expect(series.orderByDescending(value => value.k).toArray().map(value => value.n)).to.eql(['b', 'd', 'a', 'c']);
+	});
+
+	it('selector defaults to the value', function () {
+
+		var series = new dataForge.Series({ values: [3, 1, 2] });
+
+		expect(series.orderBy().toArray()).to.eql([1, 2, 3]);
+		expect(series.orderByDescending().toArray()).to.eql([3, 2, 1]);
+	});
+
+	it('can sort with comparer', function () {
+
+		var series = new dataForge.Series({ values: ['bb', 'a', 'ccc', 'dd'] });
+		var byLength = (a, b) => a.length - b.length;
+
+		expect(series.orderBy(value => value, byLength).toArray()).to.eql(['a', 'bb', 'dd', 'ccc']);
+		expect(series.orderByDescending(value => value, { comparer: byLength }).toArray()).to.eql(['ccc', 'bb', 'dd', 'a']);
+	});
+
+	it('missing values sort last by default in both directions', function () {
+
+		var series = new dataForge.Series({ values: [2, null, 1, NaN, 3] });
+
+		expect(series.orderBy().toArray()).to.eql([1, 2, 3, null, NaN]);
+		expect(series.orderByDescending().toArray()).to.eql([3, 2, 1, null, NaN]);
+	});
+
+	it('can sort missing values first', function () {
+
+		var series = new dataForge.Series({ values: [2, null, 1, NaN, 3] });
+
+		expect(series.orderBy(value => value, { nulls: 'first' }).toArray()).to.eql([null, NaN, 1, 2, 3]);
+		expect(series.orderByDescending(value => value, { nulls: 'first' }).toArray()).to.eql([null, NaN, 3, 2, 1]);
+	});
+
+	it('missing values are not passed to comparer', function () {
+
+		var series = new dataForge.Series({ values: [{ v: 'b' }, { v: undefined }, { v: 'a' }] });
+		var compared = [];
+		var sorted = series.orderBy(value => value.v, function (a, b) {
+			compared.push(a, b);
+			return a.localeCompare(b);
+		});
+
+		expect(sorted.toArray().map(value => value.v)).to.eql(['a', 'b', undefined]);
+		expect(compared).to.not.include(undefined);
+	});
+
+	it('can sort strings with collator', function () {
+
+		var series = new dataForge.Series({ values: ['z', 'é', 'e', 'f'] });
+
+		expect(series.orderBy().toArray()).to.eql(['e', 'f', 'z', 'é']);
+		expect(series.orderBy(value => value, { collator: 'en' }).toArray()).to.eql(['e', 'é', 'f', 'z']);
+		expect(series.orderBy(value => value, { collator: new Intl.Collator('en', { sensitivity: 'base' }) }).toArray()).to.eql(['é', 'e', 'f', 'z']); // Equal, so they keep their order.
+	});
+
+	it('dates sort by time', function () {
+
+		var series = new dataForge.Series({ values: [new Date(2016, 0, 3), new Date(2016, 0, 1), new Date(2016, 0, 2)] });
+
+		expect(series.orderBy().toArray()).to.eql([new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 3)]);
+	});
+
+	it('throws for invalid options', function () {
+
+		var series = new dataForge.Series({ values: [1, 2] });
+
+		expect(() => series.orderBy(value => value, { nulls: 'middle' })).to.throw();
+		expect(() => series.orderBy(value => value, { comparer: 5 })).to.throw();
+		expect(() => series.orderBy(value => value, { collator: {} })).to.throw();
+	});
+
+	it('thenBy can use options', function () {
+
+		var sorted = initDataFrame()
+			.orderBy(row => row.Region)
+			.thenByDescending(row => row.Revenue, { nulls: 'first' });
+
+		expect(sorted.getSeries('Name').toArray()).to.eql(['c', 'e', 'b', 'd', 'a']);
+	});
+
+	it('thenBy is available after baking a sorted dataframe', function () {
+
+		var sorted = initDataFrame()
+			.orderBy(row => row.Region)
+			.bake()
+			.thenBy(row => row.Name, (a, b) => b.localeCompare(a));
+
+		expect(sorted.getSeries('Name').toArray()).to.eql(['e', 'c', 'b', 'd', 'a']);
+	});
+
+	it('thenBy throws when the series is not sorted', function () {
+
+		var series = new dataForge.Series({ values: [1, 2] });
+
+		expect(() => series.thenBy(value => value)).to.throw();
+		expect(() => series.orderBy().skip(1).thenByDescending(value => value)).to.throw();
+	});
+
+	it('dataframe can be sorted by columns', function () {
+
+		var sorted = initDataFrame().orderBy(['Region', '-Revenue']);
+
+		expect(sorted.toRows()).to.eql([
+			['north', 20, 'c'],
+			['north', 20, 'e'],
+			['north', 10, 'b'],
+			['south', 30, 'a'],
+			['south', null, 'd'],
+		]);
+
+		expect(initDataFrame().orderBy('-Name').getSeries('Name').toArray()).to.eql(['e', 'd', 'c', 'b', 'a']);
+	});
+
+	it('dataframe sort by columns applies options to each column and can be continued', function () {
+
+		var sorted = initDataFrame()
+			.orderBy('Revenue', { nulls: 'first' })
+			.thenBy(['-Name']);
+
+		expect(sorted.getSeries('Name').toArray()).to.eql(['d', 'b', 'e', 'c', 'a']);
+	});
+
+	it('dataframe can be sorted descending by columns', function () {
+
+		var sorted = initDataFrame().orderByDescending(['Region', '+Revenue']);
+
+		expect(sorted.toRows()).to.eql([
+			['south', 30, 'a'],
+			['south', null, 'd'],
+			['north', 10, 'b'],
+			['north', 20, 'c'],
+			['north', 20, 'e'],
+		]);
+
+		expect(initDataFrame().orderByDescending('Name').getSeries('Name').toArray()).to.eql(['e', 'd', 'c', 'b', 'a']);
+	});
+
+	it('dataframe sort can be continued descending by columns', function () {
+
+		var sorted = initDataFrame()
+			.orderBy('Region')
+			.thenByDescending(['Revenue', 'Name']);
+
+		expect(sorted.getSeries('Name').toArray()).to.eql(['e', 'c', 'b', 'a', 'd']);
+	});
+
+	it('dataframe sort throws for unknown column', function () {
+
+		expect(() => initDataFrame().orderBy(['Region', '-Missing'])).to.throw();
+		expect(() => initDataFrame().orderBy([])).to.throw();
+		expect(() => initDataFrame().orderByDescending(['Missing'])).to.throw();
+		expect(() => initDataFrame().orderBy('Region').thenByDescending('Missing')).to.throw();
+	});
+
+	it('async series can sort with options', function () {
+
+		return new dataForge.AsyncSeries([2, null, 1])
+			.orderBy(value => value, { nulls: 'first' })
+			.thenByDescending(value => value)
+			.toArray()
+			.then(values => {
+				expect(values).to.eql([null, 1, 2]);
+			});
+	});
+});
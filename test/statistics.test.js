@@ -0,0 +1,252 @@
+'use strict';
+
+describe('statistics', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var initSeries = function (values) {
+		return new dataForge.Series({
+			values: values,
+		});
+	};
+
+	var extractValues = function (series) {
+		var values = [];
+		var iterator = series.getIterator();
+		while (iterator.moveNext()) {
+			values.push(iterator.getCurrent()[1]);
+		}
+		return values;
+	};
+
+	it('can compute sample variance and standard deviation', function () {
+
+		var series = initSeries([1, 2, 3, 4, 10]);
+		expect(series.variance()).to.eql(12.5);
+		expect(series.std()).to.be.closeTo(3.5355, 0.0001);
+	});
+
+	it('can compute population variance and standard deviation', function () {
+
+		var series = initSeries([1, 2, 3, 4, 10]);
+		expect(series.variance({ population: true })).to.eql(10);
+		expect(series.std({ population: true })).to.be.closeTo(3.1623, 0.0001);
+	});
+
+	it('variance ignores values that are not numbers', function () {
+
+		var series = initSeries([1, 'a', 2, null, 3, NaN]);
+		expect(series.variance()).to.eql(1);
+	});
+
+	it('variance of less than two values is undefined', function () {
+
+		expect(initSeries([5]).variance()).to.be.undefined;
+		expect(initSeries([]).std()).to.be.undefined;
+	});
+
+	it('can compute a quantile', function () {
+
+		var series = initSeries([4, 1, 3, 2, 10]);
+		expect(series.quantile(0.5)).to.eql(3);
+		expect(series.quantile(0.9)).to.be.closeTo(7.6, 0.0001);
+	});
+
+	it('can compute multiple quantiles', function () {
+
+		var series = initSeries([1, 2, 3, 4]);
+		expect(series.quantile([0, 0.5, 1])).to.eql([1, 2.5, 4]);
+	});
+
+	it('can compute quantiles with each interpolation', function () {
+
+		var series = initSeries([1, 2, 3, 4]);
+		expect(series.quantile(0.4, 'linear')).to.be.closeTo(2.2, 0.0001);
+		expect(series.quantile(0.4, 'lower')).to.eql(2);
+		expect(series.quantile(0.4, 'higher')).to.eql(3);
+		expect(series.quantile(0.4, 'nearest')).to.eql(2);
+		expect(series.quantile(0.4, 'midpoint')).to.eql(2.5);
+	});
+
+	it('throws for unknown interpolation', function () {
+
+		expect(function () {
+			initSeries([1, 2]).quantile(0.5, 'cubic');
+		}).to.throw();
+	});
+
+	it('throws for quantile out of range', function () {
+
+		expect(function () {
+			initSeries([1, 2]).quantile(1.5);
+		}).to.throw();
+	});
+
+	it('can compute percentiles', function () {
+
+		var series = initSeries([1, 2, 3, 4, 5]);
+		expect(series.percentile(50)).to.eql(3);
+		expect(series.percentile([25, 75])).to.eql([2, 4]);
+	});
+
+	it('can find the mode', function () {
+
+		expect(initSeries([1, 2, 2, 3, 3, 3]).mode()).to.eql(3);
+		expect(initSeries(['b', 'a', 'a', 'b']).mode()).to.eql('b');
+		expect(initSeries([]).mode()).to.be.undefined;
+	});
+
+	it('can compute skewness', function () {
+
+		expect(initSeries([1, 2, 3, 4, 10]).skew()).to.be.closeTo(1.697, 0.001);
+		expect(initSeries([1, 2, 3]).skew()).to.eql(0);
+		expect(initSeries([1, 2]).skew()).to.be.undefined;
+	});
+
+	it('can compute excess kurtosis', function () {
+
+		expect(initSeries([1, 2, 3, 4, 10]).kurtosis()).to.be.closeTo(3.152, 0.001);
+		expect(initSeries([1, 2, 3]).kurtosis()).to.be.undefined;
+	});
+
+	it('can compute cumulative sum', function () {
+
+		var series = initSeries([1, 2, 3, 4]);
+		expect(series.cumulativeSum().toArray()).to.eql([1, 3, 6, 10]);
+	});
+
+	it('can compute cumulative product', function () {
+
+		var series = initSeries([1, 2, 3, 4]);
+		expect(series.cumulativeProduct().toArray()).to.eql([1, 2, 6, 24]);
+	});
+
+	it('can compute cumulative min and max', function () {
+
+		var series = initSeries([3, 1, 4, 1, 5]);
+		expect(series.cumulativeMin().toArray()).to.eql([3, 1, 1, 1, 1]);
+		expect(series.cumulativeMax().toArray()).to.eql([3, 3, 4, 4, 5]);
+	});
+
+	it('cumulative operations preserve the index', function () {
+
+		var series = new dataForge.Series({
+			values: [1, 2, 3],
+			index: [10, 20, 30],
+		});
+
+		expect(series.cumulativeSum().toPairs()).to.eql([[10, 1], [20, 3], [30, 6]]);
+	});
+
+	it('can rank values with each method', function () {
+
+		var series = initSeries([3, 1, 3, 2]);
+		expect(series.rank().toArray()).to.eql([3.5, 1, 3.5, 2]);
+		expect(series.rank({ method: 'min' }).toArray()).to.eql([3, 1, 3, 2]);
+		expect(series.rank({ method: 'max' }).toArray()).to.eql([4, 1, 4, 2]);
+		expect(series.rank({ method: 'first' }).toArray()).to.eql([3, 1, 4, 2]);
+		expect(series.rank({ method: 'dense' }).toArray()).to.eql([3, 1, 3, 2]);
+	});
+
+	it('can rank values in descending order', function () {
+
+		var series = initSeries([3, 1, 3, 2]);
+		expect(series.rank({ ascending: false }).toArray()).to.eql([1.5, 4, 1.5, 3]);
+		expect(series.rank({ method: 'dense', ascending: false }).toArray()).to.eql([1, 3, 1, 2]);
+	});
+
+	it('missing values are not ranked', function () {
+
+		var series = initSeries([2, null, 1]);
+		expect(extractValues(series.rank())).to.eql([2, undefined, 1]);
+	});
+
+	it('rank and quantile take a method string or an options object', function () {
+
+		var series = initSeries([3, 1, 3, 2]);
+		expect(series.rank('dense').toArray()).to.eql([3, 1, 3, 2]);
+		expect(series.rank('max').toArray()).to.eql(series.rank({ method: 'max' }).toArray());
+		expect(series.quantile(0.4, { interpolation: 'lower' })).to.eql(series.quantile(0.4, 'lower'));
+		expect(series.percentile(40, { interpolation: 'higher' })).to.eql(series.percentile(40, 'higher'));
+
+		expect(function () {
+			series.rank(1);
+		}).to.throw();
+
+		expect(function () {
+			series.quantile(0.5, 1);
+		}).to.throw();
+	});
+
+	it('throws for unknown rank method', function () {
+
+		expect(function () {
+			initSeries([1, 2]).rank({ method: 'random' });
+		}).to.throw();
+	});
+
+	it('can compute z-scores', function () {
+
+		var zscores = initSeries([2, 4, 6]).zscore().toArray();
+		expect(zscores).to.eql([-1, 0, 1]);
+	});
+
+	it('z-scores are undefined when there is no deviation', function () {
+
+		expect(extractValues(initSeries([5, 5, 5]).zscore())).to.eql([undefined, undefined, undefined]);
+	});
+
+	it('can describe a dataframe', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['Number', 'Name', 'Date'],
+			values: [
+				[1, 'x', new Date(2020, 0, 1)],
+				[2, 'y', new Date(2020, 0, 3)],
+				[null, 'x', undefined],
+				[3, '', new Date(2020, 0, 2)],
+			],
+		});
+
+		var description = dataFrame.describe();
+		expect(description.getColumnNames()).to.eql(['Column', 'Type', 'Count', 'Missing', 'Mean', 'Std', 'Min', '25%', '50%', '75%', 'Max', 'Distinct', 'Top', 'Frequency']);
+		expect(description.getIndex().toArray()).to.eql(['Number', 'Name', 'Date']);
+
+		var rows = description.toArray();
+
+		expect(rows[0]).to.eql({
+			Column: 'Number',
+			Type: 'number',
+			Count: 3,
+			Missing: 1,
+			Mean: 2,
+			Std: 1,
+			Min: 1,
+			'25%': 1.5,
+			'50%': 2,
+			'75%': 2.5,
+			Max: 3,
+			Distinct: 3,
+			Top: 1,
+			Frequency: 1,
+		});
+
+		expect(rows[1].Type).to.eql('string');
+		expect(rows[1].Count).to.eql(3);
+		expect(rows[1].Missing).to.eql(1);
+		expect(rows[1].Distinct).to.eql(2);
+		expect(rows[1].Top).to.eql('x');
+		expect(rows[1].Frequency).to.eql(2);
+		expect(rows[1].Mean).to.be.undefined;
+
+		expect(rows[2].Type).to.eql('date');
+		expect(rows[2].Count).to.eql(3);
+		expect(rows[2].Missing).to.eql(1);
+		expect(rows[2].Min).to.eql(new Date(2020, 0, 1));
+		expect(rows[2]['50%']).to.eql(new Date(2020, 0, 2));
+		expect(rows[2].Max).to.eql(new Date(2020, 0, 3));
+		expect(rows[2].Std).to.be.undefined;
+	});
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+describe('time windows', function () {
+
+	var dataForge = require('../index');
+
+	var expect = require('chai').expect;
+
+	var date = function (day, hour) {
+		return new Date(2016, 0, day, hour || 0);
+	};
+
+	var initSeries = function () {
+		return new dataForge.Series({
+			index: [date(1, 1), date(1, 5), date(2, 3), date(5, 2), date(9)],
+			values: [1, 2, 3, 4, 8],
+		});
+	};
+
+	var extractWindows = function (windows) {
+		return windows
+			.asPairs()
+			.select(function (pair) {
+				return [pair[0], pair[1].toPairs()];
+			})
+			.toArray();
+	};
+
+	it('can segment a series into daily windows', function () {
+
+		var windows = initSeries().timeWindow('day');
+
+		expect(windows.getIndex().toArray()).to.eql([date(1), date(2), date(5), date(9)]);
+		expect(extractWindows(windows)).to.eql([
+			[date(1), [[date(1, 1), 1], [date(1, 5), 2]]],
+			[date(2), [[date(2, 3), 3]]],
+			[date(5), [[date(5, 2), 4]]],
+			[date(9), [[date(9), 8]]],
+		]);
+	});
+
+	it('time window of an empty series is empty', function () {
+
+		expect(new dataForge.Series().timeWindow('day').count()).to.eql(0);
+	});
+
+	it('can segment a series into calendar months', function () {
+
+		var series = new dataForge.Series({
+			index: [new Date(2016, 0, 5), new Date(2016, 0, 31), new Date(2016, 1, 1), new Date(2016, 3, 15)],
+			values: [1, 2, 3, 4],
+		});
+
+		var windows = series.timeWindow('month');
+		expect(windows.getIndex().toArray()).to.eql([new Date(2016, 0, 1), new Date(2016, 1, 1), new Date(2016, 3, 1)]);
+		expect(windows.select(function (window) { return window.toArray(); }).toArray()).to.eql([[1, 2], [3], [4]]);
+	});
+
+	it('multiples of a period are aligned to a fixed date', function () {
+
+		var series = new dataForge.Series({
+			index: [new Date(2016, 0, 1, 0, 10), new Date(2016, 0, 1, 0, 20), new Date(2016, 0, 1, 0, 31)],
+			values: [1, 2, 3],
+		});
+
+		var windows = series.timeWindow('15 minutes');
+		expect(windows.getIndex().toArray()).to.eql([new Date(2016, 0, 1, 0, 0), new Date(2016, 0, 1, 0, 15), new Date(2016, 0, 1, 0, 30)]);
+	});
+
+	it('weekend values belong to the preceding business day', function () {
+
+		// 1 January 2016 is a Friday.
+		var series = new dataForge.Series({
+			index: [date(1), date(2), date(3), date(4)],
+			values: [1, 2, 3, 4],
+		});
+
+		var windows = series.timeWindow('business day');
+		expect(windows.getIndex().toArray()).to.eql([date(1), date(4)]);
+		expect(windows.select(function (window) { return window.toArray(); }).toArray()).to.eql([[1, 2, 3], [4]]);
+	});
+
+	it('can segment a dataframe into time windows', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['Value'],
+			values: [[1], [2], [3]],
+			index: [date(1), date(1, 12), date(3)],
+		});
+
+		var windows = dataFrame.timeWindow('day');
+		expect(windows.getIndex().toArray()).to.eql([date(1), date(3)]);
+		expect(windows.select(function (window) { return window.toRows(); }).toArray()).to.eql([[[1], [2]], [[3]]]);
+	});
+
+	it('time window throws when the index does not contain dates', function () {
+
+		var series = new dataForge.Series({ values: [1, 2, 3] });
+
+		expect(function () {
+			series.timeWindow('day').toArray();
+		}).to.throw();
+	});
+
+	it('throws for an invalid period', function () {
+
+		var series = initSeries();
+
+		expect(function () {
+			series.timeWindow('fortnight');
+		}).to.throw();
+
+		expect(function () {
+			series.timeWindow(5);
+		}).to.throw();
+
+		expect(function () {
+			series.timeWindow('2 business days');
+		}).to.throw();
+	});
+
+	it('can compute a rolling time window', function () {
+
+		var windows = initSeries().rollingTimeWindow('3 days');
+
+		expect(windows.getIndex().toArray()).to.eql([date(1, 1), date(1, 5), date(2, 3), date(5, 2), date(9)]);
+		expect(windows.select(function (window) { return window.toArray(); }).toArray()).to.eql([
+			[1],
+			[1, 2],
+			[1, 2, 3],
+			[3, 4],
+			[8],
+		]);
+	});
+
+	it('rolling time window excludes values at the start of the period', function () {
+
+		var series = new dataForge.Series({
+			index: [date(1), date(2), date(3)],
+			values: [1, 2, 3],
+		});
+
+		expect(series.rollingTimeWindow('1 day').select(function (window) { return window.toArray(); }).toArray()).to.eql([[1], [2], [3]]);
+	});
+
+	it('can resample a series', function () {
+
+		var resampled = initSeries().resample('day', 'sum');
+
+		expect(resampled.toPairs()).to.eql([
+			[date(1), 3],
+			[date(2), 3],
+			[date(5), 4],
+			[date(9), 8],
+		]);
+	});
+
+	it('can resample a series with an aggregator function', function () {
+
+		var resampled = initSeries().resample('week', function (window) {
+			return window.max();
+		});
+
+		// Weeks start on Sunday.
+		expect(resampled.toPairs()).to.eql([
+			[new Date(2015, 11, 27), 3],
+			[date(3), 8],
+		]);
+	});
+
+	it('can upsample a series with interpolation', function () {
+
+		var series = new dataForge.Series({
+			index: [date(1), date(4), date(5)],
+			values: [10, 40, 20],
+		});
+
+		expect(series.resample('day', 'last', { fill: 'linear' }).toPairs()).to.eql([
+			[date(1), 10],
+			[date(2), 20],
+			[date(3), 30],
+			[date(4), 40],
+			[date(5), 20],
+		]);
+	});
+
+	it('can upsample a series by repeating the previous value', function () {
+
+		var series = new dataForge.Series({
+			index: [date(1), date(3)],
+			values: [1, 2],
+		});
+
+		expect(series.resample('12 hours', 'first', { fill: 'previous' }).toPairs()).to.eql([
+			[date(1), 1],
+			[date(1, 12), 1],
+			[date(2), 1],
+			[date(2, 12), 1],
+			[date(3), 2],
+		]);
+	});
+
+	it('can upsample a series with a fill function', function () {
+
+		var series = new dataForge.Series({
+			index: [date(1), date(3)],
+			values: [1, 2],
+		});
+
+		var resampled = series.resample('day', 'first', {
+			fill: function (bucketStart, pairA, pairB) {
+				return [bucketStart, pairA[1], pairB[1]];
+			},
+		});
+
+		expect(resampled.toPairs()).to.eql([
+			[date(1), 1],
+			[date(2), [date(2), 1, 2]],
+			[date(3), 2],
+		]);
+	});
+
+	it('upsampling skips weekends for business days', function () {
+
+		var series = new dataForge.Series({
+			index: [date(1), date(5)],
+			values: [1, 2],
+		});
+
+		expect(series.resample('business day', 'first', { fill: 'previous' }).getIndex().toArray()).to.eql([date(1), date(4), date(5)]);
+	});
+
+	it('throws for an invalid aggregator or fill', function () {
+
+		var series = initSeries();
+
+		expect(function () {
+			series.resample('day', 'bogus');
+		}).to.throw();
+
+		expect(function () {
+			series.resample('day', 'sum', { fill: 'bogus' });
+		}).to.throw();
+	});
+});